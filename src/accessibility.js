@@ -0,0 +1,451 @@
+/**
+ * Accessibility Audits for Homepage Builder
+ *
+ * This module handles:
+ * 1. An axe-core style rule set that runs inside a rendered page
+ * 2. Turning rule results into violations with impact and WCAG references
+ * 3. Describing violations as an instruction the generator can fix them from
+ */
+
+const WCAG_UNDERSTANDING_URL = 'https://www.w3.org/WAI/WCAG21/Understanding/';
+
+/**
+ * WCAG success criteria referenced by the rules
+ */
+const WCAG_CRITERIA = {
+    '1.1.1': { name: 'Non-text Content', level: 'A', slug: 'non-text-content' },
+    '1.3.1': { name: 'Info and Relationships', level: 'A', slug: 'info-and-relationships' },
+    '1.4.3': { name: 'Contrast (Minimum)', level: 'AA', slug: 'contrast-minimum' },
+    '1.4.4': { name: 'Resize text', level: 'AA', slug: 'resize-text' },
+    '2.4.2': { name: 'Page Titled', level: 'A', slug: 'page-titled' },
+    '2.4.3': { name: 'Focus Order', level: 'A', slug: 'focus-order' },
+    '2.4.4': { name: 'Link Purpose (In Context)', level: 'A', slug: 'link-purpose-in-context' },
+    '3.1.1': { name: 'Language of Page', level: 'A', slug: 'language-of-page' },
+    '4.1.1': { name: 'Parsing', level: 'A', slug: 'parsing' },
+    '4.1.2': { name: 'Name, Role, Value', level: 'A', slug: 'name-role-value' }
+};
+
+/**
+ * Rules in report order. Ids follow axe-core where a matching rule exists.
+ */
+const ACCESSIBILITY_RULES = {
+    'image-alt': {
+        impact: 'critical',
+        wcag: ['1.1.1'],
+        help: 'Images must have alternate text'
+    },
+    'button-name': {
+        impact: 'critical',
+        wcag: ['4.1.2'],
+        help: 'Buttons must have discernible text'
+    },
+    'label': {
+        impact: 'critical',
+        wcag: ['1.3.1', '4.1.2'],
+        help: 'Form elements must have labels'
+    },
+    'meta-viewport': {
+        impact: 'critical',
+        wcag: ['1.4.4'],
+        help: 'Zooming and scaling must not be disabled'
+    },
+    'link-name': {
+        impact: 'serious',
+        wcag: ['2.4.4', '4.1.2'],
+        help: 'Links must have discernible text'
+    },
+    'color-contrast': {
+        impact: 'serious',
+        wcag: ['1.4.3'],
+        help: 'Text must have sufficient color contrast with its background'
+    },
+    'html-has-lang': {
+        impact: 'serious',
+        wcag: ['3.1.1'],
+        help: 'The <html> element must have a lang attribute'
+    },
+    'document-title': {
+        impact: 'serious',
+        wcag: ['2.4.2'],
+        help: 'Documents must have a <title> element'
+    },
+    'frame-title': {
+        impact: 'serious',
+        wcag: ['4.1.2'],
+        help: 'Frames must have a title'
+    },
+    'tabindex': {
+        impact: 'serious',
+        wcag: ['2.4.3'],
+        help: 'Elements should not have a tabindex greater than zero'
+    },
+    'list': {
+        impact: 'serious',
+        wcag: ['1.3.1'],
+        help: 'Lists must only directly contain <li>, <script> or <template> elements'
+    },
+    'heading-order': {
+        impact: 'moderate',
+        wcag: ['1.3.1'],
+        help: 'Heading levels should only increase by one'
+    },
+    'landmark-one-main': {
+        impact: 'moderate',
+        wcag: ['1.3.1'],
+        help: 'The page should have one main landmark'
+    },
+    'duplicate-id': {
+        impact: 'minor',
+        wcag: ['4.1.1'],
+        help: 'id attribute values must be unique'
+    }
+};
+
+const IMPACT_ORDER = ['critical', 'serious', 'moderate', 'minor'];
+
+// Elements reported per rule
+const MAX_NODES_PER_RULE = 20;
+
+// Violations listed in a fix instruction, most severe first
+const MAX_FIX_NODES = 40;
+
+/**
+ * Run the rule set in the page. This function is serialized into the browser
+ * by page.evaluate, so it must not reference anything outside its own body.
+ * @param {Object} options - { rules, maxNodes }
+ * @returns {Object} Failing nodes per rule id: { selector, html, failure }
+ */
+/* istanbul ignore next */
+function runAccessibilityRules({ rules, maxNodes }) {
+    const results = {};
+
+    const report = (rule, element, failure) => {
+        if (!rules.includes(rule)) {
+            return;
+        }
+        results[rule] = results[rule] || [];
+        if (results[rule].length >= maxNodes) {
+            return;
+        }
+        const outer = element.outerHTML || '';
+        const openingTag = outer.slice(0, outer.indexOf('>') + 1);
+        results[rule].push({
+            selector: selectorOf(element),
+            html: openingTag.length > 200 ? `${openingTag.slice(0, 200)}…` : openingTag,
+            failure
+        });
+    };
+
+    function selectorOf(element) {
+        const steps = [];
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+            if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+                steps.unshift(`#${CSS.escape(node.id)}`);
+                break;
+            }
+            const tag = node.tagName.toLowerCase();
+            const parent = node.parentElement;
+            const sameTag = parent ? Array.from(parent.children).filter(child => child.tagName === node.tagName) : [];
+            steps.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag);
+        }
+        return steps.join(' > ');
+    }
+
+    function isHidden(element) {
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+            if (node.getAttribute('aria-hidden') === 'true' || node.hidden) {
+                return true;
+            }
+        }
+        const style = getComputedStyle(element);
+        return style.display === 'none' || style.visibility === 'hidden' || element.getClientRects().length === 0;
+    }
+
+    function textOf(node) {
+        if (node.nodeType === 3) {
+            return node.textContent;
+        }
+        if (node.nodeType !== 1 || node.getAttribute('aria-hidden') === 'true') {
+            return '';
+        }
+        if (node.getAttribute('aria-label')) {
+            return node.getAttribute('aria-label');
+        }
+        if (node.tagName === 'IMG') {
+            return node.getAttribute('alt') || '';
+        }
+        if (node.tagName === 'svg') {
+            const title = node.querySelector('title');
+            return title ? title.textContent : '';
+        }
+        return Array.from(node.childNodes).map(textOf).join(' ');
+    }
+
+    function accessibleName(element) {
+        const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+        const parts = [
+            labelledBy.map(id => document.getElementById(id)).filter(Boolean).map(textOf).join(' '),
+            element.getAttribute('aria-label') || ''
+        ];
+        if (element.labels) {
+            parts.push(Array.from(element.labels).map(textOf).join(' '));
+        }
+        if (!['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) {
+            parts.push(textOf(element));
+        }
+        parts.push(element.getAttribute('title') || '');
+        return parts.join(' ').replace(/\s+/g, ' ').trim();
+    }
+
+    function parseColor(value) {
+        const match = (value || '').match(/^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+        if (!match) {
+            return null;
+        }
+        const alpha = match[4] === undefined ? 1 : match[4].endsWith('%') ? parseFloat(match[4]) / 100 : Number(match[4]);
+        return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]), a: alpha };
+    }
+
+    function blend(top, bottom) {
+        const a = top.a + bottom.a * (1 - top.a);
+        const channel = name => (a === 0 ? 0 : (top[name] * top.a + bottom[name] * bottom.a * (1 - top.a)) / a);
+        return { r: channel('r'), g: channel('g'), b: channel('b'), a };
+    }
+
+    function luminance({ r, g, b }) {
+        const [red, green, blue] = [r, g, b].map(channel => {
+            const value = channel / 255;
+            return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+    }
+
+    // Background behind an element, or null when an image or gradient makes it unknown
+    function backgroundOf(element) {
+        const layers = [];
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+            const style = getComputedStyle(node);
+            if (style.backgroundImage && style.backgroundImage !== 'none') {
+                return null;
+            }
+            const color = parseColor(style.backgroundColor);
+            if (color && color.a > 0) {
+                layers.push(color);
+                if (color.a >= 1) {
+                    break;
+                }
+            }
+        }
+        return layers.reduceRight((bottom, top) => blend(top, bottom), { r: 255, g: 255, b: 255, a: 1 });
+    }
+
+    const toHex = ({ r, g, b }) => `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+    // Document-level rules
+    const html = document.documentElement;
+    if (!(html.getAttribute('lang') || '').trim()) {
+        report('html-has-lang', html, 'The <html> element has no lang attribute');
+    }
+    if (!document.title.trim()) {
+        report('document-title', html, 'The document has no title');
+    }
+    const viewport = document.querySelector('meta[name="viewport"]');
+    if (viewport) {
+        const content = (viewport.getAttribute('content') || '').toLowerCase().replace(/\s+/g, '');
+        const maximumScale = content.match(/maximum-scale=([\d.]+)/);
+        if (/user-scalable=(no|0)/.test(content) || (maximumScale && Number(maximumScale[1]) < 2)) {
+            report('meta-viewport', viewport, `The viewport "${viewport.getAttribute('content')}" disables zooming`);
+        }
+    }
+    const mains = document.querySelectorAll('main, [role="main"]');
+    if (mains.length !== 1) {
+        report('landmark-one-main', html, mains.length ? `The page has ${mains.length} main landmarks` : 'The page has no <main> landmark');
+    }
+
+    const ids = new Map();
+    for (const element of document.querySelectorAll('[id]')) {
+        ids.set(element.id, (ids.get(element.id) || 0) + 1);
+    }
+    const reportedIds = new Set();
+    for (const element of document.querySelectorAll('[id]')) {
+        if (ids.get(element.id) > 1 && !reportedIds.has(element.id)) {
+            reportedIds.add(element.id);
+            report('duplicate-id', element, `id "${element.id}" is used ${ids.get(element.id)} times`);
+        }
+    }
+
+    for (const element of document.querySelectorAll('[tabindex]')) {
+        if (Number(element.getAttribute('tabindex')) > 0) {
+            report('tabindex', element, `tabindex is ${element.getAttribute('tabindex')}`);
+        }
+    }
+
+    // Element rules skip anything not rendered
+    for (const image of document.querySelectorAll('img')) {
+        const role = image.getAttribute('role');
+        if (!image.hasAttribute('alt') && role !== 'presentation' && role !== 'none' && !isHidden(image) && !accessibleName(image)) {
+            report('image-alt', image, 'The image has no alt attribute');
+        }
+    }
+
+    for (const button of document.querySelectorAll('button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"]')) {
+        if (isHidden(button)) {
+            continue;
+        }
+        const isInput = button.tagName === 'INPUT';
+        // Submit and reset inputs get a default label from the browser
+        const hasName = isInput
+            ? (button.value || '').trim() || button.type !== 'button' || accessibleName(button)
+            : accessibleName(button);
+        if (!hasName) {
+            report('button-name', button, 'The button has no text, aria-label or title');
+        }
+    }
+
+    for (const link of document.querySelectorAll('a[href]')) {
+        if (!isHidden(link) && !accessibleName(link)) {
+            report('link-name', link, 'The link has no text, aria-label or title');
+        }
+    }
+
+    for (const field of document.querySelectorAll('input, select, textarea')) {
+        if (['hidden', 'submit', 'reset', 'button', 'image'].includes(field.type) || isHidden(field)) {
+            continue;
+        }
+        if (!accessibleName(field)) {
+            report('label', field, field.placeholder
+                ? 'The field only has a placeholder, which is not a label'
+                : 'The field has no <label>, aria-label or title');
+        }
+    }
+
+    for (const frame of document.querySelectorAll('iframe')) {
+        if (!isHidden(frame) && !(frame.getAttribute('title') || '').trim()) {
+            report('frame-title', frame, 'The frame has no title');
+        }
+    }
+
+    for (const list of document.querySelectorAll('ul, ol')) {
+        const invalid = Array.from(list.children).filter(child => !['LI', 'SCRIPT', 'TEMPLATE'].includes(child.tagName));
+        if (invalid.length) {
+            report('list', list, `The list directly contains <${invalid[0].tagName.toLowerCase()}>`);
+        }
+    }
+
+    let previousLevel = 0;
+    for (const heading of document.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+        if (isHidden(heading)) {
+            continue;
+        }
+        const level = Number(heading.tagName[1]);
+        if (previousLevel && level > previousLevel + 1) {
+            report('heading-order', heading, `<h${level}> follows <h${previousLevel}>`);
+        }
+        previousLevel = level;
+    }
+
+    for (const element of document.body ? document.body.querySelectorAll('*') : []) {
+        const ownText = Array.from(element.childNodes).some(node => node.nodeType === 3 && node.textContent.trim());
+        if (!ownText || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'OPTION'].includes(element.tagName) || isHidden(element)) {
+            continue;
+        }
+        const style = getComputedStyle(element);
+        const foreground = parseColor(style.color);
+        const background = backgroundOf(element);
+        if (!foreground || !background) {
+            continue;
+        }
+        const text = blend(foreground, background);
+        const lighter = Math.max(luminance(text), luminance(background));
+        const darker = Math.min(luminance(text), luminance(background));
+        const ratio = (lighter + 0.05) / (darker + 0.05);
+        const size = parseFloat(style.fontSize);
+        const large = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+        const required = large ? 3 : 4.5;
+        if (ratio < required) {
+            report('color-contrast', element,
+                `Contrast of ${ratio.toFixed(2)}:1 between ${toHex(text)} and ${toHex(background)} is below ${required}:1`);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * WCAG references for a rule
+ */
+function wcagReferences(rule) {
+    return ACCESSIBILITY_RULES[rule].wcag.map(criterion => {
+        const { name, level, slug } = WCAG_CRITERIA[criterion];
+        return { criterion, name, level, url: `${WCAG_UNDERSTANDING_URL}${slug}` };
+    });
+}
+
+/**
+ * Turn the failing nodes reported by runAccessibilityRules into an audit report
+ * @param {Object} results - Failing nodes per rule id
+ * @param {Array<string>} rules - Rule ids that ran
+ * @returns {Object} { violations, summary }; violations are sorted by impact
+ */
+function buildAccessibilityReport(results, rules = Object.keys(ACCESSIBILITY_RULES)) {
+    const violations = Object.keys(ACCESSIBILITY_RULES)
+        .filter(rule => results[rule] && results[rule].length)
+        .map(rule => ({
+            rule,
+            impact: ACCESSIBILITY_RULES[rule].impact,
+            help: ACCESSIBILITY_RULES[rule].help,
+            wcag: wcagReferences(rule),
+            nodes: results[rule]
+        }))
+        .sort((a, b) => IMPACT_ORDER.indexOf(a.impact) - IMPACT_ORDER.indexOf(b.impact));
+
+    const byImpact = Object.fromEntries(IMPACT_ORDER.map(impact => [impact, 0]));
+    for (const violation of violations) {
+        byImpact[violation.impact] += violation.nodes.length;
+    }
+
+    return {
+        violations,
+        summary: {
+            rules_checked: rules.length,
+            rules_violated: violations.length,
+            nodes: violations.reduce((sum, violation) => sum + violation.nodes.length, 0),
+            by_impact: byImpact
+        }
+    };
+}
+
+/**
+ * Describe audit violations as a refinement instruction. The first line is a
+ * one-sentence summary; the failing elements follow, most severe first.
+ * @param {Array<Object>} violations - From buildAccessibilityReport
+ * @returns {string} Instruction for the generator
+ */
+function createAccessibilityFixInstruction(violations) {
+    const count = violations.reduce((sum, violation) => sum + violation.nodes.length, 0);
+    const lines = [];
+
+    for (const violation of violations) {
+        const criteria = violation.wcag.map(reference => `WCAG ${reference.criterion}`).join(', ');
+        for (const node of violation.nodes) {
+            if (lines.length >= MAX_FIX_NODES) {
+                break;
+            }
+            lines.push(`- [${violation.rule}, ${criteria}] ${node.selector} ${node.html}: ${node.failure}. ${violation.help}.`);
+        }
+    }
+
+    return [
+        `Fix ${count} accessibility violation${count === 1 ? '' : 's'} without changing the design, layout or wording beyond what the fixes need.`,
+        ...lines,
+        'Use real alt text and labels that describe the content; raise contrast by adjusting the colors already in use.'
+    ].join('\n');
+}
+
+module.exports = {
+    ACCESSIBILITY_RULES,
+    MAX_NODES_PER_RULE,
+    runAccessibilityRules,
+    buildAccessibilityReport,
+    createAccessibilityFixInstruction
+};
@@ -0,0 +1,124 @@
+/**
+ * Callback URL Safety for Homepage Builder
+ *
+ * This module handles:
+ * 1. Detecting private, loopback, link-local and other internal addresses
+ * 2. Checking job callback URLs against them and the CALLBACK_ALLOWED_HOSTS allowlist
+ * 3. A DNS lookup for callback requests that refuses hosts resolving to internal addresses
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Hosts callbacks may be sent to (a host also allows its subdomains). When
+ * empty, any public host is allowed. Listed hosts skip the internal address
+ * checks, so an operator can allow an internal receiver on purpose.
+ */
+const CALLBACK_ALLOWED_HOSTS = (process.env.CALLBACK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+// Addresses a callback must never reach: this host, private networks, cloud metadata and the like
+const INTERNAL_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => INTERNAL_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => INTERNAL_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * The IPv4 address inside an IPv4-mapped IPv6 address (::ffff:7f00:1), or null
+ */
+function unmapIpv4(address) {
+    const mapped = address.toLowerCase().match(/^::ffff:(?:([\d.]+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (!mapped) {
+        return null;
+    }
+    if (mapped[1]) {
+        return mapped[1];
+    }
+    const high = parseInt(mapped[2], 16);
+    const low = parseInt(mapped[3], 16);
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+/**
+ * Check whether an IP address is internal (private, loopback, link-local, ...)
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isInternalAddress(address) {
+    const ipv4 = net.isIPv4(address) ? address : unmapIpv4(address);
+    if (ipv4) {
+        return INTERNAL_RANGES.check(ipv4, 'ipv4');
+    }
+    return net.isIPv6(address) && INTERNAL_RANGES.check(address, 'ipv6');
+}
+
+function isHostAllowed(host, allowedHosts) {
+    return allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+/**
+ * Check a callback URL before any request is sent to it
+ * @param {string} url - Callback URL
+ * @param {Array<string>} allowedHosts - Allowlist (see CALLBACK_ALLOWED_HOSTS)
+ * @returns {string|null} Why the URL is refused, or null when it may be used
+ */
+function checkCallbackUrl(url, allowedHosts = CALLBACK_ALLOWED_HOSTS) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'is not a valid URL';
+    }
+
+    // The URL parser normalizes numeric hosts such as 2130706433 to dotted form
+    const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (allowedHosts.length > 0) {
+        return isHostAllowed(host, allowedHosts) ? null : `host ${host} is not in CALLBACK_ALLOWED_HOSTS`;
+    }
+    if (host === 'localhost' || host.endsWith('.localhost') || isInternalAddress(host)) {
+        return `host ${host} is a private, loopback or link-local address`;
+    }
+    return null;
+}
+
+/**
+ * DNS lookup for callback requests (Node's lookup signature) that fails
+ * when a host outside the allowlist resolves to an internal address. The
+ * check runs as the connection is made, so DNS changes after validation
+ * cannot redirect a callback inward.
+ * @param {Array<string>} allowedHosts - Allowlist (see CALLBACK_ALLOWED_HOSTS)
+ * @returns {Function} (hostname, options, callback)
+ */
+function createCallbackLookup(allowedHosts = CALLBACK_ALLOWED_HOSTS) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) {
+                return callback(error);
+            }
+
+            const internal = addresses.find(entry => isInternalAddress(entry.address));
+            if (internal && !isHostAllowed(hostname.toLowerCase(), allowedHosts)) {
+                return callback(new Error(`Callback host ${hostname} resolves to internal address ${internal.address}`));
+            }
+
+            if (options.all) {
+                return callback(null, addresses);
+            }
+            return callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+module.exports = {
+    CALLBACK_ALLOWED_HOSTS,
+    isInternalAddress,
+    checkCallbackUrl,
+    createCallbackLookup
+};
@@ -0,0 +1,252 @@
+/**
+ * Color Palette Utilities for Homepage Builder
+ *
+ * This module handles:
+ * 1. Parsing hex, rgb() and named color schemes
+ * 2. Deriving complete palettes (primary, secondary, accent, light, dark)
+ * 3. WCAG contrast checks for the text/background pairs a palette produces
+ */
+
+/**
+ * Base colors for the named schemes accepted by validateColorScheme
+ */
+const NAMED_SCHEMES = {
+    blue: '#2563EB',
+    green: '#16A34A',
+    red: '#DC2626',
+    purple: '#9333EA',
+    orange: '#EA580C',
+    teal: '#0D9488',
+    indigo: '#4F46E5'
+};
+
+const WHITE = '#FFFFFF';
+const WCAG_AA_NORMAL = 4.5;
+const WCAG_AA_LARGE = 3;
+
+/**
+ * Parse a color scheme into RGB components
+ * @param {string} input - Hex (#RRGGBB), rgb(r, g, b) or a named scheme
+ * @returns {Object|null} { r, g, b } or null when the input is not a color
+ */
+function parseColor(input) {
+    if (!input || typeof input !== 'string') {
+        return null;
+    }
+
+    const value = input.trim().toLowerCase();
+
+    if (NAMED_SCHEMES[value]) {
+        return parseColor(NAMED_SCHEMES[value]);
+    }
+
+    const hex = value.match(/^#([0-9a-f]{6})$/);
+    if (hex) {
+        const number = parseInt(hex[1], 16);
+        return { r: (number >> 16) & 255, g: (number >> 8) & 255, b: number & 255 };
+    }
+
+    const rgb = value.match(/^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/);
+    if (rgb) {
+        const [r, g, b] = rgb.slice(1).map(Number);
+        if ([r, g, b].every(channel => channel <= 255)) {
+            return { r, g, b };
+        }
+    }
+
+    return null;
+}
+
+function toHex({ r, g, b }) {
+    return '#' + [r, g, b]
+        .map(channel => Math.round(channel).toString(16).padStart(2, '0'))
+        .join('')
+        .toUpperCase();
+}
+
+function rgbToHsl({ r, g, b }) {
+    const red = r / 255;
+    const green = g / 255;
+    const blue = b / 255;
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const l = (max + min) / 2;
+
+    if (max === min) {
+        return { h: 0, s: 0, l };
+    }
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === red) {
+        h = (green - blue) / d + (green < blue ? 6 : 0);
+    } else if (max === green) {
+        h = (blue - red) / d + 2;
+    } else {
+        h = (red - green) / d + 4;
+    }
+
+    return { h: h * 60, s, l };
+}
+
+function hslToRgb({ h, s, l }) {
+    const hue = ((h % 360) + 360) % 360 / 360;
+
+    if (s === 0) {
+        return { r: l * 255, g: l * 255, b: l * 255 };
+    }
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const channel = t => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+
+    return {
+        r: channel(hue + 1 / 3) * 255,
+        g: channel(hue) * 255,
+        b: channel(hue - 1 / 3) * 255
+    };
+}
+
+/**
+ * Return the hex color with HSL components adjusted
+ */
+function adjustColor(hex, { hue = 0, lightness = null, saturation = null }) {
+    const hsl = rgbToHsl(parseColor(hex));
+    return toHex(hslToRgb({
+        h: hsl.h + hue,
+        s: saturation === null ? hsl.s : Math.min(1, Math.max(0, saturation)),
+        l: lightness === null ? hsl.l : Math.min(1, Math.max(0, lightness))
+    }));
+}
+
+/**
+ * WCAG relative luminance of a color
+ */
+function relativeLuminance(hex) {
+    const { r, g, b } = parseColor(hex);
+    const [red, green, blue] = [r, g, b].map(value => {
+        const channel = value / 255;
+        return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+/**
+ * WCAG contrast ratio between two colors (1 to 21)
+ */
+function contrastRatio(foreground, background) {
+    const a = relativeLuminance(foreground);
+    const b = relativeLuminance(background);
+    const ratio = (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+    return Math.round(ratio * 100) / 100;
+}
+
+/**
+ * Pick the text color with the higher contrast on a background
+ */
+function readableTextColor(background, darkText) {
+    return contrastRatio(WHITE, background) >= contrastRatio(darkText, background) ? WHITE : darkText;
+}
+
+/**
+ * Complete a base palette with light/dark shades and text colors, and check contrast
+ * @param {Object} base - { primary, secondary, accent } hex colors
+ * @returns {Object} { colors, contrast }
+ */
+function buildPalette({ primary, secondary, accent }) {
+    const primaryHsl = rgbToHsl(parseColor(primary));
+    const light = adjustColor(primary, { lightness: 0.97, saturation: Math.min(primaryHsl.s, 0.6) });
+    const dark = adjustColor(primary, { lightness: 0.12, saturation: Math.min(primaryHsl.s, 0.4) });
+
+    const colors = {
+        primary: primary.toUpperCase(),
+        secondary: secondary.toUpperCase(),
+        accent: accent.toUpperCase(),
+        light,
+        dark,
+        on_primary: readableTextColor(primary, dark),
+        on_secondary: readableTextColor(secondary, dark),
+        on_accent: readableTextColor(accent, dark)
+    };
+
+    return {
+        colors,
+        contrast: checkContrast(colors)
+    };
+}
+
+/**
+ * Derive a full palette from a single color scheme input
+ * @param {string} colorScheme - Hex, rgb() or named scheme
+ * @returns {Object|null} Palette, or null when the input is not a color
+ */
+function derivePalette(colorScheme) {
+    const rgb = parseColor(colorScheme);
+    if (!rgb) {
+        return null;
+    }
+
+    const primary = toHex(rgb);
+    const { s, l } = rgbToHsl(rgb);
+
+    return buildPalette({
+        primary,
+        secondary: adjustColor(primary, { lightness: Math.max(0.15, l - 0.15) }),
+        // Complementary hue, kept saturated and mid-light so it stands out as a CTA color
+        accent: adjustColor(primary, { hue: 180, saturation: Math.max(s, 0.6), lightness: 0.5 })
+    });
+}
+
+/**
+ * Check WCAG AA text contrast for the pairs a palette is used with
+ * @param {Object} colors - Palette colors
+ * @returns {Array} Contrast results per pair
+ */
+function checkContrast(colors) {
+    const pairs = [
+        { pair: 'text_on_primary', foreground: colors.on_primary, background: colors.primary },
+        { pair: 'text_on_secondary', foreground: colors.on_secondary, background: colors.secondary },
+        { pair: 'text_on_accent', foreground: colors.on_accent, background: colors.accent },
+        { pair: 'text_on_light', foreground: colors.dark, background: colors.light },
+        { pair: 'primary_on_light', foreground: colors.primary, background: colors.light }
+    ];
+
+    return pairs.map(pair => {
+        const ratio = contrastRatio(pair.foreground, pair.background);
+        return {
+            ...pair,
+            ratio,
+            passes_aa: ratio >= WCAG_AA_NORMAL,
+            passes_aa_large: ratio >= WCAG_AA_LARGE
+        };
+    });
+}
+
+/**
+ * Render palette colors as CSS custom property declarations
+ * @param {Object} colors - Palette colors
+ * @returns {string} Declarations such as "--primary-color: #2563EB;"
+ */
+function toCssVariables(colors) {
+    return Object.entries(colors)
+        .map(([name, value]) => `--${name.replace(/_/g, '-')}-color: ${value};`)
+        .join('\n    ');
+}
+
+module.exports = {
+    NAMED_SCHEMES,
+    parseColor,
+    contrastRatio,
+    buildPalette,
+    derivePalette,
+    checkContrast,
+    toCssVariables
+};
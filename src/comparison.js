@@ -0,0 +1,136 @@
+/**
+ * Before/After Comparisons for Homepage Builder
+ *
+ * This module handles:
+ * 1. Finding the original site's HTML for a stored homepage
+ * 2. Comparing page size, headings, calls to action and quality score
+ * 3. Laying out before and after screenshots as one composite image
+ */
+
+const cheerio = require('cheerio');
+const { findCallsToAction, scoreHomepage } = require('./quality');
+const { escapeHtml } = require('./html');
+
+// Space between and above the two screenshots in a composite, in CSS pixels
+const COMPOSITE_GUTTER = 16;
+const COMPOSITE_LABEL_HEIGHT = 40;
+
+/**
+ * The original site's HTML for a stored homepage. HTML supplied with the
+ * request wins over the snapshot in analysis_result.website_content.
+ * @param {Object} homepage - Stored homepage record
+ * @param {Object} upload - { html, css } from the request
+ * @returns {Object|null} { html, css, source, base_url }, or null when there is no original
+ */
+function resolveOriginalPage(homepage, { html = null, css = null } = {}) {
+    const analysis = homepage.analysis_result || {};
+    const content = analysis.website_content || {};
+    const baseUrl = analysis.url || null;
+
+    if (html) {
+        return { html, css: css || '', source: 'request', base_url: baseUrl };
+    }
+    if (typeof content.html === 'string' && content.html.trim()) {
+        return { html: content.html, css: content.css || '', source: 'website_content', base_url: baseUrl };
+    }
+    return null;
+}
+
+/**
+ * Make relative URLs in the original HTML resolve against the original site
+ * @param {string} html - Original HTML
+ * @param {string|null} baseUrl - URL the HTML was captured from
+ * @returns {string} HTML with a <base> element when it had none
+ */
+function withBaseUrl(html, baseUrl) {
+    if (!baseUrl || /<base[\s>]/i.test(html)) {
+        return html;
+    }
+    const base = `<base href="${escapeHtml(baseUrl)}">`;
+    if (/<head[^>]*>/i.test(html)) {
+        return html.replace(/<head[^>]*>/i, match => `${match}${base}`);
+    }
+    return `${base}${html}`;
+}
+
+/**
+ * Size and structure of one page
+ * @param {Object} page - { htmlCode, cssCode, businessInfo }
+ * @returns {Object} { page_size, headings, calls_to_action, quality_score }
+ */
+function pageMetrics({ htmlCode, cssCode = '', businessInfo = {} }) {
+    const $ = cheerio.load(htmlCode || '');
+
+    return {
+        page_size: Buffer.byteLength(htmlCode || '') + Buffer.byteLength(cssCode || ''),
+        headings: $('h1, h2, h3, h4, h5, h6').length,
+        calls_to_action: findCallsToAction($).length,
+        quality_score: scoreHomepage({ htmlCode, cssCode, businessInfo }).score
+    };
+}
+
+/**
+ * Compare the metrics of the original page and the generated homepage
+ * @param {Object} before - { htmlCode, cssCode } of the original page
+ * @param {Object} after - { htmlCode, cssCode } of the generated homepage
+ * @param {Object} businessInfo - Contact details the quality score looks for
+ * @returns {Object} { metric: { before, after, change } } for every pageMetrics metric
+ */
+function compareMetrics(before, after, businessInfo = {}) {
+    const original = pageMetrics({ ...before, businessInfo });
+    const generated = pageMetrics({ ...after, businessInfo });
+
+    return Object.fromEntries(Object.keys(original).map(metric => [metric, {
+        before: original[metric],
+        after: generated[metric],
+        change: generated[metric] - original[metric]
+    }]));
+}
+
+/**
+ * Page that lays out two screenshots side by side with labels, sized so a
+ * screenshot of it at { width, height } from compositeSize is the composite
+ * @param {Object} options - { before, after, width, height, labels }; before and after are image URLs
+ * @returns {string} HTML document
+ */
+function createCompositeHtml({ before, after, width, height, labels = ['Before', 'After'] }) {
+    const panel = (image, label) => `
+    <figure>
+        <figcaption>${escapeHtml(label)}</figcaption>
+        <img src="${image}" width="${width}" height="${height}" alt="${escapeHtml(label)}">
+    </figure>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { display: flex; gap: ${COMPOSITE_GUTTER}px; padding: 0 ${COMPOSITE_GUTTER}px ${COMPOSITE_GUTTER}px; background: #E5E7EB; font-family: Arial, sans-serif; }
+    figcaption { height: ${COMPOSITE_LABEL_HEIGHT}px; line-height: ${COMPOSITE_LABEL_HEIGHT}px; font-size: 18px; font-weight: bold; color: #1F2937; }
+    img { display: block; }
+</style>
+</head>
+<body>${panel(before, labels[0])}${panel(after, labels[1])}
+</body>
+</html>`;
+}
+
+/**
+ * Viewport of the composite page for two screenshots of the given size
+ */
+function compositeSize({ width, height }) {
+    return {
+        width: width * 2 + COMPOSITE_GUTTER * 3,
+        height: height + COMPOSITE_LABEL_HEIGHT + COMPOSITE_GUTTER
+    };
+}
+
+module.exports = {
+    resolveOriginalPage,
+    withBaseUrl,
+    pageMetrics,
+    compareMetrics,
+    createCompositeHtml,
+    compositeSize
+};
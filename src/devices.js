@@ -0,0 +1,105 @@
+/**
+ * Device Presets for Homepage Builder
+ *
+ * This module handles:
+ * 1. The registry of named devices screenshots render as (size, pixel ratio, user agent, touch)
+ * 2. Resolving a device name plus custom overrides into one viewport
+ * 3. Converting viewports between the API's snake_case and Puppeteer's options
+ */
+
+const IPHONE_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 ' +
+    '(KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+const IPAD_USER_AGENT = 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 ' +
+    '(KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+const ANDROID_USER_AGENT = 'Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 ' +
+    '(KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36';
+
+/**
+ * Named devices. userAgent null keeps the browser's own user agent.
+ */
+const DEVICES = {
+    desktop: { label: 'Desktop', width: 1200, height: 800, deviceScaleFactor: 1, isMobile: false, hasTouch: false, userAgent: null },
+    tablet: { label: 'Tablet', width: 768, height: 1024, deviceScaleFactor: 2, isMobile: true, hasTouch: true, userAgent: IPAD_USER_AGENT },
+    mobile: { label: 'Mobile', width: 375, height: 667, deviceScaleFactor: 2, isMobile: true, hasTouch: true, userAgent: IPHONE_USER_AGENT },
+    'iphone-se': { label: 'iPhone SE', width: 375, height: 667, deviceScaleFactor: 2, isMobile: true, hasTouch: true, userAgent: IPHONE_USER_AGENT },
+    'iphone-15': { label: 'iPhone 15', width: 393, height: 852, deviceScaleFactor: 3, isMobile: true, hasTouch: true, userAgent: IPHONE_USER_AGENT },
+    'pixel-7': { label: 'Pixel 7', width: 412, height: 915, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true, userAgent: ANDROID_USER_AGENT },
+    ipad: { label: 'iPad', width: 810, height: 1080, deviceScaleFactor: 2, isMobile: true, hasTouch: true, userAgent: IPAD_USER_AGENT },
+    'ipad-pro': { label: 'iPad Pro 12.9"', width: 1024, height: 1366, deviceScaleFactor: 2, isMobile: true, hasTouch: true, userAgent: IPAD_USER_AGENT },
+    laptop: { label: 'Laptop', width: 1366, height: 768, deviceScaleFactor: 1, isMobile: false, hasTouch: false, userAgent: null },
+    'desktop-1080p': { label: '1080p desktop', width: 1920, height: 1080, deviceScaleFactor: 1, isMobile: false, hasTouch: false, userAgent: null },
+    'desktop-1440p': { label: '1440p desktop', width: 2560, height: 1440, deviceScaleFactor: 1, isMobile: false, hasTouch: false, userAgent: null }
+};
+
+const DEVICE_NAMES = Object.keys(DEVICES);
+
+// Devices of a responsive screenshot set and the default for comparisons
+const RESPONSIVE_DEVICES = ['desktop', 'tablet', 'mobile'];
+
+const OVERRIDES = ['width', 'height', 'deviceScaleFactor', 'isMobile', 'hasTouch', 'userAgent'];
+
+/**
+ * Viewport for a render: the named device (desktop by default) with any
+ * given fields overriding it
+ * @param {Object} options - { device, width, height, deviceScaleFactor, isMobile, hasTouch, userAgent }
+ * @returns {Object} { device, width, height, deviceScaleFactor, isMobile, hasTouch, userAgent }
+ */
+function resolveViewport(options = {}) {
+    const device = options.device || 'desktop';
+    const preset = DEVICES[device];
+    if (!preset) {
+        throw new Error(`Unknown device: ${device}`);
+    }
+
+    const viewport = { device, ...preset };
+    delete viewport.label;
+    for (const field of OVERRIDES) {
+        if (options[field] !== undefined && options[field] !== null) {
+            viewport[field] = options[field];
+        }
+    }
+    return viewport;
+}
+
+/**
+ * Viewport options from a request's `viewport`: a device name, or
+ * { device, width, height, device_scale_factor, is_mobile, has_touch, user_agent }
+ */
+function viewportFromRequest(viewport = 'desktop') {
+    if (typeof viewport === 'string') {
+        return { device: viewport };
+    }
+    return {
+        device: viewport.device,
+        width: viewport.width,
+        height: viewport.height,
+        deviceScaleFactor: viewport.device_scale_factor,
+        isMobile: viewport.is_mobile,
+        hasTouch: viewport.has_touch,
+        userAgent: viewport.user_agent
+    };
+}
+
+/**
+ * A resolved viewport or device preset as returned by the API
+ */
+function viewportToResponse(viewport) {
+    return {
+        ...(viewport.label && { label: viewport.label }),
+        width: viewport.width,
+        height: viewport.height,
+        device_scale_factor: viewport.deviceScaleFactor,
+        is_mobile: viewport.isMobile,
+        has_touch: viewport.hasTouch,
+        user_agent: viewport.userAgent
+    };
+}
+
+module.exports = {
+    DEVICES,
+    DEVICE_NAMES,
+    RESPONSIVE_DEVICES,
+    resolveViewport,
+    viewportFromRequest,
+    viewportToResponse
+};
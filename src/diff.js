@@ -0,0 +1,262 @@
+/**
+ * Code Diffs for Homepage Builder
+ *
+ * This module handles:
+ * 1. Unified diffs between two versions of a homepage's HTML and CSS
+ * 2. Counting added and removed lines per file
+ * 3. Structural diffs of two HTML documents (elements added, removed, moved or changed)
+ */
+
+const cheerio = require('cheerio');
+const { createTwoFilesPatch } = require('diff');
+
+// Lines of unchanged context around each change
+const DEFAULT_CONTEXT = 3;
+
+// Structural diffs stop listing changes past this point
+const MAX_STRUCTURE_CHANGES = 200;
+
+// Longest HTML excerpt reported for added and removed elements
+const MAX_EXCERPT_LENGTH = 300;
+
+const ELEMENT_TYPES = new Set(['tag', 'script', 'style']);
+
+/**
+ * Unified diff of one file
+ * @param {string} fileName - Name shown in the patch headers
+ * @param {string|null} before - Previous content
+ * @param {string|null} after - New content
+ * @param {Object} options - { from, to, context } header labels and context lines
+ * @returns {Object} { patch, additions, deletions }; patch is empty when nothing changed
+ */
+function diffFile(fileName, before, after, { from = 'before', to = 'after', context = DEFAULT_CONTEXT } = {}) {
+    const previous = before || '';
+    const next = after || '';
+    if (previous === next) {
+        return { patch: '', additions: 0, deletions: 0 };
+    }
+
+    const patch = createTwoFilesPatch(fileName, fileName, previous, next, from, to, { context });
+    let additions = 0;
+    let deletions = 0;
+    for (const line of patch.split('\n')) {
+        if (line.startsWith('+') && !line.startsWith('+++')) {
+            additions++;
+        } else if (line.startsWith('-') && !line.startsWith('---')) {
+            deletions++;
+        }
+    }
+
+    return { patch, additions, deletions };
+}
+
+/**
+ * Diff the HTML and CSS of two versions of a homepage
+ * @param {Object} before - { html_code, css_code }
+ * @param {Object} after - { html_code, css_code }
+ * @param {Object} options - { from, to, context } passed to diffFile
+ * @returns {Object} { html, css, additions, deletions, changed }
+ */
+function diffHomepages(before, after, options = {}) {
+    const html = diffFile('index.html', before.html_code, after.html_code, options);
+    const css = diffFile('styles.css', before.css_code, after.css_code, options);
+
+    return {
+        html,
+        css,
+        additions: html.additions + css.additions,
+        deletions: html.deletions + css.deletions,
+        changed: !!(html.patch || css.patch)
+    };
+}
+
+function childElements(node) {
+    return (node.children || []).filter(child => ELEMENT_TYPES.has(child.type));
+}
+
+// Text directly inside an element, whitespace-collapsed
+function ownText(node) {
+    return (node.children || [])
+        .filter(child => child.type === 'text')
+        .map(child => child.data)
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// CSS selector step for an element among its siblings
+function selectorStep(node, siblings) {
+    if (node.attribs && node.attribs.id) {
+        return `${node.name}#${node.attribs.id}`;
+    }
+    const sameTag = siblings.filter(sibling => sibling.name === node.name);
+    return sameTag.length > 1 ? `${node.name}:nth-of-type(${sameTag.indexOf(node) + 1})` : node.name;
+}
+
+/**
+ * Pair up two lists of sibling elements: first by id, then the rest in order
+ * by tag name (longest common subsequence)
+ */
+function matchChildren(before, after) {
+    const pairs = [];
+    const pairedBefore = new Set();
+    const pairedAfter = new Set();
+
+    const afterById = new Map();
+    after.forEach((node, index) => {
+        const id = node.attribs && node.attribs.id;
+        if (id && !afterById.has(`${node.name}#${id}`)) {
+            afterById.set(`${node.name}#${id}`, index);
+        }
+    });
+    before.forEach((node, index) => {
+        const id = node.attribs && node.attribs.id;
+        const match = id ? afterById.get(`${node.name}#${id}`) : undefined;
+        if (match !== undefined && !pairedAfter.has(match)) {
+            pairs.push([index, match]);
+            pairedBefore.add(index);
+            pairedAfter.add(match);
+        }
+    });
+
+    const restBefore = before.map((node, index) => index).filter(index => !pairedBefore.has(index));
+    const restAfter = after.map((node, index) => index).filter(index => !pairedAfter.has(index));
+    const lengths = restBefore.map(() => new Array(restAfter.length + 1).fill(0));
+    lengths.push(new Array(restAfter.length + 1).fill(0));
+    for (let i = restBefore.length - 1; i >= 0; i--) {
+        for (let j = restAfter.length - 1; j >= 0; j--) {
+            lengths[i][j] = before[restBefore[i]].name === after[restAfter[j]].name
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    for (let i = 0, j = 0; i < restBefore.length && j < restAfter.length;) {
+        if (before[restBefore[i]].name === after[restAfter[j]].name) {
+            pairs.push([restBefore[i], restAfter[j]]);
+            pairedBefore.add(restBefore[i++]);
+            pairedAfter.add(restAfter[j++]);
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+
+    pairs.sort((a, b) => a[0] - b[0]);
+    return {
+        pairs,
+        removed: before.map((node, index) => index).filter(index => !pairedBefore.has(index)),
+        added: after.map((node, index) => index).filter(index => !pairedAfter.has(index))
+    };
+}
+
+/**
+ * Pairs that changed position: everything outside the longest run that kept its relative order
+ */
+function findMoved(pairs) {
+    const tails = [];
+    const previous = new Array(pairs.length).fill(-1);
+    pairs.forEach(([, afterIndex], index) => {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (pairs[tails[middle]][1] < afterIndex) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        previous[index] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = index;
+    });
+
+    const kept = new Set();
+    for (let index = tails.length ? tails[tails.length - 1] : -1; index >= 0; index = previous[index]) {
+        kept.add(index);
+    }
+    return new Set(pairs.map((pair, index) => index).filter(index => !kept.has(index)));
+}
+
+/**
+ * Structural diff of two HTML documents. Elements are matched by id, then by
+ * tag name in document order; each change is reported with a CSS selector path.
+ * @param {string} beforeHtml - Previous document
+ * @param {string} afterHtml - New document
+ * @returns {Object} { changes, summary, truncated }
+ */
+function diffHtmlStructure(beforeHtml, afterHtml) {
+    const $before = cheerio.load(beforeHtml || '');
+    const $after = cheerio.load(afterHtml || '');
+    const changes = [];
+    const summary = { added: 0, removed: 0, moved: 0, attributes_changed: 0, text_changed: 0 };
+    let truncated = false;
+
+    const excerpt = ($, node) => {
+        const html = $.html(node);
+        return html.length > MAX_EXCERPT_LENGTH ? `${html.slice(0, MAX_EXCERPT_LENGTH)}…` : html;
+    };
+    const report = change => {
+        summary[change.op]++;
+        if (changes.length < MAX_STRUCTURE_CHANGES) {
+            changes.push(change);
+        } else {
+            truncated = true;
+        }
+    };
+    const join = (path, step) => (path ? `${path} > ${step}` : step);
+
+    const compare = (before, after, beforePath, afterPath) => {
+        const attributes = {};
+        const names = new Set([...Object.keys(before.attribs || {}), ...Object.keys(after.attribs || {})]);
+        for (const name of names) {
+            const from = before.attribs[name] !== undefined ? before.attribs[name] : null;
+            const to = after.attribs[name] !== undefined ? after.attribs[name] : null;
+            if (from !== to) {
+                attributes[name] = { from, to };
+            }
+        }
+        if (Object.keys(attributes).length > 0) {
+            report({ op: 'attributes_changed', path: afterPath, attributes });
+        }
+
+        const beforeText = ownText(before);
+        const afterText = ownText(after);
+        if (beforeText !== afterText) {
+            report({ op: 'text_changed', path: afterPath, from: beforeText, to: afterText });
+        }
+
+        const beforeChildren = childElements(before);
+        const afterChildren = childElements(after);
+        const { pairs, removed, added } = matchChildren(beforeChildren, afterChildren);
+        const moved = findMoved(pairs);
+        const pathOf = (path, node, siblings) => join(path, selectorStep(node, siblings));
+
+        for (const index of removed) {
+            const node = beforeChildren[index];
+            report({ op: 'removed', path: pathOf(beforePath, node, beforeChildren), html: excerpt($before, node) });
+        }
+        for (const index of added) {
+            const node = afterChildren[index];
+            report({ op: 'added', path: pathOf(afterPath, node, afterChildren), html: excerpt($after, node) });
+        }
+        pairs.forEach(([beforeIndex, afterIndex], index) => {
+            const childBeforePath = pathOf(beforePath, beforeChildren[beforeIndex], beforeChildren);
+            const childAfterPath = pathOf(afterPath, afterChildren[afterIndex], afterChildren);
+            if (moved.has(index)) {
+                report({ op: 'moved', path: childAfterPath, from_path: childBeforePath });
+            }
+            compare(beforeChildren[beforeIndex], afterChildren[afterIndex], childBeforePath, childAfterPath);
+        });
+    };
+
+    compare($before.root()[0], $after.root()[0], '', '');
+
+    return { changes, summary, truncated };
+}
+
+module.exports = {
+    diffFile,
+    diffHomepages,
+    diffHtmlStructure
+};
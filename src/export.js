@@ -0,0 +1,572 @@
+/**
+ * Homepage Export for Homepage Builder
+ *
+ * This module handles:
+ * 1. Converting generated HTML into a Next.js app-router project
+ * 2. Splitting page sections into components
+ * 3. Building plain static site bundles
+ * 4. Packaging exported files as zip archives
+ */
+
+const cheerio = require('cheerio');
+const JSZip = require('jszip');
+const { compileTailwind, isTailwindCdnUrl } = require('./tailwind');
+const { escapeHtml } = require('./html');
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// HTML attribute names that differ in JSX
+const JSX_ATTRIBUTES = {
+    class: 'className',
+    for: 'htmlFor',
+    tabindex: 'tabIndex',
+    readonly: 'readOnly',
+    maxlength: 'maxLength',
+    minlength: 'minLength',
+    colspan: 'colSpan',
+    rowspan: 'rowSpan',
+    autocomplete: 'autoComplete',
+    autofocus: 'autoFocus',
+    enctype: 'encType',
+    crossorigin: 'crossOrigin',
+    srcset: 'srcSet',
+    frameborder: 'frameBorder',
+    allowfullscreen: 'allowFullScreen',
+    contenteditable: 'contentEditable',
+    spellcheck: 'spellCheck',
+    novalidate: 'noValidate',
+    datetime: 'dateTime',
+    referrerpolicy: 'referrerPolicy',
+    'accept-charset': 'acceptCharset',
+    'http-equiv': 'httpEquiv',
+    'xlink:href': 'xlinkHref',
+    'xml:lang': 'xmlLang'
+};
+
+// JSX attributes React types as numbers
+const NUMERIC_ATTRIBUTES = new Set(['rows', 'cols', 'colSpan', 'rowSpan', 'tabIndex', 'maxLength', 'minLength', 'size', 'span', 'start']);
+
+// HTML boolean attributes, the only ones an empty value can be written bare for
+const BOOLEAN_ATTRIBUTES = new Set([
+    'allowfullscreen', 'async', 'autofocus', 'autoplay', 'checked', 'controls', 'default', 'defer',
+    'disabled', 'formnovalidate', 'hidden', 'inert', 'ismap', 'itemscope', 'loop', 'multiple', 'muted',
+    'nomodule', 'novalidate', 'open', 'playsinline', 'readonly', 'required', 'reversed', 'selected'
+]);
+
+// Elements that become their own component when they are direct page children
+const SECTION_ELEMENTS = new Set(['header', 'nav', 'section', 'article', 'aside', 'footer', 'div']);
+const LANDMARK_NAMES = { header: 'SiteHeader', nav: 'Navigation', footer: 'SiteFooter' };
+
+function toPascalCase(text) {
+    return (text || '')
+        .replace(/[^A-Za-z0-9]+/g, ' ')
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+        .join('');
+}
+
+/**
+ * Slug for file and package names
+ */
+function slugify(text) {
+    return (text || 'homepage')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'homepage';
+}
+
+function jsxAttributeName(name) {
+    const lower = name.toLowerCase();
+    if (JSX_ATTRIBUTES[lower]) {
+        return JSX_ATTRIBUTES[lower];
+    }
+    if (lower.startsWith('data-') || lower.startsWith('aria-')) {
+        return lower;
+    }
+    return name.replace(/[-:]([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function styleToObject(style) {
+    let hasCustomProperties = false;
+    const entries = style.split(';')
+        .map(rule => rule.trim())
+        .filter(Boolean)
+        .map(rule => {
+            const index = rule.indexOf(':');
+            if (index < 0) {
+                return null;
+            }
+            const property = rule.slice(0, index).trim();
+            const value = rule.slice(index + 1).trim();
+            if (property.startsWith('--')) {
+                hasCustomProperties = true;
+            }
+            const key = property.startsWith('--')
+                ? JSON.stringify(property)
+                : property.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+            return `${key}: ${JSON.stringify(value)}`;
+        })
+        .filter(Boolean);
+
+    // Custom properties are not part of React.CSSProperties
+    return hasCustomProperties
+        ? `{{ ${entries.join(', ')} } as React.CSSProperties}`
+        : `{{ ${entries.join(', ')} }}`;
+}
+
+function jsxAttributes(element) {
+    const attributes = [];
+
+    for (const [name, value] of Object.entries(element.attribs || {})) {
+        const lower = name.toLowerCase();
+
+        // Event handlers cannot be carried over as strings
+        if (lower.startsWith('on')) {
+            continue;
+        }
+
+        let jsxName = jsxAttributeName(name);
+        if (element.name === 'input' && (lower === 'value' || lower === 'checked')) {
+            // Keep form fields uncontrolled
+            jsxName = lower === 'value' ? 'defaultValue' : 'defaultChecked';
+        }
+
+        if (lower === 'style') {
+            attributes.push(`style=${styleToObject(value)}`);
+        } else if (value === '' && BOOLEAN_ATTRIBUTES.has(lower)) {
+            attributes.push(jsxName);
+        } else if (value === '') {
+            attributes.push(`${jsxName}=""`);
+        } else if (NUMERIC_ATTRIBUTES.has(jsxName) && /^-?\d+$/.test(value)) {
+            attributes.push(`${jsxName}={${value}}`);
+        } else if (/["\\&{}\n]/.test(value)) {
+            attributes.push(`${jsxName}={${JSON.stringify(value)}}`);
+        } else {
+            attributes.push(`${jsxName}="${value}"`);
+        }
+    }
+
+    return attributes.length ? ' ' + attributes.join(' ') : '';
+}
+
+/**
+ * Convert a DOM node to JSX, preserving the original whitespace
+ */
+function nodeToJsx(node) {
+    if (node.type === 'text') {
+        return /[{}<>&]/.test(node.data) ? node.data.replace(/[^\s]+(\s+[^\s]+)*/g, text => `{${JSON.stringify(text)}}`) : node.data;
+    }
+
+    if (node.type === 'comment' || node.type === 'directive') {
+        return '';
+    }
+
+    // Scripts are dropped; page scripts are loaded through the layout instead
+    if (node.name === 'script') {
+        return '';
+    }
+
+    const attributes = jsxAttributes(node);
+
+    if (node.name === 'style') {
+        const css = (node.children || []).map(child => child.data || '').join('');
+        return `<style>{${JSON.stringify(css)}}</style>`;
+    }
+
+    if (VOID_ELEMENTS.has(node.name)) {
+        return `<${node.name}${attributes} />`;
+    }
+
+    if (node.name === 'textarea') {
+        const text = (node.children || []).map(child => child.data || '').join('');
+        return `<textarea${attributes}${text ? ` defaultValue={${JSON.stringify(text)}}` : ''} />`;
+    }
+
+    const children = (node.children || []).map(nodeToJsx).join('');
+    return `<${node.name}${attributes}>${children}</${node.name}>`;
+}
+
+function indent(text, spaces) {
+    const pad = ' '.repeat(spaces);
+    return text.split('\n').map(line => line.trim() ? pad + line : line).join('\n');
+}
+
+/**
+ * Remove the common leading indentation of a markup block
+ */
+function dedent(text) {
+    const lines = text.split('\n');
+    const indents = lines.slice(1)
+        .filter(line => line.trim())
+        .map(line => line.match(/^ */)[0].length);
+    const common = indents.length ? Math.min(...indents) : 0;
+    return lines.map((line, index) => index === 0 ? line : line.slice(common)).join('\n');
+}
+
+/**
+ * Whether an element only wraps page sections (main, or a layout div around them)
+ */
+function isSectionWrapper(element) {
+    if (element.name === 'main') {
+        return true;
+    }
+    if (element.name !== 'div' || (element.attribs && element.attribs.id)) {
+        return false;
+    }
+    const sections = (element.children || []).filter(child =>
+        child.type === 'tag' && ['header', 'nav', 'section', 'article', 'footer', 'main'].includes(child.name)
+    );
+    return sections.length >= 2;
+}
+
+function headingText($, element) {
+    return $(element).find('h1, h2, h3').first().text().trim();
+}
+
+/**
+ * Choose a component name for a top-level page element, or null to keep it inline
+ */
+function componentName($, element) {
+    if (!SECTION_ELEMENTS.has(element.name)) {
+        return null;
+    }
+
+    const id = $(element).attr('id');
+    if (id && toPascalCase(id)) {
+        const name = toPascalCase(id);
+        return /^[A-Z]/.test(name) ? (name.endsWith('Section') ? name : `${name}Section`) : null;
+    }
+
+    if (LANDMARK_NAMES[element.name]) {
+        return LANDMARK_NAMES[element.name];
+    }
+
+    const heading = headingText($, element);
+    if (heading) {
+        const name = toPascalCase(heading.split(/\s+/).slice(0, 3).join(' '));
+        return /^[A-Z]/.test(name) ? `${name}Section` : null;
+    }
+
+    return null;
+}
+
+function componentFile(name, jsx) {
+    return `export default function ${name}() {
+  return (
+${indent(dedent(jsx), 4)}
+  );
+}
+`;
+}
+
+/**
+ * Convert the children of a container into page JSX, extracting components
+ */
+function extractSections($, container, components) {
+    const parts = [];
+
+    for (const node of container.children || []) {
+        if (node.type === 'text') {
+            if (node.data.trim()) {
+                parts.push(nodeToJsx(node).trim());
+            }
+            continue;
+        }
+
+        if (node.type !== 'tag' || node.name === 'script') {
+            continue;
+        }
+
+        if (isSectionWrapper(node)) {
+            const inner = extractSections($, node, components);
+            parts.push(`<${node.name}${jsxAttributes(node)}>\n${indent(inner, 2)}\n</${node.name}>`);
+            continue;
+        }
+
+        let name = componentName($, node);
+        if (!name) {
+            parts.push(dedent(nodeToJsx(node)));
+            continue;
+        }
+
+        // Keep component names unique
+        const base = name;
+        for (let suffix = 2; components.some(component => component.name === name); suffix++) {
+            name = `${base}${suffix}`;
+        }
+
+        components.push({ name, source: componentFile(name, nodeToJsx(node)) });
+        parts.push(`<${name} />`);
+    }
+
+    return parts.join('\n');
+}
+
+function buildPackageJson(businessName) {
+    return JSON.stringify({
+        name: slugify(businessName),
+        version: '0.1.0',
+        private: true,
+        scripts: {
+            dev: 'next dev',
+            build: 'next build',
+            start: 'next start'
+        },
+        dependencies: {
+            next: '^14.2.0',
+            react: '^18.3.0',
+            'react-dom': '^18.3.0'
+        },
+        devDependencies: {
+            '@types/node': '^20.0.0',
+            '@types/react': '^18.3.0',
+            '@types/react-dom': '^18.3.0',
+            autoprefixer: '^10.4.0',
+            postcss: '^8.4.0',
+            tailwindcss: '^3.4.0',
+            typescript: '^5.0.0'
+        }
+    }, null, 2) + '\n';
+}
+
+function buildTailwindConfig(palette) {
+    const colors = palette && palette.colors
+        ? Object.entries(palette.colors)
+            .map(([name, value]) => `        ${JSON.stringify(name.replace(/_/g, '-'))}: ${JSON.stringify(value)},`)
+            .join('\n')
+        : '';
+
+    return `/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: ['./app/**/*.{ts,tsx}', './components/**/*.{ts,tsx}'],
+  theme: {
+    extend: {
+      colors: {
+${colors}
+      },
+    },
+  },
+  plugins: [],
+};
+`;
+}
+
+const TSCONFIG = JSON.stringify({
+    compilerOptions: {
+        target: 'ES2017',
+        lib: ['dom', 'dom.iterable', 'esnext'],
+        allowJs: true,
+        skipLibCheck: true,
+        strict: false,
+        noEmit: true,
+        esModuleInterop: true,
+        module: 'esnext',
+        moduleResolution: 'bundler',
+        resolveJsonModule: true,
+        isolatedModules: true,
+        jsx: 'preserve',
+        incremental: true,
+        plugins: [{ name: 'next' }]
+    },
+    include: ['next-env.d.ts', '**/*.ts', '**/*.tsx', '.next/types/**/*.ts'],
+    exclude: ['node_modules']
+}, null, 2) + '\n';
+
+const POSTCSS_CONFIG = `module.exports = {
+  plugins: {
+    tailwindcss: {},
+    autoprefixer: {},
+  },
+};
+`;
+
+/**
+ * Build a minimal Next.js app-router project from a stored homepage
+ * @param {Object} homepage - Stored homepage record
+ * @returns {Object} Map of project-relative file paths to contents
+ */
+function buildNextjsProject(homepage) {
+    const $ = cheerio.load(homepage.html_code || '');
+    const components = [];
+
+    const title = $('title').first().text().trim() || homepage.business_name || 'Homepage';
+    const description = $('meta[name="description"]').attr('content') || '';
+    const lang = $('html').attr('lang') || 'en';
+    const bodyClass = $('body').attr('class') || '';
+    const headStyles = $('head style').map((index, element) => $(element).text()).get();
+
+    const pageJsx = extractSections($, $('body')[0], components);
+    const imports = components
+        .map(component => `import ${component.name} from '../components/${component.name}';`)
+        .join('\n');
+
+    const files = {
+        'package.json': buildPackageJson(homepage.business_name),
+        'tsconfig.json': TSCONFIG,
+        'postcss.config.js': POSTCSS_CONFIG,
+        'tailwind.config.js': buildTailwindConfig(homepage.metadata && homepage.metadata.color_palette),
+        'app/globals.css': [
+            '@tailwind base;',
+            '@tailwind components;',
+            '@tailwind utilities;',
+            '',
+            ...headStyles.map(style => style.trim()),
+            (homepage.css_code || '').trim()
+        ].filter((line, index) => index < 4 || line).join('\n') + '\n',
+        'app/layout.tsx': `import type { Metadata } from 'next';
+${homepage.js_code ? "import Script from 'next/script';\n" : ''}import './globals.css';
+
+export const metadata: Metadata = {
+  title: ${JSON.stringify(title)},
+  description: ${JSON.stringify(description)},
+};
+
+export default function RootLayout({ children }: { children: React.ReactNode }) {
+  return (
+    <html lang=${JSON.stringify(lang)}>
+      <body${bodyClass ? ` className=${JSON.stringify(bodyClass)}` : ''}>
+        {children}${homepage.js_code ? '\n        <Script src="/main.js" strategy="beforeInteractive" />' : ''}
+      </body>
+    </html>
+  );
+}
+`,
+        'app/page.tsx': `${imports ? imports + '\n\n' : ''}export default function Home() {
+  return (
+    <>
+${indent(pageJsx, 6)}
+    </>
+  );
+}
+`
+    };
+
+    for (const component of components) {
+        files[`components/${component.name}.tsx`] = component.source;
+    }
+
+    if (homepage.js_code) {
+        files['public/main.js'] = homepage.js_code.trim() + '\n';
+    }
+
+    return files;
+}
+
+/**
+ * Placeholder favicon: the business initial on the primary color
+ */
+function buildFavicon(businessName, colors = {}) {
+    const initial = ((businessName || '').match(/[A-Za-z0-9]/) || ['H'])[0].toUpperCase();
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64">
+  <rect width="64" height="64" rx="12" fill="${escapeHtml(colors.primary || '#3B82F6')}"/>
+  <text x="32" y="43" font-family="Arial, Helvetica, sans-serif" font-size="34" font-weight="bold" text-anchor="middle" fill="${escapeHtml(colors.on_primary || '#FFFFFF')}">${escapeHtml(initial)}</text>
+</svg>
+`;
+}
+
+/**
+ * Site root used in robots.txt and sitemap.xml
+ */
+function resolveSiteUrl(homepage, baseUrl) {
+    const candidate = baseUrl || (homepage.analysis_result && homepage.analysis_result.url);
+    try {
+        return new URL('/', candidate).href;
+    } catch (error) {
+        return 'https://www.example.com/';
+    }
+}
+
+/**
+ * Build a static site bundle from a stored homepage
+ * @param {Object} homepage - Stored homepage record
+ * @param {Object} options - { tailwind: 'cdn' | 'local', baseUrl }
+ * @returns {Promise<Object>} Map of bundle file paths to contents
+ */
+async function buildStaticSite(homepage, { tailwind = 'cdn', baseUrl = null } = {}) {
+    const $ = cheerio.load(homepage.html_code || '');
+    const head = $('head');
+    const palette = homepage.metadata && homepage.metadata.color_palette;
+    const colors = (palette && palette.colors) || {};
+    const siteUrl = resolveSiteUrl(homepage, baseUrl);
+    const files = {};
+
+    if (tailwind === 'local') {
+        $('script[src], link[href]').each((index, element) => {
+            if (isTailwindCdnUrl($(element).attr('src') || $(element).attr('href'))) {
+                $(element).remove();
+            }
+        });
+        // Inline Play CDN configuration has no effect without the CDN script
+        $('script:not([src])').each((index, element) => {
+            if (/tailwind\.config\s*=/.test($(element).text())) {
+                $(element).remove();
+            }
+        });
+
+        const theme = Object.keys(colors).length
+            ? { colors: Object.fromEntries(Object.entries(colors).map(([name, value]) => [name.replace(/_/g, '-'), value])) }
+            : {};
+        files['tailwind.css'] = await compileTailwind($.html(), { theme });
+        head.append('<link rel="stylesheet" href="tailwind.css">\n');
+    }
+
+    if (homepage.css_code) {
+        files['styles.css'] = homepage.css_code.trim() + '\n';
+        head.append('<link rel="stylesheet" href="styles.css">\n');
+    }
+
+    if (homepage.js_code) {
+        files['main.js'] = homepage.js_code.trim() + '\n';
+        $('body').append('<script src="main.js" defer></script>\n');
+    }
+
+    if ($('link[rel~="icon"]').length === 0) {
+        head.append('<link rel="icon" href="favicon.svg" type="image/svg+xml">\n');
+    }
+
+    const html = $.html();
+    files['index.html'] = /^\s*<!DOCTYPE/i.test(html) ? html : `<!DOCTYPE html>\n${html}`;
+    files['favicon.svg'] = buildFavicon(homepage.business_name, colors);
+    files['robots.txt'] = `User-agent: *\nAllow: /\n\nSitemap: ${siteUrl}sitemap.xml\n`;
+    files['sitemap.xml'] = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>${escapeHtml(siteUrl)}</loc>
+    <lastmod>${(homepage.updated_at || new Date().toISOString()).slice(0, 10)}</lastmod>
+    <priority>1.0</priority>
+  </url>
+</urlset>
+`;
+
+    return files;
+}
+
+/**
+ * Package files into a zip archive
+ * @param {Object} files - Map of archive paths to string or Buffer contents
+ * @param {string} rootFolder - Folder all files are placed under (optional)
+ * @returns {Promise<Buffer>} Zip archive
+ */
+async function createZip(files, rootFolder = null) {
+    const zip = new JSZip();
+    const target = rootFolder ? zip.folder(rootFolder) : zip;
+
+    for (const [filePath, content] of Object.entries(files)) {
+        target.file(filePath, content);
+    }
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+    slugify,
+    buildNextjsProject,
+    buildStaticSite,
+    createZip
+};
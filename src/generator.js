@@ -7,30 +7,135 @@
  * 3. Style and feature customization
  */
 
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const OpenAI = require('openai');
+const { PROVIDER_NAMES, LLM_MODES, createProvider, estimateTokens } = require('./providers');
+const { buildPalette, derivePalette, toCssVariables } = require('./colors');
+const { processGeneratedHtml, stripMarkdown, detectTruncation } = require('./postprocess');
+const {
+    MAX_SECTIONS,
+    BASE_SECTIONS,
+    sectionTag,
+    hasBookingButton,
+    createPlanPrompt,
+    parsePagePlan,
+    createSectionPrompt,
+    extractSectionHtml,
+    assemblePage,
+    createSectionRegenerationPrompt,
+    locateSection,
+    replaceSection
+} = require('./sections');
+const { createRefinementMessages, parseRefinement } = require('./refinement');
+const { scoreHomepage } = require('./quality');
+const { createAccessibilityFixInstruction } = require('./accessibility');
+
+const SYSTEM_PROMPT = 'You are an expert web developer specializing in creating modern, high-converting business websites. Generate clean, professional HTML code using Tailwind CSS.';
+
+const GENERATION_STRATEGIES = ['single', 'sections'];
+
+const CONTINUATION_PROMPT = 'Your previous response was cut off. Continue the HTML exactly where it stopped. ' +
+    'Output only the remaining code with no repetition, explanations or code fences.';
+
+/**
+ * Section requirements for each optional feature, the section it becomes in
+ * section-by-section generation (null adds it to the footer), and how to
+ * recognise it in the generated HTML
+ */
+const ADDITIONAL_FEATURES = {
+    contact_form: {
+        section: 'contact-form',
+        requirement: 'A contact form inside <section id="contact-form"> with name, email, phone and message fields and a submit button',
+        detect: html => /id=["']contact-form["']/i.test(html)
+    },
+    testimonials: {
+        section: 'testimonials',
+        requirement: 'A testimonials section <section id="testimonials"> with at least three customer quotes, names and star ratings',
+        detect: html => /id=["']testimonials["']/i.test(html)
+    },
+    gallery: {
+        section: 'gallery',
+        requirement: 'An image gallery section <section id="gallery"> with a responsive grid of at least six images with descriptive alt text',
+        detect: html => /id=["']gallery["']/i.test(html)
+    },
+    blog: {
+        section: 'blog',
+        requirement: 'A blog preview section <section id="blog"> showing three recent article cards with title, date, excerpt and "Read more" link',
+        detect: html => /id=["']blog["']/i.test(html)
+    },
+    social_media: {
+        section: null,
+        requirement: 'Social media links (Facebook, Instagram, X/Twitter, LinkedIn) with accessible labels inside an element with id="social-media", placed in the footer',
+        detect: html => /id=["']social-media["']/i.test(html) ||
+            /href=["']https?:\/\/(www\.)?(facebook|instagram|twitter|x|linkedin)\.com/i.test(html)
+    }
+};
+
+/**
+ * Stable hash of the prompt(s) behind a generation, recorded with each revision
+ */
+function hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(JSON.stringify(prompt)).digest('hex');
+}
 
 class HomepageGenerator {
-    constructor(apiKey, baseUrl = null) {
+    /**
+     * @param {string} apiKey - OpenAI API key
+     * @param {string} baseUrl - Custom OpenAI-compatible server URL
+     * @param {Object} options - { provider, mode, fixtureDir } default LLM provider
+     *   (LLM_PROVIDER, else openai), LLM mode (LLM_MODE, else live) and the
+     *   directory of recorded responses (LLM_FIXTURE_DIR)
+     */
+    constructor(apiKey, baseUrl = null, { provider = null, mode = null, fixtureDir = null } = {}) {
         this.apiKey = apiKey;
         this.baseUrl = baseUrl || process.env.OPENAI_BASE_URL;
+        this.providerName = provider || process.env.LLM_PROVIDER || 'openai';
+        this.mode = mode || process.env.LLM_MODE || 'live';
+        this.fixtureDir = fixtureDir || process.env.LLM_FIXTURE_DIR || undefined;
+        
+        if (!PROVIDER_NAMES.includes(this.providerName)) {
+            throw new Error(`Unknown LLM provider: ${this.providerName} (expected one of ${PROVIDER_NAMES.join(', ')})`);
+        }
+        
+        if (!LLM_MODES.includes(this.mode)) {
+            throw new Error(`Unknown LLM mode: ${this.mode} (expected one of ${LLM_MODES.join(', ')})`);
+        }
+        
+        if (this.mode !== 'live') {
+            console.log(`LLM mode: ${this.mode}`);
+        }
         
-        // Initialize OpenAI client
-        const clientConfig = { apiKey };
         if (this.baseUrl) {
-            clientConfig.baseURL = this.baseUrl;
             console.log(`Using custom OpenAI base URL: ${this.baseUrl}`);
         }
         
-        this.openai = new OpenAI(clientConfig);
+        // Providers are created on first use so per-request selection only
+        // builds clients that are actually needed
+        this.providers = new Map();
         this.ready = false;
         
         // Configuration
-        this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
         this.temperature = parseFloat(process.env.OPENAI_TEMPERATURE || '0.3');
         this.maxTokens = parseInt(process.env.OPENAI_MAX_TOKENS || '3000');
+        this.maxRetries = parseInt(process.env.OPENAI_MAX_RETRIES || '3');
+        this.retryBaseDelay = parseInt(process.env.OPENAI_RETRY_BASE_DELAY || '1000');
+        this.maxContinuations = parseInt(process.env.OPENAI_MAX_CONTINUATIONS || '2');
+        this.strategy = process.env.GENERATION_STRATEGY || 'single';
+        this.sectionRetries = parseInt(process.env.SECTION_MAX_RETRIES || '2');
+        this.refineHistoryTurns = parseInt(process.env.REFINE_HISTORY_TURNS || '10');
+        
+        if (!GENERATION_STRATEGIES.includes(this.strategy)) {
+            throw new Error(`Unknown generation strategy: ${this.strategy} (expected one of ${GENERATION_STRATEGIES.join(', ')})`);
+        }
         
-        console.log(`Generator configured with model: ${this.model}`);
+        console.log(`Generator configured with provider: ${this.providerName}, model: ${this.model}`);
+    }
+    
+    /**
+     * Default model of the default provider
+     */
+    get model() {
+        return this.getProvider().model;
     }
     
     async initialize() {
@@ -39,59 +144,186 @@ class HomepageGenerator {
     }
     
     isReady() {
-        return this.ready && !!this.apiKey;
+        return this.ready && this.getProvider().isConfigured();
+    }
+    
+    /**
+     * Get an LLM provider by name, creating it on first use
+     * @param {string} name - Provider name (defaults to the generator's provider)
+     * @returns {LLMProvider}
+     */
+    getProvider(name = this.providerName) {
+        if (!this.providers.has(name)) {
+            // The OpenAI provider uses the key and base URL given to the generator
+            const config = name === 'openai' ? { apiKey: this.apiKey, baseUrl: this.baseUrl } : {};
+            this.providers.set(name, createProvider(name, config, {
+                mode: this.mode,
+                fixtureDir: this.fixtureDir
+            }));
+        }
+        return this.providers.get(name);
+    }
+    
+    /**
+     * Describe every provider and whether it is configured
+     */
+    listProviders() {
+        return PROVIDER_NAMES.map(name => ({
+            ...this.getProvider(name).describe(),
+            name,
+            default: name === this.providerName
+        }));
+    }
+    
+    /**
+     * Most tokens a generateHomepage call with these options can use, so a
+     * caller can budget for it before it starts. Every request the strategy may
+     * send counts with its prompt and OPENAI_MAX_TOKENS of output: up to
+     * OPENAI_MAX_CONTINUATIONS continuations (each resending the output so far)
+     * for 'single', the plan and up to MAX_SECTIONS sections for 'sections'.
+     * Retries of failed or unusable requests are not included.
+     * @returns {number} Tokens
+     */
+    estimateMaxTokens({
+        analysisResult,
+        businessName,
+        stylePreference = 'modern',
+        includeBooking = false,
+        colorScheme = null,
+        additionalFeatures = [],
+        strategy = null
+    }) {
+        const businessInfo = analysisResult.business_info || {};
+        const prompt = this._createHomepagePrompt({
+            businessName,
+            businessInfo,
+            recommendations: analysisResult.recommendations || [],
+            websiteContent: analysisResult.website_content,
+            stylePreference,
+            includeBooking,
+            colorScheme,
+            additionalFeatures
+        });
+        const promptTokens = estimateTokens(SYSTEM_PROMPT + prompt);
+        
+        if ((strategy || this.strategy) === 'sections') {
+            return (1 + MAX_SECTIONS) * (promptTokens + this.maxTokens);
+        }
+        
+        // Request n carries the n - 1 outputs before it and adds one more
+        const requests = this.maxContinuations + 1;
+        return requests * promptTokens + this.maxTokens * requests * (requests + 1) / 2;
     }
     
     /**
      * Generate a complete homepage based on analysis results
+     *
+     * When onProgress is given, the HTML is streamed from the LLM provider and progress
+     * is reported as { type: 'stage', stage } and { type: 'token', delta } events.
+     * provider, model and temperature override the defaults for this request.
+     * strategy 'sections' plans the page first and generates each section separately
+     * (see _generateHomepageSections); 'single' asks for the whole page at once.
+     * Errors carry the tokens spent before the failure as `tokensUsed`.
      */
     async generateHomepage({
         analysisResult,
         businessName,
         stylePreference = 'modern',
         includeBooking = false,
-        colorScheme = null
+        colorScheme = null,
+        additionalFeatures = [],
+        provider: providerName = null,
+        model = null,
+        strategy = null,
+        temperature = null,
+        onProgress = null
     }) {
         const generationId = uuidv4();
         const startTime = Date.now();
+        let tokensUsed = 0;
         
         try {
-            console.log(`Generating homepage ${generationId} for ${businessName}`);
+            const provider = this.getProvider(providerName || this.providerName);
+            if (!provider.isConfigured()) {
+                throw new Error(`LLM provider ${provider.name} is not configured`);
+            }
+            
+            console.log(`Generating homepage ${generationId} for ${businessName} with ${provider.name}`);
             
             // Extract relevant information from analysis
             const businessInfo = analysisResult.business_info;
             const recommendations = analysisResult.recommendations || [];
             const websiteContent = analysisResult.website_content;
             
+            // Derive the color palette shared by the prompt and the custom CSS
+            const colorPalette = this._getColorPalette(colorScheme, businessInfo.industry);
+            
             // Generate the homepage code
-            const homepageCode = await this._generateHomepageCode({
+            const generationStrategy = strategy || this.strategy;
+            const generationTemperature = temperature !== null ? temperature : this.temperature;
+            const generate = generationStrategy === 'sections'
+                ? this._generateHomepageSections.bind(this)
+                : this._generateHomepageCode.bind(this);
+            const completion = await generate({
                 businessName,
                 businessInfo,
                 recommendations,
                 websiteContent,
                 stylePreference,
                 includeBooking,
-                colorScheme
+                colorScheme,
+                colorPalette,
+                additionalFeatures,
+                provider,
+                model: model || provider.model,
+                temperature: generationTemperature,
+                onProgress
+            });
+            tokensUsed = completion.tokensUsed;
+            
+            // Clean up the model output before anything else looks at it
+            const output = processGeneratedHtml(completion.content, {
+                finishReason: completion.finishReason
             });
+            const homepageCode = output.html;
+            
+            if (output.truncated) {
+                console.warn(`Homepage ${generationId} output looks truncated: ${output.truncation.reasons.join(', ')}`);
+            }
             
             // Generate additional CSS if needed
             const cssCode = await this._generateCustomCSS({
                 businessInfo,
                 stylePreference,
-                colorScheme
+                colorScheme,
+                colorPalette
             });
             
+            if (onProgress) {
+                onProgress({ type: 'stage', stage: 'css_built' });
+            }
+            
             // Determine features included
             const featuresIncluded = this._determineFeaturesIncluded({
                 recommendations,
                 includeBooking,
-                stylePreference
+                stylePreference,
+                additionalFeatures,
+                htmlCode: homepageCode
+            });
+            
+            const quality = scoreHomepage({
+                htmlCode: homepageCode,
+                cssCode,
+                jsCode: includeBooking ? this._generateBookingJS() : null,
+                businessInfo
             });
             
             // Generate improvement description
             const estimatedImprovement = this._generateImprovementDescription({
                 recommendations,
-                featuresIncluded
+                featuresIncluded,
+                quality
             });
             
             const generationTime = Date.now() - startTime;
@@ -105,18 +337,226 @@ class HomepageGenerator {
                 js_code: includeBooking ? this._generateBookingJS() : null,
                 style_applied: stylePreference,
                 features_included: featuresIncluded,
+                color_palette: colorPalette,
                 estimated_improvement: estimatedImprovement,
+                quality,
+                output_fixes: output.fixes,
+                truncated: output.truncated,
+                attempts: completion.attempts,
+                continuations: completion.continuations,
+                tokens_used: completion.tokensUsed,
+                prompt_hash: completion.promptHash,
+                provider: provider.name,
+                model: model || provider.model,
+                temperature: generationTemperature,
+                generation_strategy: generationStrategy,
+                ...(completion.plan && {
+                    page_plan: completion.plan,
+                    sections: completion.sections
+                }),
                 generation_time: generationTime
             };
             
         } catch (error) {
             console.error(`Homepage generation failed for ${generationId}:`, error);
-            throw new Error(`Homepage generation failed: ${error.message}`);
+            const failure = new Error(`Homepage generation failed: ${error.message}`);
+            failure.tokensUsed = error.tokensUsed || tokensUsed;
+            throw failure;
+        }
+    }
+    
+    /**
+     * Regenerate one section of a stored homepage. Only the section's element is
+     * replaced; the rest of the HTML is returned unchanged.
+     * @param {Object} options - { homepage, sectionId, instructions, provider, model }
+     * @returns {Promise<Object>} { html_code, section, section_html, output_fixes, attempts, tokens_used, prompt_hash, provider, model }
+     */
+    async regenerateSection({
+        homepage,
+        sectionId,
+        instructions = null,
+        provider: providerName = null,
+        model = null
+    }) {
+        try {
+            const provider = this.getProvider(providerName || this.providerName);
+            if (!provider.isConfigured()) {
+                throw new Error(`LLM provider ${provider.name} is not configured`);
+            }
+            
+            const located = locateSection(homepage.html_code, sectionId);
+            if (!located) {
+                throw new Error(`Section ${sectionId} not found`);
+            }
+            
+            const metadata = homepage.metadata || {};
+            const businessInfo = (homepage.analysis_result && homepage.analysis_result.business_info) || {};
+            const section = { ...this._describeSection(located, metadata.page_plan), tag: located.tag };
+            const prompt = createSectionRegenerationPrompt({
+                section,
+                currentHtml: located.html,
+                instructions,
+                businessName: homepage.business_name,
+                businessInfo,
+                stylePreference: metadata.style_applied || 'modern',
+                colorPalette: metadata.color_palette || this._getColorPalette(null, businessInfo.industry)
+            });
+            const messages = [
+                { role: 'system', content: SYSTEM_PROMPT },
+                { role: 'user', content: prompt }
+            ];
+            const usage = { attempts: 0, tokensUsed: 0 };
+            
+            console.log(`Regenerating section ${sectionId} of homepage ${homepage.id} with ${provider.name}`);
+            
+            const { value: html } = await this._withSectionRetries(sectionId, async () => {
+                const part = await this._requestCompletion(provider, {
+                    model: model || provider.model,
+                    messages,
+                    temperature: this.temperature,
+                    maxTokens: this.maxTokens,
+                    task: {
+                        kind: 'section',
+                        businessName: homepage.business_name,
+                        section: { id: section.id, type: section.type, headline: section.headline, tag: section.tag },
+                        instructions
+                    }
+                }, usage);
+                return extractSectionHtml(part.content, section, part.finishReason);
+            });
+            
+            // Sanitize the new section on its own so the rest of the page stays untouched
+            const output = processGeneratedHtml(html);
+            
+            return {
+                html_code: replaceSection(homepage.html_code, located, output.html),
+                section: { id: section.id, type: section.type },
+                section_html: output.html,
+                output_fixes: output.fixes,
+                attempts: usage.attempts,
+                tokens_used: usage.tokensUsed,
+                prompt_hash: hashPrompt(messages),
+                provider: provider.name,
+                model: model || provider.model
+            };
+            
+        } catch (error) {
+            console.error(`Section regeneration failed for ${homepage.id}:`, error);
+            throw new Error(`Section regeneration failed: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Apply a free-text instruction to a stored homepage, with the page and the
+     * last REFINE_HISTORY_TURNS instructions of its conversation as context
+     * @param {Object} options - { homepage, instruction, conversation, provider, model }
+     * @returns {Promise<Object>} { html_code, css_code, summary, output_fixes, attempts, tokens_used, prompt_hash, provider, model }
+     */
+    async refineHomepage({
+        homepage,
+        instruction,
+        conversation = [],
+        provider: providerName = null,
+        model = null
+    }) {
+        try {
+            const provider = this.getProvider(providerName || this.providerName);
+            if (!provider.isConfigured()) {
+                throw new Error(`LLM provider ${provider.name} is not configured`);
+            }
+            
+            console.log(`Refining homepage ${homepage.id} with ${provider.name}`);
+            
+            const messages = createRefinementMessages({
+                systemPrompt: SYSTEM_PROMPT,
+                conversation: this.refineHistoryTurns > 0 ? conversation.slice(-this.refineHistoryTurns) : [],
+                htmlCode: homepage.html_code,
+                cssCode: homepage.css_code,
+                instruction
+            });
+            const usage = { attempts: 0, tokensUsed: 0 };
+            const completion = await this._requestCompletion(provider, {
+                model: model || provider.model,
+                messages,
+                temperature: this.temperature,
+                maxTokens: this.maxTokens,
+                task: { kind: 'refinement', instruction, html: homepage.html_code }
+            }, usage);
+            
+            const refinement = parseRefinement(completion.content);
+            const output = processGeneratedHtml(refinement.html, {
+                finishReason: completion.finishReason
+            });
+            
+            // A partial page would silently drop content, so it is never stored
+            if (output.truncated) {
+                throw new Error(`Refined page is incomplete: ${output.truncation.reasons.join(', ')}`);
+            }
+            if (!/<body[\s>]/i.test(output.html)) {
+                throw new Error('Refined output does not contain an HTML document');
+            }
+            
+            return {
+                html_code: output.html,
+                css_code: refinement.css !== null ? refinement.css : homepage.css_code,
+                summary: refinement.summary,
+                output_fixes: output.fixes,
+                attempts: usage.attempts,
+                tokens_used: usage.tokensUsed,
+                prompt_hash: hashPrompt(messages),
+                provider: provider.name,
+                model: model || provider.model
+            };
+            
+        } catch (error) {
+            console.error(`Refinement failed for ${homepage.id}:`, error);
+            throw new Error(`Homepage refinement failed: ${error.message}`);
         }
     }
     
+    /**
+     * Rewrite a homepage so it no longer has the given accessibility violations.
+     * The violations are sent as a refinement instruction.
+     * @param {Object} options - { homepage, violations, provider, model }; violations come
+     *   from an accessibility audit
+     * @returns {Promise<Object>} Same shape as refineHomepage, plus the instruction sent
+     */
+    async fixAccessibility({ homepage, violations, provider = null, model = null }) {
+        const instruction = createAccessibilityFixInstruction(violations);
+        const result = await this.refineHomepage({ homepage, instruction, provider, model });
+        
+        return { ...result, instruction };
+    }
+    
+    /**
+     * Type and purpose of an existing section, from the page plan when the page
+     * was generated section by section, else from its id and element
+     */
+    _describeSection(located, pagePlan = null) {
+        const planned = pagePlan && Array.isArray(pagePlan.sections)
+            ? pagePlan.sections.find(section => section.id === located.id)
+            : null;
+        if (planned) {
+            return { ...planned };
+        }
+        
+        const base = BASE_SECTIONS.find(section => section.id === located.id);
+        if (base) {
+            return { ...base };
+        }
+        
+        const feature = Object.entries(ADDITIONAL_FEATURES).find(([, definition]) => definition.section === located.id);
+        if (feature) {
+            return { id: located.id, type: feature[0], purpose: feature[1].requirement };
+        }
+        
+        const type = ['header', 'footer'].includes(located.tag) ? located.tag : 'custom';
+        return { id: located.id, type, purpose: null };
+    }
+    
     /**
      * Generate the main homepage HTML code using AI
+     * @returns {Promise<Object>} { content, finishReason, attempts, continuations, tokensUsed, promptHash }
      */
     async _generateHomepageCode({
         businessName,
@@ -125,7 +565,13 @@ class HomepageGenerator {
         websiteContent,
         stylePreference,
         includeBooking,
-        colorScheme
+        colorScheme,
+        colorPalette = null,
+        additionalFeatures = [],
+        provider = this.getProvider(),
+        model = provider.model,
+        temperature = this.temperature,
+        onProgress = null
     }) {
         const prompt = this._createHomepagePrompt({
             businessName,
@@ -134,33 +580,325 @@ class HomepageGenerator {
             websiteContent,
             stylePreference,
             includeBooking,
-            colorScheme
+            colorScheme,
+            colorPalette,
+            additionalFeatures
         });
         
+        if (onProgress) {
+            onProgress({ type: 'stage', stage: 'prompt_built' });
+        }
+        
+        const messages = [
+            {
+                role: 'system',
+                content: SYSTEM_PROMPT
+            },
+            {
+                role: 'user',
+                content: prompt
+            }
+        ];
+        const task = {
+            kind: 'page',
+            businessName,
+            includeBooking,
+            sectionIds: additionalFeatures
+                .map(feature => ADDITIONAL_FEATURES[feature] && ADDITIONAL_FEATURES[feature].section)
+                .filter(Boolean)
+        };
+        const usage = { attempts: 0, tokensUsed: 0 };
+        let content = '';
+        let finishReason = null;
+        let continuations = 0;
+        
         try {
-            const response = await this.openai.chat.completions.create({
-                model: this.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are an expert web developer specializing in creating modern, high-converting business websites. Generate clean, professional HTML code using Tailwind CSS.'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                temperature: this.temperature,
-                max_tokens: this.maxTokens
+            while (true) {
+                // Continuations carry the partial output forward as an assistant turn
+                const requestMessages = continuations === 0 ? messages : [
+                    ...messages,
+                    { role: 'assistant', content },
+                    { role: 'user', content: CONTINUATION_PROMPT }
+                ];
+                
+                const part = await this._requestCompletion(provider, {
+                    model,
+                    messages: requestMessages,
+                    temperature,
+                    maxTokens: this.maxTokens,
+                    task
+                }, usage, onProgress);
+                
+                content = continuations === 0 ? part.content : this._joinContinuation(content, part.content);
+                finishReason = part.finishReason;
+                
+                const incomplete = this._getIncompleteReasons(content, finishReason);
+                if (incomplete.length === 0) {
+                    break;
+                }
+                
+                if (continuations >= this.maxContinuations) {
+                    throw new Error(`Output still incomplete after ${continuations} continuation(s): ${incomplete.join(', ')}`);
+                }
+                
+                continuations++;
+                console.warn(`Homepage output incomplete (${incomplete.join(', ')}), requesting continuation ${continuations}/${this.maxContinuations}`);
+                if (onProgress) {
+                    onProgress({ type: 'stage', stage: 'html_continuing', continuation: continuations });
+                }
+            }
+            
+            return {
+                content: content.trim(),
+                finishReason,
+                attempts: usage.attempts,
+                continuations,
+                tokensUsed: usage.tokensUsed,
+                promptHash: hashPrompt(messages)
+            };
+            
+        } catch (error) {
+            console.error('LLM provider error:', error);
+            console.error(`Provider: ${provider.name}, Model: ${model}, Base URL: ${provider.config.baseUrl || 'default'}`);
+            const failure = new Error(`Failed to generate homepage code: ${error.message}`);
+            failure.tokensUsed = usage.tokensUsed;
+            throw failure;
+        }
+    }
+    
+    /**
+     * Generate the homepage in stages: a JSON page plan, then every section in
+     * parallel, then one assembled document. The plan and each section are
+     * retried on their own (SECTION_MAX_RETRIES) when their output is unusable.
+     * @returns {Promise<Object>} { content, finishReason, attempts, continuations, tokensUsed, promptHash, plan, sections }
+     */
+    async _generateHomepageSections({
+        businessName,
+        businessInfo,
+        recommendations,
+        stylePreference,
+        includeBooking,
+        colorScheme,
+        colorPalette = null,
+        additionalFeatures = [],
+        provider = this.getProvider(),
+        model = provider.model,
+        temperature = this.temperature,
+        onProgress = null
+    }) {
+        const palette = colorPalette || this._getColorPalette(colorScheme, businessInfo.industry);
+        const outline = this._buildSectionOutline(additionalFeatures);
+        const usage = { attempts: 0, tokensUsed: 0 };
+        const complete = (content, task, jsonMode = false) => this._requestCompletion(provider, {
+            model,
+            messages: [
+                { role: 'system', content: SYSTEM_PROMPT },
+                { role: 'user', content }
+            ],
+            temperature,
+            maxTokens: this.maxTokens,
+            jsonMode,
+            task
+        }, usage);
+        
+        try {
+            const planPrompt = createPlanPrompt({
+                businessName,
+                businessInfo,
+                stylePreference,
+                recommendations,
+                outline,
+                includeBooking
+            });
+            const { value: plan } = await this._withSectionRetries('plan', async () => {
+                const part = await complete(planPrompt, {
+                    kind: 'plan',
+                    businessName,
+                    sections: outline.map(({ id, type }) => ({ id, type }))
+                }, provider.supports('jsonMode'));
+                return parsePagePlan(part.content, {
+                    outline,
+                    businessName,
+                    description: businessInfo.description || ''
+                });
             });
             
-            return response.choices[0].message.content.trim();
+            if (onProgress) {
+                onProgress({ type: 'stage', stage: 'plan_built', sections: plan.sections.map(section => section.id) });
+            }
+            
+            const generated = await Promise.all(plan.sections.map(async section => {
+                const prompt = createSectionPrompt({
+                    plan,
+                    section,
+                    businessName,
+                    businessInfo,
+                    stylePreference,
+                    colorPalette: palette,
+                    includeBooking
+                });
+                const { value: html, attempts } = await this._withSectionRetries(section.id, async () => {
+                    const part = await complete(prompt, {
+                        kind: 'section',
+                        businessName,
+                        section: { id: section.id, type: section.type, headline: section.headline, tag: sectionTag(section) },
+                        includeBooking: hasBookingButton(section, includeBooking)
+                    });
+                    return extractSectionHtml(part.content, section, part.finishReason);
+                });
+                
+                if (onProgress) {
+                    onProgress({ type: 'stage', stage: 'section_generated', section: section.id });
+                }
+                return { section, html, attempts, prompt };
+            }));
+            
+            return {
+                content: assemblePage({ plan, sections: generated, colorPalette: palette }),
+                finishReason: 'stop',
+                attempts: usage.attempts,
+                continuations: 0,
+                tokensUsed: usage.tokensUsed,
+                promptHash: hashPrompt([SYSTEM_PROMPT, planPrompt, ...generated.map(entry => entry.prompt)]),
+                plan,
+                sections: generated.map(({ section, attempts }) => ({
+                    id: section.id,
+                    type: section.type,
+                    attempts
+                }))
+            };
             
         } catch (error) {
-            console.error('OpenAI API error:', error);
-            console.error(`Model: ${this.model}, Base URL: ${this.baseUrl}`);
-            throw new Error(`Failed to generate homepage code: ${error.message}`);
+            console.error('LLM provider error:', error);
+            console.error(`Provider: ${provider.name}, Model: ${model}, Base URL: ${provider.config.baseUrl || 'default'}`);
+            const failure = new Error(`Failed to generate homepage code: ${error.message}`);
+            failure.tokensUsed = usage.tokensUsed;
+            throw failure;
+        }
+    }
+    
+    /**
+     * Required sections in page order: the base sections plus requested features
+     */
+    _buildSectionOutline(additionalFeatures = []) {
+        const outline = BASE_SECTIONS.map(section => ({ ...section }));
+        const footer = outline.find(section => section.type === 'footer');
+        
+        for (const feature of additionalFeatures) {
+            const definition = ADDITIONAL_FEATURES[feature];
+            if (!definition) {
+                continue;
+            }
+            // Feature sections go before contact
+            if (definition.section) {
+                outline.splice(outline.findIndex(section => section.type === 'contact'), 0, {
+                    id: definition.section,
+                    type: feature,
+                    purpose: definition.requirement
+                });
+            } else {
+                footer.purpose += `. ${definition.requirement}`;
+            }
         }
+        
+        return outline;
+    }
+    
+    /**
+     * Run one stage of section-by-section generation, retrying it alone when it fails.
+     * Client errors (4xx) are not retried.
+     * @returns {Promise<Object>} { value, attempts }
+     */
+    async _withSectionRetries(label, task) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return { value: await task(), attempts: attempt };
+            } catch (error) {
+                const clientError = error.status >= 400 && error.status < 500 && error.status !== 429;
+                if (clientError || attempt > this.sectionRetries) {
+                    throw new Error(`Section ${label} failed after ${attempt} attempt(s): ${error.message}`);
+                }
+                console.warn(`Section ${label} failed (${error.message}), retrying (${attempt}/${this.sectionRetries})`);
+            }
+        }
+    }
+    
+    /**
+     * Run one completion, retrying 429 and 5xx responses with exponential backoff.
+     * Streams tokens through onProgress when given; providers that cannot stream
+     * report the whole response as a single token event. Updates usage in place.
+     */
+    async _requestCompletion(provider, request, usage, onProgress = null) {
+        for (let retry = 0; ; retry++) {
+            usage.attempts++;
+            
+            try {
+                let result;
+                
+                if (!onProgress) {
+                    result = await provider.complete(request);
+                } else if (provider.supports('streaming')) {
+                    let streaming = false;
+                    result = await provider.stream(request, delta => {
+                        if (!streaming) {
+                            streaming = true;
+                            onProgress({ type: 'stage', stage: 'html_streaming' });
+                        }
+                        onProgress({ type: 'token', delta });
+                    });
+                } else {
+                    result = await provider.complete(request);
+                    onProgress({ type: 'stage', stage: 'html_streaming' });
+                    onProgress({ type: 'token', delta: result.content });
+                }
+                
+                usage.tokensUsed += result.tokensUsed || 0;
+                return { content: result.content, finishReason: result.finishReason };
+                
+            } catch (error) {
+                const retryable = error.status === 429 || error.status >= 500;
+                if (!retryable || retry >= this.maxRetries) {
+                    throw error;
+                }
+                
+                const delay = this.retryBaseDelay * 2 ** retry;
+                console.warn(`${provider.name} request failed with ${error.status}, retrying in ${delay}ms (${retry + 1}/${this.maxRetries})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+    
+    /**
+     * Reasons the accumulated output needs a continuation (empty when complete)
+     */
+    _getIncompleteReasons(content, finishReason) {
+        const { html } = stripMarkdown(content);
+        if (!html.includes('<')) {
+            return ['no_html'];
+        }
+        
+        // Unclosed tags inside an otherwise finished document are repaired by
+        // post-processing and do not warrant another request
+        const { reasons } = detectTruncation(html, finishReason);
+        return reasons.filter(reason => reason !== 'unclosed_tags');
+    }
+    
+    /**
+     * Append a continuation, dropping code fences and any text the model repeated
+     */
+    _joinContinuation(previous, continuation) {
+        const part = continuation
+            .replace(/^\s*```[a-zA-Z]*[^\S\n]*\n/, '')
+            .replace(/\n?```\s*$/, '');
+        
+        const maxOverlap = Math.min(previous.length, part.length, 500);
+        for (let length = maxOverlap; length > 0; length--) {
+            if (previous.endsWith(part.slice(0, length))) {
+                return previous + part.slice(length);
+            }
+        }
+        
+        return previous + part;
     }
     
     /**
@@ -173,7 +911,9 @@ class HomepageGenerator {
         websiteContent,
         stylePreference,
         includeBooking,
-        colorScheme
+        colorScheme,
+        colorPalette = null,
+        additionalFeatures = []
     }) {
         const businessType = businessInfo.business_type;
         const industry = businessInfo.industry;
@@ -186,9 +926,20 @@ class HomepageGenerator {
             `- ${rec.title}: ${rec.description}`
         ).join('\n');
         
-        const colorSchemeText = colorScheme ? `Use this color scheme: ${colorScheme}` : '';
+        const { colors } = colorPalette || this._getColorPalette(colorScheme, industry);
+        const colorSchemeText = `Use this color palette (also available as CSS variables on :root): ` +
+            `primary ${colors.primary} (--primary-color, text ${colors.on_primary}), ` +
+            `secondary ${colors.secondary} (--secondary-color), ` +
+            `accent ${colors.accent} (--accent-color, text ${colors.on_accent}) for calls to action, ` +
+            `light ${colors.light} (--light-color) for backgrounds, dark ${colors.dark} (--dark-color) for body text`;
         const bookingText = includeBooking ? 'Include a prominent "Book Appointment" or "Schedule Service" button with data-booking-btn attribute.' : '';
         
+        const featureSections = additionalFeatures
+            .filter(feature => ADDITIONAL_FEATURES[feature])
+            .map(feature => `   - ${ADDITIONAL_FEATURES[feature].requirement}`)
+            .join('\n');
+        const additionalSectionsText = featureSections ? `\n   Also include these additional sections:\n${featureSections}` : '';
+        
         // Get industry-specific template guidance
         const templateGuidance = this._getIndustryTemplate(industry, businessType);
         
@@ -223,7 +974,7 @@ Requirements:
    - Services/features section with icons or images
    - About/trust section with credibility indicators
    - Contact section with form and map placeholder
-   - Footer with business details
+   - Footer with business details${additionalSectionsText}
 3. Make it mobile-responsive with proper breakpoints
 4. Use modern design principles and accessibility
 5. Include clear call-to-action buttons throughout
@@ -306,22 +1057,21 @@ The code should be production-ready, visually appealing, and convert visitors to
     /**
      * Generate custom CSS for additional styling
      */
-    async _generateCustomCSS({ businessInfo, stylePreference, colorScheme }) {
+    async _generateCustomCSS({ businessInfo, stylePreference, colorScheme, colorPalette = null }) {
         // For POC, return basic custom CSS
         // In full implementation, this could be AI-generated
         
-        const baseColors = this._getBaseColors(colorScheme, businessInfo.industry);
+        const { colors } = colorPalette || this._getColorPalette(colorScheme, businessInfo.industry);
         
         return `
 /* Custom styles for ${businessInfo.name} */
 :root {
-    --primary-color: ${baseColors.primary};
-    --secondary-color: ${baseColors.secondary};
-    --accent-color: ${baseColors.accent};
+    ${toCssVariables(colors)}
 }
 
 .custom-hero-bg {
     background: linear-gradient(135deg, var(--primary-color) 0%, var(--secondary-color) 100%);
+    color: var(--on-primary-color);
 }
 
 .custom-card-hover {
@@ -335,6 +1085,7 @@ The code should be production-ready, visually appealing, and convert visitors to
 
 .custom-btn-primary {
     background-color: var(--accent-color);
+    color: var(--on-accent-color);
     transition: all 0.3s ease;
 }
 
@@ -351,17 +1102,22 @@ The code should be production-ready, visually appealing, and convert visitors to
 `.trim();
     }
     
+    /**
+     * Get the full color palette (with contrast checks) for a request
+     */
+    _getColorPalette(colorScheme, industry) {
+        return (colorScheme && derivePalette(colorScheme)) ||
+            buildPalette(this._getBaseColors(null, industry));
+    }
+    
     /**
      * Get base colors based on industry and preferences
      */
     _getBaseColors(colorScheme, industry) {
-        if (colorScheme) {
-            // Parse color scheme if provided
-            return {
-                primary: '#3B82F6',
-                secondary: '#1E40AF',
-                accent: '#EF4444'
-            };
+        const derived = colorScheme && derivePalette(colorScheme);
+        if (derived) {
+            const { primary, secondary, accent } = derived.colors;
+            return { primary, secondary, accent };
         }
         
         // Industry-specific color schemes
@@ -400,9 +1156,17 @@ document.addEventListener('DOMContentLoaded', function() {
     }
     
     /**
-     * Determine which features are included in the generated homepage
+     * Determine which features are included in the generated homepage.
+     * Requested additional features are only listed when their section is
+     * actually present in the generated HTML.
      */
-    _determineFeaturesIncluded({ recommendations, includeBooking, stylePreference }) {
+    _determineFeaturesIncluded({
+        recommendations,
+        includeBooking,
+        stylePreference,
+        additionalFeatures = [],
+        htmlCode = ''
+    }) {
         const features = ['responsive_design', 'modern_layout'];
         
         // Add features based on style
@@ -430,13 +1194,21 @@ document.addEventListener('DOMContentLoaded', function() {
         // Standard features
         features.push('call_to_action', 'contact_section', 'services_showcase');
         
+        // Add requested features the model actually delivered
+        for (const feature of additionalFeatures) {
+            const definition = ADDITIONAL_FEATURES[feature];
+            if (definition && definition.detect(htmlCode) && !features.includes(feature)) {
+                features.push(feature);
+            }
+        }
+        
         return features;
     }
     
     /**
      * Generate improvement description
      */
-    _generateImprovementDescription({ recommendations, featuresIncluded }) {
+    _generateImprovementDescription({ recommendations, featuresIncluded, quality = null }) {
         const numRecommendations = recommendations.length;
         const numFeatures = featuresIncluded.length;
         
@@ -462,10 +1234,17 @@ document.addEventListener('DOMContentLoaded', function() {
         
         description += `. Features ${numFeatures} modern web components for enhanced user experience and business growth.`;
         
+        if (quality) {
+            const failing = quality.checks.filter(check => check.status !== 'pass').map(check => check.label.toLowerCase());
+            description += ` Quality score: ${quality.score}/100`;
+            description += failing.length ? ` (needs work: ${failing.join(', ')}).` : '.';
+        }
+        
         return description;
     }
 }
 
 module.exports = {
+    GENERATION_STRATEGIES,
     HomepageGenerator
 };
\ No newline at end of file
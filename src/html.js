@@ -0,0 +1,24 @@
+/**
+ * Markup Helpers for Homepage Builder
+ *
+ * This module handles:
+ * 1. Escaping text for HTML and XML content and attribute values
+ */
+
+/**
+ * Escape text for use in HTML or XML, in element content or quoted attributes
+ * @param {*} value - Text (other values are converted to strings)
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+    escapeHtml
+};
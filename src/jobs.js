@@ -0,0 +1,191 @@
+/**
+ * Job Queue for Homepage Builder
+ *
+ * This module handles:
+ * 1. Running long generation tasks in-process with a concurrency limit
+ * 2. Tracking job state for status polling
+ * 3. Delivering final results to callback URLs with retries
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const axios = require('axios');
+const { CALLBACK_ALLOWED_HOSTS, checkCallbackUrl, createCallbackLookup } = require('./callbacks');
+
+class JobQueue {
+    /**
+     * @param {Object} options - Queue configuration
+     * @param {number} options.concurrency - Max jobs running at once
+     * @param {number} options.maxFinishedJobs - Finished jobs kept for polling
+     * @param {number} options.callbackRetries - Delivery attempts per callback
+     * @param {number} options.callbackRetryDelay - Base backoff delay in ms
+     * @param {number} options.callbackTimeout - Timeout per delivery attempt in ms
+     * @param {Array<string>} options.callbackAllowedHosts - Hosts callbacks may reach (see callbacks.js)
+     */
+    constructor({
+        concurrency = 2,
+        maxFinishedJobs = 1000,
+        callbackRetries = 3,
+        callbackRetryDelay = 1000,
+        callbackTimeout = 10000,
+        callbackAllowedHosts = CALLBACK_ALLOWED_HOSTS
+    } = {}) {
+        this.concurrency = concurrency;
+        this.maxFinishedJobs = maxFinishedJobs;
+        this.callbackRetries = callbackRetries;
+        this.callbackRetryDelay = callbackRetryDelay;
+        this.callbackTimeout = callbackTimeout;
+        this.callbackAllowedHosts = callbackAllowedHosts;
+        this.callbackLookup = createCallbackLookup(callbackAllowedHosts);
+
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+    }
+
+    /**
+     * Queue a task
+     * @param {Function} task - Async function producing the job result
+     * @param {Object} options - { callbackUrl } to POST the final result to
+     * @returns {Object} Public view of the queued job
+     */
+    enqueue(task, { callbackUrl = null } = {}) {
+        const job = {
+            id: uuidv4(),
+            status: 'queued',
+            created_at: new Date().toISOString(),
+            started_at: null,
+            finished_at: null,
+            result: null,
+            error: null,
+            callback: callbackUrl ? { url: callbackUrl, status: 'pending', attempts: 0 } : null,
+            task
+        };
+
+        this.jobs.set(job.id, job);
+        this.pending.push(job);
+        this._drain();
+
+        return this._toPublic(job);
+    }
+
+    /**
+     * Get a job by id
+     * @param {string} id - Job id
+     * @returns {Object|null} Public view of the job
+     */
+    get(id) {
+        const job = this.jobs.get(id);
+        return job ? this._toPublic(job) : null;
+    }
+
+    /**
+     * Queue statistics for health reporting
+     */
+    getStats() {
+        return {
+            queued: this.pending.length,
+            running: this.running,
+            concurrency: this.concurrency
+        };
+    }
+
+    _drain() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.pending.shift();
+            this._run(job);
+        }
+    }
+
+    async _run(job) {
+        this.running++;
+        job.status = 'running';
+        job.started_at = new Date().toISOString();
+
+        try {
+            job.result = await job.task();
+            job.status = 'succeeded';
+        } catch (error) {
+            console.error(`Job ${job.id} failed:`, error);
+            job.error = {
+                message: error.message,
+                error_type: error.constructor.name
+            };
+            job.status = 'failed';
+        } finally {
+            job.finished_at = new Date().toISOString();
+            job.task = null;
+            this.running--;
+            this._prune();
+            this._drain();
+        }
+
+        if (job.callback) {
+            await this._deliverCallback(job);
+        }
+    }
+
+    /**
+     * POST the final job state to its callback URL, retrying with exponential backoff.
+     * Internal addresses are never contacted, whether named in the URL or
+     * reached through DNS or a redirect.
+     */
+    async _deliverCallback(job) {
+        const refused = checkCallbackUrl(job.callback.url, this.callbackAllowedHosts);
+        if (refused) {
+            console.error(`Callback for job ${job.id} refused: ${refused}`);
+            job.callback.status = 'failed';
+            job.callback.last_error = `Callback URL ${refused}`;
+            return;
+        }
+
+        const payload = {
+            success: job.status === 'succeeded',
+            job_id: job.id,
+            status: job.status,
+            data: job.result,
+            error: job.error,
+            timestamp: new Date().toISOString()
+        };
+
+        for (let attempt = 1; attempt <= this.callbackRetries; attempt++) {
+            job.callback.attempts = attempt;
+            try {
+                await axios.post(job.callback.url, payload, {
+                    timeout: this.callbackTimeout,
+                    maxRedirects: 0,
+                    lookup: this.callbackLookup
+                });
+                job.callback.status = 'delivered';
+                return;
+            } catch (error) {
+                console.error(`Callback for job ${job.id} failed (attempt ${attempt}/${this.callbackRetries}):`, error.message);
+                job.callback.last_error = error.message;
+                if (attempt < this.callbackRetries) {
+                    await new Promise(resolve => setTimeout(resolve, this.callbackRetryDelay * 2 ** (attempt - 1)));
+                }
+            }
+        }
+
+        job.callback.status = 'failed';
+    }
+
+    /**
+     * Forget the oldest finished jobs once the retention limit is exceeded
+     */
+    _prune() {
+        const finished = Array.from(this.jobs.values()).filter(job => job.finished_at);
+        const excess = finished.length - this.maxFinishedJobs;
+        for (let i = 0; i < excess; i++) {
+            this.jobs.delete(finished[i].id);
+        }
+    }
+
+    _toPublic(job) {
+        const { task, ...rest } = job;
+        return { ...rest, callback: rest.callback ? { ...rest.callback } : null };
+    }
+}
+
+module.exports = {
+    JobQueue
+};
@@ -15,11 +15,38 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
 const path = require('path');
+const { v4: uuidv4 } = require('uuid');
 require('dotenv').config({ path: path.join(__dirname, '..', '..', '.env') });
 
 const { HomepageGenerator } = require('./generator');
-const { validateGenerateRequest } = require('./validation');
+const {
+    validateGenerateRequest,
+    validatePreviewRequest,
+    validateListHomepagesQuery,
+    validateExportQuery,
+    validateRenderPdfRequest,
+    validateScreenshotRequest,
+    validateVisualDiffRequest,
+    validateRegenerateSectionRequest,
+    validateRefineRequest,
+    validateRevisionNumber,
+    validateRevisionDiffQuery,
+    validateAccessibilityAuditRequest,
+    validateComparisonRequest
+} = require('./validation');
 const ScreenshotService = require('./screenshot');
+const PreviewService = require('./preview');
+const { JobQueue } = require('./jobs');
+const { PROVIDER_NAMES, LLM_MODES } = require('./providers');
+const { slugify, buildNextjsProject, buildStaticSite, createZip } = require('./export');
+const { HomepageStorage, createStorage, createHomepageRecord } = require('./storage');
+const { SECTION_ID_PATTERN, locateSection, replaceSection } = require('./sections');
+const { REFINEMENT_CHANGE, getConversation } = require('./refinement');
+const { diffHomepages, diffHtmlStructure } = require('./diff');
+const { planVariants, runVariantBatch } = require('./variants');
+const { scoreHomepage } = require('./quality');
+const { resolveOriginalPage, withBaseUrl, compareMetrics } = require('./comparison');
+const { DEVICES, RESPONSIVE_DEVICES, resolveViewport, viewportFromRequest, viewportToResponse } = require('./devices');
 const { specs, swaggerUi } = require('./swagger');
 
 // =============================================================================
@@ -29,11 +56,45 @@ const { specs, swaggerUi } = require('./swagger');
 const PORT = parseInt(process.env.PORT || '8002');
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+const LLM_MODE = process.env.LLM_MODE || 'live';
 
-// Validate required environment variables
-if (!OPENAI_API_KEY) {
-    console.error('ERROR: OPENAI_API_KEY environment variable is required');
-    process.exit(1);
+// API key each hosted provider needs when it is the default
+const PROVIDER_API_KEYS = {
+    openai: 'OPENAI_API_KEY',
+    anthropic: 'ANTHROPIC_API_KEY'
+};
+
+/**
+ * Check required environment variables
+ * @returns {string|null} Problem with the configuration, if any
+ */
+function getConfigurationError() {
+    if (!PROVIDER_NAMES.includes(LLM_PROVIDER)) {
+        return `LLM_PROVIDER must be one of ${PROVIDER_NAMES.join(', ')}`;
+    }
+    
+    if (!LLM_MODES.includes(LLM_MODE)) {
+        return `LLM_MODE must be one of ${LLM_MODES.join(', ')}`;
+    }
+    
+    // Replayed and mocked responses need no credentials
+    const keyVariable = PROVIDER_API_KEYS[LLM_PROVIDER];
+    if (keyVariable && !process.env[keyVariable] && !['replay', 'mock'].includes(LLM_MODE)) {
+        return `${keyVariable} environment variable is required`;
+    }
+    
+    return null;
+}
+
+// Validate required environment variables when started as the service
+// (tests import the app without starting it)
+if (require.main === module) {
+    const configurationError = getConfigurationError();
+    if (configurationError) {
+        console.error(`ERROR: ${configurationError}`);
+        process.exit(1);
+    }
 }
 
 // =============================================================================
@@ -52,13 +113,34 @@ app.use(express.urlencoded({ extended: true }));
 // Logging
 if (NODE_ENV === 'development') {
     app.use(morgan('dev'));
-} else {
+} else if (NODE_ENV !== 'test') {
     app.use(morgan('combined'));
 }
 
-// Initialize homepage generator and screenshot service
-const generator = new HomepageGenerator(OPENAI_API_KEY);
-const screenshotService = new ScreenshotService();
+// Initialize homepage generator, screenshot service and storage
+const generator = new HomepageGenerator(OPENAI_API_KEY, null, {
+    provider: LLM_PROVIDER,
+    mode: LLM_MODE
+});
+const screenshotService = new ScreenshotService({
+    poolSize: parseInt(process.env.SCREENSHOT_POOL_SIZE || '3'),
+    queueLimit: parseInt(process.env.SCREENSHOT_QUEUE_LIMIT || '50'),
+    renderTimeout: parseInt(process.env.SCREENSHOT_RENDER_TIMEOUT || '45000'),
+    relaunchDelay: parseInt(process.env.SCREENSHOT_RELAUNCH_DELAY || '1000'),
+    renderMode: process.env.SCREENSHOT_RENDER_MODE || 'standard'
+});
+const storage = createStorage();
+const previewService = new PreviewService(screenshotService, storage, {
+    maxEntries: parseInt(process.env.PREVIEW_CACHE_SIZE || '100')
+});
+const jobQueue = new JobQueue({
+    concurrency: parseInt(process.env.JOB_CONCURRENCY || '2'),
+    callbackRetries: parseInt(process.env.JOB_CALLBACK_RETRIES || '3')
+});
+
+// Variant batches: variants generated at once, and the token budget of one batch
+const VARIANT_CONCURRENCY = parseInt(process.env.VARIANT_CONCURRENCY || '3');
+const VARIANT_TOKEN_BUDGET = parseInt(process.env.VARIANT_TOKEN_BUDGET || '100000');
 
 // Service startup time for uptime calculation
 const startupTime = Date.now();
@@ -79,6 +161,333 @@ app.use('/docs', swaggerUi.serve, swaggerUi.setup(specs, {
     }
 }));
 
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Store a generation result. Storage failures are logged but never discard
+ * the generated homepage.
+ */
+async function persistHomepage(result, analysisResult, inputs = {}) {
+    try {
+        await storage.save(createHomepageRecord(result, analysisResult, inputs));
+    } catch (error) {
+        console.error(`Failed to store homepage ${result.id}:`, error);
+    }
+}
+
+/**
+ * Generate a homepage from a validated /generate request and store it
+ */
+async function generateAndStore(value, { onProgress = null, batch = null } = {}) {
+    const {
+        analysis_result,
+        business_name,
+        style_preference = 'modern',
+        include_booking = false,
+        color_scheme = null,
+        additional_features = [],
+        provider = null,
+        model = null,
+        generation_strategy = null,
+        temperature = null
+    } = value;
+    
+    console.log(`Generating homepage for ${business_name}`);
+    
+    const result = await generator.generateHomepage({
+        analysisResult: analysis_result,
+        businessName: business_name,
+        stylePreference: style_preference,
+        includeBooking: include_booking,
+        colorScheme: color_scheme,
+        additionalFeatures: additional_features,
+        provider,
+        model,
+        strategy: generation_strategy,
+        temperature,
+        onProgress
+    });
+    
+    if (batch) {
+        result.batch_id = batch.id;
+        result.variant = batch.variant;
+    }
+    
+    await persistHomepage(result, analysis_result, {
+        business_name,
+        style_preference,
+        include_booking,
+        color_scheme,
+        additional_features,
+        generation_strategy: result.generation_strategy,
+        temperature: result.temperature
+    });
+    
+    return result;
+}
+
+/**
+ * Quality score of a stored homepage's current code
+ */
+function scoreRecord(record) {
+    return scoreHomepage({
+        htmlCode: record.html_code,
+        cssCode: record.css_code,
+        jsCode: record.js_code,
+        businessInfo: (record.analysis_result && record.analysis_result.business_info) || {}
+    });
+}
+
+/**
+ * Print a homepage to PDF with the options of a /render/pdf request or PDF export
+ * @param {Object} homepage - Stored record, or { business_name, html_code, css_code } for raw HTML
+ * @param {Object} value - Validated PDF options
+ * @returns {Promise<Buffer>} PDF document
+ */
+function renderHomepagePdf(homepage, value) {
+    return screenshotService.generatePdf(homepage.html_code, homepage.css_code || '', {
+        pageSize: value.page_size,
+        landscape: value.landscape,
+        margin: value.margin,
+        printBackground: value.print_background,
+        renderMode: value.render_mode,
+        cover: value.cover
+            ? { businessName: homepage.business_name, qualityScore: scoreRecord(homepage).score }
+            : null
+    });
+}
+
+/**
+ * HTML and CSS of one side of a visual diff: raw HTML, or a stored homepage
+ * at the requested (default current) revision
+ * @returns {Promise<Object|null>} { html, css, homepage_id, revision }, or null when the homepage or revision does not exist
+ */
+async function resolveDiffSide(side) {
+    if (!side.homepage_id) {
+        return { html: side.html_code, css: side.css_code || '', homepage_id: null, revision: null };
+    }
+    
+    const homepage = await storage.get(side.homepage_id);
+    if (!homepage) {
+        return null;
+    }
+    const revision = side.revision || homepage.revision || 1;
+    const entry = HomepageStorage.getRevisions(homepage).find(item => item.revision === revision);
+    if (!entry) {
+        return null;
+    }
+    return { html: entry.html_code, css: entry.css_code || '', homepage_id: homepage.id, revision };
+}
+
+/**
+ * Small screenshot of a generated homepage, or null when screenshots are unavailable
+ */
+async function captureThumbnail(result) {
+    if (!screenshotService.isReady()) {
+        return null;
+    }
+    
+    try {
+        return await screenshotService.generateScreenshotDataUrl(
+            result.html_code,
+            result.css_code || '',
+            ScreenshotService.THUMBNAIL
+        );
+    } catch (error) {
+        console.error(`Thumbnail failed for homepage ${result.id}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Generate the variants of a /generate request with `variants` > 1 and store
+ * each one. Variants run VARIANT_CONCURRENCY at a time within VARIANT_TOKEN_BUDGET.
+ * @returns {Promise<Object>} { batch_id, variants, completed, failed, skipped, tokens_used, token_budget }
+ */
+async function generateVariantsAndStore(value) {
+    const batchId = uuidv4();
+    const plans = planVariants(value.variants, {
+        stylePreference: value.style_preference,
+        temperature: value.temperature,
+        variantOptions: value.variant_options
+    });
+    
+    console.log(`Generating ${plans.length} variants for ${value.business_name} in batch ${batchId}`);
+    
+    const { variants, tokens_used } = await runVariantBatch(plans, async plan => {
+        const result = await generateAndStore({
+            ...value,
+            style_preference: plan.style_preference,
+            temperature: plan.temperature
+        }, { batch: { id: batchId, variant: plan.variant } });
+        
+        return { ...result, thumbnail: await captureThumbnail(result) };
+    }, {
+        concurrency: VARIANT_CONCURRENCY,
+        tokenBudget: VARIANT_TOKEN_BUDGET,
+        reservation: generator.estimateMaxTokens({
+            analysisResult: value.analysis_result,
+            businessName: value.business_name,
+            stylePreference: value.style_preference,
+            includeBooking: value.include_booking,
+            colorScheme: value.color_scheme,
+            additionalFeatures: value.additional_features,
+            strategy: value.generation_strategy
+        })
+    });
+    
+    const count = status => variants.filter(variant => variant.status === status).length;
+    if (count('completed') === 0) {
+        throw new Error(`No variant was generated: ${variants.map(variant => variant.error).join('; ')}`);
+    }
+    
+    return {
+        batch_id: batchId,
+        variants,
+        completed: count('completed'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        tokens_used,
+        token_budget: VARIANT_TOKEN_BUDGET
+    };
+}
+
+/**
+ * Run a generation and report its progress as Server-Sent Events.
+ * The final `result` event carries the same payload /generate returns.
+ */
+async function streamGeneration(res, value) {
+    const startTime = Date.now();
+    let clientClosed = false;
+    
+    res.on('close', () => {
+        clientClosed = true;
+    });
+    
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    // The generation keeps running after a disconnect so its result is still stored
+    const sendEvent = (event, data) => {
+        if (clientClosed) {
+            return;
+        }
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        // compression buffers output unless flushed explicitly
+        if (res.flush) {
+            res.flush();
+        }
+    };
+    
+    try {
+        const result = await generateAndStore(value, {
+            onProgress: ({ type, ...data }) => sendEvent(type, data)
+        });
+        
+        if (screenshotService.isReady()) {
+            try {
+                const screenshot = await screenshotService.generateScreenshotDataUrl(
+                    result.html_code,
+                    result.css_code || '',
+                    { device: 'desktop', fullPage: false }
+                );
+                sendEvent('stage', { stage: 'screenshot_taken', screenshot });
+            } catch (error) {
+                console.error('Stream screenshot error:', error);
+            }
+        }
+        
+        sendEvent('result', {
+            success: true,
+            data: {
+                ...result,
+                generation_time: Date.now() - startTime
+            },
+            message: 'Homepage generated successfully',
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Homepage generation error:', error);
+        
+        sendEvent('error', {
+            success: false,
+            error: 'generation_failed',
+            message: error.message || 'Failed to generate homepage',
+            details: {
+                processing_time: Date.now() - startTime,
+                error_type: error.constructor.name
+            },
+            timestamp: new Date().toISOString()
+        });
+    } finally {
+        res.end();
+    }
+}
+
+/**
+ * Validate a preview request and respond with the rendered image
+ */
+async function sendPreview(res, input) {
+    const startTime = Date.now();
+    
+    try {
+        const { error, value } = validatePreviewRequest(input);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (!screenshotService.isReady()) {
+            return res.status(503).json({
+                success: false,
+                error: 'service_unavailable',
+                message: 'Screenshot service is not available',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const preview = await previewService.getPreview(value.homepage_id, value.device_type);
+        if (!preview) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${value.homepage_id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.set('X-Preview-Cache', preview.cached ? 'HIT' : 'MISS');
+        res.type(preview.format).send(preview.image);
+        
+    } catch (error) {
+        console.error('Preview generation error:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: 'preview_generation_failed',
+            message: 'Failed to generate preview',
+            details: {
+                error_type: error.name,
+                error_message: error.message,
+                processing_time: Date.now() - startTime
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
 // =============================================================================
 // API ROUTES
 // =============================================================================
@@ -88,7 +497,7 @@ app.use('/docs', swaggerUi.serve, swaggerUi.setup(specs, {
  * /health:
  *   get:
  *     summary: Service health check
- *     description: Returns the current health status of the builder service including dependency checks
+ *     description: Returns the current health status of the builder service including dependency checks, async job counts and screenshot page pool metrics
  *     tags: [Health]
  *     responses:
  *       200:
@@ -110,7 +519,7 @@ app.get('/health', (req, res) => {
     
     // Perform health checks
     const checks = {
-        openai_api: !!OPENAI_API_KEY,
+        llm_provider: generator.getProvider().isConfigured(),
         generator_ready: generator.isReady(),
         screenshot_service_ready: screenshotService.isReady(),
         memory_usage: true
@@ -127,6 +536,12 @@ app.get('/health', (req, res) => {
             total: Math.round(memoryUsage.heapTotal / 1024 / 1024) + 'MB'
         },
         checks,
+        llm_provider: {
+            name: generator.providerName,
+            model: generator.model
+        },
+        jobs: jobQueue.getStats(),
+        screenshot_pool: screenshotService.getStats(),
         timestamp: new Date().toISOString()
     });
 });
@@ -136,7 +551,7 @@ app.get('/health', (req, res) => {
  * /generate:
  *   post:
  *     summary: Generate homepage based on website analysis
- *     description: Creates a modern, responsive homepage based on analysis results and business requirements
+ *     description: Creates a modern, responsive homepage based on analysis results and business requirements. With `variants` above 1, several design variants (by default in different styles) are generated concurrently within a token budget, stored under one batch id and returned with a thumbnail each (see VariantBatchResult). With `async` set, the request is queued and answered with 202 and a job id to poll at /jobs/{id}. With an `Accept` header of `text/event-stream`, progress is streamed as Server-Sent Events — `stage` events (prompt_built, html_streaming, plan_built, section_generated, css_built, screenshot_taken), `token` events carrying HTML deltas (single-prompt generation only), and a final `result` (or `error`) event with the regular response payload.
  *     tags: [Homepage Generation]
  *     requestBody:
  *       required: true
@@ -167,13 +582,43 @@ app.get('/health', (req, res) => {
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   $ref: '#/components/schemas/HomepageResult'
+ *                   oneOf:
+ *                     - $ref: '#/components/schemas/HomepageResult'
+ *                     - $ref: '#/components/schemas/VariantBatchResult'
  *                 message:
  *                   type: string
  *                   example: "Homepage generated successfully"
  *                 timestamp:
  *                   type: string
  *                   format: date-time
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: token\ndata: {\"delta\":\"<section\"}\n\n"
+ *       202:
+ *         description: Generation queued (async mode)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     job_id:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       example: "queued"
+ *                     status_url:
+ *                       type: string
+ *                       example: "/jobs/2b0c6f0e-5d5a-4a8e-9d33-0f1e7f1b6a10"
+ *                 message:
+ *                   type: string
+ *                   example: "Homepage generation queued"
  *       400:
  *         description: Invalid request data
  *         content:
@@ -202,24 +647,64 @@ app.post('/generate', async (req, res) => {
             });
         }
         
-        const {
-            analysis_result,
-            business_name,
-            style_preference = 'modern',
-            include_booking = false,
-            color_scheme = null
-        } = value;
+        const provider = generator.getProvider(value.provider || generator.providerName);
+        if (!provider.isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'service_unavailable',
+                message: `LLM provider ${provider.name} is not configured`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const batched = value.variants > 1;
         
-        console.log(`Generating homepage for ${business_name}`);
+        if (value.async) {
+            const job = jobQueue.enqueue(() => (batched ? generateVariantsAndStore(value) : generateAndStore(value)), {
+                callbackUrl: value.callback_url
+            });
+            
+            console.log(`Queued homepage generation job ${job.id} for ${value.business_name}`);
+            
+            return res.status(202).json({
+                success: true,
+                data: {
+                    job_id: job.id,
+                    status: job.status,
+                    status_url: `/jobs/${job.id}`
+                },
+                message: 'Homepage generation queued',
+                timestamp: new Date().toISOString()
+            });
+        }
         
-        // Generate homepage
-        const result = await generator.generateHomepage({
-            analysisResult: analysis_result,
-            businessName: business_name,
-            stylePreference: style_preference,
-            includeBooking: include_booking,
-            colorScheme: color_scheme
-        });
+        if (req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream') {
+            if (batched) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'validation_error',
+                    message: 'Variant batches cannot be streamed; use async mode or a JSON response',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            return streamGeneration(res, value);
+        }
+        
+        if (batched) {
+            const batch = await generateVariantsAndStore(value);
+            
+            return res.json({
+                success: true,
+                data: {
+                    ...batch,
+                    generation_time: Date.now() - startTime
+                },
+                message: `Generated ${batch.completed} of ${batch.variants.length} homepage variants`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const result = await generateAndStore(value);
         
         const processingTime = Date.now() - startTime;
         
@@ -403,6 +888,18 @@ app.get('/generate/sample', (req, res) => {
  *                     screenshot:
  *                       type: string
  *                       example: "/screenshot"
+ *                     homepages:
+ *                       type: string
+ *                       example: "/homepages"
+ *                     preview:
+ *                       type: string
+ *                       example: "/preview"
+ *                     jobs:
+ *                       type: string
+ *                       example: "/jobs"
+ *                     providers:
+ *                       type: string
+ *                       example: "/providers"
  *                     docs:
  *                       type: string
  *                       example: "/docs"
@@ -421,6 +918,14 @@ app.get('/', (req, res) => {
             generate: '/generate',
             sample: '/generate/sample',
             screenshot: '/screenshot',
+            devices: '/devices',
+            accessibility_audit: '/audit/accessibility',
+            render_pdf: '/render/pdf',
+            visual_diff: '/render/diff',
+            homepages: '/homepages',
+            preview: '/preview',
+            jobs: '/jobs',
+            providers: '/providers',
             docs: '/docs'
         },
         timestamp: new Date().toISOString()
@@ -432,7 +937,7 @@ app.get('/', (req, res) => {
  * /screenshot:
  *   post:
  *     summary: Generate screenshot of homepage
- *     description: Creates a screenshot of the provided HTML/CSS content with configurable viewport options
+ *     description: Creates a screenshot of the provided HTML/CSS content. `viewport` is a device preset name (see /devices) or custom width, height, device_scale_factor, is_mobile, has_touch and user_agent values, optionally overriding a preset. `selector` captures just the first matching element, and `color_scheme` emulates `prefers-color-scheme`. With `render_mode` set to `faithful`, scripts run, Tailwind is served from a local build instead of its CDN and every other outbound request is blocked, so pages render the same online and offline.
  *     tags: [Screenshot Generation]
  *     requestBody:
  *       required: true
@@ -441,10 +946,10 @@ app.get('/', (req, res) => {
  *           schema:
  *             $ref: '#/components/schemas/ScreenshotRequest'
  *           example:
- *             html_content: "<!DOCTYPE html><html><head><title>Test</title></head><body><h1>Hello World</h1></body></html>"
- *             css_content: "body { font-family: Arial, sans-serif; }"
- *             viewport_width: 1200
- *             viewport_height: 800
+ *             html_code: "<!DOCTYPE html><html><head><title>Test</title></head><body><h1>Hello World</h1></body></html>"
+ *             css_code: "body { font-family: Arial, sans-serif; }"
+ *             viewport: "pixel-7"
+ *             color_scheme: "dark"
  *     responses:
  *       200:
  *         description: Screenshot generated successfully
@@ -487,17 +992,16 @@ app.post('/screenshot', async (req, res) => {
     const startTime = Date.now();
     
     try {
-        const { html_code, css_code, format = 'png', viewport = 'desktop' } = req.body;
-        
-        if (!html_code) {
+        const { error, value } = validateScreenshotRequest(req.body);
+        if (error) {
             return res.status(400).json({
                 success: false,
                 error: 'validation_error',
-                message: 'html_code is required',
+                message: error.details[0].message,
                 timestamp: new Date().toISOString()
             });
         }
-
+        
         // Check if screenshot service is available
         if (!screenshotService.isReady()) {
             return res.status(503).json({
@@ -507,39 +1011,52 @@ app.post('/screenshot', async (req, res) => {
                 timestamp: new Date().toISOString()
             });
         }
-
-        // Define viewport options
-        const viewportOptions = {
-            desktop: { width: 1200, height: 800, deviceScaleFactor: 1, fullPage: true },
-            tablet: { width: 768, height: 1024, deviceScaleFactor: 2, fullPage: true },
-            mobile: { width: 375, height: 667, deviceScaleFactor: 2, fullPage: true }
-        };
-
-        const options = viewportOptions[viewport] || viewportOptions.desktop;
-        options.format = format;
-
+        
+        const viewport = resolveViewport(viewportFromRequest(value.viewport));
+        const renderMode = value.render_mode || screenshotService.renderMode;
+        
         // Generate screenshot
         const screenshotDataUrl = await screenshotService.generateScreenshotDataUrl(
-            html_code, 
-            css_code || '', 
-            options
+            value.html_code,
+            value.css_code || '',
+            {
+                ...viewport,
+                fullPage: value.full_page,
+                selector: value.selector,
+                colorScheme: value.color_scheme,
+                format: value.format,
+                renderMode
+            }
         );
-
+        
         const processingTime = Date.now() - startTime;
-
+        
         res.json({
             success: true,
             data: {
                 screenshot: screenshotDataUrl,
-                viewport,
-                format,
+                viewport: viewport.device,
+                viewport_size: viewportToResponse(viewport),
+                format: value.format,
+                selector: value.selector || null,
+                color_scheme: value.color_scheme || null,
+                render_mode: renderMode,
                 generation_time: processingTime
             },
             message: 'Screenshot generated successfully',
             timestamp: new Date().toISOString()
         });
-
+        
     } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
         console.error('Screenshot generation error:', error);
         
         const processingTime = Date.now() - startTime;
@@ -558,20 +1075,2075 @@ app.post('/screenshot', async (req, res) => {
     }
 });
 
-// =============================================================================
-// ERROR HANDLING
-// =============================================================================
-
 /**
- * Handle 404 errors
+ * @swagger
+ * /devices:
+ *   get:
+ *     summary: List device presets
+ *     description: Named devices that screenshots, previews and comparisons can render as, with their viewport size, pixel ratio, user agent and touch emulation. A null user_agent keeps the browser's own.
+ *     tags: [Screenshot Generation]
+ *     responses:
+ *       200:
+ *         description: Device presets by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     devices:
+ *                       type: object
+ *                       additionalProperties:
+ *                         $ref: '#/components/schemas/DeviceViewport'
+ *                     responsive:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Devices of a responsive screenshot set
  */
-app.use('*', (req, res) => {
-    res.status(404).json({
-        success: false,
-        error: 'not_found',
-        message: 'Endpoint not found',
-        timestamp: new Date().toISOString()
-    });
+app.get('/devices', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            devices: Object.fromEntries(Object.entries(DEVICES).map(([name, device]) => [name, viewportToResponse(device)])),
+            responsive: RESPONSIVE_DEVICES
+        },
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * @swagger
+ * /audit/accessibility:
+ *   post:
+ *     summary: Audit the accessibility of a homepage
+ *     description: Renders a stored homepage (homepage_id) or raw HTML (html_code, css_code) in the screenshot browser (faithful render mode, Tailwind served locally and every other network request blocked) and runs an axe-core style rule set. Violations are returned with the failing elements, their impact and WCAG references. With `fix` set, the violations are sent to the generator to produce a fixed version, which is audited again; for stored homepages the fixed version is saved as a new revision. Returns 409 when the homepage changed while the fix was running.
+ *     tags: [Accessibility]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AccessibilityAuditRequest'
+ *           example:
+ *             homepage_id: "2b0c6f0e-5d5a-4a8e-9d33-0f1e7f1b6a10"
+ *             fix: true
+ *     responses:
+ *       200:
+ *         description: Audit completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/AccessibilityAuditResult'
+ *       400:
+ *         description: Invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Homepage not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The homepage changed during the fix
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Screenshot service unavailable, or LLM provider not configured for a fix
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Audit or fix failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/audit/accessibility', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        const { error, value } = validateAccessibilityAuditRequest(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (!screenshotService.isReady()) {
+            return res.status(503).json({
+                success: false,
+                error: 'service_unavailable',
+                message: 'Screenshot service is not available',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        let homepage = null;
+        if (value.homepage_id) {
+            homepage = await storage.get(value.homepage_id);
+            if (!homepage) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'not_found',
+                    message: `Homepage ${value.homepage_id} not found`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+        const target = homepage || { id: 'inline', html_code: value.html_code, css_code: value.css_code || '' };
+        
+        if (value.fix) {
+            const provider = generator.getProvider(value.provider || generator.providerName);
+            if (!provider.isConfigured()) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'service_unavailable',
+                    message: `LLM provider ${provider.name} is not configured`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+        
+        const audit = await screenshotService.auditAccessibility(target.html_code, target.css_code || '', {
+            rules: value.rules
+        });
+        
+        let fixed = null;
+        if (value.fix && audit.violations.length > 0) {
+            const result = await generator.fixAccessibility({
+                homepage: target,
+                violations: audit.violations,
+                provider: value.provider,
+                model: value.model
+            });
+            
+            let revision = null;
+            if (homepage) {
+                // The fix rewrites the whole page, so it only applies to the revision that was audited
+                const auditedRevision = homepage.revision || 1;
+                const updated = await storage.addRevision(homepage.id, record => {
+                    if ((record.revision || 1) !== auditedRevision) {
+                        const conflict = new Error(`Homepage ${homepage.id} changed to revision ${record.revision} during the accessibility fix`);
+                        conflict.status = 409;
+                        throw conflict;
+                    }
+                    return { html_code: result.html_code, css_code: result.css_code };
+                }, {
+                    type: 'accessibility_fixed',
+                    inputs: { rules: audit.violations.map(violation => violation.rule) },
+                    provider: result.provider,
+                    model: result.model,
+                    prompt_hash: result.prompt_hash,
+                    summary: result.summary
+                });
+                revision = updated ? updated.revision : null;
+                previewService.invalidate(homepage.id);
+            }
+            
+            const recheck = await screenshotService.auditAccessibility(result.html_code, result.css_code || '', {
+                rules: value.rules
+            });
+            
+            fixed = {
+                revision,
+                summary: result.summary,
+                html_code: result.html_code,
+                css_code: result.css_code,
+                violations: recheck.violations,
+                audit_summary: recheck.summary,
+                attempts: result.attempts,
+                tokens_used: result.tokens_used,
+                provider: result.provider,
+                model: result.model
+            };
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                homepage_id: homepage ? homepage.id : null,
+                revision: homepage ? homepage.revision || 1 : null,
+                violations: audit.violations,
+                summary: audit.summary,
+                fixed,
+                generation_time: Date.now() - startTime
+            },
+            message: audit.violations.length
+                ? `Found ${audit.summary.nodes} accessibility violations`
+                : 'No accessibility violations found',
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({
+                success: false,
+                error: 'conflict',
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        console.error('Accessibility audit error:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: 'audit_failed',
+            message: error.message || 'Failed to audit accessibility',
+            details: {
+                processing_time: Date.now() - startTime,
+                error_type: error.constructor.name
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /render/pdf:
+ *   post:
+ *     summary: Print a homepage to PDF
+ *     description: Prints a stored homepage (homepage_id) or raw HTML (html_code, css_code) to a print-quality PDF in the screenshot service's browser, as a leave-behind document for prospects. Page size, orientation, margins and background graphics are configurable. With `cover` set, the PDF starts with a cover page showing the business name and the page's quality score. Pages render in faithful mode by default, so Tailwind styles apply without network access.
+ *     tags: [Screenshot Generation]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RenderPdfRequest'
+ *           example:
+ *             homepage_id: "2b0c6f0e-5d5a-4a8e-9d33-0f1e7f1b6a10"
+ *             page_size: "A4"
+ *             margin: "12mm"
+ *             cover: true
+ *     responses:
+ *       200:
+ *         description: PDF document
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Homepage not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Screenshot service unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: PDF generation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/render/pdf', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        const { error, value } = validateRenderPdfRequest(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (!screenshotService.isReady()) {
+            return res.status(503).json({
+                success: false,
+                error: 'service_unavailable',
+                message: 'Screenshot service is not available',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        let homepage = null;
+        if (value.homepage_id) {
+            homepage = await storage.get(value.homepage_id);
+            if (!homepage) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'not_found',
+                    message: `Homepage ${value.homepage_id} not found`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+        const target = homepage || {
+            business_name: value.business_name || 'Homepage',
+            html_code: value.html_code,
+            css_code: value.css_code || ''
+        };
+        
+        const pdf = await renderHomepagePdf(target, value);
+        
+        res.attachment(`${slugify(target.business_name)}.pdf`);
+        res.type('application/pdf').send(pdf);
+        
+    } catch (error) {
+        console.error('PDF render error:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: 'pdf_generation_failed',
+            message: error.message || 'Failed to generate PDF',
+            details: {
+                processing_time: Date.now() - startTime,
+                error_type: error.constructor.name
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /render/diff:
+ *   post:
+ *     summary: Visual diff of two renderings
+ *     description: Renders two pages the same way and compares them pixel by pixel, e.g. to check how a prompt change altered the output. Each side is raw HTML (html_code, css_code) or a stored homepage (homepage_id) at its current or a given revision. Returns the percentage of changed pixels, bounding boxes of the changed regions (largest first) and, unless include_images is false, the two screenshots and a diff image with changes in red. `threshold` (0-1) is the per-pixel color distance below which pixels count as unchanged. Pages of different heights are compared over the larger size.
+ *     tags: [Screenshot Generation]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisualDiffRequest'
+ *           example:
+ *             before:
+ *               homepage_id: "2b0c6f0e-5d5a-4a8e-9d33-0f1e7f1b6a10"
+ *               revision: 1
+ *             after:
+ *               homepage_id: "2b0c6f0e-5d5a-4a8e-9d33-0f1e7f1b6a10"
+ *             viewport: "mobile"
+ *             threshold: 0.1
+ *     responses:
+ *       200:
+ *         description: Visual diff
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/VisualDiffResult'
+ *       400:
+ *         description: Invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Homepage or revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Screenshot service unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Visual diff failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/render/diff', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        const { error, value } = validateVisualDiffRequest(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (!screenshotService.isReady()) {
+            return res.status(503).json({
+                success: false,
+                error: 'service_unavailable',
+                message: 'Screenshot service is not available',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const sides = {};
+        for (const name of ['before', 'after']) {
+            sides[name] = await resolveDiffSide(value[name]);
+            if (!sides[name]) {
+                const { homepage_id, revision } = value[name];
+                return res.status(404).json({
+                    success: false,
+                    error: 'not_found',
+                    message: revision
+                        ? `Revision ${revision} of homepage ${homepage_id} not found`
+                        : `Homepage ${homepage_id} not found`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+        
+        const viewport = resolveViewport(viewportFromRequest(value.viewport));
+        const { before, after, diff, ...result } = await screenshotService.generateVisualDiff(sides.before, sides.after, {
+            ...viewport,
+            fullPage: value.full_page,
+            colorScheme: value.color_scheme,
+            renderMode: value.render_mode,
+            threshold: value.threshold,
+            includeAA: value.include_aa
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                before: { homepage_id: sides.before.homepage_id, revision: sides.before.revision },
+                after: { homepage_id: sides.after.homepage_id, revision: sides.after.revision },
+                viewport: viewport.device,
+                viewport_size: viewportToResponse(viewport),
+                threshold: value.threshold,
+                ...result,
+                images: value.include_images
+                    ? {
+                        before: `data:image/png;base64,${before.toString('base64')}`,
+                        after: `data:image/png;base64,${after.toString('base64')}`,
+                        diff: `data:image/png;base64,${diff.toString('base64')}`
+                    }
+                    : null,
+                generation_time: Date.now() - startTime
+            },
+            message: `${result.difference_percent}% of pixels changed`,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Visual diff error:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: 'visual_diff_failed',
+            message: error.message || 'Failed to compute visual diff',
+            details: {
+                processing_time: Date.now() - startTime,
+                error_type: error.constructor.name
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /homepages:
+ *   get:
+ *     summary: List stored homepages
+ *     description: Returns stored homepages, newest first, without their generated code
+ *     tags: [Homepages]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: business_name
+ *         description: Case-insensitive substring match on the business name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: style
+ *         description: Exact match on the applied style
+ *         schema:
+ *           type: string
+ *           enum: [modern, classic, minimal, bold, professional]
+ *       - in: query
+ *         name: batch_id
+ *         description: Only the variants generated in this batch
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Homepages listed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HomepageList'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/homepages', async (req, res, next) => {
+    try {
+        const { error, value } = validateListHomepagesQuery(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const page = await storage.list(value);
+        
+        res.json({
+            success: true,
+            data: page,
+            message: 'Homepages retrieved successfully',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /homepages/{id}:
+ *   get:
+ *     summary: Get a stored homepage
+ *     description: Returns a stored homepage including its generated code, input analysis and metadata
+ *     tags: [Homepages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Homepage retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/HomepageRecord'
+ *                 message:
+ *                   type: string
+ *                   example: "Homepage retrieved successfully"
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Homepage not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Delete a stored homepage
+ *     tags: [Homepages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Homepage deleted successfully
+ *       404:
+ *         description: Homepage not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/homepages/:id', async (req, res, next) => {
+    try {
+        const homepage = await storage.get(req.params.id);
+        if (!homepage) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${req.params.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        // The revision history is large and not part of the record view
+        const { revisions, ...record } = homepage;
+        
+        res.json({
+            success: true,
+            data: record,
+            message: 'Homepage retrieved successfully',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /homepages/{id}/export:
+ *   get:
+ *     summary: Export a stored homepage
+ *     description: Converts a stored homepage into a downloadable project. `nextjs` produces a minimal Next.js app-router project (app/page.tsx, app/layout.tsx, app/globals.css, Tailwind config, package.json) with page sections split into components. `static` produces a bundle for any static host (index.html, styles.css, main.js, robots.txt, sitemap.xml, favicon.svg). `pdf` prints the homepage to a PDF document, with the same options as /render/pdf.
+ *     tags: [Homepages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [nextjs, static, pdf]
+ *       - in: query
+ *         name: tailwind
+ *         description: Static export only. `local` replaces the Tailwind CDN with a stylesheet compiled from the classes the page uses.
+ *         schema:
+ *           type: string
+ *           enum: [cdn, local]
+ *           default: cdn
+ *       - in: query
+ *         name: base_url
+ *         description: Static export only. Site URL for robots.txt and sitemap.xml (defaults to the analyzed site's URL)
+ *         schema:
+ *           type: string
+ *           format: uri
+ *       - in: query
+ *         name: page_size
+ *         description: PDF export only
+ *         schema:
+ *           type: string
+ *           enum: [A4, A3, A5, Letter, Legal, Tabloid]
+ *           default: A4
+ *       - in: query
+ *         name: landscape
+ *         description: PDF export only
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: margin
+ *         description: PDF export only. Margin on every side as a CSS length (mm, cm, in or px)
+ *         schema:
+ *           type: string
+ *           default: 12mm
+ *       - in: query
+ *         name: print_background
+ *         description: PDF export only. Print background colors and images
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *       - in: query
+ *         name: cover
+ *         description: PDF export only. Start with a cover page showing the business name and quality score
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: render_mode
+ *         description: PDF export only
+ *         schema:
+ *           type: string
+ *           enum: [standard, faithful]
+ *           default: faithful
+ *     responses:
+ *       200:
+ *         description: Zip archive of the exported project, or a PDF document for `pdf`
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid export format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Homepage not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Screenshot service unavailable (PDF export only)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/homepages/:id/export', async (req, res, next) => {
+    try {
+        const { error, value } = validateExportQuery(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const homepage = await storage.get(req.params.id);
+        if (!homepage) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${req.params.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (value.format === 'pdf') {
+            if (!screenshotService.isReady()) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'service_unavailable',
+                    message: 'Screenshot service is not available',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const pdf = await renderHomepagePdf(homepage, value);
+            res.attachment(`${slugify(homepage.business_name)}.pdf`);
+            return res.type('application/pdf').send(pdf);
+        }
+        
+        const files = value.format === 'static'
+            ? await buildStaticSite(homepage, { tailwind: value.tailwind, baseUrl: value.base_url })
+            : buildNextjsProject(homepage);
+        
+        const folder = `${slugify(homepage.business_name)}-${value.format}`;
+        const archive = await createZip(files, folder);
+        
+        res.attachment(`${folder}.zip`);
+        res.type('application/zip').send(archive);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /homepages/{id}/sections/{sectionId}/regenerate:
+ *   post:
+ *     summary: Regenerate one section of a stored homepage
+ *     description: Asks the LLM provider for a new version of the element with the given id (header, section, footer, ...), optionally following instructions. Only that element is replaced in the stored HTML; the rest of the page stays byte-identical. The result is stored as a new revision of the homepage.
+ *     tags: [Homepages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         description: id attribute of the section, e.g. hero
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegenerateSectionRequest'
+ *           example:
+ *             instructions: "Make the headline shorter and add a second call to action"
+ *     responses:
+ *       200:
+ *         description: Section regenerated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/SectionRegenerationResult'
+ *                 message:
+ *                   type: string
+ *                   example: "Section regenerated successfully"
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Homepage or section not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Regeneration failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: LLM provider not configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/homepages/:id/sections/:sectionId/regenerate', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        const { error, value } = validateRegenerateSectionRequest(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const { sectionId } = req.params;
+        if (!SECTION_ID_PATTERN.test(sectionId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: 'Section id may only contain letters, digits, hyphens and underscores',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const homepage = await storage.get(req.params.id);
+        if (!homepage) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${req.params.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (!locateSection(homepage.html_code, sectionId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Section ${sectionId} not found in homepage ${homepage.id}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const provider = generator.getProvider(value.provider || generator.providerName);
+        if (!provider.isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'service_unavailable',
+                message: `LLM provider ${provider.name} is not configured`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const result = await generator.regenerateSection({
+            homepage,
+            sectionId,
+            instructions: value.instructions,
+            provider: value.provider,
+            model: value.model
+        });
+        
+        // Splice into the latest stored HTML in case another edit landed meanwhile
+        const updated = await storage.addRevision(homepage.id, record => {
+            const located = locateSection(record.html_code, sectionId);
+            if (!located) {
+                throw new Error(`Section ${sectionId} was removed while it was being regenerated`);
+            }
+            return { html_code: replaceSection(record.html_code, located, result.section_html) };
+        }, {
+            type: 'section_regenerated',
+            inputs: { section_id: sectionId, instructions: value.instructions || null },
+            provider: result.provider,
+            model: result.model,
+            prompt_hash: result.prompt_hash
+        });
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${homepage.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        previewService.invalidate(homepage.id);
+        
+        res.json({
+            success: true,
+            data: {
+                id: updated.id,
+                revision: updated.revision,
+                section: result.section,
+                section_html: result.section_html,
+                html_code: updated.html_code,
+                quality: scoreRecord(updated),
+                output_fixes: result.output_fixes,
+                attempts: result.attempts,
+                tokens_used: result.tokens_used,
+                provider: result.provider,
+                model: result.model,
+                generation_time: Date.now() - startTime
+            },
+            message: 'Section regenerated successfully',
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Section regeneration error:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: 'generation_failed',
+            message: error.message || 'Failed to regenerate section',
+            details: {
+                processing_time: Date.now() - startTime,
+                error_type: error.constructor.name
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /homepages/{id}/refine:
+ *   post:
+ *     summary: Refine a stored homepage with a free-text instruction
+ *     description: Sends the current HTML and CSS of the homepage, the instruction and the earlier instructions of its conversation thread to the LLM provider. The updated page is stored as a new revision and returned with a unified diff against the previous revision. Returns 409 when the homepage changed while the refinement was running.
+ *     tags: [Homepages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefineRequest'
+ *           example:
+ *             instruction: "Use a darker palette and move testimonials above services"
+ *     responses:
+ *       200:
+ *         description: Homepage refined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/RefinementResult'
+ *                 message:
+ *                   type: string
+ *                   example: "Homepage refined successfully"
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Homepage not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The homepage changed during the refinement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Refinement failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: LLM provider not configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/homepages/:id/refine', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        const { error, value } = validateRefineRequest(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const homepage = await storage.get(req.params.id);
+        if (!homepage) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${req.params.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const provider = generator.getProvider(value.provider || generator.providerName);
+        if (!provider.isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'service_unavailable',
+                message: `LLM provider ${provider.name} is not configured`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const result = await generator.refineHomepage({
+            homepage,
+            instruction: value.instruction,
+            conversation: getConversation(homepage),
+            provider: value.provider,
+            model: value.model
+        });
+        
+        // The refinement rewrites the whole page, so it only applies to the revision it started from
+        const baseRevision = homepage.revision || 1;
+        const updated = await storage.addRevision(homepage.id, record => {
+            if ((record.revision || 1) !== baseRevision) {
+                const conflict = new Error(`Homepage ${homepage.id} changed to revision ${record.revision} during the refinement`);
+                conflict.status = 409;
+                throw conflict;
+            }
+            return { html_code: result.html_code, css_code: result.css_code };
+        }, {
+            type: REFINEMENT_CHANGE,
+            inputs: { instruction: value.instruction },
+            provider: result.provider,
+            model: result.model,
+            prompt_hash: result.prompt_hash,
+            summary: result.summary
+        });
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${homepage.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        previewService.invalidate(homepage.id);
+        
+        res.json({
+            success: true,
+            data: {
+                id: updated.id,
+                revision: updated.revision,
+                summary: result.summary,
+                html_code: updated.html_code,
+                css_code: updated.css_code,
+                diff: diffHomepages(homepage, updated, {
+                    from: `revision ${baseRevision}`,
+                    to: `revision ${updated.revision}`
+                }),
+                conversation: getConversation(updated),
+                quality: scoreRecord(updated),
+                output_fixes: result.output_fixes,
+                attempts: result.attempts,
+                tokens_used: result.tokens_used,
+                provider: result.provider,
+                model: result.model,
+                generation_time: Date.now() - startTime
+            },
+            message: 'Homepage refined successfully',
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({
+                success: false,
+                error: 'conflict',
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        console.error('Homepage refinement error:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: 'generation_failed',
+            message: error.message || 'Failed to refine homepage',
+            details: {
+                processing_time: Date.now() - startTime,
+                error_type: error.constructor.name
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /homepages/{id}/conversation:
+ *   get:
+ *     summary: Get the refinement conversation of a stored homepage
+ *     description: Lists the instructions applied with /homepages/{id}/refine, oldest first, with the summary the model gave and the revision each one produced.
+ *     tags: [Homepages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation thread
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     revision:
+ *                       type: integer
+ *                     conversation:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ConversationTurn'
+ *       404:
+ *         description: Homepage not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/homepages/:id/conversation', async (req, res, next) => {
+    try {
+        const homepage = await storage.get(req.params.id);
+        if (!homepage) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${req.params.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                id: homepage.id,
+                revision: homepage.revision || 1,
+                conversation: getConversation(homepage)
+            },
+            message: 'Conversation retrieved successfully',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /homepages/{id}/quality:
+ *   get:
+ *     summary: Score the current code of a stored homepage
+ *     description: Runs the quality checks on the homepage's current revision. The quality in the homepage metadata is the score at generation time; refinements and section regenerations change it.
+ *     tags: [Homepages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quality score
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     revision:
+ *                       type: integer
+ *                     quality:
+ *                       $ref: '#/components/schemas/QualityReport'
+ *       404:
+ *         description: Homepage not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/homepages/:id/quality', async (req, res, next) => {
+    try {
+        const homepage = await storage.get(req.params.id);
+        if (!homepage) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${req.params.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                id: homepage.id,
+                revision: homepage.revision || 1,
+                quality: scoreRecord(homepage)
+            },
+            message: 'Quality score computed successfully',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /homepages/{id}/compare:
+ *   post:
+ *     summary: Compare a stored homepage with the original site
+ *     description: Renders the original site's HTML (original_html, or analysis_result.website_content.html of the stored homepage) and the homepage's current revision at each viewport. Returns same-size before and after screenshots for a slider, a side-by-side composite, and a comparison of page size, heading count, calls to action and quality score. Relative URLs in the original resolve against analysis_result.url.
+ *     tags: [Homepages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ComparisonRequest'
+ *     responses:
+ *       200:
+ *         description: Comparison rendered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ComparisonResult'
+ *       400:
+ *         description: Invalid request data, or no original HTML
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Homepage not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Screenshot service unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/homepages/:id/compare', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        const { error, value } = validateComparisonRequest(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const homepage = await storage.get(req.params.id);
+        if (!homepage) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${req.params.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const original = resolveOriginalPage(homepage, { html: value.original_html, css: value.original_css });
+        if (!original) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: 'No original HTML: send original_html or store it in analysis_result.website_content.html',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (!screenshotService.isReady()) {
+            return res.status(503).json({
+                success: false,
+                error: 'service_unavailable',
+                message: 'Screenshot service is not available',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const viewports = await screenshotService.generateComparison(
+            { html: withBaseUrl(original.html, original.base_url), css: original.css },
+            { html: homepage.html_code, css: homepage.css_code },
+            { viewports: value.viewports, format: value.format }
+        );
+        
+        res.json({
+            success: true,
+            data: {
+                id: homepage.id,
+                revision: homepage.revision || 1,
+                original_source: original.source,
+                metrics: compareMetrics(
+                    { htmlCode: original.html, cssCode: original.css },
+                    { htmlCode: homepage.html_code, cssCode: homepage.css_code },
+                    (homepage.analysis_result && homepage.analysis_result.business_info) || {}
+                ),
+                viewports,
+                generation_time: Date.now() - startTime
+            },
+            message: 'Comparison generated successfully',
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Comparison error:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: 'screenshot_generation_failed',
+            message: error.message || 'Failed to generate comparison',
+            details: {
+                processing_time: Date.now() - startTime,
+                error_type: error.constructor.name
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /homepages/{id}/revisions:
+ *   get:
+ *     summary: List the revisions of a stored homepage
+ *     description: Every generation, section regeneration, refinement and revert is a numbered revision. Each entry records its type, inputs, provider, model and prompt hash; code is left out (see /homepages/{id}/revisions/{n}).
+ *     tags: [Homepages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revision history, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     revision:
+ *                       type: integer
+ *                       description: Current revision
+ *                     revisions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/HomepageRevision'
+ *       404:
+ *         description: Homepage not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/homepages/:id/revisions', async (req, res, next) => {
+    try {
+        const homepage = await storage.get(req.params.id);
+        if (!homepage) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${req.params.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                id: homepage.id,
+                revision: homepage.revision || 1,
+                revisions: HomepageStorage.getRevisions(homepage).map(HomepageStorage.summarizeRevision)
+            },
+            message: 'Revisions retrieved successfully',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /homepages/{id}/revisions/{n}:
+ *   get:
+ *     summary: Get one revision of a stored homepage, including its code
+ *     tags: [Homepages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: n
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Revision with html_code, css_code and js_code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/HomepageRevision'
+ *       400:
+ *         description: Invalid revision number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Homepage or revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/homepages/:id/revisions/:n', async (req, res, next) => {
+    try {
+        const { error, value: number } = validateRevisionNumber(req.params.n);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const homepage = await storage.get(req.params.id);
+        if (!homepage) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${req.params.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const revision = HomepageStorage.getRevisions(homepage).find(entry => entry.revision === number);
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Revision ${number} of homepage ${homepage.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: revision,
+            message: 'Revision retrieved successfully',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /homepages/{id}/diff:
+ *   get:
+ *     summary: Compare two revisions of a stored homepage
+ *     description: Returns a structural HTML diff (elements added, removed, moved, or with changed attributes or text, each with a CSS selector path) and unified line diffs of the HTML and CSS. Without parameters the current revision is compared with the one before it.
+ *     tags: [Homepages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Base revision (defaults to the revision before `to`)
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: to
+ *         description: Revision to compare (defaults to the current revision)
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Differences between the two revisions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/RevisionDiff'
+ *       400:
+ *         description: Invalid revision numbers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Homepage or revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/homepages/:id/diff', async (req, res, next) => {
+    try {
+        const { error, value } = validateRevisionDiffQuery(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const homepage = await storage.get(req.params.id);
+        if (!homepage) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${req.params.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const revisions = HomepageStorage.getRevisions(homepage);
+        const to = value.to || homepage.revision || 1;
+        const from = value.from || to - 1;
+        if (from < 1) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: `Revision ${to} has no earlier revision; pass "from" to compare it with a later one`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const before = revisions.find(entry => entry.revision === from);
+        const after = revisions.find(entry => entry.revision === to);
+        if (!before || !after) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Revision ${before ? to : from} of homepage ${homepage.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                id: homepage.id,
+                from,
+                to,
+                structure: diffHtmlStructure(before.html_code, after.html_code),
+                patch: diffHomepages(before, after, { from: `revision ${from}`, to: `revision ${to}` })
+            },
+            message: 'Revisions compared successfully',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /homepages/{id}/revisions/{n}/revert:
+ *   post:
+ *     summary: Restore an earlier revision of a stored homepage
+ *     description: Copies the code of revision n into a new revision, which becomes the current one. Later revisions stay in the history. The refinement conversation is rewound to what it was at revision n.
+ *     tags: [Homepages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: n
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Revision restored as the new current revision
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/HomepageRevision'
+ *       400:
+ *         description: Invalid revision number, or the revision is already current
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Homepage or revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/homepages/:id/revisions/:n/revert', async (req, res, next) => {
+    try {
+        const { error, value: number } = validateRevisionNumber(req.params.n);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const homepage = await storage.get(req.params.id);
+        if (!homepage) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${req.params.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const target = HomepageStorage.getRevisions(homepage).find(entry => entry.revision === number);
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Revision ${number} of homepage ${homepage.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        if (number === (homepage.revision || 1)) {
+            return res.status(400).json({
+                success: false,
+                error: 'validation_error',
+                message: `Revision ${number} is already the current revision`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const updated = await storage.addRevision(homepage.id, {
+            html_code: target.html_code,
+            css_code: target.css_code,
+            js_code: target.js_code
+        }, {
+            type: 'reverted',
+            inputs: { revision: number },
+            summary: `Restored revision ${number}`
+        });
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${homepage.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        previewService.invalidate(homepage.id);
+        
+        res.json({
+            success: true,
+            data: updated.revisions[updated.revisions.length - 1],
+            message: `Revision ${number} restored as revision ${updated.revision}`,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/homepages/:id', async (req, res, next) => {
+    try {
+        const deleted = await storage.delete(req.params.id);
+        previewService.invalidate(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'not_found',
+                message: `Homepage ${req.params.id} not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: { id: req.params.id },
+            message: 'Homepage deleted successfully',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /preview:
+ *   post:
+ *     summary: Render a preview of a stored homepage
+ *     description: Renders a stored homepage at the viewport for the requested device type and returns the PNG image. Images are cached per homepage and device type.
+ *     tags: [Screenshot Generation]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PreviewRequest'
+ *     responses:
+ *       200:
+ *         description: Preview image
+ *         headers:
+ *           X-Preview-Cache:
+ *             description: HIT when the image was served from the preview cache
+ *             schema:
+ *               type: string
+ *               enum: [HIT, MISS]
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Homepage not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Screenshot service unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/preview', async (req, res) => {
+    await sendPreview(res, req.body);
+});
+
+/**
+ * @swagger
+ * /preview/{homepage_id}:
+ *   get:
+ *     summary: Render a preview of a stored homepage
+ *     description: Same as POST /preview, addressable as an image URL
+ *     tags: [Screenshot Generation]
+ *     parameters:
+ *       - in: path
+ *         name: homepage_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: device_type
+ *         description: Device preset name (see /devices)
+ *         schema:
+ *           type: string
+ *           default: desktop
+ *     responses:
+ *       200:
+ *         description: Preview image
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid request data
+ *       404:
+ *         description: Homepage not found
+ *       503:
+ *         description: Screenshot service unavailable
+ */
+app.get('/preview/:homepage_id', async (req, res) => {
+    await sendPreview(res, {
+        homepage_id: req.params.homepage_id,
+        ...req.query
+    });
+});
+
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   get:
+ *     summary: Get generation job status
+ *     description: Returns the state of an asynchronous generation job (queued, running, succeeded or failed). Succeeded jobs include the generation result.
+ *     tags: [Homepage Generation]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/JobStatus'
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'not_found',
+            message: `Job ${req.params.id} not found`,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    res.json({
+        success: true,
+        data: job,
+        message: 'Job status retrieved successfully',
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * @swagger
+ * /providers:
+ *   get:
+ *     summary: List LLM providers
+ *     description: Returns each LLM provider that can be selected with the `provider` field of /generate, its default model, whether it is configured and its capabilities.
+ *     tags: [Homepage Generation]
+ *     responses:
+ *       200:
+ *         description: Providers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LLMProvider'
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ */
+app.get('/providers', (req, res) => {
+    res.json({
+        success: true,
+        data: generator.listProviders(),
+        message: 'Providers retrieved successfully',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// =============================================================================
+// ERROR HANDLING
+// =============================================================================
+
+/**
+ * Handle 404 errors
+ */
+app.use('*', (req, res) => {
+    res.status(404).json({
+        success: false,
+        error: 'not_found',
+        message: 'Endpoint not found',
+        timestamp: new Date().toISOString()
+    });
 });
 
 /**
@@ -596,48 +3168,62 @@ app.use((error, req, res, next) => {
 // SERVER STARTUP
 // =============================================================================
 
-const server = app.listen(PORT, '0.0.0.0', async () => {
-    console.log(`🚀 Homepage Builder Service running on port ${PORT}`);
-    console.log(`📊 Environment: ${NODE_ENV}`);
-    console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+/**
+ * Start listening and initialize the generator and screenshot service
+ * @param {number} port - Port to listen on
+ * @returns {http.Server}
+ */
+function startServer(port = PORT) {
+    const server = app.listen(port, '0.0.0.0', async () => {
+        console.log(`🚀 Homepage Builder Service running on port ${port}`);
+        console.log(`📊 Environment: ${NODE_ENV}`);
+        console.log(`🔗 Health check: http://localhost:${port}/health`);
+        
+        // Initialize generator and screenshot service
+        try {
+            await generator.initialize();
+            console.log('✅ Homepage generator initialized');
+        } catch (error) {
+            console.error('❌ Failed to initialize generator:', error);
+        }
+        
+        // Initialize screenshot service separately (non-blocking)
+        try {
+            await screenshotService.initialize();
+            if (screenshotService.isReady()) {
+                console.log('✅ Screenshot service initialized');
+            }
+        } catch (error) {
+            console.error('⚠️ Screenshot service initialization failed:', error.message);
+            console.log('📝 Service will continue without screenshot functionality');
+        }
+    });
     
-    // Initialize generator and screenshot service
-    try {
-        await generator.initialize();
-        console.log('✅ Homepage generator initialized');
-    } catch (error) {
-        console.error('❌ Failed to initialize generator:', error);
-    }
+    // Graceful shutdown
+    process.on('SIGTERM', async () => {
+        console.log('SIGTERM received, shutting down gracefully');
+        await screenshotService.cleanup();
+        server.close(() => {
+            console.log('Server closed');
+            process.exit(0);
+        });
+    });
     
-    // Initialize screenshot service separately (non-blocking)
-    try {
-        await screenshotService.initialize();
-        if (screenshotService.isReady()) {
-            console.log('✅ Screenshot service initialized');
-        }
-    } catch (error) {
-        console.error('⚠️ Screenshot service initialization failed:', error.message);
-        console.log('📝 Service will continue without screenshot functionality');
-    }
-});
-
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-    console.log('SIGTERM received, shutting down gracefully');
-    await screenshotService.cleanup();
-    server.close(() => {
-        console.log('Server closed');
-        process.exit(0);
+    process.on('SIGINT', async () => {
+        console.log('SIGINT received, shutting down gracefully');
+        await screenshotService.cleanup();
+        server.close(() => {
+            console.log('Server closed');
+            process.exit(0);
+        });
     });
-});
+    
+    return server;
+}
 
-process.on('SIGINT', async () => {
-    console.log('SIGINT received, shutting down gracefully');
-    await screenshotService.cleanup();
-    server.close(() => {
-        console.log('Server closed');
-        process.exit(0);
-    });
-});
+if (require.main === module) {
+    startServer();
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
+module.exports.startServer = startServer;
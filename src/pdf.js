@@ -0,0 +1,83 @@
+/**
+ * PDF Export for Homepage Builder
+ *
+ * This module handles:
+ * 1. Page size, orientation and margin options for printing
+ * 2. Cover page markup with the business name and quality score
+ * 3. Adding the cover page in front of a homepage document
+ */
+
+const cheerio = require('cheerio');
+const { escapeHtml } = require('./html');
+
+const PDF_PAGE_SIZES = ['A4', 'A3', 'A5', 'Letter', 'Legal', 'Tabloid'];
+
+// Margin on every side unless the request sets one
+const DEFAULT_MARGIN = '12mm';
+
+const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Margins for every side of the page
+ * @param {string|Object} margin - One CSS length for all sides, or { top, right, bottom, left }
+ * @returns {Object} { top, right, bottom, left }
+ */
+function normalizeMargin(margin = DEFAULT_MARGIN) {
+    if (typeof margin === 'string') {
+        return Object.fromEntries(MARGIN_SIDES.map(side => [side, margin]));
+    }
+    return Object.fromEntries(MARGIN_SIDES.map(side => [side, margin[side] || DEFAULT_MARGIN]));
+}
+
+/**
+ * Puppeteer page.pdf() options
+ * @param {Object} options - { pageSize, landscape, margin, printBackground }
+ * @returns {Object} PDF options
+ */
+function createPdfOptions({ pageSize = 'A4', landscape = false, margin = DEFAULT_MARGIN, printBackground = true } = {}) {
+    return {
+        format: pageSize,
+        landscape,
+        margin: normalizeMargin(margin),
+        printBackground,
+        preferCSSPageSize: false
+    };
+}
+
+/**
+ * Cover page for a homepage PDF. It fills the first page and breaks to the next.
+ * @param {Object} options - { businessName, qualityScore, date }
+ * @returns {string} Cover page markup with inline styles
+ */
+function createCoverHtml({ businessName, qualityScore = null, date = new Date() }) {
+    const score = qualityScore === null || qualityScore === undefined
+        ? ''
+        : `\n    <p style="margin: 32px 0 0; font-size: 20px; color: #1F2937;">Quality score: <strong>${escapeHtml(qualityScore)}/100</strong></p>`;
+
+    return `<section data-pdf-cover style="display: flex; flex-direction: column; justify-content: center; height: 90vh; padding: 0 48px; font-family: Arial, sans-serif; break-after: page; page-break-after: always;">
+    <p style="margin: 0 0 12px; font-size: 14px; letter-spacing: 0.1em; text-transform: uppercase; color: #6B7280;">Homepage proposal</p>
+    <h1 style="margin: 0; font-size: 44px; line-height: 1.2; color: #111827;">${escapeHtml(businessName || 'Homepage')}</h1>${score}
+    <p style="margin: 48px 0 0; font-size: 14px; color: #6B7280;">${escapeHtml(date.toISOString().slice(0, 10))}</p>
+</section>`;
+}
+
+/**
+ * Put a cover page at the start of a document's body
+ * @param {string} html - Complete HTML document
+ * @param {string} coverHtml - Markup from createCoverHtml
+ * @returns {string} Document with the cover page
+ */
+function withCoverPage(html, coverHtml) {
+    const $ = cheerio.load(html);
+    $('body').prepend(coverHtml);
+    return $.html();
+}
+
+module.exports = {
+    PDF_PAGE_SIZES,
+    DEFAULT_MARGIN,
+    normalizeMargin,
+    createPdfOptions,
+    createCoverHtml,
+    withCoverPage
+};
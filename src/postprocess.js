@@ -0,0 +1,312 @@
+/**
+ * Output Post-Processing for Homepage Builder
+ *
+ * This module handles:
+ * 1. Stripping markdown fences and prose around generated HTML
+ * 2. Detecting truncated documents (finish_reason, unclosed tags)
+ * 3. Removing scripts, iframes, frames, redirects and event handlers not on the allowlist
+ * 4. Reporting every fix it applied
+ */
+
+const cheerio = require('cheerio');
+
+/**
+ * Hosts generated pages may load scripts and iframes from. Only hosts that
+ * serve nothing but the allowed resource belong here: package CDNs such as
+ * unpkg.com or cdn.jsdelivr.net would let any third-party script through.
+ */
+const DEFAULT_ALLOWLIST = {
+    scriptHosts: ['cdn.tailwindcss.com'],
+    iframeHosts: ['www.google.com', 'maps.google.com', 'www.youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com']
+};
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose end tag HTML allows authors to omit
+const OPTIONAL_END_TAGS = new Set([
+    'html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'option', 'optgroup',
+    'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'colgroup', 'rb', 'rt', 'rp'
+]);
+
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href'];
+
+/**
+ * Strip markdown code fences and explanatory prose around the HTML
+ * @param {string} content - Raw model output
+ * @returns {Object} { html, fixes }
+ */
+function stripMarkdown(content) {
+    const fixes = [];
+    let html = (content || '').trim();
+
+    const fence = html.match(/```[a-zA-Z]*[^\S\n]*\n([\s\S]*?)(?:\n?```|$)/);
+    if (fence) {
+        html = fence[1].trim();
+        fixes.push({ type: 'stripped_code_fence', detail: 'Removed markdown code fence around the HTML' });
+    }
+
+    const documentStart = html.search(/<!DOCTYPE|<html[\s>]/i);
+    const start = documentStart >= 0 ? documentStart : html.indexOf('<');
+    if (start > 0) {
+        fixes.push({ type: 'stripped_prose', detail: `Removed ${start} characters of text before the HTML` });
+        html = html.slice(start);
+    }
+
+    const closingHtml = html.search(/<\/html>/i);
+    if (closingHtml >= 0) {
+        const end = closingHtml + '</html>'.length;
+        if (html.slice(end).trim()) {
+            fixes.push({ type: 'stripped_prose', detail: `Removed ${html.length - end} characters of text after </html>` });
+        }
+        html = html.slice(0, end);
+    }
+
+    return { html, fixes };
+}
+
+/**
+ * Find elements that are opened but never closed
+ * @param {string} html - HTML source
+ * @returns {Array<string>} Unclosed tag names, outermost first
+ */
+function findUnclosedTags(html) {
+    const stack = [];
+    const tokenPattern = /<!--[\s\S]*?(?:-->|$)|<!\w[^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)\b[^>]*?(\/?)>/g;
+    let match;
+
+    while ((match = tokenPattern.exec(html)) !== null) {
+        const [, closing, rawName, selfClosing] = match;
+        if (!rawName) {
+            continue;
+        }
+
+        const name = rawName.toLowerCase();
+
+        if (closing) {
+            const index = stack.lastIndexOf(name);
+            if (index >= 0) {
+                stack.length = index;
+            }
+            continue;
+        }
+
+        if (VOID_ELEMENTS.has(name) || selfClosing) {
+            continue;
+        }
+
+        // Skip raw text content so markup inside scripts and styles is not parsed
+        if (name === 'script' || name === 'style') {
+            const end = html.toLowerCase().indexOf(`</${name}`, tokenPattern.lastIndex);
+            if (end < 0) {
+                stack.push(name);
+                break;
+            }
+            tokenPattern.lastIndex = end;
+        }
+
+        stack.push(name);
+    }
+
+    return stack.filter(name => !OPTIONAL_END_TAGS.has(name));
+}
+
+/**
+ * Check whether generated HTML was cut off
+ * @param {string} html - HTML with fences and prose stripped
+ * @param {string|null} finishReason - finish_reason reported by the model
+ * @returns {Object} { truncated, reasons, unclosed_tags }
+ */
+function detectTruncation(html, finishReason = null) {
+    const reasons = [];
+
+    if (finishReason === 'length') {
+        reasons.push('finish_reason_length');
+    }
+
+    if (/<html[\s>]/i.test(html) && !/<\/html>\s*$/i.test(html)) {
+        reasons.push('missing_closing_html');
+    }
+
+    if (html.lastIndexOf('<') > html.lastIndexOf('>')) {
+        reasons.push('partial_tag');
+    }
+
+    const unclosedTags = findUnclosedTags(html);
+    if (unclosedTags.length > 0) {
+        reasons.push('unclosed_tags');
+    }
+
+    return {
+        truncated: reasons.length > 0,
+        reasons,
+        unclosed_tags: unclosedTags
+    };
+}
+
+/**
+ * Where a script or iframe URL points
+ * @param {string} url - Attribute value
+ * @returns {Object} { kind, host } where kind is 'same_origin' for relative URLs,
+ *   'remote' for http(s) URLs and 'other' for any other scheme (data:, javascript:, ...)
+ */
+function classifyUrl(url) {
+    // Browsers ignore surrounding whitespace and tabs or newlines inside URLs
+    const value = String(url).trim().replace(/[\t\n\r]/g, '');
+
+    // Protocol-relative URLs (and their backslash spellings) name a host
+    const absolute = /^[\\/]{2}/.test(value) ? `https:${value}` : value;
+    const scheme = absolute.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+    if (!scheme) {
+        return { kind: 'same_origin', host: null };
+    }
+    if (!/^https?$/i.test(scheme[1])) {
+        return { kind: 'other', host: null };
+    }
+
+    try {
+        return { kind: 'remote', host: new URL(absolute).hostname.toLowerCase() };
+    } catch (error) {
+        return { kind: 'other', host: null };
+    }
+}
+
+function isHostAllowed(host, allowedHosts) {
+    return !!host && allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+/**
+ * Relative URLs load from the page's own site and are allowed; absolute
+ * URLs only from allowed hosts; data:, javascript: and other schemes never
+ */
+function isSourceAllowed(url, allowedHosts) {
+    const { kind, host } = classifyUrl(url);
+    return kind === 'same_origin' || (kind === 'remote' && isHostAllowed(host, allowedHosts));
+}
+
+/**
+ * Remove disallowed scripts, iframes, plugins, event handlers and javascript: URLs
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Object} allowlist - { scriptHosts, iframeHosts }
+ * @returns {Array} Fixes applied
+ */
+function sanitizeDocument($, allowlist = DEFAULT_ALLOWLIST) {
+    const fixes = [];
+
+    $('script').each((index, element) => {
+        const script = $(element);
+        const src = script.attr('src');
+
+        if (src) {
+            if (!isSourceAllowed(src, allowlist.scriptHosts)) {
+                fixes.push({ type: 'removed_script', detail: `Removed script from ${src}` });
+                script.remove();
+            }
+            return;
+        }
+
+        // Inline scripts may stay unless they pull in third-party URLs, protocol-relative ones included
+        const urls = script.text().match(/(?:https?:)?\/\/[^\s'"`)]+/g) || [];
+        const thirdParty = urls.find(url => !isSourceAllowed(url, allowlist.scriptHosts));
+        if (thirdParty) {
+            fixes.push({ type: 'removed_script', detail: `Removed inline script referencing ${thirdParty}` });
+            script.remove();
+        }
+    });
+
+    $('iframe').each((index, element) => {
+        const src = $(element).attr('src') || '';
+        // srcdoc is inline markup that would bypass the checks above
+        if ($(element).attr('srcdoc') !== undefined) {
+            fixes.push({ type: 'removed_iframe', detail: 'Removed iframe with srcdoc' });
+            $(element).remove();
+        } else if (!src.trim() || !isSourceAllowed(src, allowlist.iframeHosts)) {
+            fixes.push({ type: 'removed_iframe', detail: `Removed iframe ${src || 'without src'}` });
+            $(element).remove();
+        }
+    });
+
+    // Frames load whole documents the iframe allowlist never sees
+    $('frameset, frame').each((index, element) => {
+        fixes.push({ type: 'removed_frame', detail: `Removed <${element.tagName}>` });
+        $(element).remove();
+    });
+
+    // A refresh navigates the page away and <base> re-points every relative URL checked above
+    $('meta[http-equiv]').each((index, element) => {
+        if ($(element).attr('http-equiv').trim().toLowerCase() === 'refresh') {
+            fixes.push({ type: 'removed_meta_refresh', detail: `Removed meta refresh ${$(element).attr('content') || ''}`.trim() });
+            $(element).remove();
+        }
+    });
+
+    $('base').each((index, element) => {
+        fixes.push({ type: 'removed_base', detail: `Removed <base> ${$(element).attr('href') || ''}`.trim() });
+        $(element).remove();
+    });
+
+    $('object, embed, applet').each((index, element) => {
+        fixes.push({ type: 'removed_embed', detail: `Removed <${element.tagName}>` });
+        $(element).remove();
+    });
+
+    $('*').each((index, element) => {
+        for (const name of Object.keys(element.attribs || {})) {
+            const value = element.attribs[name];
+
+            if (name.toLowerCase().startsWith('on')) {
+                fixes.push({ type: 'removed_event_handler', detail: `Removed ${name} from <${element.tagName}>` });
+                $(element).removeAttr(name);
+            } else if (URL_ATTRIBUTES.includes(name.toLowerCase()) && /^\s*javascript:/i.test(value)) {
+                fixes.push({ type: 'removed_javascript_url', detail: `Removed javascript: ${name} from <${element.tagName}>` });
+                $(element).removeAttr(name);
+            }
+        }
+    });
+
+    return fixes;
+}
+
+/**
+ * Run the full output pipeline on a model response
+ * @param {string} content - Raw model output
+ * @param {Object} options - { finishReason, allowlist }
+ * @returns {Object} { html, fixes, truncated, truncation }
+ */
+function processGeneratedHtml(content, { finishReason = null, allowlist = DEFAULT_ALLOWLIST } = {}) {
+    const stripped = stripMarkdown(content);
+    const fixes = [...stripped.fixes];
+    const truncation = detectTruncation(stripped.html, finishReason);
+
+    const isDocument = /<!DOCTYPE|<html[\s>]/i.test(stripped.html);
+    const $ = cheerio.load(stripped.html, null, isDocument);
+    const sanitizeFixes = sanitizeDocument($, allowlist);
+    fixes.push(...sanitizeFixes);
+
+    // Only re-serialize when needed so untouched output stays byte-identical
+    let html = stripped.html;
+    if (sanitizeFixes.length > 0 || truncation.unclosed_tags.length > 0 || truncation.reasons.includes('missing_closing_html')) {
+        html = $.html();
+        if (truncation.truncated) {
+            fixes.push({ type: 'closed_unclosed_tags', detail: 'Closed elements left open by the truncated output' });
+        }
+    }
+
+    return {
+        html,
+        fixes,
+        truncated: truncation.truncated,
+        truncation
+    };
+}
+
+module.exports = {
+    DEFAULT_ALLOWLIST,
+    stripMarkdown,
+    findUnclosedTags,
+    detectTruncation,
+    sanitizeDocument,
+    processGeneratedHtml
+};
@@ -0,0 +1,88 @@
+/**
+ * Preview Service for Homepage Builder
+ * Renders stored homepages per device type and caches the resulting images
+ */
+
+const { DEVICES, resolveViewport } = require('./devices');
+
+class PreviewService {
+    /**
+     * @param {ScreenshotService} screenshotService - Service used for rendering
+     * @param {HomepageStorage} storage - Storage holding generated homepages
+     * @param {Object} options - { maxEntries } cache size limit
+     */
+    constructor(screenshotService, storage, { maxEntries = 100 } = {}) {
+        this.screenshotService = screenshotService;
+        this.storage = storage;
+        this.maxEntries = maxEntries;
+        // Map preserves insertion order, which doubles as LRU order
+        this.cache = new Map();
+    }
+
+    /**
+     * Get a preview image for a stored homepage
+     * @param {string} homepageId - Stored homepage id
+     * @param {string} deviceType - Device preset name (see devices.js)
+     * @returns {Promise<Object|null>} { image, format, cached } or null when the homepage does not exist
+     */
+    async getPreview(homepageId, deviceType = 'desktop') {
+        const homepage = await this.storage.get(homepageId);
+        if (!homepage) {
+            this.invalidate(homepageId);
+            return null;
+        }
+
+        // Include the record version so edits to the homepage miss the cache
+        const key = `${homepageId}:${deviceType}:${homepage.updated_at}`;
+        const cached = this.cache.get(key);
+        if (cached) {
+            this.cache.delete(key);
+            this.cache.set(key, cached);
+            return { image: await cached, format: 'png', cached: true };
+        }
+
+        this.invalidate(homepageId, deviceType);
+
+        // Cache the pending render so concurrent requests share it
+        const render = this._render(homepage, deviceType);
+        this._store(key, render);
+
+        try {
+            return { image: await render, format: 'png', cached: false };
+        } catch (error) {
+            this.cache.delete(key);
+            throw error;
+        }
+    }
+
+    /**
+     * Drop cached previews for a homepage
+     * @param {string} homepageId - Stored homepage id
+     * @param {string} deviceType - Limit to one device type (optional)
+     */
+    invalidate(homepageId, deviceType = null) {
+        const prefix = deviceType ? `${homepageId}:${deviceType}:` : `${homepageId}:`;
+        for (const key of this.cache.keys()) {
+            if (key.startsWith(prefix)) {
+                this.cache.delete(key);
+            }
+        }
+    }
+
+    async _render(homepage, deviceType) {
+        return this.screenshotService.generateScreenshot(
+            homepage.html_code,
+            homepage.css_code || '',
+            { ...resolveViewport({ device: DEVICES[deviceType] ? deviceType : 'desktop' }), fullPage: true, format: 'png' }
+        );
+    }
+
+    _store(key, render) {
+        this.cache.set(key, render);
+        while (this.cache.size > this.maxEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+}
+
+module.exports = PreviewService;
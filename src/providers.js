@@ -0,0 +1,794 @@
+/**
+ * LLM Providers for Homepage Builder
+ *
+ * This module handles:
+ * 1. A common completion interface over different LLM APIs
+ * 2. OpenAI, Anthropic-style messages, Ollama and local fixture providers
+ * 3. Provider configuration and capability flags from environment variables
+ * 4. Recording and replaying provider responses for offline tests
+ *
+ * Every provider takes requests of the form
+ * { messages, model, temperature, maxTokens, jsonMode, task } and resolves to
+ * { content, finishReason, tokensUsed }, with finishReason normalized to
+ * 'stop', 'length' or null. `task` describes what the request is for (see
+ * FixtureProvider); live providers ignore it and it is not part of fixture keys.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const OpenAI = require('openai');
+const { escapeHtml } = require('./html');
+
+const DEFAULT_TIMEOUT = 120000;
+
+/**
+ * How providers are used: live calls, live calls saved to fixture files,
+ * fixture files only, or the canned fixture page for every provider
+ */
+const LLM_MODES = ['live', 'record', 'replay', 'mock'];
+
+// Replays default to the test fixtures; recordings go under output/ so a
+// deployed service in record mode never writes into the source tree
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'tests', 'fixtures', 'llm');
+const DEFAULT_RECORDING_DIR = path.join(__dirname, '..', 'output', 'llm-fixtures');
+
+/**
+ * Wrap HTTP errors so callers can inspect error.status regardless of client
+ */
+function toProviderError(name, error) {
+    if (!error.response) {
+        return error;
+    }
+
+    const data = error.response.data;
+    const detail = data && data.error && (data.error.message || data.error);
+    const wrapped = new Error(`${name} request failed with ${error.response.status}` +
+        (typeof detail === 'string' ? `: ${detail}` : ''));
+    wrapped.status = error.response.status;
+    return wrapped;
+}
+
+/**
+ * Split a text stream into lines
+ */
+async function* readLines(stream) {
+    let buffer = '';
+    stream.setEncoding('utf8');
+
+    for await (const chunk of stream) {
+        buffer += chunk;
+        let index;
+        while ((index = buffer.indexOf('\n')) >= 0) {
+            yield buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+        }
+    }
+
+    if (buffer) {
+        yield buffer;
+    }
+}
+
+/**
+ * Report content to onDelta in fixed-size chunks
+ */
+function emitChunks(content, onDelta, chunkSize = 200) {
+    for (let index = 0; index < content.length; index += chunkSize) {
+        onDelta(content.slice(index, index + chunkSize));
+    }
+}
+
+/**
+ * Rough token count of a text (about four characters per token)
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * Base class for LLM providers
+ */
+class LLMProvider {
+    /**
+     * @param {string} name - Provider name used for selection
+     * @param {Object} config - Provider configuration (model, apiKey, baseUrl, ...)
+     * @param {Object} capabilities - { streaming, jsonMode }
+     */
+    constructor(name, config = {}, capabilities = {}) {
+        this.name = name;
+        this.config = config;
+        this.model = config.model;
+        this.capabilities = {
+            streaming: false,
+            jsonMode: false,
+            ...capabilities
+        };
+    }
+
+    /**
+     * Whether the provider has the configuration it needs to make requests
+     */
+    isConfigured() {
+        return true;
+    }
+
+    supports(capability) {
+        return !!this.capabilities[capability];
+    }
+
+    /**
+     * Summary safe to expose over the API (no credentials)
+     */
+    describe() {
+        return {
+            name: this.name,
+            model: this.model,
+            base_url: this.config.baseUrl || null,
+            configured: this.isConfigured(),
+            capabilities: { ...this.capabilities }
+        };
+    }
+
+    /**
+     * Run a completion and resolve with the full response
+     * @returns {Promise<Object>} { content, finishReason, tokensUsed }
+     */
+    async complete(request) {
+        throw new Error(`${this.name} provider does not implement complete()`);
+    }
+
+    /**
+     * Run a streaming completion, calling onDelta with each text chunk
+     * @returns {Promise<Object>} { content, finishReason, tokensUsed }
+     */
+    async stream(request, onDelta) {
+        throw new Error(`${this.name} provider does not support streaming`);
+    }
+}
+
+/**
+ * OpenAI chat completions (and compatible servers via baseUrl)
+ */
+class OpenAIProvider extends LLMProvider {
+    constructor(config = {}) {
+        super('openai', config, { streaming: true, jsonMode: true });
+
+        // Retries are handled by the generator so attempts can be reported
+        this.clientConfig = { apiKey: config.apiKey, maxRetries: 0 };
+        if (config.baseUrl) {
+            this.clientConfig.baseURL = config.baseUrl;
+        }
+        this._client = null;
+    }
+
+    // The SDK refuses to construct without a key, so the client is created on first use
+    get client() {
+        if (!this._client) {
+            this._client = new OpenAI(this.clientConfig);
+        }
+        return this._client;
+    }
+
+    set client(client) {
+        this._client = client;
+    }
+
+    isConfigured() {
+        return !!this.config.apiKey;
+    }
+
+    _buildRequest({ messages, model, temperature, maxTokens, jsonMode = false }) {
+        const request = {
+            model: model || this.model,
+            messages,
+            temperature,
+            max_tokens: maxTokens
+        };
+        if (jsonMode) {
+            request.response_format = { type: 'json_object' };
+        }
+        return request;
+    }
+
+    async complete(request) {
+        const response = await this.client.chat.completions.create(this._buildRequest(request));
+        const choice = response.choices[0];
+
+        return {
+            content: (choice.message.content || '').trim(),
+            finishReason: choice.finish_reason || null,
+            tokensUsed: (response.usage && response.usage.total_tokens) || 0
+        };
+    }
+
+    async stream(request, onDelta) {
+        const stream = await this.client.chat.completions.create({
+            ...this._buildRequest(request),
+            stream: true,
+            stream_options: { include_usage: true }
+        });
+
+        let content = '';
+        let finishReason = null;
+        let tokensUsed = 0;
+        for await (const chunk of stream) {
+            const choice = chunk.choices[0];
+            const delta = choice && choice.delta && choice.delta.content;
+            if (delta) {
+                content += delta;
+                onDelta(delta);
+            }
+            if (choice && choice.finish_reason) {
+                finishReason = choice.finish_reason;
+            }
+            if (chunk.usage) {
+                tokensUsed += chunk.usage.total_tokens || 0;
+            }
+        }
+
+        return { content, finishReason, tokensUsed };
+    }
+}
+
+/**
+ * Anthropic-style messages API (POST /v1/messages)
+ */
+class AnthropicProvider extends LLMProvider {
+    constructor(config = {}) {
+        super('anthropic', {
+            baseUrl: 'https://api.anthropic.com',
+            apiVersion: '2023-06-01',
+            timeout: DEFAULT_TIMEOUT,
+            ...config
+        }, { streaming: true, jsonMode: false });
+    }
+
+    isConfigured() {
+        return !!this.config.apiKey;
+    }
+
+    static mapStopReason(reason) {
+        if (reason === 'max_tokens') {
+            return 'length';
+        }
+        return reason ? 'stop' : null;
+    }
+
+    _buildRequest({ messages, model, temperature, maxTokens }) {
+        // System prompts are a top-level field rather than a message
+        const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+
+        const body = {
+            model: model || this.model,
+            messages: messages.filter(message => message.role !== 'system'),
+            temperature,
+            max_tokens: maxTokens
+        };
+        if (system) {
+            body.system = system;
+        }
+        return body;
+    }
+
+    _post(body, options = {}) {
+        return axios.post(`${this.config.baseUrl.replace(/\/+$/, '')}/v1/messages`, body, {
+            headers: {
+                'x-api-key': this.config.apiKey,
+                'anthropic-version': this.config.apiVersion,
+                'content-type': 'application/json'
+            },
+            timeout: this.config.timeout,
+            ...options
+        });
+    }
+
+    async complete(request) {
+        let response;
+        try {
+            response = await this._post(this._buildRequest(request));
+        } catch (error) {
+            throw toProviderError(this.name, error);
+        }
+
+        const data = response.data;
+        const usage = data.usage || {};
+
+        return {
+            content: (data.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('')
+                .trim(),
+            finishReason: AnthropicProvider.mapStopReason(data.stop_reason),
+            tokensUsed: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+        };
+    }
+
+    async stream(request, onDelta) {
+        let response;
+        try {
+            response = await this._post({ ...this._buildRequest(request), stream: true }, { responseType: 'stream' });
+        } catch (error) {
+            throw toProviderError(this.name, error);
+        }
+
+        let content = '';
+        let finishReason = null;
+        let tokensUsed = 0;
+        for await (const line of readLines(response.data)) {
+            if (!line.startsWith('data:')) {
+                continue;
+            }
+
+            const event = JSON.parse(line.slice(5));
+            if (event.type === 'message_start' && event.message.usage) {
+                tokensUsed += event.message.usage.input_tokens || 0;
+            } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                content += event.delta.text;
+                onDelta(event.delta.text);
+            } else if (event.type === 'message_delta') {
+                finishReason = AnthropicProvider.mapStopReason(event.delta.stop_reason);
+                tokensUsed += (event.usage && event.usage.output_tokens) || 0;
+            } else if (event.type === 'error') {
+                throw new Error(`${this.name} stream error: ${event.error.message}`);
+            }
+        }
+
+        return { content, finishReason, tokensUsed };
+    }
+}
+
+/**
+ * Ollama native chat API (POST /api/chat)
+ */
+class OllamaProvider extends LLMProvider {
+    constructor(config = {}) {
+        super('ollama', {
+            baseUrl: 'http://localhost:11434',
+            timeout: DEFAULT_TIMEOUT,
+            ...config
+        }, { streaming: true, jsonMode: true });
+    }
+
+    _buildRequest({ messages, model, temperature, maxTokens, jsonMode = false }, stream) {
+        const body = {
+            model: model || this.model,
+            messages,
+            stream,
+            options: {
+                temperature,
+                num_predict: maxTokens
+            }
+        };
+        if (jsonMode) {
+            body.format = 'json';
+        }
+        return body;
+    }
+
+    _post(body, options = {}) {
+        return axios.post(`${this.config.baseUrl.replace(/\/+$/, '')}/api/chat`, body, {
+            timeout: this.config.timeout,
+            ...options
+        });
+    }
+
+    static readChunk(chunk) {
+        return {
+            finishReason: chunk.done ? (chunk.done_reason === 'length' ? 'length' : 'stop') : null,
+            tokensUsed: (chunk.prompt_eval_count || 0) + (chunk.eval_count || 0)
+        };
+    }
+
+    async complete(request) {
+        let response;
+        try {
+            response = await this._post(this._buildRequest(request, false));
+        } catch (error) {
+            throw toProviderError(this.name, error);
+        }
+
+        return {
+            content: ((response.data.message && response.data.message.content) || '').trim(),
+            ...OllamaProvider.readChunk(response.data)
+        };
+    }
+
+    async stream(request, onDelta) {
+        let response;
+        try {
+            response = await this._post(this._buildRequest(request, true), { responseType: 'stream' });
+        } catch (error) {
+            throw toProviderError(this.name, error);
+        }
+
+        let content = '';
+        let result = { finishReason: null, tokensUsed: 0 };
+        for await (const line of readLines(response.data)) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            const chunk = JSON.parse(line);
+            if (chunk.error) {
+                throw new Error(`${this.name} stream error: ${chunk.error}`);
+            }
+
+            const delta = chunk.message && chunk.message.content;
+            if (delta) {
+                content += delta;
+                onDelta(delta);
+            }
+            if (chunk.done) {
+                result = OllamaProvider.readChunk(chunk);
+            }
+        }
+
+        return { content, ...result };
+    }
+}
+
+function titleCase(id) {
+    return id.replace(/-/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Deterministic local provider for tests and offline development. Answers
+ * from the request's `task` rather than its prompt text:
+ * - { kind: 'page', businessName, includeBooking, sectionIds }: the file at
+ *   config.path, or a small page with the given extra sections
+ * - { kind: 'plan', businessName, sections: [{ id, type }] }: a JSON page plan
+ * - { kind: 'section', businessName, section: { id, type, headline, tag }, includeBooking, instructions }
+ * - { kind: 'refinement', instruction, html }: the page with a note of the instruction
+ * Requests without a task are answered like 'page'.
+ */
+class FixtureProvider extends LLMProvider {
+    constructor(config = {}) {
+        super('fixture', { chunkSize: 200, ...config }, { streaming: true, jsonMode: true });
+        this.model = this.model || 'fixture';
+    }
+
+    async _render({ task = null }) {
+        const kind = task && task.kind;
+
+        if (kind === 'refinement') {
+            return FixtureProvider.buildRefinement(task);
+        }
+        if (kind === 'plan') {
+            return FixtureProvider.buildPlan(task);
+        }
+        if (kind === 'section') {
+            return FixtureProvider.buildSection(task);
+        }
+        if (this.config.path) {
+            return (await fs.readFile(this.config.path, 'utf8')).trim();
+        }
+        return FixtureProvider.buildPage(task || {});
+    }
+
+    /**
+     * Answer a refinement with the current page plus a note of the instruction
+     */
+    static buildRefinement({ instruction = '', html = null }) {
+        const note = `<p class="refinement-note">${escapeHtml(instruction)}</p>`;
+        const page = html || FixtureProvider.buildPage({});
+        const refined = /<\/body>/i.test(page) ? page.replace(/<\/body>/i, `${note}\n</body>`) : `${page}\n${note}`;
+
+        return `SUMMARY: Applied "${instruction}"\n\`\`\`html\n${refined}\n\`\`\``;
+    }
+
+    /**
+     * Build a page plan covering the given sections
+     */
+    static buildPlan({ businessName = 'Sample Business', sections = [] }) {
+        return JSON.stringify({
+            title: businessName,
+            description: `${businessName} homepage`,
+            sections: sections.map(({ id, type }) => ({
+                id,
+                type,
+                headline: type === 'hero' ? `Welcome to ${businessName}` : titleCase(id),
+                ...(type === 'hero' && { cta: { label: 'Contact Us', href: '#contact' } })
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Build one section of a page
+     */
+    static buildSection({ businessName = 'Sample Business', section, includeBooking = false, instructions = null }) {
+        const name = escapeHtml(businessName);
+        const { id, type = 'custom', tag = 'section' } = section;
+        const headline = escapeHtml(section.headline || titleCase(id));
+        const booking = includeBooking
+            ? '\n    <button data-booking-btn class="mt-6 px-6 py-3 rounded bg-accent text-white">Book Appointment</button>'
+            : '';
+        const note = instructions ? `\n    <p class="mt-4">${escapeHtml(instructions)}</p>` : '';
+
+        if (type === 'header') {
+            return `<header id="${id}" class="bg-white shadow-sm">
+    <nav class="max-w-6xl mx-auto flex justify-between p-4">
+        <a href="#" class="font-bold text-primary">${name}</a>
+        <a href="#contact">Contact</a>
+    </nav>${booking}
+</header>`;
+        }
+        if (type === 'footer') {
+            return `<footer id="${id}" class="py-8 text-center bg-dark text-white">
+    <p>&copy; ${name}</p>
+</footer>`;
+        }
+        return `<${tag} id="${id}" class="py-16 px-6">
+    <h2 class="text-2xl font-semibold">${headline}</h2>${booking}${note}
+</${tag}>`;
+    }
+
+    /**
+     * Build a complete page with the business name and any extra sections
+     */
+    static buildPage({ businessName = 'Sample Business', includeBooking = false, sectionIds = [] }) {
+        const name = escapeHtml(businessName);
+        const booking = includeBooking
+            ? '\n            <button data-booking-btn class="mt-6 px-6 py-3 rounded bg-blue-600 text-white">Book Appointment</button>'
+            : '';
+        const extraSections = [...new Set(sectionIds)]
+            .map(id => `
+        <section id="${id}" class="py-16 px-6">
+            <h2 class="text-2xl font-semibold">${titleCase(id)}</h2>
+        </section>`)
+            .join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="description" content="${name}">
+    <title>${name}</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-50 text-gray-900">
+    <header class="bg-white shadow-sm">
+        <nav class="max-w-6xl mx-auto flex justify-between p-4">
+            <a href="#" class="font-bold">${name}</a>
+            <a href="#contact">Contact</a>
+        </nav>
+    </header>
+    <main>
+        <section id="hero" class="py-20 px-6 text-center">
+            <h1 class="text-4xl font-bold">Welcome to ${name}</h1>
+            <p class="mt-4">Quality service you can trust.</p>${booking}
+        </section>
+        <section id="services" class="py-16 px-6">
+            <h2 class="text-2xl font-semibold">Our Services</h2>
+        </section>
+        <section id="about" class="py-16 px-6">
+            <h2 class="text-2xl font-semibold">About Us</h2>
+        </section>${extraSections}
+        <section id="contact" class="py-16 px-6">
+            <h2 class="text-2xl font-semibold">Contact Us</h2>
+        </section>
+    </main>
+    <footer class="py-8 text-center">
+        <p>&copy; ${name}</p>
+    </footer>
+</body>
+</html>`;
+    }
+
+    async complete(request) {
+        const { messages } = request;
+        const content = await this._render(request);
+
+        return {
+            content,
+            finishReason: 'stop',
+            tokensUsed: estimateTokens(messages.map(message => message.content).join('') + content)
+        };
+    }
+
+    async stream(request, onDelta) {
+        const result = await this.complete(request);
+        emitChunks(result.content, onDelta, this.config.chunkSize);
+        return result;
+    }
+}
+
+/**
+ * Fixture file name for a request: provider name plus a hash of everything
+ * that affects the response
+ */
+function getFixtureKey(provider, { messages, model, temperature, maxTokens, jsonMode = false }) {
+    const hash = crypto.createHash('sha256')
+        .update(JSON.stringify({
+            provider: provider.name,
+            model: model || provider.model,
+            messages,
+            temperature,
+            maxTokens,
+            jsonMode: !!jsonMode
+        }))
+        .digest('hex');
+
+    return `${provider.name}-${hash.slice(0, 24)}`;
+}
+
+/**
+ * Passes requests to a live provider and saves each response as a fixture
+ */
+class RecordingProvider extends LLMProvider {
+    constructor(provider, fixtureDir = DEFAULT_RECORDING_DIR) {
+        super(provider.name, provider.config, provider.capabilities);
+        this.provider = provider;
+        this.model = provider.model;
+        this.fixtureDir = fixtureDir;
+    }
+
+    isConfigured() {
+        return this.provider.isConfigured();
+    }
+
+    async _save(request, response) {
+        const key = getFixtureKey(this.provider, request);
+
+        await fs.mkdir(this.fixtureDir, { recursive: true });
+        await fs.writeFile(path.join(this.fixtureDir, `${key}.json`), JSON.stringify({
+            key,
+            provider: this.provider.name,
+            model: request.model || this.provider.model,
+            request: {
+                messages: request.messages,
+                temperature: request.temperature,
+                maxTokens: request.maxTokens,
+                jsonMode: !!request.jsonMode
+            },
+            response,
+            recorded_at: new Date().toISOString()
+        }, null, 2) + '\n');
+    }
+
+    async complete(request) {
+        const response = await this.provider.complete(request);
+        await this._save(request, response);
+        return response;
+    }
+
+    async stream(request, onDelta) {
+        const response = await this.provider.stream(request, onDelta);
+        await this._save(request, response);
+        return response;
+    }
+}
+
+/**
+ * Answers requests from recorded fixtures without touching the network
+ */
+class ReplayProvider extends LLMProvider {
+    constructor(provider, fixtureDir = DEFAULT_FIXTURE_DIR) {
+        super(provider.name, provider.config, provider.capabilities);
+        this.provider = provider;
+        this.model = provider.model;
+        this.fixtureDir = fixtureDir;
+    }
+
+    // Replays need no credentials
+    isConfigured() {
+        return true;
+    }
+
+    async complete(request) {
+        const key = getFixtureKey(this.provider, request);
+        let fixture;
+
+        try {
+            fixture = JSON.parse(await fs.readFile(path.join(this.fixtureDir, `${key}.json`), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`No recorded ${this.name} response for request ${key} in ${this.fixtureDir}`);
+            }
+            throw error;
+        }
+
+        return fixture.response;
+    }
+
+    async stream(request, onDelta) {
+        const response = await this.complete(request);
+        emitChunks(response.content, onDelta);
+        return response;
+    }
+}
+
+const PROVIDERS = {
+    openai: OpenAIProvider,
+    anthropic: AnthropicProvider,
+    ollama: OllamaProvider,
+    fixture: FixtureProvider
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Read a provider's configuration from environment variables
+ */
+function getProviderConfig(name, env = process.env) {
+    switch (name) {
+        case 'openai':
+            return {
+                apiKey: env.OPENAI_API_KEY,
+                baseUrl: env.OPENAI_BASE_URL,
+                model: env.OPENAI_MODEL || 'gpt-4o-mini'
+            };
+        case 'anthropic':
+            return {
+                apiKey: env.ANTHROPIC_API_KEY,
+                baseUrl: env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+                apiVersion: env.ANTHROPIC_VERSION || '2023-06-01',
+                model: env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest'
+            };
+        case 'ollama':
+            return {
+                baseUrl: env.OLLAMA_BASE_URL || 'http://localhost:11434',
+                model: env.OLLAMA_MODEL || 'llama3.1'
+            };
+        case 'fixture':
+            return {
+                path: env.FIXTURE_PATH
+            };
+        default:
+            return {};
+    }
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - One of PROVIDER_NAMES
+ * @param {Object} config - Overrides for the environment configuration
+ * @param {Object} options - { mode, fixtureDir } see LLM_MODES; fixtureDir defaults
+ *   to output/llm-fixtures when recording and tests/fixtures/llm when replaying
+ * @returns {LLMProvider}
+ */
+function createProvider(name, config = {}, { mode = 'live', fixtureDir = null } = {}) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+
+    const providerConfig = { ...getProviderConfig(name) };
+    for (const [key, value] of Object.entries(config)) {
+        if (value !== undefined && value !== null) {
+            providerConfig[key] = value;
+        }
+    }
+
+    switch (mode) {
+        case 'live':
+            return new Provider(providerConfig);
+        case 'record':
+            return new RecordingProvider(new Provider(providerConfig), fixtureDir || DEFAULT_RECORDING_DIR);
+        case 'replay':
+            return new ReplayProvider(new Provider(providerConfig), fixtureDir || DEFAULT_FIXTURE_DIR);
+        case 'mock':
+            return new FixtureProvider(getProviderConfig('fixture'));
+        default:
+            throw new Error(`Unknown LLM mode: ${mode} (expected one of ${LLM_MODES.join(', ')})`);
+    }
+}
+
+module.exports = {
+    PROVIDER_NAMES,
+    LLM_MODES,
+    LLMProvider,
+    OpenAIProvider,
+    AnthropicProvider,
+    OllamaProvider,
+    FixtureProvider,
+    RecordingProvider,
+    ReplayProvider,
+    estimateTokens,
+    getFixtureKey,
+    getProviderConfig,
+    createProvider
+};
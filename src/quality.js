@@ -0,0 +1,360 @@
+/**
+ * Quality Scoring for Homepage Builder
+ *
+ * This module handles:
+ * 1. Static checks of generated pages (headings, meta tags, alt text, contact info,
+ *    calls to action, mobile viewport, links and page weight)
+ * 2. Weighting the checks into a 0-100 score
+ * 3. Reporting the findings behind every check
+ */
+
+const cheerio = require('cheerio');
+
+/**
+ * Checks in report order with their share of the 100 points
+ */
+const QUALITY_CHECKS = {
+    heading_hierarchy: { label: 'Heading hierarchy', weight: 15 },
+    meta_tags: { label: 'Meta tags', weight: 15 },
+    image_alt: { label: 'Image alt text', weight: 10 },
+    contact_info: { label: 'Contact information', weight: 15 },
+    calls_to_action: { label: 'Calls to action', weight: 10 },
+    mobile_viewport: { label: 'Mobile viewport', weight: 10 },
+    link_validity: { label: 'Link validity', weight: 15 },
+    page_weight: { label: 'Page weight', weight: 10 }
+};
+
+const TITLE_LENGTH = { min: 10, max: 70 };
+const DESCRIPTION_LENGTH = { min: 50, max: 160 };
+const CALLS_TO_ACTION = { min: 2, max: 6 };
+
+// Pages up to the target get full marks, falling to none at the limit
+const PAGE_WEIGHT_TARGET = 100 * 1024;
+const PAGE_WEIGHT_LIMIT = 300 * 1024;
+const MAX_EXTERNAL_REQUESTS = 15;
+
+// Findings listed per check before the rest are summarized
+const MAX_LISTED_FINDINGS = 5;
+
+const IMAGE_FILE_NAME = /\.(jpe?g|png|gif|webp|svg|avif)$/i;
+const STYLED_AS_BUTTON = /(^|\s)(btn|button|bg-[a-z]+(-\d+)?)(\s|$)/;
+const CTA_TARGETS = /^(tel:|mailto:|#(contact|booking|book|reserve|quote))/i;
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+function describe($, element) {
+    const text = $(element).text().replace(/\s+/g, ' ').trim();
+    return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+}
+
+// Keep the first findings and count the rest
+function listFindings(findings) {
+    if (findings.length <= MAX_LISTED_FINDINGS) {
+        return findings;
+    }
+    return [
+        ...findings.slice(0, MAX_LISTED_FINDINGS),
+        `…and ${findings.length - MAX_LISTED_FINDINGS} more`
+    ];
+}
+
+function checkHeadingHierarchy($) {
+    const findings = [];
+    let score = 1;
+    const headings = $('h1, h2, h3, h4, h5, h6').toArray();
+    const h1Count = headings.filter(heading => heading.name === 'h1').length;
+
+    if (h1Count === 0) {
+        findings.push('No <h1> on the page');
+        score -= 0.5;
+    } else if (h1Count > 1) {
+        findings.push(`${h1Count} <h1> elements; a page should have one`);
+        score -= 0.25;
+    }
+
+    let previous = 0;
+    for (const heading of headings) {
+        const level = Number(heading.name[1]);
+        if (previous && level > previous + 1) {
+            findings.push(`<${heading.name}> "${describe($, heading)}" skips a level after <h${previous}>`);
+            score -= 0.15;
+        }
+        if (!describe($, heading)) {
+            findings.push(`Empty <${heading.name}>`);
+            score -= 0.15;
+        }
+        previous = level;
+    }
+
+    return { score: clamp(score), findings };
+}
+
+function checkMetaTags($) {
+    const findings = [];
+    let score = 1;
+
+    const title = $('head title').first().text().trim();
+    if (!title) {
+        findings.push('Missing <title>');
+        score -= 0.4;
+    } else if (title.length < TITLE_LENGTH.min || title.length > TITLE_LENGTH.max) {
+        findings.push(`Title is ${title.length} characters; aim for ${TITLE_LENGTH.min}-${TITLE_LENGTH.max}`);
+        score -= 0.1;
+    }
+
+    const description = ($('meta[name="description"]').attr('content') || '').trim();
+    if (!description) {
+        findings.push('Missing meta description');
+        score -= 0.4;
+    } else if (description.length < DESCRIPTION_LENGTH.min || description.length > DESCRIPTION_LENGTH.max) {
+        findings.push(`Meta description is ${description.length} characters; aim for ${DESCRIPTION_LENGTH.min}-${DESCRIPTION_LENGTH.max}`);
+        score -= 0.1;
+    }
+
+    if (!$('meta[charset]').length) {
+        findings.push('Missing <meta charset>');
+        score -= 0.1;
+    }
+    if (!$('html').attr('lang')) {
+        findings.push('Missing lang attribute on <html>');
+        score -= 0.1;
+    }
+
+    return { score: clamp(score), findings };
+}
+
+function checkImageAlt($) {
+    const images = $('img').toArray();
+    if (!images.length) {
+        return { score: 1, findings: [] };
+    }
+
+    const findings = [];
+    for (const image of images) {
+        const src = $(image).attr('src') || 'inline image';
+        const alt = $(image).attr('alt');
+        if (alt === undefined) {
+            findings.push(`<img src="${src}"> has no alt attribute`);
+        } else if (IMAGE_FILE_NAME.test(alt.trim())) {
+            findings.push(`<img src="${src}"> uses a file name as alt text`);
+        }
+    }
+
+    return { score: (images.length - findings.length) / images.length, findings: listFindings(findings) };
+}
+
+function checkContactInfo($, businessInfo) {
+    const text = $('body').text();
+    const links = $('a[href]').toArray().map(link => $(link).attr('href').trim().toLowerCase());
+    const findings = [];
+    const scores = [];
+
+    const phoneDigits = (businessInfo.phone || '').replace(/\D/g, '');
+    if (phoneDigits.length >= 7) {
+        const linked = links.some(href => href.startsWith('tel:') && href.replace(/\D/g, '').endsWith(phoneDigits.slice(-7)));
+        if (text.replace(/\D/g, '').includes(phoneDigits) || linked) {
+            scores.push(linked ? 1 : 0.75);
+            if (!linked) {
+                findings.push(`Phone number ${businessInfo.phone} is not a tel: link`);
+            }
+        } else {
+            scores.push(0);
+            findings.push(`Phone number ${businessInfo.phone} does not appear on the page`);
+        }
+    }
+
+    const email = (businessInfo.email || '').trim().toLowerCase();
+    if (email) {
+        const linked = links.includes(`mailto:${email}`);
+        if (text.toLowerCase().includes(email) || linked) {
+            scores.push(linked ? 1 : 0.75);
+            if (!linked) {
+                findings.push(`Email ${businessInfo.email} is not a mailto: link`);
+            }
+        } else {
+            scores.push(0);
+            findings.push(`Email ${businessInfo.email} does not appear on the page`);
+        }
+    }
+
+    // Without known details, any way to get in touch will do
+    if (!scores.length) {
+        const reachable = $('#contact').length > 0 || links.some(href => /^(tel|mailto):/.test(href)) || $('form').length > 0;
+        if (!reachable) {
+            findings.push('No contact section, form, phone or email link');
+        }
+        return { score: reachable ? 1 : 0, findings };
+    }
+
+    return { score: scores.reduce((sum, value) => sum + value, 0) / scores.length, findings };
+}
+
+/**
+ * Calls to action on a page: buttons, submit inputs, booking buttons, links
+ * styled as buttons and links to contact, booking, phone or email
+ * @param {Function} $ - Cheerio document
+ * @returns {Array<Object>} Matching elements
+ */
+function findCallsToAction($) {
+    return $('button, input[type="submit"], [data-booking-btn], a[href]').toArray().filter(element => {
+        if (element.name !== 'a') {
+            return true;
+        }
+        return STYLED_AS_BUTTON.test($(element).attr('class') || '') || CTA_TARGETS.test($(element).attr('href').trim());
+    });
+}
+
+function checkCallsToAction($) {
+    const calls = findCallsToAction($);
+
+    if (calls.length === 0) {
+        return { score: 0, findings: ['No calls to action (buttons or contact links)'] };
+    }
+    if (calls.length < CALLS_TO_ACTION.min) {
+        return { score: 0.5, findings: [`Only ${calls.length} call to action ("${describe($, calls[0])}")`] };
+    }
+    if (calls.length > CALLS_TO_ACTION.max) {
+        return { score: 0.75, findings: [`${calls.length} calls to action compete for attention; aim for ${CALLS_TO_ACTION.max} or fewer`] };
+    }
+    return { score: 1, findings: [] };
+}
+
+function checkMobileViewport($) {
+    const content = ($('meta[name="viewport"]').attr('content') || '').toLowerCase().replace(/\s+/g, '');
+    if (!content) {
+        return { score: 0, findings: ['Missing <meta name="viewport">'] };
+    }
+
+    const findings = [];
+    let score = 1;
+    if (!content.includes('width=device-width')) {
+        findings.push('Viewport does not use width=device-width');
+        score -= 0.5;
+    }
+    const maximumScale = content.match(/maximum-scale=([\d.]+)/);
+    if (content.includes('user-scalable=no') || content.includes('user-scalable=0') || (maximumScale && Number(maximumScale[1]) < 2)) {
+        findings.push('Viewport prevents zooming');
+        score -= 0.5;
+    }
+
+    return { score: clamp(score), findings };
+}
+
+function checkLinkValidity($) {
+    const links = $('a').toArray();
+    if (!links.length) {
+        return { score: 1, findings: [] };
+    }
+
+    const ids = new Set($('[id]').toArray().map(element => element.attribs.id));
+    const findings = [];
+    for (const link of links) {
+        const href = $(link).attr('href');
+        const label = describe($, link) || 'link';
+        const value = href === undefined ? null : href.trim();
+        let problem = null;
+
+        if (value === null || value === '') {
+            problem = 'has no href';
+        } else if (value === '#') {
+            // "#" is fine for a logo going back to the top, not for anything else
+            if (!$(link).closest('header').length) {
+                problem = 'is a "#" placeholder';
+            }
+        } else if (value.startsWith('#')) {
+            if (!ids.has(value.slice(1))) {
+                problem = `points to missing anchor ${value}`;
+            }
+        } else if (/^javascript:/i.test(value)) {
+            problem = 'uses a javascript: URL';
+        } else if (/^mailto:/i.test(value)) {
+            if (!/^mailto:[^@\s]+@[^@\s]+\.[^@\s]+/i.test(value)) {
+                problem = `has an invalid email address (${value})`;
+            }
+        } else if (/^tel:/i.test(value)) {
+            if (value.replace(/\D/g, '').length < 7) {
+                problem = `has an invalid phone number (${value})`;
+            }
+        } else if (/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+            try {
+                new URL(value);
+            } catch (error) {
+                problem = `has a malformed URL (${value})`;
+            }
+        }
+
+        if (problem) {
+            findings.push(`"${label}" ${problem}`);
+        }
+    }
+
+    return { score: (links.length - findings.length) / links.length, findings: listFindings(findings) };
+}
+
+function checkPageWeight($, { htmlCode, cssCode, jsCode }) {
+    const bytes = Buffer.byteLength(htmlCode || '') + Buffer.byteLength(cssCode || '') + Buffer.byteLength(jsCode || '');
+    const requests = $('script[src], link[rel="stylesheet"][href], img[src], iframe[src], video[src], source[src]')
+        .toArray()
+        .filter(element => /^(https?:)?\/\//i.test($(element).attr('src') || $(element).attr('href')))
+        .length;
+    const findings = [];
+    let score = 1;
+
+    if (bytes > PAGE_WEIGHT_TARGET) {
+        score = clamp((PAGE_WEIGHT_LIMIT - bytes) / (PAGE_WEIGHT_LIMIT - PAGE_WEIGHT_TARGET));
+        findings.push(`HTML, CSS and JavaScript weigh ${Math.round(bytes / 1024)} KB; aim for ${PAGE_WEIGHT_TARGET / 1024} KB or less`);
+    }
+    if (requests > MAX_EXTERNAL_REQUESTS) {
+        score = clamp(score - 0.25);
+        findings.push(`${requests} external resources; aim for ${MAX_EXTERNAL_REQUESTS} or fewer`);
+    }
+
+    return { score, findings, bytes, external_requests: requests };
+}
+
+/**
+ * Score a generated homepage
+ * @param {Object} page - { htmlCode, cssCode, jsCode, businessInfo }; phone and email in
+ *   businessInfo are expected on the page
+ * @returns {Object} { score, checks }; score is 0-100 and each check reports
+ *   { id, label, weight, score, status, findings }
+ */
+function scoreHomepage({ htmlCode, cssCode = '', jsCode = '', businessInfo = {} }) {
+    const $ = cheerio.load(htmlCode || '');
+    const results = {
+        heading_hierarchy: checkHeadingHierarchy($),
+        meta_tags: checkMetaTags($),
+        image_alt: checkImageAlt($),
+        contact_info: checkContactInfo($, businessInfo || {}),
+        calls_to_action: checkCallsToAction($),
+        mobile_viewport: checkMobileViewport($),
+        link_validity: checkLinkValidity($),
+        page_weight: checkPageWeight($, { htmlCode, cssCode, jsCode })
+    };
+
+    const checks = Object.entries(QUALITY_CHECKS).map(([id, { label, weight }]) => {
+        const { score, findings, ...details } = results[id];
+        return {
+            id,
+            label,
+            weight,
+            score: Math.round(score * weight * 10) / 10,
+            status: score >= 1 ? 'pass' : score > 0 ? 'warn' : 'fail',
+            findings,
+            ...details
+        };
+    });
+
+    return {
+        score: Math.round(checks.reduce((sum, check) => sum + check.score, 0)),
+        checks
+    };
+}
+
+module.exports = {
+    QUALITY_CHECKS,
+    findCallsToAction,
+    scoreHomepage
+};
@@ -0,0 +1,118 @@
+/**
+ * Conversational Refinement for Homepage Builder
+ *
+ * This module handles:
+ * 1. Building the message thread for a refinement (earlier turns plus the current page)
+ * 2. Parsing the refined HTML, CSS and change summary from the model output
+ * 3. Reading a homepage's conversation thread from its revisions
+ */
+
+const { HomepageStorage } = require('./storage');
+
+// Revision change type recorded for refinements
+const REFINEMENT_CHANGE = 'refined';
+
+const REFINEMENT_SYSTEM_PROMPT = 'You refine existing homepages. Apply the requested change to the current page ' +
+    'and keep everything the instruction does not ask to change exactly as it is.';
+
+const HTML_BLOCK = /```html[^\S\n]*\n([\s\S]*?)(?:\n?```|$)/i;
+const CSS_BLOCK = /```css[^\S\n]*\n([\s\S]*?)(?:\n?```|$)/i;
+const SUMMARY_LINE = /^\s*SUMMARY:[^\S\n]*(.*)$/im;
+
+/**
+ * Conversation thread of a homepage: one turn per refinement that led to the
+ * current revision, oldest first. Reverting to a revision also reverts the
+ * thread to what it was at that revision.
+ * @param {Object} record - Stored homepage record
+ * @returns {Array<Object>} [{ revision, instruction, summary, created_at }]
+ */
+function getConversation(record) {
+    const threads = new Map();
+    let thread = [];
+
+    for (const revision of HomepageStorage.getRevisions(record)) {
+        if (revision.type === 'reverted') {
+            thread = threads.get(revision.inputs.revision) || [];
+        } else if (revision.type === REFINEMENT_CHANGE) {
+            thread = [...thread, {
+                revision: revision.revision,
+                instruction: revision.inputs.instruction,
+                summary: revision.summary,
+                created_at: revision.created_at
+            }];
+        }
+        threads.set(revision.revision, thread);
+    }
+
+    return thread;
+}
+
+/**
+ * Build the messages for one refinement. Earlier turns are replayed as
+ * instruction/summary pairs; only the current page is sent in full.
+ * @param {Object} options - { systemPrompt, conversation, htmlCode, cssCode, instruction }
+ * @returns {Array<Object>} Chat messages
+ */
+function createRefinementMessages({ systemPrompt, conversation = [], htmlCode, cssCode, instruction }) {
+    const messages = [{ role: 'system', content: `${systemPrompt} ${REFINEMENT_SYSTEM_PROMPT}` }];
+
+    for (const turn of conversation) {
+        messages.push({ role: 'user', content: `Refinement instruction: ${turn.instruction}` });
+        messages.push({ role: 'assistant', content: `SUMMARY: ${turn.summary || 'Applied the instruction.'}` });
+    }
+
+    messages.push({
+        role: 'user',
+        content: `
+Current HTML:
+\`\`\`html
+${htmlCode}
+\`\`\`
+
+Current CSS:
+\`\`\`css
+${cssCode || ''}
+\`\`\`
+
+Refinement instruction: ${instruction}
+
+Apply the instruction to the current page, building on the earlier instructions in this conversation.
+Respond in exactly this format, with no other text:
+SUMMARY: <one sentence describing what you changed>
+\`\`\`html
+<the complete updated HTML document>
+\`\`\`
+\`\`\`css
+<the complete updated CSS; leave this block out when the CSS does not change>
+\`\`\`
+`
+    });
+
+    return messages;
+}
+
+/**
+ * Split a refinement response into its summary, HTML and CSS
+ * @param {string} content - Model output
+ * @returns {Object} { summary, html, css }; css is null when the model left it unchanged
+ */
+function parseRefinement(content) {
+    const text = content || '';
+    const summary = text.match(SUMMARY_LINE);
+    const html = text.match(HTML_BLOCK);
+    const css = text.match(CSS_BLOCK);
+
+    return {
+        summary: summary && summary[1].trim() ? summary[1].trim() : null,
+        // Without an html fence the document is whatever is left around the other parts
+        html: html ? html[1] : text.replace(CSS_BLOCK, '').replace(SUMMARY_LINE, ''),
+        css: css ? css[1].trim() : null
+    };
+}
+
+module.exports = {
+    REFINEMENT_CHANGE,
+    getConversation,
+    createRefinementMessages,
+    parseRefinement
+};
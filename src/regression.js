@@ -0,0 +1,165 @@
+/**
+ * Visual Regression Diffs for Homepage Builder
+ *
+ * This module handles:
+ * 1. Pixel diffs between two PNG renderings (pixelmatch)
+ * 2. Percentage of changed pixels
+ * 3. Bounding boxes of the regions that changed
+ */
+
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+// Per-pixel color distance (0-1) below which pixels count as unchanged
+const DEFAULT_THRESHOLD = 0.1;
+
+// Changed pixels are grouped on a grid of square cells this many pixels wide
+const REGION_CELL_SIZE = 8;
+
+// Most regions reported, largest first
+const MAX_REGIONS = 50;
+
+// pixelmatch marks changed pixels in the diff image with this color
+const DIFF_COLOR = [255, 0, 0];
+
+/**
+ * Copy an image onto a white canvas of the given size
+ */
+function padImage(image, width, height) {
+    if (image.width === width && image.height === height) {
+        return image;
+    }
+
+    const padded = new PNG({ width, height });
+    padded.data.fill(255);
+    PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+    return padded;
+}
+
+/**
+ * Bounding boxes of changed areas. Grid cells holding a changed pixel are
+ * joined with their neighbours (diagonals included) into regions; each box
+ * is tight around the changed pixels of its cells.
+ * @param {Buffer} diffData - RGBA data of a pixelmatch diff image
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - { cellSize, maxRegions }
+ * @returns {Object} { regions: [{ x, y, width, height, changed_pixels }], truncated }
+ */
+function findChangedRegions(diffData, width, height, { cellSize = REGION_CELL_SIZE, maxRegions = MAX_REGIONS } = {}) {
+    const columns = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+    const counts = new Uint32Array(columns * rows);
+    // Changed pixel bounds per cell
+    const minX = new Int32Array(columns * rows).fill(width);
+    const minY = new Int32Array(columns * rows).fill(height);
+    const maxX = new Int32Array(columns * rows).fill(-1);
+    const maxY = new Int32Array(columns * rows).fill(-1);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * 4;
+            if (diffData[offset] === DIFF_COLOR[0] && diffData[offset + 1] === DIFF_COLOR[1] && diffData[offset + 2] === DIFF_COLOR[2]) {
+                const cell = Math.floor(y / cellSize) * columns + Math.floor(x / cellSize);
+                counts[cell]++;
+                minX[cell] = Math.min(minX[cell], x);
+                minY[cell] = Math.min(minY[cell], y);
+                maxX[cell] = Math.max(maxX[cell], x);
+                maxY[cell] = Math.max(maxY[cell], y);
+            }
+        }
+    }
+
+    const visited = new Uint8Array(columns * rows);
+    const regions = [];
+    for (let start = 0; start < counts.length; start++) {
+        if (!counts[start] || visited[start]) {
+            continue;
+        }
+
+        let left = width;
+        let top = height;
+        let right = -1;
+        let bottom = -1;
+        let changed = 0;
+        const stack = [start];
+        visited[start] = 1;
+        while (stack.length > 0) {
+            const cell = stack.pop();
+            const column = cell % columns;
+            const row = Math.floor(cell / columns);
+            left = Math.min(left, minX[cell]);
+            right = Math.max(right, maxX[cell]);
+            top = Math.min(top, minY[cell]);
+            bottom = Math.max(bottom, maxY[cell]);
+            changed += counts[cell];
+
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nextColumn = column + dx;
+                    const nextRow = row + dy;
+                    const next = nextRow * columns + nextColumn;
+                    if (nextColumn >= 0 && nextColumn < columns && nextRow >= 0 && nextRow < rows && counts[next] && !visited[next]) {
+                        visited[next] = 1;
+                        stack.push(next);
+                    }
+                }
+            }
+        }
+
+        regions.push({
+            x: left,
+            y: top,
+            width: right - left + 1,
+            height: bottom - top + 1,
+            changed_pixels: changed
+        });
+    }
+
+    regions.sort((a, b) => b.changed_pixels - a.changed_pixels);
+    return { regions: regions.slice(0, maxRegions), truncated: regions.length > maxRegions };
+}
+
+/**
+ * Pixel diff of two PNG images. Images of different sizes are compared over
+ * the larger size, with the smaller one padded in white.
+ * @param {Buffer} beforeImage - PNG
+ * @param {Buffer} afterImage - PNG
+ * @param {Object} options - { threshold, includeAA } (includeAA counts anti-aliased pixels as changed)
+ * @returns {Object} { width, height, size_changed, changed_pixels, total_pixels, difference_percent, regions, truncated, diff }
+ *   difference_percent is the share of changed pixels; diff is a PNG with changes in red
+ */
+function diffImages(beforeImage, afterImage, { threshold = DEFAULT_THRESHOLD, includeAA = false } = {}) {
+    const before = PNG.sync.read(beforeImage);
+    const after = PNG.sync.read(afterImage);
+    const width = Math.max(before.width, after.width);
+    const height = Math.max(before.height, after.height);
+
+    const output = new PNG({ width, height });
+    const changed = pixelmatch(
+        padImage(before, width, height).data,
+        padImage(after, width, height).data,
+        output.data,
+        width,
+        height,
+        { threshold, includeAA, diffColor: DIFF_COLOR }
+    );
+    const total = width * height;
+
+    return {
+        width,
+        height,
+        size_changed: before.width !== after.width || before.height !== after.height,
+        changed_pixels: changed,
+        total_pixels: total,
+        difference_percent: Math.round((changed / total) * 10000) / 100,
+        ...findChangedRegions(output.data, width, height),
+        diff: PNG.sync.write(output)
+    };
+}
+
+module.exports = {
+    DEFAULT_THRESHOLD,
+    findChangedRegions,
+    diffImages
+};
@@ -1,16 +1,102 @@
 /**
  * Screenshot Service for Homepage Builder
- * Generates screenshots of HTML content using Puppeteer
+ * Generates screenshots and PDFs of HTML content using Puppeteer
  */
 
+const crypto = require('crypto');
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
+const {
+    ACCESSIBILITY_RULES,
+    MAX_NODES_PER_RULE,
+    runAccessibilityRules,
+    buildAccessibilityReport
+} = require('./accessibility');
+const { createCompositeHtml, compositeSize } = require('./comparison');
+const { createPdfOptions, createCoverHtml, withCoverPage } = require('./pdf');
+const { RESPONSIVE_DEVICES, resolveViewport } = require('./devices');
+const { diffImages } = require('./regression');
+const {
+    compileTailwind,
+    isTailwindCdnUrl,
+    extractTailwindTheme,
+    createTailwindCdnResponse
+} = require('./tailwind');
+
+// Longest wait between relaunch attempts after a browser crash
+const MAX_RELAUNCH_DELAY = 30000;
+
+// Compiled Tailwind builds kept for pages rendered more than once (viewports, comparisons)
+const TAILWIND_CACHE_SIZE = 20;
+
+// Requests every render mode lets through
+const INLINE_URL = /^(data|blob|about):/i;
 
 class ScreenshotService {
-    constructor() {
+    /**
+     * Render modes:
+     * - standard: scripts and images disabled, other requests go to the network
+     * - faithful: scripts enabled, Tailwind served from a local build, every
+     *   other outbound request blocked (inline and data: images still load)
+     */
+    static RENDER_MODES = ['standard', 'faithful'];
+
+    /**
+     * Desktop viewport rendered at a quarter of its size (300x200 JPEG)
+     */
+    static THUMBNAIL = {
+        device: 'desktop',
+        deviceScaleFactor: 0.25,
+        fullPage: false,
+        format: 'jpeg',
+        quality: 70
+    };
+
+    /**
+     * @param {Object} options - Pool configuration
+     * @param {number} options.poolSize - Max pages open at once
+     * @param {number} options.queueLimit - Max renders waiting for a page
+     * @param {number} options.renderTimeout - Timeout per render in ms
+     * @param {number} options.relaunchDelay - Delay before relaunching a crashed browser in ms (doubles per failed attempt)
+     * @param {string} options.renderMode - Default render mode (see RENDER_MODES)
+     */
+    constructor({
+        poolSize = 3,
+        queueLimit = 50,
+        renderTimeout = 45000,
+        relaunchDelay = 1000,
+        renderMode = 'standard'
+    } = {}) {
+        this.poolSize = poolSize;
+        this.queueLimit = queueLimit;
+        this.renderTimeout = renderTimeout;
+        this.relaunchDelay = relaunchDelay;
+        this.renderMode = renderMode;
+
+        // Request policy of the render each pooled page is running
+        this.pagePolicies = new WeakMap();
+        this.tailwindCache = new Map();
+
         this.browser = null;
         this.isInitialized = false;
+        this.closing = false;
+        this.relaunchTimer = null;
+
+        // Pages ready for reuse, pages rendering, pages being opened and renders waiting for one
+        this.idle = [];
+        this.busy = new Set();
+        this.opening = 0;
+        this.waiting = [];
+
+        this.metrics = {
+            completed: 0,
+            failed: 0,
+            timed_out: 0,
+            rejected: 0,
+            disconnects: 0,
+            relaunches: 0
+        };
     }
 
     /**
@@ -18,32 +104,8 @@ class ScreenshotService {
      */
     async initialize() {
         try {
-            this.browser = await puppeteer.launch({
-                headless: 'new',
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-dev-shm-usage',
-                    '--disable-accelerated-2d-canvas',
-                    '--no-first-run',
-                    '--disable-gpu',
-                    '--disable-web-security',
-                    '--disable-features=VizDisplayCompositor',
-                    '--disable-extensions',
-                    '--disable-plugins',
-                    '--disable-images',
-                    '--disable-javascript',
-                    '--disable-default-apps',
-                    '--disable-sync'
-                ],
-                timeout: 60000, // 60 second timeout
-                ignoreDefaultArgs: ['--disable-extensions'],
-                defaultViewport: {
-                    width: 1200,
-                    height: 800
-                }
-            });
-            this.isInitialized = true;
+            this.closing = false;
+            await this._launch();
             console.log('📸 Screenshot service initialized');
         } catch (error) {
             console.error('Failed to initialize screenshot service:', error);
@@ -54,70 +116,379 @@ class ScreenshotService {
         }
     }
 
+    /**
+     * Launch the browser and watch it for crashes
+     */
+    async _launch() {
+        const browser = await puppeteer.launch({
+            headless: 'new',
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-accelerated-2d-canvas',
+                '--no-first-run',
+                '--disable-gpu',
+                '--disable-web-security',
+                '--disable-features=VizDisplayCompositor',
+                '--disable-extensions',
+                '--disable-plugins',
+                '--disable-default-apps',
+                '--disable-sync'
+            ],
+            timeout: 60000, // 60 second timeout
+            ignoreDefaultArgs: ['--disable-extensions'],
+            defaultViewport: {
+                width: 1200,
+                height: 800
+            }
+        });
+
+        browser.on('disconnected', () => this._handleDisconnect(browser));
+        // Restored on pages after renders that emulate another device
+        this.defaultUserAgent = await browser.userAgent();
+        this.browser = browser;
+        this.isInitialized = true;
+    }
+
+    /**
+     * Drop everything tied to a browser that went away and relaunch it,
+     * unless the service is shutting down
+     */
+    _handleDisconnect(browser) {
+        if (this.browser !== browser) {
+            return;
+        }
+
+        this.browser = null;
+        this.isInitialized = false;
+        this.idle = [];
+        this.busy.clear();
+        this._rejectWaiting(new Error('Browser disconnected'));
+
+        if (this.closing) {
+            return;
+        }
+
+        this.metrics.disconnects++;
+        console.error('⚠️ Screenshot browser disconnected, relaunching');
+        this._scheduleRelaunch();
+    }
+
+    _scheduleRelaunch(attempt = 0) {
+        const delay = Math.min(this.relaunchDelay * Math.pow(2, attempt), MAX_RELAUNCH_DELAY);
+
+        this.relaunchTimer = setTimeout(async () => {
+            this.relaunchTimer = null;
+            if (this.closing) {
+                return;
+            }
+            try {
+                await this._launch();
+                this.metrics.relaunches++;
+                console.log('📸 Screenshot browser relaunched');
+            } catch (error) {
+                console.error(`Failed to relaunch screenshot browser (attempt ${attempt + 1}):`, error.message);
+                this._scheduleRelaunch(attempt + 1);
+            }
+        }, delay);
+        this.relaunchTimer.unref();
+    }
+
+    _rejectWaiting(error) {
+        const waiting = this.waiting;
+        this.waiting = [];
+        for (const waiter of waiting) {
+            waiter.reject(error);
+        }
+    }
+
+    /**
+     * Take a page from the pool, opening one while the pool has room and
+     * waiting in the queue otherwise
+     */
+    async _acquirePage() {
+        for (;;) {
+            if (!this.isReady()) {
+                throw new Error('Screenshot service not initialized');
+            }
+
+            if (this.idle.length > 0) {
+                const page = this.idle.pop();
+                this.busy.add(page);
+                return page;
+            }
+
+            if (this.busy.size + this.opening < this.poolSize) {
+                const browser = this.browser;
+                this.opening++;
+                try {
+                    const page = await browser.newPage();
+                    // Every request goes through the policy of the render using the page
+                    page.on('request', request => this._handleRequest(page, request));
+                    await page.setRequestInterception(true).catch(error => {
+                        page.close().catch(() => {});
+                        throw error;
+                    });
+                    if (this.browser !== browser) {
+                        page.close().catch(() => {});
+                        continue;
+                    }
+                    this.busy.add(page);
+                    return page;
+                } catch (error) {
+                    // The slot frees up below, so a queued render may try to open a page
+                    const waiter = this.waiting.shift();
+                    if (waiter) {
+                        waiter.resolve(null);
+                    }
+                    throw error;
+                } finally {
+                    this.opening--;
+                }
+            }
+
+            if (this.waiting.length >= this.queueLimit) {
+                this.metrics.rejected++;
+                throw new Error(`Screenshot queue is full (${this.queueLimit} renders waiting)`);
+            }
+
+            // Resolves with a page handed over by a finished render, or null when a slot freed up
+            const page = await new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+            if (page) {
+                return page;
+            }
+        }
+    }
+
+    /**
+     * Let a page request through, answer it locally or block it, depending on
+     * the render mode of the page
+     */
+    _handleRequest(page, request) {
+        const policy = this.pagePolicies.get(page) || { mode: 'standard' };
+        const url = request.url();
+        let handled;
+
+        if (INLINE_URL.test(url)) {
+            handled = request.continue();
+        } else if (policy.mode === 'faithful') {
+            handled = isTailwindCdnUrl(url) && policy.tailwindCss !== null
+                ? request.respond(createTailwindCdnResponse(request.resourceType(), policy.tailwindCss))
+                : request.abort('blockedbyclient');
+        } else {
+            handled = request.resourceType() === 'image' ? request.abort('blockedbyclient') : request.continue();
+        }
+
+        // The page may close while a request is in flight
+        Promise.resolve(handled).catch(() => {});
+    }
+
+    /**
+     * Set up a pooled page for a render. Every setting is applied on each
+     * render, so nothing carries over from the page's previous render.
+     * @param {Object} page - Puppeteer page
+     * @param {Object} policy - { mode, tailwindCss }
+     * @param {Object} viewport - From resolveViewport
+     * @param {string|null} colorScheme - 'light', 'dark' or null for no preference
+     */
+    async _preparePage(page, policy, viewport, colorScheme = null) {
+        this.pagePolicies.set(page, policy);
+        await page.setJavaScriptEnabled(policy.mode === 'faithful');
+        await page.setViewport({
+            width: viewport.width,
+            height: viewport.height,
+            deviceScaleFactor: viewport.deviceScaleFactor,
+            isMobile: viewport.isMobile,
+            hasTouch: viewport.hasTouch
+        });
+        await page.setUserAgent(viewport.userAgent || this.defaultUserAgent);
+        await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: colorScheme || '' }]);
+    }
+
+    /**
+     * Request policy for rendering a document. Faithful renders carry a
+     * Tailwind build of the classes the document uses.
+     * @param {string} completeHtml - Document to render
+     * @param {string} mode - Render mode
+     * @returns {Promise<Object>} { mode, tailwindCss }
+     */
+    async _createPolicy(completeHtml, mode) {
+        if (!ScreenshotService.RENDER_MODES.includes(mode)) {
+            throw new Error(`Unknown render mode: ${mode}`);
+        }
+        if (mode !== 'faithful') {
+            return { mode, tailwindCss: null };
+        }
+
+        const key = crypto.createHash('sha1').update(completeHtml).digest('hex');
+        let build = this.tailwindCache.get(key);
+        if (!build) {
+            build = compileTailwind(completeHtml, { theme: extractTailwindTheme(completeHtml) });
+            this.tailwindCache.set(key, build);
+            if (this.tailwindCache.size > TAILWIND_CACHE_SIZE) {
+                this.tailwindCache.delete(this.tailwindCache.keys().next().value);
+            }
+            build.catch(() => this.tailwindCache.delete(key));
+        }
+
+        return { mode, tailwindCss: await build };
+    }
+
+    /**
+     * Wait until web fonts have loaded and layout has settled for two frames.
+     * Standard pages have JavaScript disabled, so they skip this and rely on
+     * setContent waiting for the network (fonts included) to go idle.
+     */
+    async _waitForRender(page, policy) {
+        if (policy.mode !== 'faithful') {
+            return;
+        }
+
+        await page.evaluate(() => document.fonts.ready.then(() => new Promise(resolve => {
+            requestAnimationFrame(() => requestAnimationFrame(resolve));
+        })));
+    }
+
+    /**
+     * Return a page to the pool. Pages that failed are closed instead of reused.
+     */
+    _releasePage(page, healthy) {
+        if (!this.busy.has(page)) {
+            // The browser was replaced while the page was rendering
+            page.close().catch(() => {});
+            return;
+        }
+
+        if (healthy && !page.isClosed()) {
+            const waiter = this.waiting.shift();
+            if (waiter) {
+                waiter.resolve(page);
+            } else {
+                this.busy.delete(page);
+                this.idle.push(page);
+            }
+            return;
+        }
+
+        this.busy.delete(page);
+        page.close().catch(() => {});
+        const waiter = this.waiting.shift();
+        if (waiter) {
+            waiter.resolve(null);
+        }
+    }
+
+    /**
+     * Run a render on a pooled page within the render timeout
+     * @param {Function} task - async page => result
+     * @returns {Promise<*>} Result of the task
+     */
+    async _withPage(task) {
+        const page = await this._acquirePage();
+        let timer = null;
+        let healthy = true;
+
+        try {
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    this.metrics.timed_out++;
+                    reject(new Error(`Render timed out after ${this.renderTimeout}ms`));
+                }, this.renderTimeout);
+            });
+            const result = await Promise.race([task(page), timeout]);
+            this.metrics.completed++;
+            return result;
+        } catch (error) {
+            healthy = false;
+            this.metrics.failed++;
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            this._releasePage(page, healthy);
+        }
+    }
+
+    /**
+     * Pool and browser statistics for health reporting
+     */
+    getStats() {
+        return {
+            ready: Boolean(this.isReady()),
+            pool_size: this.poolSize,
+            pages_open: this.idle.length + this.busy.size,
+            busy: this.busy.size,
+            idle: this.idle.length,
+            queued: this.waiting.length,
+            queue_limit: this.queueLimit,
+            render_timeout_ms: this.renderTimeout,
+            ...this.metrics
+        };
+    }
+
     /**
      * Generate a screenshot of HTML content
      * @param {string} htmlContent - The HTML content to screenshot
      * @param {string} cssContent - The CSS content to include
-     * @param {Object} options - Screenshot options
+     * @param {Object} options - Screenshot options: a device preset and/or
+     *   width, height, deviceScaleFactor, isMobile, hasTouch, userAgent overriding it;
+     *   selector to capture one element; colorScheme ('light' or 'dark');
+     *   fullPage, format, quality, renderMode
      * @returns {Promise<Buffer>} Screenshot as buffer
      */
     async generateScreenshot(htmlContent, cssContent = '', options = {}) {
-        if (!this.isInitialized || !this.browser) {
+        if (!this.isReady()) {
             throw new Error('Screenshot service not initialized');
         }
 
         const {
-            width = 1200,
-            height = 800,
-            deviceScaleFactor = 1,
+            selector = null,
+            colorScheme = null,
             fullPage = true,
             format = 'png',
-            quality = 90
+            quality = 90,
+            renderMode = this.renderMode
         } = options;
 
-        let page = null;
-
         try {
-            // Create a new page
-            page = await this.browser.newPage();
-
-            // Set viewport
-            await page.setViewport({
-                width,
-                height,
-                deviceScaleFactor
-            });
+            const viewport = resolveViewport(options);
 
             // Combine HTML and CSS into a complete document
             const completeHtml = this._createCompleteHtml(htmlContent, cssContent);
+            const policy = await this._createPolicy(completeHtml, renderMode);
 
-            // Set the HTML content
-            await page.setContent(completeHtml, {
-                waitUntil: ['networkidle0', 'domcontentloaded'],
-                timeout: 30000
-            });
+            return await this._withPage(async page => {
+                await this._preparePage(page, policy, viewport, colorScheme);
 
-            // Wait for any dynamic content to load
-            await page.waitForTimeout(1000);
+                // Set the HTML content. Faithful renders make no network requests to wait for.
+                await page.setContent(completeHtml, {
+                    waitUntil: policy.mode === 'faithful' ? 'load' : ['networkidle0', 'domcontentloaded'],
+                    timeout: 30000
+                });
 
-            // Generate screenshot
-            const screenshotOptions = {
-                type: format,
-                fullPage,
-                ...(format === 'jpeg' && { quality })
-            };
+                await this._waitForRender(page, policy);
 
-            const screenshot = await page.screenshot(screenshotOptions);
+                // Generate screenshot
+                const screenshotOptions = {
+                    type: format,
+                    ...(format === 'jpeg' && { quality })
+                };
 
-            return screenshot;
+                if (selector) {
+                    const element = await page.$(selector);
+                    if (!element) {
+                        const error = new Error(`No element matches selector ${selector}`);
+                        error.status = 400;
+                        throw error;
+                    }
+                    return element.screenshot(screenshotOptions);
+                }
 
+                return page.screenshot({ ...screenshotOptions, fullPage });
+            });
         } catch (error) {
             console.error('Failed to generate screenshot:', error);
             throw error;
-        } finally {
-            if (page) {
-                await page.close();
-            }
         }
     }
 
@@ -156,6 +527,93 @@ class ScreenshotService {
         return `data:image/${format};base64,${base64}`;
     }
 
+    /**
+     * Print HTML content to a PDF. Pages render in faithful mode unless
+     * another render mode is given, so the document is styled offline too.
+     * @param {string} htmlContent - The HTML content to print
+     * @param {string} cssContent - The CSS content to include
+     * @param {Object} options - { pageSize, landscape, margin, printBackground, cover, renderMode }
+     *   cover is { businessName, qualityScore } for a cover page, or null
+     * @returns {Promise<Buffer>} PDF document
+     */
+    async generatePdf(htmlContent, cssContent = '', options = {}) {
+        if (!this.isReady()) {
+            throw new Error('Screenshot service not initialized');
+        }
+
+        const {
+            cover = null,
+            renderMode = 'faithful',
+            ...printOptions
+        } = options;
+
+        try {
+            let completeHtml = this._createCompleteHtml(htmlContent, cssContent);
+            if (cover) {
+                completeHtml = withCoverPage(completeHtml, createCoverHtml(cover));
+            }
+            const policy = await this._createPolicy(completeHtml, renderMode);
+
+            return await this._withPage(async page => {
+                await this._preparePage(page, policy, resolveViewport());
+
+                await page.setContent(completeHtml, {
+                    waitUntil: policy.mode === 'faithful' ? 'load' : ['networkidle0', 'domcontentloaded'],
+                    timeout: 30000
+                });
+                await this._waitForRender(page, policy);
+
+                return Buffer.from(await page.pdf(createPdfOptions(printOptions)));
+            });
+        } catch (error) {
+            console.error('Failed to generate PDF:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Audit the accessibility of HTML content in the browser. The page is
+     * rendered in faithful mode, so Tailwind colors count towards contrast
+     * and the audit never touches the network.
+     * @param {string} htmlContent - The HTML content to audit
+     * @param {string} cssContent - The CSS content to include
+     * @param {Object} options - { rules, width, height }
+     * @returns {Promise<Object>} { violations, summary }
+     */
+    async auditAccessibility(htmlContent, cssContent = '', options = {}) {
+        if (!this.isReady()) {
+            throw new Error('Screenshot service not initialized');
+        }
+
+        const {
+            rules = Object.keys(ACCESSIBILITY_RULES),
+            width = 1200,
+            height = 800
+        } = options;
+
+        try {
+            const completeHtml = this._createCompleteHtml(htmlContent, cssContent);
+            const policy = await this._createPolicy(completeHtml, 'faithful');
+
+            return await this._withPage(async page => {
+                await this._preparePage(page, policy, resolveViewport({ width, height }));
+
+                await page.setContent(completeHtml, {
+                    waitUntil: 'load',
+                    timeout: 30000
+                });
+                await this._waitForRender(page, policy);
+
+                const results = await page.evaluate(runAccessibilityRules, { rules, maxNodes: MAX_NODES_PER_RULE });
+
+                return buildAccessibilityReport(results, rules);
+            });
+        } catch (error) {
+            console.error('Failed to audit accessibility:', error);
+            throw error;
+        }
+    }
+
     /**
      * Create a complete HTML document with CSS
      * @param {string} htmlContent - The HTML content
@@ -196,44 +654,115 @@ class ScreenshotService {
     }
 
     /**
-     * Generate multiple viewport screenshots (desktop, tablet, mobile)
+     * Generate screenshots for several devices (desktop, tablet, mobile by default)
      * @param {string} htmlContent - The HTML content to screenshot
      * @param {string} cssContent - The CSS content to include
+     * @param {Object} options - { devices, renderMode, colorScheme }
      * @returns {Promise<Object>} Screenshots for different viewports
      */
-    async generateResponsiveScreenshots(htmlContent, cssContent = '') {
-        const viewports = {
-            desktop: { width: 1200, height: 800, deviceScaleFactor: 1 },
-            tablet: { width: 768, height: 1024, deviceScaleFactor: 2 },
-            mobile: { width: 375, height: 667, deviceScaleFactor: 2 }
-        };
-
-        const screenshots = {};
+    async generateResponsiveScreenshots(htmlContent, cssContent = '', options = {}) {
+        const { devices = RESPONSIVE_DEVICES, renderMode, colorScheme } = options;
 
-        for (const [device, viewport] of Object.entries(viewports)) {
+        // Viewports render in parallel, as far as the page pool allows
+        const entries = await Promise.all(devices.map(async device => {
             try {
-                screenshots[device] = await this.generateScreenshotDataUrl(
-                    htmlContent, 
-                    cssContent, 
-                    { ...viewport, fullPage: false }
-                );
+                return [device, await this.generateScreenshotDataUrl(
+                    htmlContent,
+                    cssContent,
+                    { device, fullPage: false, renderMode, colorScheme }
+                )];
             } catch (error) {
                 console.error(`Failed to generate ${device} screenshot:`, error);
-                screenshots[device] = null;
+                return [device, null];
             }
-        }
+        }));
 
-        return screenshots;
+        return Object.fromEntries(entries);
+    }
+
+    /**
+     * Screenshot two pages at each viewport and lay them out side by side.
+     * Before and after are the same size at every viewport, ready for a slider.
+     * @param {Object} before - { html, css } of the original page
+     * @param {Object} after - { html, css } of the generated homepage
+     * @param {Object} options - { viewports (device names), format, quality, renderMode }
+     * @returns {Promise<Object>} { [device]: { width, height, before, after, composite } } as data URLs
+     */
+    async generateComparison(before, after, options = {}) {
+        const {
+            viewports = RESPONSIVE_DEVICES,
+            format = 'jpeg',
+            quality = 80,
+            renderMode = this.renderMode
+        } = options;
+        const entries = await Promise.all(viewports.map(async device => {
+            const viewport = resolveViewport({ device });
+            const shotOptions = { device, fullPage: false, format, quality, renderMode };
+            const [beforeUrl, afterUrl] = await Promise.all([
+                this.generateScreenshotDataUrl(before.html, before.css || '', shotOptions),
+                this.generateScreenshotDataUrl(after.html, after.css || '', shotOptions)
+            ]);
+            // The composite only shows the two data URL images
+            const composite = await this.generateScreenshotDataUrl(
+                createCompositeHtml({ before: beforeUrl, after: afterUrl, width: viewport.width, height: viewport.height }),
+                '',
+                { ...shotOptions, device: 'desktop', ...compositeSize(viewport), deviceScaleFactor: viewport.deviceScaleFactor, renderMode: 'standard' }
+            );
+
+            return [device, {
+                width: viewport.width,
+                height: viewport.height,
+                before: beforeUrl,
+                after: afterUrl,
+                composite
+            }];
+        }));
+
+        return Object.fromEntries(entries);
+    }
+
+    /**
+     * Render two pages the same way and diff them pixel by pixel
+     * @param {Object} before - { html, css }
+     * @param {Object} after - { html, css }
+     * @param {Object} options - Screenshot options (device, viewport overrides,
+     *   fullPage, colorScheme, renderMode) plus threshold and includeAA for the diff
+     * @returns {Promise<Object>} diffImages result plus the before and after PNGs
+     */
+    async generateVisualDiff(before, after, options = {}) {
+        const { threshold, includeAA, ...shotOptions } = options;
+        const renderOptions = { fullPage: true, ...shotOptions, format: 'png' };
+
+        const [beforeImage, afterImage] = await Promise.all([
+            this.generateScreenshot(before.html, before.css || '', renderOptions),
+            this.generateScreenshot(after.html, after.css || '', renderOptions)
+        ]);
+
+        return {
+            before: beforeImage,
+            after: afterImage,
+            ...diffImages(beforeImage, afterImage, { threshold, includeAA })
+        };
     }
 
     /**
      * Cleanup the screenshot service
      */
     async cleanup() {
+        this.closing = true;
+        if (this.relaunchTimer) {
+            clearTimeout(this.relaunchTimer);
+            this.relaunchTimer = null;
+        }
+        this._rejectWaiting(new Error('Screenshot service is shutting down'));
+
         if (this.browser) {
-            await this.browser.close();
+            const browser = this.browser;
             this.browser = null;
             this.isInitialized = false;
+            this.idle = [];
+            this.busy.clear();
+            await browser.close();
             console.log('📸 Screenshot service cleaned up');
         }
     }
@@ -0,0 +1,371 @@
+/**
+ * Section-by-Section Generation for Homepage Builder
+ *
+ * This module handles:
+ * 1. Prompting for a JSON page plan (sections, headlines, CTAs)
+ * 2. Prompting for and validating the HTML of a single section
+ * 3. Assembling generated sections into one document with a shared layout
+ * 4. Locating and replacing one section of a stored page in place
+ */
+
+const cheerio = require('cheerio');
+const { stripMarkdown } = require('./postprocess');
+const { escapeHtml } = require('./html');
+
+// Upper bound on planned sections, so a runaway plan cannot fan out into dozens of requests
+const MAX_SECTIONS = 10;
+
+/**
+ * Sections every page has, in page order
+ */
+const BASE_SECTIONS = [
+    { id: 'header', type: 'header', purpose: 'Site header with the business name as logo, navigation links to the main sections and contact info' },
+    { id: 'hero', type: 'hero', purpose: 'Hero with a compelling headline, value proposition and the primary call to action' },
+    { id: 'services', type: 'services', purpose: 'Services or features with icons or images' },
+    { id: 'about', type: 'about', purpose: 'About and trust section with credibility indicators' },
+    { id: 'contact', type: 'contact', purpose: 'Contact section with a form and a map placeholder' },
+    { id: 'footer', type: 'footer', purpose: 'Footer with business details' }
+];
+
+// Root element each section type is wrapped in
+const SECTION_TAGS = {
+    header: 'header',
+    footer: 'footer'
+};
+
+function toSectionId(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// ids a section can be addressed by in the API
+const SECTION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Elements that can be regenerated as a section of an existing page
+const SECTION_ELEMENTS = ['header', 'section', 'footer', 'nav', 'aside', 'article', 'div'];
+
+function sectionTag(section) {
+    return section.tag || SECTION_TAGS[section.type] || 'section';
+}
+
+// Sections that carry the booking button when a page has booking
+function hasBookingButton(section, includeBooking) {
+    return includeBooking && ['header', 'hero'].includes(section.type);
+}
+
+/**
+ * Build the prompt asking for a JSON page plan
+ * @param {Object} options - { businessName, businessInfo, stylePreference, recommendations, outline, includeBooking }
+ * @returns {string}
+ */
+function createPlanPrompt({ businessName, businessInfo, stylePreference, recommendations = [], outline, includeBooking = false }) {
+    const sectionList = outline.map(section => `- ${section.id} (${section.type}): ${section.purpose}`).join('\n');
+    const topRecommendations = recommendations.slice(0, 3).map(rec => `- ${rec.title}: ${rec.description}`).join('\n');
+
+    return `
+Plan a modern, high-converting homepage for this business:
+
+Business Information:
+- Name: ${businessName}
+- Type: ${businessInfo.business_type}
+- Industry: ${businessInfo.industry}
+- Description: ${businessInfo.description || ''}
+- Location: ${businessInfo.location || ''}
+- Phone: ${businessInfo.phone || ''}
+- Services: ${(businessInfo.services || []).join(', ')}
+- Style: ${stylePreference}
+
+Key Improvements to Implement:
+${topRecommendations}
+
+Required sections, in page order:
+${sectionList}
+${includeBooking ? '\nThe hero call to action should book an appointment.\n' : ''}
+Respond with a JSON page plan only, no explanations:
+{
+  "title": "<page title, under 60 characters>",
+  "description": "<meta description, under 160 characters>",
+  "sections": [
+    { "id": "<section id from the list>", "type": "<type>", "headline": "<headline>", "subheadline": "<optional>", "cta": { "label": "<button text>", "href": "#contact" }, "notes": "<content to include>" }
+  ]
+}
+Keep every required section and its id. You may add up to ${MAX_SECTIONS - outline.length} extra sections before the contact section.
+`;
+}
+
+/**
+ * Parse and normalize a model's page plan against the required outline
+ * @param {string} content - Model output
+ * @param {Object} options - { outline, businessName, description }
+ * @returns {Object} { title, description, sections }
+ */
+function parsePagePlan(content, { outline, businessName, description = '' }) {
+    // Plans are JSON, so fences and prose are cut at the outermost braces
+    const text = content || '';
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start < 0 || end < start) {
+        throw new Error('Page plan is not valid JSON');
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+        throw new Error(`Page plan is not valid JSON: ${error.message}`);
+    }
+
+    const planned = Array.isArray(raw.sections) ? raw.sections.filter(section => section && typeof section === 'object') : [];
+    const byId = new Map(planned.map(section => [toSectionId(section.id), section]));
+
+    const normalize = (base, planEntry = {}) => {
+        const section = {
+            id: base.id,
+            type: base.type,
+            purpose: base.purpose,
+            headline: typeof planEntry.headline === 'string' ? planEntry.headline : null,
+            subheadline: typeof planEntry.subheadline === 'string' ? planEntry.subheadline : null,
+            cta: null,
+            notes: typeof planEntry.notes === 'string' ? planEntry.notes : null
+        };
+        if (planEntry.cta && typeof planEntry.cta.label === 'string') {
+            section.cta = { label: planEntry.cta.label, href: typeof planEntry.cta.href === 'string' ? planEntry.cta.href : '#contact' };
+        }
+        return section;
+    };
+
+    const sections = outline.map(base => normalize(base, byId.get(base.id)));
+
+    // Extra sections the model proposed go before contact
+    const known = new Set(sections.map(section => section.id));
+    const extras = [];
+    for (const entry of planned) {
+        const id = toSectionId(entry.id);
+        if (!id || known.has(id) || sections.length + extras.length >= MAX_SECTIONS) {
+            continue;
+        }
+        known.add(id);
+        extras.push(normalize({ id, type: 'custom', purpose: entry.notes || entry.headline || id }, entry));
+    }
+
+    const contactIndex = sections.findIndex(section => section.type === 'contact');
+    sections.splice(contactIndex >= 0 ? contactIndex : sections.length - 1, 0, ...extras);
+
+    return {
+        title: typeof raw.title === 'string' && raw.title.trim() ? raw.title.trim() : businessName,
+        description: typeof raw.description === 'string' && raw.description.trim() ? raw.description.trim() : description,
+        sections
+    };
+}
+
+/**
+ * Build the prompt for one section of a planned page
+ * @param {Object} options - { plan, section, businessName, businessInfo, stylePreference, colorPalette, includeBooking }
+ * @returns {string}
+ */
+function createSectionPrompt({ plan, section, businessName, businessInfo, stylePreference, colorPalette, includeBooking = false }) {
+    const tag = sectionTag(section);
+    const { colors } = colorPalette;
+    const pageOutline = plan.sections
+        .map(entry => `- #${entry.id}${entry.headline ? `: ${entry.headline}` : ''}`)
+        .join('\n');
+    const details = [
+        `Section id: ${section.id}`,
+        `Section type: ${section.type}`,
+        `Purpose: ${section.purpose}`,
+        section.headline ? `Headline: ${section.headline}` : null,
+        section.subheadline ? `Subheadline: ${section.subheadline}` : null,
+        section.cta ? `Call to action: "${section.cta.label}" linking to ${section.cta.href}` : null,
+        section.notes ? `Content notes: ${section.notes}` : null
+    ].filter(Boolean).join('\n');
+    const bookingText = hasBookingButton(section, includeBooking)
+        ? '\n- Include a prominent "Book Appointment" button with a data-booking-btn attribute'
+        : '';
+
+    return `
+Write one section of the homepage for ${businessName} (${businessInfo.business_type}, ${businessInfo.industry}).
+
+Page outline (for navigation links and consistent tone):
+${pageOutline}
+
+${details}
+
+Business details: location ${businessInfo.location || 'n/a'}, phone ${businessInfo.phone || 'n/a'}, services ${(businessInfo.services || []).join(', ') || 'n/a'}.
+
+Requirements:
+- Output only a single <${tag} id="${section.id}"> element with its content; no <html>, <head>, <body>, scripts, explanations or code fences
+- Style: ${stylePreference}, using Tailwind CSS classes and mobile-responsive breakpoints
+- Brand colors are available as Tailwind colors: primary (${colors.primary}), secondary (${colors.secondary}), accent (${colors.accent}) for calls to action, light (${colors.light}) and dark (${colors.dark}), e.g. bg-primary, text-accent
+- Use semantic, accessible HTML${bookingText}
+`;
+}
+
+/**
+ * Extract and check the HTML of one generated section
+ * @param {string} content - Model output
+ * @param {Object} section - Planned section
+ * @param {string|null} finishReason - finish_reason reported by the model
+ * @returns {string} Section HTML
+ */
+function extractSectionHtml(content, section, finishReason = null) {
+    let html = stripMarkdown(content).html;
+
+    if (finishReason === 'length' || html.lastIndexOf('<') > html.lastIndexOf('>')) {
+        throw new Error(`Section ${section.id} output was truncated`);
+    }
+
+    // Some models wrap the section in a full document anyway
+    if (/<body[\s>]/i.test(html)) {
+        html = cheerio.load(html)('body').html();
+    }
+
+    const $ = cheerio.load(html, null, false);
+    const tag = sectionTag(section);
+    const byId = $(`[id="${section.id}"]`).first();
+    const root = byId.length ? byId : $(tag).first();
+    if (!root.length) {
+        throw new Error(`Section ${section.id} output has no <${tag}> element`);
+    }
+
+    root.attr('id', section.id);
+    return $.html(root).trim();
+}
+
+/**
+ * Build the prompt asking for a new version of one section of an existing page
+ * @param {Object} options - { section, currentHtml, instructions, businessName, businessInfo, stylePreference, colorPalette }
+ * @returns {string}
+ */
+function createSectionRegenerationPrompt({ section, currentHtml, instructions = null, businessName, businessInfo = {}, stylePreference = 'modern', colorPalette }) {
+    const tag = sectionTag(section);
+    const { colors } = colorPalette;
+    const details = [
+        `Section id: ${section.id}`,
+        `Section type: ${section.type}`,
+        section.purpose ? `Purpose: ${section.purpose}` : null,
+        section.headline ? `Headline: ${section.headline}` : null,
+        instructions ? `Instructions: ${instructions}` : null
+    ].filter(Boolean).join('\n');
+
+    return `
+Rewrite one section of the homepage for ${businessName} (${businessInfo.business_type || 'business'}, ${businessInfo.industry || 'general'}).
+
+${details}
+
+Current section:
+${currentHtml}
+
+Business details: location ${businessInfo.location || 'n/a'}, phone ${businessInfo.phone || 'n/a'}, services ${(businessInfo.services || []).join(', ') || 'n/a'}.
+
+Requirements:
+- Output only a single <${tag} id="${section.id}"> element with its content; no <html>, <head>, <body>, scripts, explanations or code fences
+- ${instructions ? 'Apply the instructions above and keep' : 'Improve the copy and layout while keeping'} the purpose, links and data- attributes of the current section
+- Style: ${stylePreference}, matching the Tailwind CSS classes already used so the section fits the rest of the page
+- Brand colors: primary (${colors.primary}), secondary (${colors.secondary}), accent (${colors.accent}) for calls to action, light (${colors.light}) and dark (${colors.dark})
+- Use semantic, accessible HTML
+`;
+}
+
+/**
+ * Find a section of a stored page by id, with its position in the source
+ * @param {string} html - Complete HTML document
+ * @param {string} sectionId - id attribute of the section
+ * @returns {Object|null} { id, tag, start, end, html }, or null when the page has no such section
+ */
+function locateSection(html, sectionId) {
+    const $ = cheerio.load(html || '', { sourceCodeLocationInfo: true });
+    const element = $('[id]')
+        .filter((index, node) => node.attribs.id === sectionId && SECTION_ELEMENTS.includes(node.tagName))
+        .get(0);
+    if (!element || !element.sourceCodeLocation) {
+        return null;
+    }
+
+    const { startOffset, endOffset } = element.sourceCodeLocation;
+    return {
+        id: sectionId,
+        tag: element.tagName,
+        start: startOffset,
+        end: endOffset,
+        html: html.slice(startOffset, endOffset)
+    };
+}
+
+/**
+ * Swap a located section for new HTML. Everything outside the section is kept
+ * byte for byte; the new section is indented like the one it replaces.
+ * @param {string} html - Complete HTML document
+ * @param {Object} located - Section returned by locateSection
+ * @param {string} sectionHtml - Replacement section
+ * @returns {string} Updated document
+ */
+function replaceSection(html, located, sectionHtml) {
+    const lineStart = html.lastIndexOf('\n', located.start - 1) + 1;
+    const leading = html.slice(lineStart, located.start);
+    const indent = /^\s*$/.test(leading) ? leading : '';
+    const body = sectionHtml.split('\n').map((line, index) => (index > 0 && line ? indent + line : line)).join('\n');
+
+    return html.slice(0, located.start) + body + html.slice(located.end);
+}
+
+/**
+ * Tailwind Play CDN configuration exposing the palette as theme colors
+ */
+function buildTailwindConfig(colors) {
+    const themeColors = {};
+    for (const name of ['primary', 'secondary', 'accent', 'light', 'dark']) {
+        if (colors[name]) {
+            themeColors[name] = colors[name];
+        }
+    }
+    return `tailwind.config = { theme: { extend: { colors: ${JSON.stringify(themeColors)} } } };`;
+}
+
+/**
+ * Assemble generated sections into one document with a shared layout
+ * @param {Object} options - { plan, sections: [{ section, html }], colorPalette }
+ * @returns {string} Complete HTML document
+ */
+function assemblePage({ plan, sections, colorPalette }) {
+    const indent = (html, spaces) => html.split('\n').map(line => (line ? ' '.repeat(spaces) + line : line)).join('\n');
+    const header = sections.filter(entry => entry.section.type === 'header').map(entry => entry.html);
+    const footer = sections.filter(entry => entry.section.type === 'footer').map(entry => entry.html);
+    const main = sections.filter(entry => !['header', 'footer'].includes(entry.section.type)).map(entry => entry.html);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(plan.title)}</title>
+    <meta name="description" content="${escapeHtml(plan.description)}">
+    <script src="https://cdn.tailwindcss.com"></script>
+    <script>${buildTailwindConfig(colorPalette.colors)}</script>
+</head>
+<body class="bg-white text-gray-800 antialiased">
+${indent(header.join('\n'), 4)}
+    <main>
+${indent(main.join('\n'), 8)}
+    </main>
+${indent(footer.join('\n'), 4)}
+</body>
+</html>`;
+}
+
+module.exports = {
+    MAX_SECTIONS,
+    BASE_SECTIONS,
+    SECTION_ID_PATTERN,
+    sectionTag,
+    hasBookingButton,
+    createPlanPrompt,
+    parsePagePlan,
+    createSectionPrompt,
+    extractSectionHtml,
+    assemblePage,
+    createSectionRegenerationPrompt,
+    locateSection,
+    replaceSection
+};
@@ -0,0 +1,386 @@
+/**
+ * Homepage Storage for Homepage Builder
+ *
+ * This module handles:
+ * 1. Persisting generated homepages so their ids stay useful
+ * 2. Retrieval, listing and deletion of stored homepages
+ * 3. Revision history of edits made to a stored homepage
+ * 4. Pluggable backends (filesystem by default, in-memory for tests)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '..', 'output', 'homepages');
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Build a storage record from a generation result
+ * @param {Object} result - Result returned by HomepageGenerator.generateHomepage
+ * @param {Object} analysisResult - The analysis the homepage was generated from
+ * @param {Object} inputs - Generation options recorded with revision 1 (style, features, ...)
+ * @returns {Object} Storage record
+ */
+function createHomepageRecord(result, analysisResult, inputs = {}) {
+    const { id, business_name, html_code, css_code, js_code, ...metadata } = result;
+    const now = new Date().toISOString();
+
+    return {
+        id,
+        business_name,
+        html_code,
+        css_code,
+        js_code: js_code || null,
+        analysis_result: analysisResult,
+        metadata,
+        revision: 1,
+        revisions: [createRevision(1, { html_code, css_code, js_code }, {
+            type: 'generated',
+            inputs,
+            provider: result.provider,
+            model: result.model,
+            prompt_hash: result.prompt_hash
+        }, now)],
+        created_at: now,
+        updated_at: now
+    };
+}
+
+/**
+ * Snapshot of a homepage at one revision: what produced it and the code it produced
+ * @param {number} revision - Revision number, starting at 1
+ * @param {Object} code - { html_code, css_code, js_code }
+ * @param {Object} details - { type, inputs, provider, model, prompt_hash, summary }; type is
+ *   generated, section_regenerated, refined, accessibility_fixed or reverted
+ * @param {string} createdAt - ISO timestamp
+ */
+function createRevision(revision, { html_code, css_code, js_code }, details, createdAt) {
+    return {
+        revision,
+        type: details.type,
+        inputs: details.inputs || {},
+        provider: details.provider || null,
+        model: details.model || null,
+        prompt_hash: details.prompt_hash || null,
+        summary: details.summary || null,
+        html_code,
+        css_code,
+        js_code: js_code || null,
+        created_at: createdAt
+    };
+}
+
+/**
+ * Base storage interface. Backends implement the underscore-prefixed methods.
+ */
+class HomepageStorage {
+    constructor() {
+        // Pending revision updates per homepage id, so concurrent edits are applied in order
+        this.locks = new Map();
+    }
+
+    /**
+     * Save (create or replace) a homepage record
+     * @param {Object} record - Record built with createHomepageRecord
+     * @returns {Promise<Object>} The stored record
+     */
+    async save(record) {
+        if (!record || !HomepageStorage.isValidId(record.id)) {
+            throw new Error('Homepage record must have a valid id');
+        }
+        await this._write(record);
+        return record;
+    }
+
+    /**
+     * Get a homepage record by id
+     * @param {string} id - Homepage id
+     * @returns {Promise<Object|null>} The record, or null when not found
+     */
+    async get(id) {
+        if (!HomepageStorage.isValidId(id)) {
+            return null;
+        }
+        return this._read(id);
+    }
+
+    /**
+     * Delete a homepage record by id
+     * @param {string} id - Homepage id
+     * @returns {Promise<boolean>} True when a record was deleted
+     */
+    async delete(id) {
+        if (!HomepageStorage.isValidId(id)) {
+            return false;
+        }
+        return this._remove(id);
+    }
+
+    /**
+     * Record new code for a homepage as its next revision
+     * @param {string} id - Homepage id
+     * @param {Object|Function} code - { html_code, css_code, js_code }, or a function building it
+     *   from the current record; omitted fields keep their current value
+     * @param {Object} details - What produced the revision, see createRevision
+     * @returns {Promise<Object|null>} The updated record, or null when not found
+     */
+    async addRevision(id, code, details) {
+        if (!HomepageStorage.isValidId(id)) {
+            return null;
+        }
+
+        return this._withLock(id, async () => {
+            const record = await this._read(id);
+            if (!record) {
+                return null;
+            }
+
+            const updates = typeof code === 'function' ? await code(record) : code;
+            const revisions = HomepageStorage.getRevisions(record);
+            const revision = revisions[revisions.length - 1].revision + 1;
+            const now = new Date().toISOString();
+            const current = {
+                html_code: updates.html_code !== undefined ? updates.html_code : record.html_code,
+                css_code: updates.css_code !== undefined ? updates.css_code : record.css_code,
+                js_code: updates.js_code !== undefined ? updates.js_code : record.js_code
+            };
+
+            const updated = {
+                ...record,
+                ...current,
+                js_code: current.js_code || null,
+                revision,
+                revisions: [...revisions, createRevision(revision, current, details, now)],
+                updated_at: now
+            };
+            await this._write(updated);
+            return updated;
+        });
+    }
+
+    /**
+     * List stored homepages, newest first
+     * @param {Object} options - Pagination and filter options
+     * @returns {Promise<Object>} Page of record summaries
+     */
+    async list({ page = 1, limit = 20, business_name = null, style = null, batch_id = null } = {}) {
+        let records = await this._readAll();
+
+        if (business_name) {
+            const needle = business_name.toLowerCase();
+            records = records.filter(record =>
+                (record.business_name || '').toLowerCase().includes(needle)
+            );
+        }
+
+        if (style) {
+            records = records.filter(record => record.metadata && record.metadata.style_applied === style);
+        }
+
+        if (batch_id) {
+            records = records.filter(record => record.metadata && record.metadata.batch_id === batch_id);
+        }
+
+        records.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+
+        const total = records.length;
+        const offset = (page - 1) * limit;
+
+        return {
+            items: records.slice(offset, offset + limit).map(HomepageStorage.summarize),
+            total,
+            page,
+            limit,
+            total_pages: Math.ceil(total / limit)
+        };
+    }
+
+    /**
+     * Strip generated code from a record for list responses
+     */
+    static summarize(record) {
+        const { html_code, css_code, js_code, analysis_result, revisions, ...summary } = record;
+        return summary;
+    }
+
+    /**
+     * Revision history of a record. Records stored before revisions existed
+     * get their current code as revision 1.
+     */
+    static getRevisions(record) {
+        if (Array.isArray(record.revisions) && record.revisions.length > 0) {
+            return record.revisions;
+        }
+        const metadata = record.metadata || {};
+        return [createRevision(1, record, {
+            type: 'generated',
+            provider: metadata.provider,
+            model: metadata.model
+        }, record.created_at)];
+    }
+
+    /**
+     * Strip code from a revision for history listings
+     */
+    static summarizeRevision(revision) {
+        const { html_code, css_code, js_code, ...summary } = revision;
+        return summary;
+    }
+
+    static isValidId(id) {
+        return typeof id === 'string' && ID_PATTERN.test(id);
+    }
+
+    async _withLock(id, task) {
+        const previous = this.locks.get(id) || Promise.resolve();
+        const current = previous.catch(() => {}).then(task);
+        this.locks.set(id, current);
+
+        try {
+            return await current;
+        } finally {
+            if (this.locks.get(id) === current) {
+                this.locks.delete(id);
+            }
+        }
+    }
+
+    async _write(record) {
+        throw new Error('_write() not implemented');
+    }
+
+    async _read(id) {
+        throw new Error('_read() not implemented');
+    }
+
+    async _readAll() {
+        throw new Error('_readAll() not implemented');
+    }
+
+    async _remove(id) {
+        throw new Error('_remove() not implemented');
+    }
+}
+
+/**
+ * Stores each homepage as a JSON file in a directory
+ */
+class FileSystemStorage extends HomepageStorage {
+    constructor(directory = DEFAULT_STORAGE_DIR) {
+        super();
+        this.directory = directory;
+    }
+
+    _filePath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    async _write(record) {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        // Write to a temporary file first so readers never see a partial record
+        const filePath = this._filePath(record.id);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(record, null, 2));
+        await fs.rename(tempPath, filePath);
+    }
+
+    async _read(id) {
+        try {
+            const content = await fs.readFile(this._filePath(id), 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async _readAll() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const records = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            const record = await this._read(path.basename(file, '.json'));
+            if (record) {
+                records.push(record);
+            }
+        }
+        return records;
+    }
+
+    async _remove(id) {
+        try {
+            await fs.unlink(this._filePath(id));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+/**
+ * Keeps homepages in process memory (tests and throwaway instances)
+ */
+class MemoryStorage extends HomepageStorage {
+    constructor() {
+        super();
+        this.records = new Map();
+    }
+
+    async _write(record) {
+        this.records.set(record.id, JSON.parse(JSON.stringify(record)));
+    }
+
+    async _read(id) {
+        const record = this.records.get(id);
+        return record ? JSON.parse(JSON.stringify(record)) : null;
+    }
+
+    async _readAll() {
+        return Array.from(this.records.values()).map(record => JSON.parse(JSON.stringify(record)));
+    }
+
+    async _remove(id) {
+        return this.records.delete(id);
+    }
+}
+
+/**
+ * Create the storage backend selected by configuration
+ * @param {Object} options - { backend, directory }, defaults from environment
+ * @returns {HomepageStorage} Storage instance
+ */
+function createStorage({
+    backend = process.env.STORAGE_BACKEND || 'filesystem',
+    directory = process.env.STORAGE_DIR || DEFAULT_STORAGE_DIR
+} = {}) {
+    switch (backend) {
+        case 'filesystem':
+            return new FileSystemStorage(directory);
+        case 'memory':
+            return new MemoryStorage();
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    HomepageStorage,
+    FileSystemStorage,
+    MemoryStorage,
+    createStorage,
+    createHomepageRecord
+};
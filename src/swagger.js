@@ -1,5 +1,7 @@
 const swaggerJSDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const { DEVICE_NAMES, RESPONSIVE_DEVICES } = require('./devices');
+const { NAMED_SCHEMES } = require('./colors');
 
 const options = {
   definition: {
@@ -97,6 +99,77 @@ const options = {
               type: 'string',
               description: 'Additional specific requirements for the homepage',
               example: 'Include online reservation system'
+            },
+            color_scheme: {
+              type: 'string',
+              nullable: true,
+              description: `Base color as hex (#RRGGBB), rgb(r, g, b) or a named scheme (${Object.keys(NAMED_SCHEMES).join(', ')}). A full palette with contrast checks is derived from it.`,
+              example: '#2563EB'
+            },
+            additional_features: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['contact_form', 'testimonials', 'gallery', 'blog', 'social_media']
+              },
+              description: 'Extra sections to include. Each is listed in features_included only when the generated HTML contains it.',
+              example: ['testimonials', 'gallery']
+            },
+            provider: {
+              type: 'string',
+              enum: ['openai', 'anthropic', 'ollama', 'fixture'],
+              description: 'LLM provider for this request (defaults to LLM_PROVIDER)'
+            },
+            model: {
+              type: 'string',
+              description: "Model for this request (defaults to the provider's configured model)",
+              example: 'gpt-4o-mini'
+            },
+            generation_strategy: {
+              type: 'string',
+              enum: ['single', 'sections'],
+              description: '`single` asks for the whole page in one completion; `sections` plans the page as JSON, generates each section in parallel and assembles them (defaults to GENERATION_STRATEGY)'
+            },
+            temperature: {
+              type: 'number',
+              minimum: 0,
+              maximum: 2,
+              description: 'Sampling temperature for this request (defaults to OPENAI_TEMPERATURE)'
+            },
+            variants: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 5,
+              default: 1,
+              description: 'Number of design variants to generate (up to MAX_VARIANTS). Above 1 the response is a VariantBatchResult'
+            },
+            variant_options: {
+              type: 'array',
+              description: 'Style and temperature per variant, in order. Variants without options use the requested style first, then the other styles in turn',
+              items: {
+                type: 'object',
+                properties: {
+                  style_preference: {
+                    type: 'string',
+                    enum: ['modern', 'classic', 'minimal', 'bold', 'professional']
+                  },
+                  temperature: {
+                    type: 'number',
+                    minimum: 0,
+                    maximum: 2
+                  }
+                }
+              }
+            },
+            async: {
+              type: 'boolean',
+              default: false,
+              description: 'Queue the generation and return 202 with a job id instead of waiting for the result'
+            },
+            callback_url: {
+              type: 'string',
+              format: 'uri',
+              description: 'URL that receives a POST with the final job state (async mode only). Must not point to localhost or a private, loopback or link-local address; limited to CALLBACK_ALLOWED_HOSTS when that is set.'
             }
           },
           required: ['analysis_result', 'business_name']
@@ -120,6 +193,118 @@ const options = {
               type: 'string',
               description: 'Style preference applied'
             },
+            color_palette: {
+              type: 'object',
+              description: 'Derived palette colors and WCAG contrast checks for each text/background pair'
+            },
+            output_fixes: {
+              type: 'array',
+              description: 'Fixes applied to the model output (stripped fences/prose, removed scripts, iframes and event handlers, closed tags)',
+              items: {
+                type: 'object',
+                properties: {
+                  type: {
+                    type: 'string',
+                    example: 'removed_script'
+                  },
+                  detail: {
+                    type: 'string',
+                    example: 'Removed script from https://example.com/track.js'
+                  }
+                }
+              }
+            },
+            truncated: {
+              type: 'boolean',
+              description: 'Whether the model output was cut off (finish_reason length or unclosed tags)'
+            },
+            attempts: {
+              type: 'integer',
+              description: 'OpenAI requests made, including retries and continuations'
+            },
+            continuations: {
+              type: 'integer',
+              description: 'Continuation requests issued for truncated output'
+            },
+            tokens_used: {
+              type: 'integer',
+              description: 'Total tokens used across all requests'
+            },
+            prompt_hash: {
+              type: 'string',
+              description: 'SHA-256 of the prompt(s) sent to the model'
+            },
+            quality: {
+              $ref: '#/components/schemas/QualityReport'
+            },
+            temperature: {
+              type: 'number',
+              description: 'Sampling temperature used'
+            },
+            batch_id: {
+              type: 'string',
+              description: 'Variant batch this homepage belongs to (variant batches only)'
+            },
+            variant: {
+              type: 'integer',
+              description: 'Position of this homepage in its variant batch (variant batches only)'
+            },
+            provider: {
+              type: 'string',
+              description: 'LLM provider that generated the HTML',
+              example: 'openai'
+            },
+            model: {
+              type: 'string',
+              description: 'Model that generated the HTML',
+              example: 'gpt-4o-mini'
+            },
+            generation_strategy: {
+              type: 'string',
+              enum: ['single', 'sections']
+            },
+            page_plan: {
+              type: 'object',
+              description: 'Page plan the sections were generated from (sections strategy only)',
+              properties: {
+                title: { type: 'string' },
+                description: { type: 'string' },
+                sections: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      id: { type: 'string', example: 'hero' },
+                      type: { type: 'string', example: 'hero' },
+                      purpose: { type: 'string' },
+                      headline: { type: 'string', nullable: true },
+                      subheadline: { type: 'string', nullable: true },
+                      cta: {
+                        type: 'object',
+                        nullable: true,
+                        properties: {
+                          label: { type: 'string' },
+                          href: { type: 'string' }
+                        }
+                      },
+                      notes: { type: 'string', nullable: true }
+                    }
+                  }
+                }
+              }
+            },
+            sections: {
+              type: 'array',
+              description: 'Generated sections and the attempts each took (sections strategy only)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  type: { type: 'string' },
+                  attempts: { type: 'integer' }
+                }
+              }
+            },
             generation_metadata: {
               type: 'object',
               properties: {
@@ -141,61 +326,1095 @@ const options = {
           },
           required: ['html_content', 'css_content', 'business_name']
         },
-        ScreenshotRequest: {
+        LLMProvider: {
           type: 'object',
           properties: {
-            html_content: {
+            name: {
               type: 'string',
-              description: 'HTML content to capture as screenshot'
+              example: 'ollama'
             },
-            css_content: {
+            model: {
               type: 'string',
-              description: 'CSS styles to apply'
+              description: 'Model used when a request does not name one',
+              example: 'llama3.1'
             },
-            viewport_width: {
-              type: 'number',
-              minimum: 320,
-              maximum: 1920,
-              default: 1200,
-              description: 'Viewport width for screenshot'
+            base_url: {
+              type: 'string',
+              nullable: true,
+              example: 'http://localhost:11434'
             },
-            viewport_height: {
-              type: 'number',
-              minimum: 240,
-              maximum: 1080,
-              default: 800,
-              description: 'Viewport height for screenshot'
+            configured: {
+              type: 'boolean',
+              description: 'Whether the provider has the credentials it needs'
+            },
+            default: {
+              type: 'boolean',
+              description: 'Whether this is the LLM_PROVIDER default'
+            },
+            capabilities: {
+              type: 'object',
+              properties: {
+                streaming: { type: 'boolean' },
+                jsonMode: { type: 'boolean' }
+              }
             }
-          },
-          required: ['html_content']
+          }
         },
-        ScreenshotResult: {
+        JobStatus: {
           type: 'object',
           properties: {
-            screenshot_base64: {
+            id: {
               type: 'string',
-              description: 'Base64-encoded PNG screenshot'
+              description: 'Job id'
             },
-            metadata: {
+            status: {
+              type: 'string',
+              enum: ['queued', 'running', 'succeeded', 'failed']
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            started_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            finished_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            result: {
+              type: 'object',
+              nullable: true,
+              description: 'Generation result once the job succeeded'
+            },
+            error: {
               type: 'object',
+              nullable: true,
               properties: {
-                width: {
-                  type: 'number',
-                  description: 'Screenshot width in pixels'
+                message: {
+                  type: 'string'
                 },
-                height: {
-                  type: 'number',
-                  description: 'Screenshot height in pixels'
+                error_type: {
+                  type: 'string'
+                }
+              }
+            },
+            callback: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                url: {
+                  type: 'string'
                 },
-                generated_at: {
+                status: {
                   type: 'string',
-                  format: 'date-time',
-                  description: 'Timestamp when screenshot was generated'
+                  enum: ['pending', 'delivered', 'failed']
+                },
+                attempts: {
+                  type: 'integer'
                 }
               }
             }
+          }
+        },
+        HomepageRecord: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Homepage id returned by /generate'
+            },
+            business_name: {
+              type: 'string',
+              description: 'Business name used in generation'
+            },
+            html_code: {
+              type: 'string',
+              description: 'Generated HTML code'
+            },
+            css_code: {
+              type: 'string',
+              description: 'Generated CSS code'
+            },
+            js_code: {
+              type: 'string',
+              nullable: true,
+              description: 'Generated JavaScript code, if any'
+            },
+            analysis_result: {
+              type: 'object',
+              description: 'Analysis the homepage was generated from'
+            },
+            metadata: {
+              type: 'object',
+              description: 'Remaining generation output (style_applied, features_included, generation_time, ...)'
+            },
+            revision: {
+              type: 'integer',
+              description: 'Current revision number; 1 for a freshly generated homepage',
+              example: 1
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time'
+            }
           },
-          required: ['screenshot_base64']
+          required: ['id', 'html_code']
+        },
+        HomepageList: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            data: {
+              type: 'object',
+              properties: {
+                items: {
+                  type: 'array',
+                  description: 'Homepage records without html_code, css_code, js_code and analysis_result',
+                  items: {
+                    $ref: '#/components/schemas/HomepageRecord'
+                  }
+                },
+                total: {
+                  type: 'integer'
+                },
+                page: {
+                  type: 'integer'
+                },
+                limit: {
+                  type: 'integer'
+                },
+                total_pages: {
+                  type: 'integer'
+                }
+              }
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        RegenerateSectionRequest: {
+          type: 'object',
+          properties: {
+            instructions: {
+              type: 'string',
+              maxLength: 2000,
+              description: 'What to change in the section; without instructions the section is rewritten in the same role'
+            },
+            provider: {
+              type: 'string',
+              enum: ['openai', 'anthropic', 'ollama', 'fixture'],
+              description: 'LLM provider for this request (defaults to LLM_PROVIDER)'
+            },
+            model: {
+              type: 'string',
+              description: "Model for this request (defaults to the provider's configured model)"
+            }
+          }
+        },
+        SectionRegenerationResult: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Homepage id'
+            },
+            revision: {
+              type: 'integer',
+              description: 'Revision the regenerated section was stored as',
+              example: 2
+            },
+            section: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', example: 'hero' },
+                type: { type: 'string', example: 'hero' }
+              }
+            },
+            section_html: {
+              type: 'string',
+              description: 'HTML of the new section'
+            },
+            html_code: {
+              type: 'string',
+              description: 'Complete HTML of the homepage with the new section'
+            },
+            quality: {
+              $ref: '#/components/schemas/QualityReport'
+            },
+            output_fixes: {
+              type: 'array',
+              items: { type: 'object' },
+              description: 'Fixes applied while sanitizing the new section'
+            },
+            attempts: { type: 'integer' },
+            tokens_used: { type: 'integer' },
+            provider: { type: 'string' },
+            model: { type: 'string' },
+            generation_time: {
+              type: 'integer',
+              description: 'Processing time in milliseconds'
+            }
+          }
+        },
+        RefineRequest: {
+          type: 'object',
+          required: ['instruction'],
+          properties: {
+            instruction: {
+              type: 'string',
+              maxLength: 2000,
+              description: 'Change to apply to the current page, in plain language'
+            },
+            provider: {
+              type: 'string',
+              enum: ['openai', 'anthropic', 'ollama', 'fixture'],
+              description: 'LLM provider for this request (defaults to LLM_PROVIDER)'
+            },
+            model: {
+              type: 'string',
+              description: "Model for this request (defaults to the provider's configured model)"
+            }
+          }
+        },
+        ConversationTurn: {
+          type: 'object',
+          properties: {
+            revision: {
+              type: 'integer',
+              description: 'Revision the instruction produced'
+            },
+            instruction: {
+              type: 'string'
+            },
+            summary: {
+              type: 'string',
+              nullable: true,
+              description: 'What the model reported changing'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        FileDiff: {
+          type: 'object',
+          properties: {
+            patch: {
+              type: 'string',
+              description: 'Unified diff; empty when the file did not change'
+            },
+            additions: { type: 'integer' },
+            deletions: { type: 'integer' }
+          }
+        },
+        HomepageDiff: {
+          type: 'object',
+          properties: {
+            html: { $ref: '#/components/schemas/FileDiff' },
+            css: { $ref: '#/components/schemas/FileDiff' },
+            additions: { type: 'integer' },
+            deletions: { type: 'integer' },
+            changed: { type: 'boolean' }
+          }
+        },
+        RefinementResult: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Homepage id'
+            },
+            revision: {
+              type: 'integer',
+              description: 'Revision the refinement was stored as'
+            },
+            summary: {
+              type: 'string',
+              nullable: true,
+              description: 'What the model reported changing'
+            },
+            html_code: { type: 'string' },
+            css_code: { type: 'string' },
+            diff: {
+              $ref: '#/components/schemas/HomepageDiff'
+            },
+            conversation: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/ConversationTurn' }
+            },
+            quality: {
+              $ref: '#/components/schemas/QualityReport'
+            },
+            output_fixes: {
+              type: 'array',
+              items: { type: 'object' }
+            },
+            attempts: { type: 'integer' },
+            tokens_used: { type: 'integer' },
+            provider: { type: 'string' },
+            model: { type: 'string' },
+            generation_time: {
+              type: 'integer',
+              description: 'Processing time in milliseconds'
+            }
+          }
+        },
+        HomepageRevision: {
+          type: 'object',
+          properties: {
+            revision: {
+              type: 'integer',
+              example: 2
+            },
+            type: {
+              type: 'string',
+              enum: ['generated', 'section_regenerated', 'refined', 'reverted']
+            },
+            inputs: {
+              type: 'object',
+              description: 'Request options that produced the revision (generation options, section_id and instructions, instruction, or the restored revision)'
+            },
+            provider: {
+              type: 'string',
+              nullable: true
+            },
+            model: {
+              type: 'string',
+              nullable: true
+            },
+            prompt_hash: {
+              type: 'string',
+              nullable: true,
+              description: 'SHA-256 of the prompt(s) sent to the model; null for reverts'
+            },
+            summary: {
+              type: 'string',
+              nullable: true,
+              description: 'Change summary (refinements and reverts)'
+            },
+            html_code: {
+              type: 'string',
+              description: 'Only in single-revision responses'
+            },
+            css_code: {
+              type: 'string',
+              description: 'Only in single-revision responses'
+            },
+            js_code: {
+              type: 'string',
+              nullable: true,
+              description: 'Only in single-revision responses'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        StructuralChange: {
+          type: 'object',
+          properties: {
+            op: {
+              type: 'string',
+              enum: ['added', 'removed', 'moved', 'attributes_changed', 'text_changed']
+            },
+            path: {
+              type: 'string',
+              description: 'CSS selector of the element (in the newer revision, except for removed elements)',
+              example: 'html > body > main > section#testimonials'
+            },
+            from_path: {
+              type: 'string',
+              description: 'Previous selector of a moved element'
+            },
+            html: {
+              type: 'string',
+              description: 'Excerpt of an added or removed element'
+            },
+            attributes: {
+              type: 'object',
+              description: 'Changed attributes as { name: { from, to } }'
+            },
+            from: {
+              type: 'string',
+              description: 'Previous text of the element'
+            },
+            to: {
+              type: 'string',
+              description: 'New text of the element'
+            }
+          }
+        },
+        RevisionDiff: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            from: { type: 'integer' },
+            to: { type: 'integer' },
+            structure: {
+              type: 'object',
+              properties: {
+                changes: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/StructuralChange' }
+                },
+                summary: {
+                  type: 'object',
+                  description: 'Number of changes per op'
+                },
+                truncated: {
+                  type: 'boolean',
+                  description: 'True when more changes were found than are listed'
+                }
+              }
+            },
+            patch: {
+              $ref: '#/components/schemas/HomepageDiff'
+            }
+          }
+        },
+        QualityReport: {
+          type: 'object',
+          description: 'Static quality checks of the generated page',
+          properties: {
+            score: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 100,
+              description: 'Sum of the check scores',
+              example: 82
+            },
+            checks: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: {
+                    type: 'string',
+                    enum: ['heading_hierarchy', 'meta_tags', 'image_alt', 'contact_info', 'calls_to_action', 'mobile_viewport', 'link_validity', 'page_weight']
+                  },
+                  label: {
+                    type: 'string',
+                    example: 'Contact information'
+                  },
+                  weight: {
+                    type: 'integer',
+                    description: 'Points the check is worth',
+                    example: 15
+                  },
+                  score: {
+                    type: 'number',
+                    description: 'Points earned',
+                    example: 11.3
+                  },
+                  status: {
+                    type: 'string',
+                    enum: ['pass', 'warn', 'fail']
+                  },
+                  findings: {
+                    type: 'array',
+                    items: {
+                      type: 'string'
+                    },
+                    example: ['Phone number (503) 555-0142 is not a tel: link']
+                  },
+                  bytes: {
+                    type: 'integer',
+                    description: 'Size of the HTML, CSS and JavaScript (page_weight only)'
+                  },
+                  external_requests: {
+                    type: 'integer',
+                    description: 'External scripts, stylesheets, images and frames (page_weight only)'
+                  }
+                }
+              }
+            }
+          }
+        },
+        VariantBatchResult: {
+          type: 'object',
+          properties: {
+            batch_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Shared by every stored variant; filter GET /homepages with it'
+            },
+            variants: {
+              type: 'array',
+              description: 'One entry per requested variant, in order. Completed variants carry the full HomepageResult',
+              items: {
+                allOf: [
+                  { $ref: '#/components/schemas/HomepageResult' },
+                  {
+                    type: 'object',
+                    properties: {
+                      variant: {
+                        type: 'integer',
+                        example: 1
+                      },
+                      status: {
+                        type: 'string',
+                        enum: ['completed', 'failed', 'skipped']
+                      },
+                      error: {
+                        type: 'string',
+                        description: 'Why the variant failed or was skipped',
+                        example: 'Token budget of 100000 would be exceeded'
+                      },
+                      thumbnail: {
+                        type: 'string',
+                        nullable: true,
+                        description: '300x200 JPEG data URL, or null when screenshots are unavailable'
+                      }
+                    }
+                  }
+                ]
+              }
+            },
+            completed: {
+              type: 'integer'
+            },
+            failed: {
+              type: 'integer'
+            },
+            skipped: {
+              type: 'integer'
+            },
+            tokens_used: {
+              type: 'integer',
+              description: 'Tokens used across all variants'
+            },
+            token_budget: {
+              type: 'integer',
+              description: 'Token budget of the batch (VARIANT_TOKEN_BUDGET)'
+            },
+            generation_time: {
+              type: 'integer',
+              description: 'Time taken for the whole batch in milliseconds'
+            }
+          }
+        },
+        AccessibilityAuditRequest: {
+          type: 'object',
+          description: 'Either homepage_id or html_code is required',
+          properties: {
+            homepage_id: {
+              type: 'string',
+              description: 'Stored homepage to audit'
+            },
+            html_code: {
+              type: 'string',
+              description: 'HTML to audit instead of a stored homepage'
+            },
+            css_code: {
+              type: 'string',
+              description: 'CSS for html_code'
+            },
+            rules: {
+              type: 'array',
+              description: 'Rules to run (defaults to all)',
+              items: {
+                type: 'string',
+                enum: ['image-alt', 'button-name', 'label', 'meta-viewport', 'link-name', 'color-contrast', 'html-has-lang', 'document-title', 'frame-title', 'tabindex', 'list', 'heading-order', 'landmark-one-main', 'duplicate-id']
+              }
+            },
+            fix: {
+              type: 'boolean',
+              default: false,
+              description: 'Have the generator produce a version without the violations'
+            },
+            provider: {
+              type: 'string',
+              enum: ['openai', 'anthropic', 'ollama', 'fixture'],
+              description: 'LLM provider for the fix'
+            },
+            model: {
+              type: 'string',
+              description: 'Model for the fix'
+            }
+          }
+        },
+        AccessibilityViolation: {
+          type: 'object',
+          properties: {
+            rule: {
+              type: 'string',
+              example: 'image-alt'
+            },
+            impact: {
+              type: 'string',
+              enum: ['critical', 'serious', 'moderate', 'minor']
+            },
+            help: {
+              type: 'string',
+              example: 'Images must have alternate text'
+            },
+            wcag: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  criterion: { type: 'string', example: '1.1.1' },
+                  name: { type: 'string', example: 'Non-text Content' },
+                  level: { type: 'string', enum: ['A', 'AA'] },
+                  url: { type: 'string', example: 'https://www.w3.org/WAI/WCAG21/Understanding/non-text-content' }
+                }
+              }
+            },
+            nodes: {
+              type: 'array',
+              description: 'Failing elements (at most 20 per rule)',
+              items: {
+                type: 'object',
+                properties: {
+                  selector: { type: 'string', example: '#hero > img' },
+                  html: { type: 'string', example: '<img src="hero.jpg" class="w-full">' },
+                  failure: { type: 'string', example: 'The image has no alt attribute' }
+                }
+              }
+            }
+          }
+        },
+        AccessibilityAuditSummary: {
+          type: 'object',
+          properties: {
+            rules_checked: { type: 'integer' },
+            rules_violated: { type: 'integer' },
+            nodes: {
+              type: 'integer',
+              description: 'Failing elements across all rules'
+            },
+            by_impact: {
+              type: 'object',
+              properties: {
+                critical: { type: 'integer' },
+                serious: { type: 'integer' },
+                moderate: { type: 'integer' },
+                minor: { type: 'integer' }
+              }
+            }
+          }
+        },
+        AccessibilityAuditResult: {
+          type: 'object',
+          properties: {
+            homepage_id: {
+              type: 'string',
+              nullable: true
+            },
+            revision: {
+              type: 'integer',
+              nullable: true,
+              description: 'Revision that was audited'
+            },
+            violations: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/AccessibilityViolation' }
+            },
+            summary: {
+              $ref: '#/components/schemas/AccessibilityAuditSummary'
+            },
+            fixed: {
+              type: 'object',
+              nullable: true,
+              description: 'Fixed version (fix requests with violations only)',
+              properties: {
+                revision: {
+                  type: 'integer',
+                  nullable: true,
+                  description: 'Revision the fix was stored as (stored homepages only)'
+                },
+                summary: { type: 'string', nullable: true },
+                html_code: { type: 'string' },
+                css_code: { type: 'string' },
+                violations: {
+                  type: 'array',
+                  description: 'Violations left in the fixed version',
+                  items: { $ref: '#/components/schemas/AccessibilityViolation' }
+                },
+                audit_summary: {
+                  $ref: '#/components/schemas/AccessibilityAuditSummary'
+                },
+                attempts: { type: 'integer' },
+                tokens_used: { type: 'integer' },
+                provider: { type: 'string' },
+                model: { type: 'string' }
+              }
+            },
+            generation_time: {
+              type: 'integer',
+              description: 'Time taken in milliseconds'
+            }
+          }
+        },
+        ComparisonRequest: {
+          type: 'object',
+          properties: {
+            original_html: {
+              type: 'string',
+              description: "Original site's HTML (defaults to analysis_result.website_content.html)"
+            },
+            original_css: {
+              type: 'string',
+              description: 'CSS for original_html'
+            },
+            viewports: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: DEVICE_NAMES
+              },
+              default: RESPONSIVE_DEVICES
+            },
+            format: {
+              type: 'string',
+              enum: ['jpeg', 'png'],
+              default: 'jpeg'
+            }
+          }
+        },
+        ComparisonMetric: {
+              type: 'object',
+              properties: {
+                before: { type: 'number' },
+                after: { type: 'number' },
+                change: { type: 'number', description: 'after minus before' }
+              }
+            },
+        ComparisonResult: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            revision: {
+              type: 'integer',
+              description: 'Revision of the homepage that was rendered'
+            },
+            original_source: {
+              type: 'string',
+              enum: ['request', 'website_content']
+            },
+            metrics: {
+              type: 'object',
+              properties: {
+                page_size: {
+                  allOf: [{ $ref: '#/components/schemas/ComparisonMetric' }],
+                  description: 'Bytes of HTML and CSS'
+                },
+                headings: { $ref: '#/components/schemas/ComparisonMetric' },
+                calls_to_action: { $ref: '#/components/schemas/ComparisonMetric' },
+                quality_score: { $ref: '#/components/schemas/ComparisonMetric' }
+              }
+            },
+            viewports: {
+              type: 'object',
+              description: 'One entry per requested viewport',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  width: { type: 'integer' },
+                  height: { type: 'integer' },
+                  before: {
+                    type: 'string',
+                    description: 'Screenshot data URL of the original page'
+                  },
+                  after: {
+                    type: 'string',
+                    description: 'Screenshot data URL of the homepage, same size as before'
+                  },
+                  composite: {
+                    type: 'string',
+                    description: 'Labelled side-by-side image data URL'
+                  }
+                }
+              }
+            },
+            generation_time: { type: 'integer' }
+          }
+        },
+        RenderPdfRequest: {
+          type: 'object',
+          description: 'Either homepage_id or html_code is required',
+          properties: {
+            homepage_id: {
+              type: 'string',
+              description: 'Id of a stored homepage to print'
+            },
+            html_code: {
+              type: 'string',
+              description: 'Raw HTML to print instead of a stored homepage'
+            },
+            css_code: {
+              type: 'string',
+              description: 'CSS for html_code'
+            },
+            business_name: {
+              type: 'string',
+              description: 'Name on the cover page and in the file name for html_code (stored homepages use their own)'
+            },
+            page_size: {
+              type: 'string',
+              enum: ['A4', 'A3', 'A5', 'Letter', 'Legal', 'Tabloid'],
+              default: 'A4'
+            },
+            landscape: {
+              type: 'boolean',
+              default: false
+            },
+            margin: {
+              oneOf: [
+                { type: 'string', example: '12mm' },
+                {
+                  type: 'object',
+                  properties: {
+                    top: { type: 'string' },
+                    right: { type: 'string' },
+                    bottom: { type: 'string' },
+                    left: { type: 'string' }
+                  }
+                }
+              ],
+              default: '12mm',
+              description: 'CSS length (mm, cm, in or px) for every side, or one per side'
+            },
+            print_background: {
+              type: 'boolean',
+              default: true,
+              description: 'Print background colors and images'
+            },
+            cover: {
+              type: 'boolean',
+              default: false,
+              description: 'Start with a cover page showing the business name and quality score'
+            },
+            render_mode: {
+              type: 'string',
+              enum: ['standard', 'faithful'],
+              default: 'faithful'
+            }
+          }
+        },
+        DeviceViewport: {
+          type: 'object',
+          properties: {
+            label: { type: 'string', example: 'Pixel 7' },
+            width: { type: 'integer', example: 412 },
+            height: { type: 'integer', example: 915 },
+            device_scale_factor: { type: 'number', example: 2.625 },
+            is_mobile: { type: 'boolean' },
+            has_touch: { type: 'boolean' },
+            user_agent: { type: 'string', nullable: true, description: 'null keeps the browser user agent' }
+          }
+        },
+        VisualDiffSide: {
+          type: 'object',
+          description: 'Either homepage_id or html_code is required',
+          properties: {
+            html_code: { type: 'string' },
+            css_code: { type: 'string' },
+            homepage_id: { type: 'string' },
+            revision: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Revision of homepage_id (default the current one)'
+            }
+          }
+        },
+        VisualDiffRequest: {
+          type: 'object',
+          properties: {
+            before: { $ref: '#/components/schemas/VisualDiffSide' },
+            after: { $ref: '#/components/schemas/VisualDiffSide' },
+            viewport: {
+              description: 'Device preset name or custom viewport, as in ScreenshotRequest',
+              default: 'desktop'
+            },
+            full_page: { type: 'boolean', default: true },
+            color_scheme: { type: 'string', enum: ['light', 'dark'] },
+            render_mode: { type: 'string', enum: ['standard', 'faithful'] },
+            threshold: {
+              type: 'number',
+              minimum: 0,
+              maximum: 1,
+              default: 0.1,
+              description: 'Per-pixel color distance below which pixels count as unchanged'
+            },
+            include_aa: {
+              type: 'boolean',
+              default: false,
+              description: 'Count anti-aliased pixels as changed'
+            },
+            include_images: {
+              type: 'boolean',
+              default: true,
+              description: 'Return the screenshots and the diff image as data URLs'
+            }
+          },
+          required: ['before', 'after']
+        },
+        VisualDiffResult: {
+          type: 'object',
+          properties: {
+            before: {
+              type: 'object',
+              properties: {
+                homepage_id: { type: 'string', nullable: true },
+                revision: { type: 'integer', nullable: true }
+              }
+            },
+            after: {
+              type: 'object',
+              properties: {
+                homepage_id: { type: 'string', nullable: true },
+                revision: { type: 'integer', nullable: true }
+              }
+            },
+            viewport: { type: 'string' },
+            viewport_size: { $ref: '#/components/schemas/DeviceViewport' },
+            threshold: { type: 'number' },
+            width: { type: 'integer', description: 'Compared width in pixels' },
+            height: { type: 'integer', description: 'Compared height in pixels' },
+            size_changed: { type: 'boolean', description: 'The two renderings differ in size' },
+            changed_pixels: { type: 'integer' },
+            total_pixels: { type: 'integer' },
+            difference_percent: { type: 'number', example: 3.42 },
+            regions: {
+              type: 'array',
+              description: 'Bounding boxes of changed regions, largest first',
+              items: {
+                type: 'object',
+                properties: {
+                  x: { type: 'integer' },
+                  y: { type: 'integer' },
+                  width: { type: 'integer' },
+                  height: { type: 'integer' },
+                  changed_pixels: { type: 'integer' }
+                }
+              }
+            },
+            truncated: { type: 'boolean', description: 'More regions changed than are listed' },
+            images: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                before: { type: 'string', description: 'PNG data URL' },
+                after: { type: 'string', description: 'PNG data URL' },
+                diff: { type: 'string', description: 'PNG data URL with changed pixels in red' }
+              }
+            },
+            generation_time: { type: 'number' }
+          }
+        },
+        ScreenshotRequest: {
+          type: 'object',
+          properties: {
+            html_code: {
+              type: 'string',
+              description: 'HTML content to capture as screenshot'
+            },
+            css_code: {
+              type: 'string',
+              description: 'CSS styles to apply'
+            },
+            viewport: {
+              oneOf: [
+                { type: 'string', enum: DEVICE_NAMES },
+                {
+                  type: 'object',
+                  properties: {
+                    device: { type: 'string', enum: DEVICE_NAMES, description: 'Preset the other values override (default desktop)' },
+                    width: { type: 'integer', minimum: 200, maximum: 3840 },
+                    height: { type: 'integer', minimum: 200, maximum: 2160 },
+                    device_scale_factor: { type: 'number', minimum: 0.25, maximum: 4 },
+                    is_mobile: { type: 'boolean' },
+                    has_touch: { type: 'boolean' },
+                    user_agent: { type: 'string' }
+                  }
+                }
+              ],
+              default: 'desktop',
+              description: 'Device preset name, or custom viewport values'
+            },
+            format: {
+              type: 'string',
+              enum: ['png', 'jpeg', 'webp'],
+              default: 'png'
+            },
+            full_page: {
+              type: 'boolean',
+              default: true,
+              description: 'Capture the whole page instead of the viewport'
+            },
+            selector: {
+              type: 'string',
+              description: 'CSS selector of an element to capture instead of the page'
+            },
+            color_scheme: {
+              type: 'string',
+              enum: ['light', 'dark'],
+              description: 'Emulated prefers-color-scheme'
+            },
+            render_mode: {
+              type: 'string',
+              enum: ['standard', 'faithful'],
+              description: 'standard renders without scripts or images; faithful runs scripts, serves Tailwind locally and blocks other outbound requests. Defaults to SCREENSHOT_RENDER_MODE.'
+            }
+          },
+          required: ['html_code']
+        },
+        PreviewRequest: {
+          type: 'object',
+          properties: {
+            homepage_id: {
+              type: 'string',
+              description: 'Id of a stored homepage'
+            },
+            device_type: {
+              type: 'string',
+              enum: DEVICE_NAMES,
+              default: 'desktop',
+              description: 'Device preset to render as'
+            }
+          },
+          required: ['homepage_id']
+        },
+        ScreenshotResult: {
+          type: 'object',
+          properties: {
+            screenshot: {
+              type: 'string',
+              description: 'Screenshot as a data URL'
+            },
+            viewport: {
+              type: 'string',
+              description: 'Device preset the viewport is based on'
+            },
+            viewport_size: {
+              $ref: '#/components/schemas/DeviceViewport'
+            },
+            format: { type: 'string' },
+            selector: { type: 'string', nullable: true },
+            color_scheme: { type: 'string', nullable: true },
+            render_mode: { type: 'string' },
+            generation_time: {
+              type: 'number',
+              description: 'Processing time in ms'
+            }
+          },
+          required: ['screenshot']
         },
         HealthResponse: {
           type: 'object',
@@ -228,6 +1447,26 @@ const options = {
                   description: 'Puppeteer browser availability'
                 }
               }
+            },
+            screenshot_pool: {
+              type: 'object',
+              description: 'Screenshot browser page pool',
+              properties: {
+                ready: { type: 'boolean', description: 'Browser is running' },
+                pool_size: { type: 'integer', description: 'Max pages open at once' },
+                pages_open: { type: 'integer' },
+                busy: { type: 'integer', description: 'Pages currently rendering' },
+                idle: { type: 'integer', description: 'Open pages waiting for reuse' },
+                queued: { type: 'integer', description: 'Renders waiting for a page' },
+                queue_limit: { type: 'integer' },
+                render_timeout_ms: { type: 'integer' },
+                completed: { type: 'integer', description: 'Renders finished since startup' },
+                failed: { type: 'integer', description: 'Renders that failed, including timeouts' },
+                timed_out: { type: 'integer' },
+                rejected: { type: 'integer', description: 'Renders refused because the queue was full' },
+                disconnects: { type: 'integer', description: 'Browser crashes or disconnects' },
+                relaunches: { type: 'integer', description: 'Successful browser relaunches' }
+              }
             }
           },
           required: ['status', 'timestamp', 'version']
@@ -0,0 +1,105 @@
+/**
+ * Local Tailwind Build for Homepage Builder
+ * Compiles the Tailwind utilities a page uses so it can render without the CDN
+ */
+
+const postcss = require('postcss');
+const tailwindcss = require('tailwindcss');
+
+const TAILWIND_ENTRY = '@tailwind base;\n@tailwind components;\n@tailwind utilities;\n';
+
+// Script and stylesheet URLs generated pages use to load Tailwind from a CDN
+const TAILWIND_CDN_PATTERN = /^https?:\/\/(cdn\.tailwindcss\.com|cdn\.jsdelivr\.net\/npm\/tailwindcss@|unpkg\.com\/tailwindcss@)/i;
+
+/**
+ * Compile a stylesheet containing the Tailwind classes used in the given HTML
+ * @param {string} html - Page markup to scan for class names
+ * @param {Object} options - { theme } extension merged into the Tailwind theme
+ * @returns {Promise<string>} Compiled CSS
+ */
+async function compileTailwind(html, { theme = {} } = {}) {
+    const result = await postcss([
+        tailwindcss({
+            content: [{ raw: html, extension: 'html' }],
+            theme: { extend: theme }
+        })
+    ]).process(TAILWIND_ENTRY, { from: undefined });
+
+    return result.css;
+}
+
+/**
+ * Whether a script or stylesheet URL loads Tailwind from a CDN
+ */
+function isTailwindCdnUrl(url) {
+    return TAILWIND_CDN_PATTERN.test(url || '');
+}
+
+/**
+ * Theme extension from an inline Play CDN configuration
+ * (`tailwind.config = { theme: { extend: {...} } }`). Only plain object
+ * literals are understood; anything else yields an empty theme.
+ * @param {string} html - Page markup
+ * @returns {Object} Theme extension for compileTailwind
+ */
+function extractTailwindTheme(html) {
+    const match = /tailwind\.config\s*=\s*/.exec(html || '');
+    if (!match) {
+        return {};
+    }
+
+    // Take the balanced object literal after the assignment
+    const start = match.index + match[0].length;
+    if (html[start] !== '{') {
+        return {};
+    }
+    let depth = 0;
+    let end = start;
+    for (; end < html.length; end++) {
+        if (html[end] === '{') {
+            depth++;
+        } else if (html[end] === '}' && --depth === 0) {
+            break;
+        }
+    }
+
+    try {
+        const json = html.slice(start, end + 1)
+            .replace(/'/g, '"')
+            .replace(/([{,]\s*)([A-Za-z_$][\w$-]*)\s*:/g, '$1"$2":')
+            .replace(/,(\s*[}\]])/g, '$1');
+        const config = JSON.parse(json);
+        return (config.theme && config.theme.extend) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Response served in place of a Tailwind CDN request. Stylesheet links get the
+ * compiled CSS; the Play CDN script injects it and defines the `tailwind`
+ * global its inline configuration assigns to.
+ * @param {string} resourceType - 'script' or 'stylesheet'
+ * @param {string} css - Compiled Tailwind CSS
+ * @returns {Object} { status, contentType, body }
+ */
+function createTailwindCdnResponse(resourceType, css) {
+    if (resourceType === 'script') {
+        return {
+            status: 200,
+            contentType: 'application/javascript',
+            body: 'window.tailwind = window.tailwind || {};\n' +
+                `(function () { var style = document.createElement('style'); style.textContent = ${JSON.stringify(css)}; ` +
+                'document.head.appendChild(style); })();\n'
+        };
+    }
+
+    return { status: 200, contentType: 'text/css', body: css };
+}
+
+module.exports = {
+    compileTailwind,
+    isTailwindCdnUrl,
+    extractTailwindTheme,
+    createTailwindCdnResponse
+};
@@ -3,6 +3,13 @@
  */
 
 const Joi = require('joi');
+const { PROVIDER_NAMES } = require('./providers');
+const { STYLE_PREFERENCES, MAX_VARIANTS } = require('./variants');
+const { ACCESSIBILITY_RULES } = require('./accessibility');
+const { PDF_PAGE_SIZES } = require('./pdf');
+const { DEVICE_NAMES, RESPONSIVE_DEVICES } = require('./devices');
+const { NAMED_SCHEMES, parseColor } = require('./colors');
+const { checkCallbackUrl } = require('./callbacks');
 
 /**
  * Validation schema for homepage generation requests
@@ -48,12 +55,88 @@ const generateRequestSchema = Joi.object({
     }).unknown(true).required(),
     
     business_name: Joi.string().min(1).max(100).required(),
-    style_preference: Joi.string().valid('modern', 'classic', 'minimal', 'bold', 'professional').default('modern'),
+    style_preference: Joi.string().valid(...STYLE_PREFERENCES).default('modern'),
     include_booking: Joi.boolean().default(false),
-    color_scheme: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).allow(null).optional(),
+    color_scheme: Joi.string().custom((value, helpers) => {
+        return validateColorScheme(value) || helpers.error('any.invalid');
+    }).allow(null).optional(),
     additional_features: Joi.array().items(
         Joi.string().valid('contact_form', 'testimonials', 'gallery', 'blog', 'social_media')
-    ).default([])
+    ).default([]),
+    provider: Joi.string().valid(...PROVIDER_NAMES).optional(),
+    model: Joi.string().max(100).optional(),
+    generation_strategy: Joi.string().valid('single', 'sections').optional(),
+    temperature: Joi.number().min(0).max(2).optional(),
+    variants: Joi.number().integer().min(1).max(MAX_VARIANTS).default(1),
+    variant_options: Joi.array().items(Joi.object({
+        style_preference: Joi.string().valid(...STYLE_PREFERENCES).optional(),
+        temperature: Joi.number().min(0).max(2).optional()
+    })).max(Joi.ref('variants')).optional(),
+    async: Joi.boolean().default(false),
+    callback_url: Joi.string().uri({ scheme: ['http', 'https'] }).custom((value, helpers) => {
+        const reason = checkCallbackUrl(value);
+        return reason ? helpers.message(`"callback_url" ${reason}`) : value;
+    }).when('async', {
+        is: true,
+        otherwise: Joi.forbidden()
+    }).optional()
+});
+
+/**
+ * Viewport of a screenshot: a device preset name, or custom values
+ * overriding a preset (desktop when no device is given)
+ */
+const viewportSchema = Joi.alternatives().try(
+    Joi.string().valid(...DEVICE_NAMES),
+    Joi.object({
+        device: Joi.string().valid(...DEVICE_NAMES).optional(),
+        width: Joi.number().integer().min(200).max(3840).optional(),
+        height: Joi.number().integer().min(200).max(2160).optional(),
+        device_scale_factor: Joi.number().min(0.25).max(4).optional(),
+        is_mobile: Joi.boolean().optional(),
+        has_touch: Joi.boolean().optional(),
+        user_agent: Joi.string().max(500).optional()
+    })
+);
+
+/**
+ * Validation schema for screenshot requests
+ */
+const screenshotRequestSchema = Joi.object({
+    html_code: Joi.string().max(500000).required(),
+    css_code: Joi.string().allow('').max(200000).optional(),
+    viewport: viewportSchema.default('desktop'),
+    format: Joi.string().valid('png', 'jpeg', 'webp').default('png'),
+    full_page: Joi.boolean().default(true),
+    selector: Joi.string().trim().max(500).optional(),
+    color_scheme: Joi.string().valid('light', 'dark').optional(),
+    render_mode: Joi.string().valid('standard', 'faithful').optional()
+});
+
+/**
+ * One side of a visual diff: raw HTML, or a stored homepage at its current
+ * or a given revision
+ */
+const visualDiffSideSchema = Joi.object({
+    html_code: Joi.string().max(500000),
+    css_code: Joi.string().allow('').max(200000).optional(),
+    homepage_id: Joi.string().max(100),
+    revision: Joi.number().integer().min(1).optional()
+}).xor('homepage_id', 'html_code').oxor('homepage_id', 'css_code').with('revision', 'homepage_id');
+
+/**
+ * Validation schema for visual diffs between two renderings
+ */
+const visualDiffSchema = Joi.object({
+    before: visualDiffSideSchema.required(),
+    after: visualDiffSideSchema.required(),
+    viewport: viewportSchema.default('desktop'),
+    full_page: Joi.boolean().default(true),
+    color_scheme: Joi.string().valid('light', 'dark').optional(),
+    render_mode: Joi.string().valid('standard', 'faithful').optional(),
+    threshold: Joi.number().min(0).max(1).default(0.1),
+    include_aa: Joi.boolean().default(false),
+    include_images: Joi.boolean().default(true)
 });
 
 /**
@@ -61,9 +144,123 @@ const generateRequestSchema = Joi.object({
  */
 const previewRequestSchema = Joi.object({
     homepage_id: Joi.string().required(),
-    device_type: Joi.string().valid('desktop', 'tablet', 'mobile').default('desktop')
+    device_type: Joi.string().valid(...DEVICE_NAMES).default('desktop')
 });
 
+/**
+ * Validation schema for listing stored homepages
+ */
+const listHomepagesQuerySchema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    business_name: Joi.string().max(100).optional(),
+    style: Joi.string().valid(...STYLE_PREFERENCES).optional(),
+    batch_id: Joi.string().guid().optional()
+});
+
+/**
+ * CSS length for PDF margins, e.g. 12mm, 0.5in or 0
+ */
+const marginLength = Joi.string().pattern(/^(0|\d+(\.\d+)?(mm|cm|in|px))$/).message('margin must be a CSS length in mm, cm, in or px');
+
+/**
+ * PDF options shared by /render/pdf and PDF exports
+ */
+const pdfOptions = {
+    page_size: Joi.string().valid(...PDF_PAGE_SIZES).default('A4'),
+    landscape: Joi.boolean().default(false),
+    margin: Joi.alternatives().try(
+        marginLength,
+        Joi.object({
+            top: marginLength,
+            right: marginLength,
+            bottom: marginLength,
+            left: marginLength
+        })
+    ).default('12mm'),
+    print_background: Joi.boolean().default(true),
+    cover: Joi.boolean().default(false),
+    render_mode: Joi.string().valid('standard', 'faithful').default('faithful')
+};
+
+/**
+ * Validation schema for homepage export query parameters
+ */
+const exportQuerySchema = Joi.object({
+    format: Joi.string().valid('nextjs', 'static', 'pdf').required(),
+    tailwind: Joi.string().valid('cdn', 'local').default('cdn'),
+    base_url: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
+    ...pdfOptions,
+    margin: marginLength.default('12mm')
+});
+
+/**
+ * Validation schema for printing a stored homepage or raw HTML to PDF
+ */
+const renderPdfSchema = Joi.object({
+    homepage_id: Joi.string().max(100),
+    html_code: Joi.string().max(500000),
+    css_code: Joi.string().allow('').max(200000).optional(),
+    business_name: Joi.string().trim().max(200).optional(),
+    ...pdfOptions
+}).xor('homepage_id', 'html_code').oxor('homepage_id', 'css_code').oxor('homepage_id', 'business_name');
+
+/**
+ * Validation schema for regenerating one section of a stored homepage
+ */
+const regenerateSectionSchema = Joi.object({
+    instructions: Joi.string().trim().max(2000).optional(),
+    provider: Joi.string().valid(...PROVIDER_NAMES).optional(),
+    model: Joi.string().max(100).optional()
+});
+
+/**
+ * Validation schema for conversational refinement requests
+ */
+const refineRequestSchema = Joi.object({
+    instruction: Joi.string().trim().max(2000).required(),
+    provider: Joi.string().valid(...PROVIDER_NAMES).optional(),
+    model: Joi.string().max(100).optional()
+});
+
+/**
+ * Validation schema for revision numbers in paths
+ */
+const revisionNumberSchema = Joi.number().integer().min(1).required().label('revision');
+
+/**
+ * Validation schema for comparing two revisions; `to` defaults to the current revision
+ */
+const revisionDiffQuerySchema = Joi.object({
+    from: Joi.number().integer().min(1).optional(),
+    to: Joi.number().integer().min(1).optional()
+});
+
+/**
+ * Validation schema for before/after comparisons; the original page comes from the
+ * request or from the homepage's analysis_result.website_content
+ */
+const comparisonRequestSchema = Joi.object({
+    original_html: Joi.string().max(2000000).optional(),
+    original_css: Joi.string().allow('').max(1000000).optional(),
+    viewports: Joi.array().items(Joi.string().valid(...DEVICE_NAMES)).min(1).unique()
+        .default(RESPONSIVE_DEVICES),
+    format: Joi.string().valid('jpeg', 'png').default('jpeg')
+}).with('original_css', 'original_html');
+
+/**
+ * Validation schema for accessibility audits of a stored homepage or of raw HTML
+ */
+const accessibilityAuditSchema = Joi.object({
+    homepage_id: Joi.string().max(100),
+    html_code: Joi.string().max(500000),
+    css_code: Joi.string().allow('').max(200000).optional(),
+    rules: Joi.array().items(Joi.string().valid(...Object.keys(ACCESSIBILITY_RULES))).min(1).unique().optional(),
+    fix: Joi.boolean().default(false),
+    provider: Joi.string().valid(...PROVIDER_NAMES).optional(),
+    model: Joi.string().max(100).optional()
+}).xor('homepage_id', 'html_code').oxor('homepage_id', 'css_code');
+
 /**
  * Validate homepage generation request
  */
@@ -84,6 +281,113 @@ function validatePreviewRequest(data) {
     });
 }
 
+/**
+ * Validate homepage list query parameters
+ */
+function validateListHomepagesQuery(data) {
+    return listHomepagesQuerySchema.validate(data, {
+        abortEarly: false,
+        allowUnknown: false
+    });
+}
+
+/**
+ * Validate homepage export query parameters
+ */
+function validateExportQuery(data) {
+    return exportQuerySchema.validate(data, {
+        abortEarly: false,
+        allowUnknown: false
+    });
+}
+
+/**
+ * Validate screenshot request
+ */
+function validateScreenshotRequest(data) {
+    return screenshotRequestSchema.validate(data || {}, {
+        abortEarly: false,
+        allowUnknown: false
+    });
+}
+
+/**
+ * Validate visual diff request
+ */
+function validateVisualDiffRequest(data) {
+    return visualDiffSchema.validate(data || {}, {
+        abortEarly: false,
+        allowUnknown: false
+    });
+}
+
+/**
+ * Validate PDF render request
+ */
+function validateRenderPdfRequest(data) {
+    return renderPdfSchema.validate(data || {}, {
+        abortEarly: false,
+        allowUnknown: false
+    });
+}
+
+/**
+ * Validate section regeneration request
+ */
+function validateRegenerateSectionRequest(data) {
+    return regenerateSectionSchema.validate(data || {}, {
+        abortEarly: false,
+        allowUnknown: false
+    });
+}
+
+/**
+ * Validate refinement request
+ */
+function validateRefineRequest(data) {
+    return refineRequestSchema.validate(data || {}, {
+        abortEarly: false,
+        allowUnknown: false
+    });
+}
+
+/**
+ * Validate before/after comparison request
+ */
+function validateComparisonRequest(data) {
+    return comparisonRequestSchema.validate(data || {}, {
+        abortEarly: false,
+        allowUnknown: false
+    });
+}
+
+/**
+ * Validate accessibility audit request
+ */
+function validateAccessibilityAuditRequest(data) {
+    return accessibilityAuditSchema.validate(data || {}, {
+        abortEarly: false,
+        allowUnknown: false
+    });
+}
+
+/**
+ * Validate a revision number path parameter
+ */
+function validateRevisionNumber(value) {
+    return revisionNumberSchema.validate(value);
+}
+
+/**
+ * Validate revision diff query parameters
+ */
+function validateRevisionDiffQuery(data) {
+    return revisionDiffQuerySchema.validate(data, {
+        abortEarly: false,
+        allowUnknown: false
+    });
+}
+
 /**
  * Sanitize business name for safe use in code generation
  */
@@ -101,25 +405,14 @@ function sanitizeBusinessName(name) {
 }
 
 /**
- * Validate color scheme format
+ * Validate color scheme format. Accepts exactly what the palette builder can
+ * parse (hex, rgb() or a named scheme), so no scheme is silently replaced.
  */
 function validateColorScheme(colorScheme) {
-    if (!colorScheme) return null;
-    
-    // Support hex colors, rgb, hsl, or named schemes
-    const hexPattern = /^#[0-9A-Fa-f]{6}$/;
-    const rgbPattern = /^rgb\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*\)$/;
-    const namedSchemes = ['blue', 'green', 'red', 'purple', 'orange', 'teal', 'indigo'];
-    
-    if (hexPattern.test(colorScheme) || rgbPattern.test(colorScheme)) {
-        return colorScheme;
-    }
-    
-    if (namedSchemes.includes(colorScheme.toLowerCase())) {
-        return colorScheme.toLowerCase();
-    }
+    if (!parseColor(colorScheme)) return null;
     
-    return null; // Invalid color scheme
+    const value = colorScheme.trim();
+    return NAMED_SCHEMES[value.toLowerCase()] ? value.toLowerCase() : value;
 }
 
 /**
@@ -171,6 +464,17 @@ function extractSafeAnalysisData(analysisResult) {
 module.exports = {
     validateGenerateRequest,
     validatePreviewRequest,
+    validateListHomepagesQuery,
+    validateExportQuery,
+    validateRenderPdfRequest,
+    validateScreenshotRequest,
+    validateVisualDiffRequest,
+    validateRegenerateSectionRequest,
+    validateRefineRequest,
+    validateRevisionNumber,
+    validateRevisionDiffQuery,
+    validateAccessibilityAuditRequest,
+    validateComparisonRequest,
     sanitizeBusinessName,
     validateColorScheme,
     validateAnalysisResult,
@@ -0,0 +1,90 @@
+/**
+ * Design Variant Batches for Homepage Builder
+ *
+ * This module handles:
+ * 1. Planning the style and temperature of each variant in a batch
+ * 2. Running variants concurrently with a concurrency limit
+ * 3. Keeping a batch within its token budget
+ */
+
+const STYLE_PREFERENCES = ['modern', 'classic', 'minimal', 'bold', 'professional'];
+
+// Most variants one /generate request may ask for
+const MAX_VARIANTS = parseInt(process.env.MAX_VARIANTS || '5');
+
+/**
+ * Plan the variants of a batch. Variants without explicit options get the
+ * requested style first, then the other styles in turn.
+ * @param {number} count - Number of variants
+ * @param {Object} options - { stylePreference, temperature, variantOptions }
+ * @returns {Array<Object>} [{ variant, style_preference, temperature }]
+ */
+function planVariants(count, { stylePreference = 'modern', temperature = null, variantOptions = [] } = {}) {
+    const styles = [stylePreference, ...STYLE_PREFERENCES.filter(style => style !== stylePreference)];
+
+    return Array.from({ length: count }, (value, index) => {
+        const options = variantOptions[index] || {};
+        return {
+            variant: index + 1,
+            style_preference: options.style_preference || styles[index % styles.length],
+            temperature: options.temperature !== undefined ? options.temperature : temperature
+        };
+    });
+}
+
+/**
+ * Run the variants of a batch. Each variant reserves `reservation` tokens
+ * (the most it can use) before it starts; a variant whose reservation would
+ * take the batch past tokenBudget (tokens used by finished variants plus
+ * running reservations) is skipped instead of started. Tokens a failed
+ * variant used, given as `tokensUsed` on its error, count as spent.
+ * @param {Array<Object>} plans - Variants from planVariants
+ * @param {Function} task - async plan => result with tokens_used
+ * @param {Object} options - { concurrency, tokenBudget, reservation }
+ * @returns {Promise<Object>} { variants, tokens_used }
+ */
+async function runVariantBatch(plans, task, { concurrency = 3, tokenBudget = Infinity, reservation = 0 } = {}) {
+    const variants = new Array(plans.length);
+    let spent = 0;
+    let reserved = 0;
+    let next = 0;
+
+    const worker = async () => {
+        while (next < plans.length) {
+            const index = next++;
+            const plan = plans[index];
+
+            if (spent + reserved + reservation > tokenBudget) {
+                variants[index] = {
+                    ...plan,
+                    status: 'skipped',
+                    error: `Token budget of ${tokenBudget} would be exceeded`
+                };
+                continue;
+            }
+
+            reserved += reservation;
+            try {
+                const result = await task(plan);
+                spent += result.tokens_used || 0;
+                variants[index] = { ...plan, status: 'completed', ...result };
+            } catch (error) {
+                spent += error.tokensUsed || 0;
+                variants[index] = { ...plan, status: 'failed', error: error.message, tokens_used: error.tokensUsed || 0 };
+            } finally {
+                reserved -= reservation;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, plans.length) }, worker));
+
+    return { variants, tokens_used: spent };
+}
+
+module.exports = {
+    STYLE_PREFERENCES,
+    MAX_VARIANTS,
+    planVariants,
+    runVariantBatch
+};
@@ -0,0 +1,66 @@
+/**
+ * Tests for Accessibility Audits
+ */
+
+const {
+    ACCESSIBILITY_RULES,
+    buildAccessibilityReport,
+    createAccessibilityFixInstruction
+} = require('../src/accessibility');
+
+const RESULTS = {
+    'heading-order': [
+        { selector: '#about > h4', html: '<h4 class="text-lg">', failure: '<h4> follows <h2>' }
+    ],
+    'image-alt': [
+        { selector: '#hero > img', html: '<img src="hero.jpg">', failure: 'The image has no alt attribute' },
+        { selector: '#gallery > img:nth-of-type(2)', html: '<img src="b.jpg">', failure: 'The image has no alt attribute' }
+    ],
+    'color-contrast': [
+        { selector: '#hero > p', html: '<p class="text-gray-300">', failure: 'Contrast of 1.47:1 between #d1d5db and #ffffff is below 4.5:1' }
+    ]
+};
+
+describe('buildAccessibilityReport', () => {
+    test('should order violations by impact and attach WCAG references', () => {
+        const report = buildAccessibilityReport(RESULTS);
+
+        expect(report.violations.map(violation => violation.rule)).toEqual(['image-alt', 'color-contrast', 'heading-order']);
+        expect(report.violations[1]).toEqual(expect.objectContaining({
+            impact: 'serious',
+            help: 'Text must have sufficient color contrast with its background',
+            wcag: [{
+                criterion: '1.4.3',
+                name: 'Contrast (Minimum)',
+                level: 'AA',
+                url: 'https://www.w3.org/WAI/WCAG21/Understanding/contrast-minimum'
+            }]
+        }));
+        expect(report.summary).toEqual({
+            rules_checked: Object.keys(ACCESSIBILITY_RULES).length,
+            rules_violated: 3,
+            nodes: 4,
+            by_impact: { critical: 2, serious: 1, moderate: 1, minor: 0 }
+        });
+    });
+
+    test('should report a clean page', () => {
+        const report = buildAccessibilityReport({ 'image-alt': [] }, ['image-alt']);
+
+        expect(report.violations).toEqual([]);
+        expect(report.summary.rules_checked).toBe(1);
+        expect(report.summary.nodes).toBe(0);
+    });
+});
+
+describe('createAccessibilityFixInstruction', () => {
+    test('should summarize on the first line and list each failing element', () => {
+        const instruction = createAccessibilityFixInstruction(buildAccessibilityReport(RESULTS).violations);
+        const lines = instruction.split('\n');
+
+        expect(lines[0]).toBe('Fix 4 accessibility violations without changing the design, layout or wording beyond what the fixes need.');
+        expect(lines[1]).toBe('- [image-alt, WCAG 1.1.1] #hero > img <img src="hero.jpg">: The image has no alt attribute. Images must have alternate text.');
+        expect(lines[3]).toContain('[color-contrast, WCAG 1.4.3] #hero > p');
+        expect(lines).toHaveLength(6);
+    });
+});
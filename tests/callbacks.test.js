@@ -0,0 +1,56 @@
+/**
+ * Tests for Callback URL Safety
+ */
+
+const { isInternalAddress, checkCallbackUrl, createCallbackLookup } = require('../src/callbacks');
+
+describe('isInternalAddress', () => {
+    test('should flag loopback, private, link-local and mapped addresses', () => {
+        for (const address of ['127.0.0.1', '10.2.3.4', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd12::1', 'fe80::1', '::ffff:7f00:1']) {
+            expect(isInternalAddress(address)).toBe(true);
+        }
+    });
+
+    test('should allow public addresses', () => {
+        for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111']) {
+            expect(isInternalAddress(address)).toBe(false);
+        }
+    });
+});
+
+describe('checkCallbackUrl', () => {
+    test('should refuse internal hosts in any spelling', () => {
+        for (const url of ['http://localhost:8002/hook', 'http://127.0.0.1/hook', 'http://2130706433/', 'http://[::1]/', 'http://169.254.169.254/latest/meta-data']) {
+            expect(checkCallbackUrl(url, [])).toMatch(/private, loopback or link-local/);
+        }
+    });
+
+    test('should allow public hosts when no allowlist is set', () => {
+        expect(checkCallbackUrl('https://example.com/hook', [])).toBeNull();
+    });
+
+    test('should only allow listed hosts and their subdomains when an allowlist is set', () => {
+        const allowed = ['example.com', 'receiver.internal'];
+
+        expect(checkCallbackUrl('https://hooks.example.com/x', allowed)).toBeNull();
+        expect(checkCallbackUrl('http://receiver.internal/x', allowed)).toBeNull();
+        expect(checkCallbackUrl('https://example.org/x', allowed)).toBe('host example.org is not in CALLBACK_ALLOWED_HOSTS');
+    });
+});
+
+describe('createCallbackLookup', () => {
+    test('should refuse hosts that resolve to internal addresses', done => {
+        createCallbackLookup([])('localhost', {}, error => {
+            expect(error.message).toMatch(/^Callback host localhost resolves to internal address/);
+            done();
+        });
+    });
+
+    test('should resolve allowed hosts', done => {
+        createCallbackLookup(['localhost'])('localhost', { all: true }, (error, addresses) => {
+            expect(error).toBeNull();
+            expect(addresses.length).toBeGreaterThan(0);
+            done();
+        });
+    });
+});
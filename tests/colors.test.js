@@ -0,0 +1,75 @@
+/**
+ * Tests for Color Palette Utilities
+ */
+
+const {
+    parseColor,
+    contrastRatio,
+    derivePalette,
+    toCssVariables
+} = require('../src/colors');
+
+describe('parseColor', () => {
+    test('should parse hex, rgb() and named schemes', () => {
+        expect(parseColor('#FF8000')).toEqual({ r: 255, g: 128, b: 0 });
+        expect(parseColor('rgb(10, 20, 30)')).toEqual({ r: 10, g: 20, b: 30 });
+        expect(parseColor('Blue')).toEqual({ r: 37, g: 99, b: 235 });
+    });
+
+    test('should reject invalid colors', () => {
+        expect(parseColor('pink')).toBeNull();
+        expect(parseColor('rgb(300, 0, 0)')).toBeNull();
+        expect(parseColor(null)).toBeNull();
+    });
+});
+
+describe('contrastRatio', () => {
+    test('should match WCAG reference values', () => {
+        expect(contrastRatio('#000000', '#FFFFFF')).toBe(21);
+        expect(contrastRatio('#FFFFFF', '#FFFFFF')).toBe(1);
+    });
+});
+
+describe('derivePalette', () => {
+    test('should derive a complete palette from one color', () => {
+        const { colors } = derivePalette('#2563EB');
+
+        expect(colors.primary).toBe('#2563EB');
+        expect(Object.keys(colors)).toEqual([
+            'primary', 'secondary', 'accent', 'light', 'dark',
+            'on_primary', 'on_secondary', 'on_accent'
+        ]);
+        expect(contrastRatio(colors.secondary, '#FFFFFF')).toBeGreaterThan(contrastRatio(colors.primary, '#FFFFFF'));
+    });
+
+    test('should choose the more readable text color for each background', () => {
+        const { colors, contrast } = derivePalette('rgb(37, 99, 235)');
+        const textOnPrimary = contrast.find(result => result.pair === 'text_on_primary');
+
+        expect(colors.on_primary).toBe('#FFFFFF');
+        expect(textOnPrimary.ratio).toBeGreaterThan(4.5);
+        expect(textOnPrimary.passes_aa).toBe(true);
+    });
+
+    test('should report every produced pair', () => {
+        const { contrast } = derivePalette('orange');
+
+        expect(contrast.map(result => result.pair)).toEqual([
+            'text_on_primary', 'text_on_secondary', 'text_on_accent', 'text_on_light', 'primary_on_light'
+        ]);
+        contrast.forEach(result => expect(typeof result.passes_aa_large).toBe('boolean'));
+    });
+
+    test('should return null for invalid input', () => {
+        expect(derivePalette('nope')).toBeNull();
+    });
+});
+
+describe('toCssVariables', () => {
+    test('should convert palette keys to CSS custom properties', () => {
+        const css = toCssVariables({ primary: '#111111', on_primary: '#FFFFFF' });
+
+        expect(css).toContain('--primary-color: #111111;');
+        expect(css).toContain('--on-primary-color: #FFFFFF;');
+    });
+});
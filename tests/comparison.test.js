@@ -0,0 +1,78 @@
+/**
+ * Tests for Before/After Comparisons
+ */
+
+const {
+    resolveOriginalPage,
+    withBaseUrl,
+    compareMetrics,
+    createCompositeHtml,
+    compositeSize
+} = require('../src/comparison');
+
+const ORIGINAL = '<html><head><title>Old</title></head><body><h1>Welcome</h1><img src="logo.png"></body></html>';
+const GENERATED = `<html><body>
+    <h1>Bella Cucina</h1><h2>Menu</h2><h2>Visit</h2>
+    <a href="#contact" class="bg-primary">Reserve</a><a href="tel:5035550142">Call</a>
+</body></html>`;
+
+describe('resolveOriginalPage', () => {
+    const homepage = {
+        analysis_result: {
+            url: 'https://bellacucina.example.com/',
+            website_content: { html: ORIGINAL, css: 'h1 { color: red; }' }
+        }
+    };
+
+    test('should prefer HTML supplied with the request', () => {
+        expect(resolveOriginalPage(homepage, { html: '<p>Uploaded</p>' })).toEqual({
+            html: '<p>Uploaded</p>',
+            css: '',
+            source: 'request',
+            base_url: 'https://bellacucina.example.com/'
+        });
+    });
+
+    test('should fall back to the website_content snapshot', () => {
+        expect(resolveOriginalPage(homepage)).toEqual(expect.objectContaining({ source: 'website_content', css: 'h1 { color: red; }' }));
+        expect(resolveOriginalPage({ analysis_result: { website_content: { title: 'Old' } } })).toBeNull();
+    });
+});
+
+describe('withBaseUrl', () => {
+    test('should resolve relative URLs against the original site', () => {
+        expect(withBaseUrl(ORIGINAL, 'https://bellacucina.example.com/'))
+            .toContain('<head><base href="https://bellacucina.example.com/"><title>');
+        expect(withBaseUrl('<p>Hi</p>', 'https://a.example.com/')).toBe('<base href="https://a.example.com/"><p>Hi</p>');
+    });
+
+    test('should keep an existing base element', () => {
+        const html = '<head><base href="/shop/"></head>';
+        expect(withBaseUrl(html, 'https://a.example.com/')).toBe(html);
+        expect(withBaseUrl(html, null)).toBe(html);
+    });
+});
+
+describe('compareMetrics', () => {
+    test('should compare size, headings, calls to action and quality score', () => {
+        const metrics = compareMetrics(
+            { htmlCode: ORIGINAL, cssCode: 'h1 { color: red; }' },
+            { htmlCode: GENERATED, cssCode: '' }
+        );
+
+        expect(metrics.page_size.before).toBe(ORIGINAL.length + 18);
+        expect(metrics.headings).toEqual({ before: 1, after: 3, change: 2 });
+        expect(metrics.calls_to_action).toEqual({ before: 0, after: 2, change: 2 });
+        expect(metrics.quality_score.change).toBe(metrics.quality_score.after - metrics.quality_score.before);
+    });
+});
+
+describe('createCompositeHtml', () => {
+    test('should lay out both screenshots at their viewport size', () => {
+        const html = createCompositeHtml({ before: 'data:image/png;base64,AAA', after: 'data:image/png;base64,BBB', width: 375, height: 667 });
+
+        expect(html).toContain('<figcaption>Before</figcaption>\n        <img src="data:image/png;base64,AAA" width="375" height="667"');
+        expect(html).toContain('<figcaption>After</figcaption>');
+        expect(compositeSize({ width: 375, height: 667 })).toEqual({ width: 798, height: 723 });
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for Device Presets
+ */
+
+const {
+    DEVICES,
+    RESPONSIVE_DEVICES,
+    resolveViewport,
+    viewportFromRequest,
+    viewportToResponse
+} = require('../src/devices');
+
+describe('Device Presets', () => {
+    test('should define the responsive devices', () => {
+        for (const name of RESPONSIVE_DEVICES) {
+            expect(DEVICES[name]).toBeDefined();
+        }
+    });
+
+    test('should default to the desktop preset', () => {
+        expect(resolveViewport()).toEqual({
+            device: 'desktop',
+            width: 1200,
+            height: 800,
+            deviceScaleFactor: 1,
+            isMobile: false,
+            hasTouch: false,
+            userAgent: null
+        });
+    });
+
+    test('should let custom values override a preset', () => {
+        const viewport = resolveViewport({ device: 'iphone-se', width: 320, hasTouch: false, userAgent: null });
+
+        expect(viewport).toMatchObject({ device: 'iphone-se', width: 320, height: 667, isMobile: true, hasTouch: false });
+        expect(viewport.userAgent).toContain('iPhone');
+    });
+
+    test('should reject unknown devices', () => {
+        expect(() => resolveViewport({ device: 'watch' })).toThrow('Unknown device: watch');
+    });
+
+    test('should convert request viewports', () => {
+        expect(viewportFromRequest('ipad')).toEqual({ device: 'ipad' });
+        expect(viewportFromRequest({ width: 1000, device_scale_factor: 1.5, is_mobile: true })).toMatchObject({
+            width: 1000,
+            deviceScaleFactor: 1.5,
+            isMobile: true
+        });
+    });
+
+    test('should describe presets in snake_case', () => {
+        expect(viewportToResponse(DEVICES['desktop-1440p'])).toEqual({
+            label: '1440p desktop',
+            width: 2560,
+            height: 1440,
+            device_scale_factor: 1,
+            is_mobile: false,
+            has_touch: false,
+            user_agent: null
+        });
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests for Code Diffs
+ */
+
+const { diffFile, diffHomepages, diffHtmlStructure } = require('../src/diff');
+
+describe('diffFile', () => {
+    test('should produce a unified diff with line counts', () => {
+        const result = diffFile('index.html', '<h1>Old</h1>\n<p>Same</p>\n', '<h1>New</h1>\n<p>Same</p>\n<p>Added</p>\n', {
+            from: 'revision 1',
+            to: 'revision 2'
+        });
+
+        expect(result.patch).toContain('--- index.html\trevision 1');
+        expect(result.patch).toContain('+++ index.html\trevision 2');
+        expect(result.patch).toContain('-<h1>Old</h1>');
+        expect(result.patch).toContain('+<p>Added</p>');
+        expect(result.additions).toBe(2);
+        expect(result.deletions).toBe(1);
+    });
+
+    test('should return an empty patch for identical content', () => {
+        expect(diffFile('styles.css', null, '')).toEqual({ patch: '', additions: 0, deletions: 0 });
+    });
+});
+
+describe('diffHomepages', () => {
+    test('should diff HTML and CSS separately', () => {
+        const diff = diffHomepages(
+            { html_code: '<p>a</p>\n', css_code: 'body {}\n' },
+            { html_code: '<p>a</p>\n', css_code: 'body { color: red; }\n' }
+        );
+
+        expect(diff.html.patch).toBe('');
+        expect(diff.css.additions).toBe(1);
+        expect(diff.additions).toBe(1);
+        expect(diff.deletions).toBe(1);
+        expect(diff.changed).toBe(true);
+    });
+});
+
+describe('diffHtmlStructure', () => {
+    const page = body => `<!DOCTYPE html><html><head><title>Home</title></head><body>${body}</body></html>`;
+
+    test('should report moved sections by id', () => {
+        const result = diffHtmlStructure(
+            page('<main><section id="services"></section><section id="about"></section><section id="testimonials"></section></main>'),
+            page('<main><section id="testimonials"></section><section id="services"></section><section id="about"></section></main>')
+        );
+
+        expect(result.changes).toEqual([{
+            op: 'moved',
+            path: 'html > body > main > section#testimonials',
+            from_path: 'html > body > main > section#testimonials'
+        }]);
+        expect(result.summary.moved).toBe(1);
+    });
+
+    test('should report added, removed and changed elements with selector paths', () => {
+        const result = diffHtmlStructure(
+            page('<div class="a"><p>One</p><p>Two</p></div><footer>Old</footer>'),
+            page('<div class="b"><p>One</p><p>Two</p><ul><li>New</li></ul></div>')
+        );
+
+        expect(result.changes).toEqual(expect.arrayContaining([
+            { op: 'attributes_changed', path: 'html > body > div', attributes: { class: { from: 'a', to: 'b' } } },
+            { op: 'added', path: 'html > body > div > ul', html: '<ul><li>New</li></ul>' },
+            { op: 'removed', path: 'html > body > footer', html: '<footer>Old</footer>' }
+        ]));
+        expect(result.summary).toEqual({ added: 1, removed: 1, moved: 0, attributes_changed: 1, text_changed: 0 });
+    });
+
+    test('should ignore whitespace-only differences', () => {
+        const result = diffHtmlStructure(page('<h1>Hello   world</h1>'), page('\n  <h1>Hello world</h1>\n'));
+
+        expect(result.changes).toEqual([]);
+    });
+});
@@ -0,0 +1,196 @@
+/**
+ * Tests for Homepage Export
+ */
+
+const JSZip = require('jszip');
+const { slugify, buildNextjsProject, buildStaticSite, createZip } = require('../src/export');
+
+const HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta name="description" content="Fresh pasta daily">
+    <title>Mario's Italian</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-50">
+    <header class="bg-white">
+        <nav><a href="#menu">Menu</a></nav>
+    </header>
+    <main>
+        <section id="hero" style="background-color: red">
+            <h1>Pizza & Pasta</h1>
+            <label for="email">Email</label>
+            <input id="email" type="email" value="a@b.co" required>
+            <textarea rows="4">Hello</textarea>
+        </section>
+        <section class="py-10">
+            <h2>Our Menu Today</h2>
+            <img src="menu.png" alt="Menu">
+        </section>
+        <section class="py-10">
+            <p>No heading here</p>
+        </section>
+    </main>
+    <footer><p>&copy; Mario's</p></footer>
+</body>
+</html>`;
+
+describe('slugify', () => {
+    test('should create file-safe names', () => {
+        expect(slugify("Mario's Italian Restaurant")).toBe('mario-s-italian-restaurant');
+        expect(slugify('')).toBe('homepage');
+    });
+});
+
+describe('buildNextjsProject', () => {
+    const homepage = {
+        business_name: "Mario's Italian",
+        html_code: HTML,
+        css_code: '.custom-hero-bg { color: white; }',
+        js_code: null,
+        metadata: {
+            color_palette: { colors: { primary: '#DC2626' } }
+        }
+    };
+
+    test('should produce the app-router project files', () => {
+        const files = buildNextjsProject(homepage);
+
+        expect(Object.keys(files)).toEqual(expect.arrayContaining([
+            'package.json',
+            'tailwind.config.js',
+            'app/globals.css',
+            'app/layout.tsx',
+            'app/page.tsx'
+        ]));
+        expect(JSON.parse(files['package.json']).dependencies.next).toBeDefined();
+        expect(files['tailwind.config.js']).toContain('"primary": "#DC2626"');
+        expect(files['app/globals.css']).toContain('@tailwind base;');
+        expect(files['app/globals.css']).toContain('.custom-hero-bg');
+    });
+
+    test('should carry metadata into the layout', () => {
+        const layout = buildNextjsProject(homepage)['app/layout.tsx'];
+
+        expect(layout).toContain('title: "Mario\'s Italian"');
+        expect(layout).toContain('description: "Fresh pasta daily"');
+        expect(layout).toContain('<body className="bg-gray-50">');
+        expect(layout).not.toContain('next/script');
+    });
+
+    test('should split sections into components where possible', () => {
+        const files = buildNextjsProject(homepage);
+        const page = files['app/page.tsx'];
+
+        expect(page).toContain("import SiteHeader from '../components/SiteHeader';");
+        expect(page).toContain('<HeroSection />');
+        expect(page).toContain('<OurMenuTodaySection />');
+        expect(page).toContain('<SiteFooter />');
+        expect(page).toContain('<p>No heading here</p>');
+        expect(page).toContain('<main>');
+        expect(files['components/HeroSection.tsx']).toContain('export default function HeroSection()');
+    });
+
+    test('should convert HTML attributes to JSX', () => {
+        const hero = buildNextjsProject(homepage)['components/HeroSection.tsx'];
+
+        expect(hero).toContain('style={{ backgroundColor: "red" }}');
+        expect(hero).toContain('{"Pizza & Pasta"}');
+        expect(hero).toContain('htmlFor="email"');
+        expect(hero).toContain('<input id="email" type="email" defaultValue="a@b.co" required />');
+        expect(hero).toContain('<textarea rows={4} defaultValue={"Hello"} />');
+        expect(hero).not.toContain('class=');
+    });
+
+    test('should keep empty values for attributes that are not boolean', () => {
+        const page = buildNextjsProject({
+            ...homepage,
+            html_code: '<html><body><p><a href="" class="">Home</a><img src="x.png" alt=""><input value="" disabled=""></p></body></html>'
+        })['app/page.tsx'];
+
+        expect(page).toContain('<a href="" className="">Home</a>');
+        expect(page).toContain('<img src="x.png" alt="" />');
+        expect(page).toContain('<input defaultValue="" disabled />');
+    });
+
+    test('should drop scripts and load js_code from public/', () => {
+        const files = buildNextjsProject({ ...homepage, js_code: 'console.log(1);' });
+
+        expect(files['app/page.tsx']).not.toContain('cdn.tailwindcss.com');
+        expect(files['public/main.js']).toBe('console.log(1);\n');
+        expect(files['app/layout.tsx']).toContain('<Script src="/main.js" strategy="beforeInteractive" />');
+    });
+});
+
+describe('buildStaticSite', () => {
+    const homepage = {
+        business_name: "Mario's Italian",
+        html_code: HTML.replace('<section class="py-10">', '<section class="py-10 bg-primary">'),
+        css_code: '.custom-hero-bg { color: white; }',
+        js_code: 'console.log(1);',
+        analysis_result: { url: 'https://marios.example.com/about' },
+        metadata: {
+            color_palette: { colors: { primary: '#DC2626', on_primary: '#FFFFFF' } }
+        },
+        updated_at: '2024-05-01T10:00:00.000Z'
+    };
+
+    test('should link styles and scripts from index.html', async () => {
+        const files = await buildStaticSite(homepage);
+        const html = files['index.html'];
+
+        expect(html).toMatch(/^<!DOCTYPE html>/i);
+        expect(html).toContain('<link rel="stylesheet" href="styles.css">');
+        expect(html).toContain('<script src="main.js" defer');
+        expect(html).toContain('<link rel="icon" href="favicon.svg"');
+        expect(html).toContain('cdn.tailwindcss.com');
+        expect(files['styles.css']).toBe('.custom-hero-bg { color: white; }\n');
+        expect(files['main.js']).toBe('console.log(1);\n');
+        expect(files['tailwind.css']).toBeUndefined();
+    });
+
+    test('should generate robots.txt, sitemap.xml and a favicon', async () => {
+        const files = await buildStaticSite(homepage);
+
+        expect(files['robots.txt']).toContain('Sitemap: https://marios.example.com/sitemap.xml');
+        expect(files['sitemap.xml']).toContain('<loc>https://marios.example.com/</loc>');
+        expect(files['sitemap.xml']).toContain('<lastmod>2024-05-01</lastmod>');
+        expect(files['favicon.svg']).toContain('fill="#DC2626"');
+        expect(files['favicon.svg']).toContain('>M</text>');
+
+        const custom = await buildStaticSite(homepage, { baseUrl: 'https://mario.example.org' });
+        expect(custom['sitemap.xml']).toContain('<loc>https://mario.example.org/</loc>');
+    });
+
+    test('should skip stylesheet and script files the homepage does not have', async () => {
+        const files = await buildStaticSite({ ...homepage, css_code: null, js_code: null });
+
+        expect(files['styles.css']).toBeUndefined();
+        expect(files['main.js']).toBeUndefined();
+        expect(files['index.html']).not.toContain('styles.css');
+    });
+
+    test('should replace the Tailwind CDN with a compiled stylesheet', async () => {
+        const files = await buildStaticSite(homepage, { tailwind: 'local' });
+        const html = files['index.html'];
+
+        expect(html).not.toContain('cdn.tailwindcss.com');
+        expect(html.indexOf('href="tailwind.css"')).toBeLessThan(html.indexOf('href="styles.css"'));
+        expect(files['tailwind.css']).toContain('.bg-gray-50');
+        expect(files['tailwind.css']).toContain('.bg-primary');
+        expect(files['tailwind.css']).not.toContain('.bg-red-500');
+    });
+});
+
+describe('createZip', () => {
+    test('should package files under a root folder', async () => {
+        const archive = await createZip({ 'app/page.tsx': 'page', 'package.json': '{}' }, 'mario-nextjs');
+        const zip = await JSZip.loadAsync(archive);
+
+        expect(Object.keys(zip.files)).toEqual(expect.arrayContaining([
+            'mario-nextjs/app/page.tsx',
+            'mario-nextjs/package.json'
+        ]));
+        expect(await zip.file('mario-nextjs/app/page.tsx').async('string')).toBe('page');
+    });
+});
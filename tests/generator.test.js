@@ -21,6 +21,8 @@ describe('HomepageGenerator', () => {
             expect(generator.model).toBe('gpt-4o-mini');
             expect(generator.temperature).toBe(0.3);
             expect(generator.maxTokens).toBe(3000);
+            expect(generator.maxRetries).toBe(3);
+            expect(generator.maxContinuations).toBe(2);
         });
     });
 
@@ -69,7 +71,27 @@ describe('HomepageGenerator', () => {
 
         test('should use custom color scheme when provided', () => {
             const colors = generator._getBaseColors('#FF0000', 'healthcare');
-            expect(colors.primary).toBe('#3B82F6'); // Still returns default pattern
+            expect(colors.primary).toBe('#FF0000');
+            expect(colors.secondary).not.toBe('#059669');
+        });
+
+        test('should fall back to industry colors for invalid schemes', () => {
+            const colors = generator._getBaseColors('not-a-color', 'healthcare');
+            expect(colors.primary).toBe('#10B981');
+        });
+    });
+
+    describe('_generateCustomCSS', () => {
+        test('should define palette CSS variables', async () => {
+            const css = await generator._generateCustomCSS({
+                businessInfo: { name: 'Sample Business', industry: 'healthcare' },
+                stylePreference: 'modern',
+                colorScheme: 'teal'
+            });
+
+            expect(css).toContain('--primary-color: #0D9488;');
+            expect(css).toContain('--light-color:');
+            expect(css).toContain('--on-accent-color:');
         });
     });
 
@@ -122,6 +144,66 @@ describe('HomepageGenerator', () => {
             expect(features).toContain('modern_typography');
             expect(features).toContain('gradient_backgrounds');
         });
+
+        test('should only include additional features present in the HTML', () => {
+            const features = generator._determineFeaturesIncluded({
+                recommendations: [],
+                includeBooking: false,
+                stylePreference: 'modern',
+                additionalFeatures: ['testimonials', 'gallery', 'contact_form', 'social_media'],
+                htmlCode: '<section id="testimonials"></section><section id="contact-form"><form></form></section><a href="https://www.instagram.com/mario">IG</a>'
+            });
+
+            expect(features).toContain('testimonials');
+            expect(features).toContain('contact_form');
+            expect(features).toContain('social_media');
+            expect(features).not.toContain('gallery');
+        });
+
+        test('should not count other forms as the contact form', () => {
+            const features = generator._determineFeaturesIncluded({
+                recommendations: [],
+                includeBooking: false,
+                stylePreference: 'modern',
+                additionalFeatures: ['contact_form'],
+                htmlCode: '<footer><form id="newsletter"><input type="email"></form></footer><form role="search"></form>'
+            });
+
+            expect(features).not.toContain('contact_form');
+        });
+    });
+
+    describe('_createHomepagePrompt', () => {
+        const businessInfo = {
+            business_type: 'restaurant',
+            industry: 'food_and_beverage',
+            services: []
+        };
+
+        test('should add section requirements for additional features', () => {
+            const prompt = generator._createHomepagePrompt({
+                businessName: 'Sample Business',
+                businessInfo,
+                recommendations: [],
+                stylePreference: 'modern',
+                additionalFeatures: ['gallery', 'blog']
+            });
+
+            expect(prompt).toContain('<section id="gallery">');
+            expect(prompt).toContain('<section id="blog">');
+            expect(prompt).not.toContain('id="testimonials"');
+        });
+
+        test('should omit additional sections when none are requested', () => {
+            const prompt = generator._createHomepagePrompt({
+                businessName: 'Sample Business',
+                businessInfo,
+                recommendations: [],
+                stylePreference: 'modern'
+            });
+
+            expect(prompt).not.toContain('additional sections');
+        });
     });
 
     describe('_generateImprovementDescription', () => {
@@ -161,6 +243,23 @@ describe('HomepageGenerator', () => {
             
             expect(description).toContain('Implemented 0 key improvements');
         });
+
+        test('should report the quality score and the checks that need work', () => {
+            const description = generator._generateImprovementDescription({
+                recommendations: [],
+                featuresIncluded: [],
+                quality: {
+                    score: 74,
+                    checks: [
+                        { label: 'Meta tags', status: 'pass' },
+                        { label: 'Contact information', status: 'fail' },
+                        { label: 'Calls to action', status: 'warn' }
+                    ]
+                }
+            });
+
+            expect(description).toContain('Quality score: 74/100 (needs work: contact information, calls to action).');
+        });
     });
 
     describe('_generateBookingJS', () => {
@@ -171,4 +270,428 @@ describe('HomepageGenerator', () => {
             expect(js).toContain('addEventListener');
         });
     });
-});
\ No newline at end of file
+
+    describe('generateHomepage streaming', () => {
+        const analysisResult = {
+            business_info: {
+                name: 'Sample Business',
+                business_type: 'restaurant',
+                industry: 'food_and_beverage'
+            },
+            recommendations: [],
+            website_content: {}
+        };
+
+        async function* chunks(parts) {
+            for (const part of parts) {
+                yield { choices: [{ delta: { content: part } }] };
+            }
+        }
+
+        test('should stream tokens and report stages when onProgress is given', async () => {
+            const create = jest.fn().mockResolvedValue(chunks(['<html>', '<body></body>', '</html>']));
+            generator.getProvider('openai').client = { chat: { completions: { create } } };
+            const events = [];
+
+            const result = await generator.generateHomepage({
+                analysisResult,
+                businessName: 'Sample Business',
+                onProgress: event => events.push(event)
+            });
+
+            expect(create).toHaveBeenCalledWith(expect.objectContaining({ stream: true }));
+            expect(result.html_code).toBe('<html><body></body></html>');
+            expect(events.filter(e => e.type === 'stage').map(e => e.stage)).toEqual([
+                'prompt_built', 'html_streaming', 'css_built'
+            ]);
+            expect(events.filter(e => e.type === 'token').map(e => e.delta).join('')).toBe(result.html_code);
+        });
+
+        test('should not stream without onProgress', async () => {
+            const create = jest.fn().mockResolvedValue({
+                choices: [{ message: { content: ' <html></html> ' } }]
+            });
+            generator.getProvider('openai').client = { chat: { completions: { create } } };
+
+            const result = await generator.generateHomepage({
+                analysisResult,
+                businessName: 'Sample Business'
+            });
+
+            expect(create.mock.calls[0][0].stream).toBeUndefined();
+            expect(result.html_code).toBe('<html></html>');
+        });
+    });
+
+    describe('generateHomepage continuation and retry', () => {
+        const analysisResult = {
+            business_info: {
+                name: 'Sample Business',
+                business_type: 'restaurant',
+                industry: 'food_and_beverage'
+            },
+            recommendations: [],
+            website_content: {}
+        };
+
+        function completion(content, finishReason = 'stop', totalTokens = 100) {
+            return {
+                choices: [{ message: { content }, finish_reason: finishReason }],
+                usage: { total_tokens: totalTokens }
+            };
+        }
+
+        function apiError(status) {
+            const error = new Error(`Request failed with ${status}`);
+            error.status = status;
+            return error;
+        }
+
+        beforeEach(() => {
+            generator.retryBaseDelay = 1;
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            console.warn.mockRestore();
+            console.error.mockRestore();
+        });
+
+        test('should continue truncated output and report attempts and tokens', async () => {
+            const create = jest.fn()
+                .mockResolvedValueOnce(completion('<!DOCTYPE html><html><body><main><h1>Hi', 'length', 3000))
+                .mockResolvedValueOnce(completion('<h1>Hi</h1></main></body></html>', 'stop', 500));
+            generator.getProvider('openai').client = { chat: { completions: { create } } };
+
+            const result = await generator.generateHomepage({
+                analysisResult,
+                businessName: 'Sample Business'
+            });
+
+            const continuationMessages = create.mock.calls[1][0].messages;
+            expect(continuationMessages[2]).toEqual({
+                role: 'assistant',
+                content: '<!DOCTYPE html><html><body><main><h1>Hi'
+            });
+            expect(continuationMessages[3].role).toBe('user');
+            expect(result.html_code).toBe('<!DOCTYPE html><html><body><main><h1>Hi</h1></main></body></html>');
+            expect(result.attempts).toBe(2);
+            expect(result.continuations).toBe(1);
+            expect(result.tokens_used).toBe(3500);
+            expect(result.truncated).toBe(false);
+        });
+
+        test('should give up once the continuation budget is spent', async () => {
+            generator.maxContinuations = 1;
+            const create = jest.fn().mockResolvedValue(completion('<!DOCTYPE html><html><body>', 'length'));
+            generator.getProvider('openai').client = { chat: { completions: { create } } };
+
+            await expect(generator.generateHomepage({
+                analysisResult,
+                businessName: 'Sample Business'
+            })).rejects.toThrow('still incomplete after 1 continuation(s)');
+            expect(create).toHaveBeenCalledTimes(2);
+        });
+
+        test('should report the tokens a failed generation used', async () => {
+            generator.maxContinuations = 1;
+            const create = jest.fn().mockResolvedValue(completion('<!DOCTYPE html><html><body>', 'length', 3000));
+            generator.getProvider('openai').client = { chat: { completions: { create } } };
+
+            await expect(generator.generateHomepage({
+                analysisResult,
+                businessName: 'Sample Business'
+            })).rejects.toMatchObject({ tokensUsed: 6000 });
+        });
+
+        test('should estimate the most tokens each strategy can use', () => {
+            generator.maxTokens = 1000;
+            generator.maxContinuations = 2;
+            const options = { analysisResult, businessName: 'Sample Business' };
+            const promptTokens = generator.estimateMaxTokens({ ...options, strategy: 'sections' }) / 11 - 1000;
+
+            expect(promptTokens).toBeGreaterThan(100);
+            expect(generator.estimateMaxTokens({ ...options, strategy: 'single' })).toBe(3 * promptTokens + 6000);
+        });
+
+        test('should retry rate limits and server errors with backoff', async () => {
+            const create = jest.fn()
+                .mockRejectedValueOnce(apiError(429))
+                .mockRejectedValueOnce(apiError(503))
+                .mockResolvedValueOnce(completion('<html><body></body></html>'));
+            generator.getProvider('openai').client = { chat: { completions: { create } } };
+
+            const result = await generator.generateHomepage({
+                analysisResult,
+                businessName: 'Sample Business'
+            });
+
+            expect(result.attempts).toBe(3);
+            expect(result.continuations).toBe(0);
+        });
+
+        test('should not retry client errors', async () => {
+            const create = jest.fn().mockRejectedValue(apiError(400));
+            generator.getProvider('openai').client = { chat: { completions: { create } } };
+
+            await expect(generator.generateHomepage({
+                analysisResult,
+                businessName: 'Sample Business'
+            })).rejects.toThrow('Request failed with 400');
+            expect(create).toHaveBeenCalledTimes(1);
+        });
+
+        test('should stop retrying after maxRetries', async () => {
+            generator.maxRetries = 2;
+            const create = jest.fn().mockRejectedValue(apiError(500));
+            generator.getProvider('openai').client = { chat: { completions: { create } } };
+
+            await expect(generator.generateHomepage({
+                analysisResult,
+                businessName: 'Sample Business'
+            })).rejects.toThrow('Request failed with 500');
+            expect(create).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe('generateHomepage providers', () => {
+        const analysisResult = {
+            business_info: {
+                name: 'Sample Business',
+                business_type: 'restaurant',
+                industry: 'food_and_beverage'
+            },
+            recommendations: [],
+            website_content: {}
+        };
+
+        test('should generate with the provider and model named in the request', async () => {
+            const result = await generator.generateHomepage({
+                analysisResult,
+                businessName: 'Sample Business',
+                provider: 'fixture',
+                model: 'fixture-v2'
+            });
+
+            expect(result.provider).toBe('fixture');
+            expect(result.model).toBe('fixture-v2');
+            expect(result.html_code).toContain('<title>Sample Business</title>');
+            expect(result.truncated).toBe(false);
+        });
+
+        test('should report non-streaming providers as a single token', async () => {
+            const provider = generator.getProvider('fixture');
+            provider.capabilities.streaming = false;
+            const events = [];
+
+            const result = await generator.generateHomepage({
+                analysisResult,
+                businessName: 'Sample Business',
+                provider: 'fixture',
+                onProgress: event => events.push(event)
+            });
+
+            expect(events.filter(e => e.type === 'token').map(e => e.delta)).toEqual([result.html_code]);
+        });
+
+        test('should refuse providers that are not configured', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const noKeyGenerator = new HomepageGenerator('');
+
+            await expect(noKeyGenerator.generateHomepage({
+                analysisResult,
+                businessName: 'Sample Business'
+            })).rejects.toThrow('LLM provider openai is not configured');
+            console.error.mockRestore();
+        });
+    });
+
+    describe('generateHomepage section by section', () => {
+        const analysisResult = {
+            business_info: {
+                name: 'Sample Business',
+                business_type: 'restaurant',
+                industry: 'food_and_beverage'
+            },
+            recommendations: [],
+            website_content: {}
+        };
+
+        beforeEach(() => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            console.warn.mockRestore();
+        });
+
+        test('should plan, generate each section and assemble the page', async () => {
+            const events = [];
+
+            const result = await generator.generateHomepage({
+                analysisResult,
+                businessName: 'Sample Business',
+                additionalFeatures: ['gallery'],
+                provider: 'fixture',
+                strategy: 'sections',
+                onProgress: event => events.push(event)
+            });
+
+            expect(result.generation_strategy).toBe('sections');
+            expect(result.page_plan.sections.map(section => section.id)).toEqual([
+                'header', 'hero', 'services', 'about', 'gallery', 'contact', 'footer'
+            ]);
+            expect(result.html_code).toMatch(/<header id="header"[\s\S]*<main>[\s\S]*<section id="gallery"[\s\S]*<\/main>[\s\S]*<footer id="footer"/);
+            expect(result.features_included).toContain('gallery');
+            expect(result.attempts).toBe(8);
+            expect(events.filter(e => e.type === 'token')).toEqual([]);
+            expect(events.filter(e => e.stage === 'section_generated')).toHaveLength(7);
+        });
+
+        test('should retry a failing section without regenerating the others', async () => {
+            const provider = generator.getProvider('fixture');
+            const complete = provider.complete.bind(provider);
+            let failures = 0;
+            jest.spyOn(provider, 'complete').mockImplementation(async request => {
+                const response = await complete(request);
+                if (request.task.kind === 'section' && request.task.section.id === 'about' && failures++ === 0) {
+                    return { ...response, content: response.content.slice(0, 20) };
+                }
+                return response;
+            });
+
+            const result = await generator.generateHomepage({
+                analysisResult,
+                businessName: 'Sample Business',
+                provider: 'fixture',
+                strategy: 'sections'
+            });
+
+            expect(result.sections.find(section => section.id === 'about').attempts).toBe(2);
+            expect(result.sections.filter(section => section.attempts === 1)).toHaveLength(5);
+            expect(provider.complete).toHaveBeenCalledTimes(8);
+        });
+
+        test('should fail once a section runs out of retries', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            generator.sectionRetries = 1;
+            jest.spyOn(generator.getProvider('fixture'), 'complete').mockResolvedValue({
+                content: 'Sorry, I cannot help with that.',
+                finishReason: 'stop',
+                tokensUsed: 10
+            });
+
+            await expect(generator.generateHomepage({
+                analysisResult,
+                businessName: 'Sample Business',
+                provider: 'fixture',
+                strategy: 'sections'
+            })).rejects.toMatchObject({
+                message: expect.stringContaining('Section plan failed after 2 attempt(s): Page plan is not valid JSON'),
+                tokensUsed: 20
+            });
+            console.error.mockRestore();
+        });
+    });
+
+    describe('regenerateSection', () => {
+        const html = [
+            '<!DOCTYPE html>',
+            '<html><body>',
+            '    <header id="header"><a href="#">Sample</a></header>',
+            '    <main>',
+            '        <div id="services" class="grid">',
+            '            <h2>Services</h2>',
+            '        </div>',
+            '        <section   id="about" >About&nbsp;us</section>',
+            '    </main>',
+            '</body></html>'
+        ].join('\n');
+        const homepage = {
+            id: 'home-1',
+            business_name: 'Sample Business',
+            html_code: html,
+            analysis_result: { business_info: { business_type: 'restaurant', industry: 'food_and_beverage' } },
+            metadata: { style_applied: 'modern' }
+        };
+
+        test('should replace only the requested section', async () => {
+            const result = await generator.regenerateSection({
+                homepage,
+                sectionId: 'services',
+                instructions: 'List three dishes',
+                provider: 'fixture'
+            });
+            const start = html.indexOf('<div id="services"');
+            const end = html.indexOf('</div>') + '</div>'.length;
+
+            expect(result.section).toEqual({ id: 'services', type: 'services' });
+            expect(result.section_html).toMatch(/^<div id="services"[\s\S]*List three dishes[\s\S]*<\/div>$/);
+            expect(result.html_code.startsWith(html.slice(0, start))).toBe(true);
+            expect(result.html_code.endsWith(html.slice(end))).toBe(true);
+            expect(result.html_code).not.toContain('<h2>Services</h2>');
+            expect(result.attempts).toBe(1);
+        });
+
+        test('should reject sections the page does not have', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await expect(generator.regenerateSection({
+                homepage,
+                sectionId: 'gallery',
+                provider: 'fixture'
+            })).rejects.toThrow('Section regeneration failed: Section gallery not found');
+            console.error.mockRestore();
+        });
+    });
+
+    describe('refineHomepage', () => {
+        const homepage = {
+            id: 'home-1',
+            business_name: 'Sample Business',
+            html_code: '<!DOCTYPE html>\n<html><body>\n<h1>Sample</h1>\n</body></html>',
+            css_code: ':root {}'
+        };
+
+        test('should apply the instruction with the conversation as context', async () => {
+            const provider = generator.getProvider('fixture');
+            jest.spyOn(provider, 'complete');
+
+            const result = await generator.refineHomepage({
+                homepage,
+                instruction: 'Add a tagline',
+                conversation: [{ instruction: 'Use a darker palette', summary: 'Darkened colors.' }],
+                provider: 'fixture'
+            });
+
+            expect(provider.complete.mock.calls[0][0].messages).toHaveLength(4);
+            expect(result.summary).toBe('Applied "Add a tagline"');
+            expect(result.html_code).toContain('<p class="refinement-note">Add a tagline</p>');
+            expect(result.css_code).toBe(':root {}');
+        });
+
+        test('should not return pages that were cut off', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            jest.spyOn(generator.getProvider('fixture'), 'complete').mockResolvedValue({
+                content: 'SUMMARY: Done\n```html\n<!DOCTYPE html><html><body><main><h1>Sample',
+                finishReason: 'length',
+                tokensUsed: 3000
+            });
+
+            await expect(generator.refineHomepage({
+                homepage,
+                instruction: 'Add a tagline',
+                provider: 'fixture'
+            })).rejects.toThrow('Homepage refinement failed: Refined page is incomplete');
+            console.error.mockRestore();
+        });
+    });
+
+    describe('_joinContinuation', () => {
+        test('should drop fences and text the model repeated', () => {
+            expect(generator._joinContinuation('<main><h1>Hel', '```html\n<h1>Hello</h1></main>\n```'))
+                .toBe('<main><h1>Hello</h1></main>');
+        });
+    });
+});
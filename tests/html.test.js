@@ -0,0 +1,16 @@
+/**
+ * Tests for Markup Helpers
+ */
+
+const { escapeHtml } = require('../src/html');
+
+describe('escapeHtml', () => {
+    test('should escape markup and both quote characters', () => {
+        expect(escapeHtml(`<a href="x">Joe's & Sons</a>`))
+            .toBe('&lt;a href=&quot;x&quot;&gt;Joe&#39;s &amp; Sons&lt;/a&gt;');
+    });
+
+    test('should convert other values to strings', () => {
+        expect(escapeHtml(82)).toBe('82');
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for Job Queue
+ */
+
+jest.mock('axios');
+
+const axios = require('axios');
+const { JobQueue } = require('../src/jobs');
+
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('JobQueue', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        axios.post.mockReset();
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    test('should run a job and expose its result', async () => {
+        const queue = new JobQueue();
+        const job = queue.enqueue(async () => ({ id: 'home-1' }));
+
+        await flush();
+
+        const status = queue.get(job.id);
+        expect(status.status).toBe('succeeded');
+        expect(status.result).toEqual({ id: 'home-1' });
+        expect(status.finished_at).not.toBeNull();
+        expect(status.task).toBeUndefined();
+    });
+
+    test('should record failures', async () => {
+        const queue = new JobQueue();
+        const job = queue.enqueue(async () => {
+            throw new Error('OpenAI timeout');
+        });
+
+        await flush();
+
+        const status = queue.get(job.id);
+        expect(status.status).toBe('failed');
+        expect(status.error.message).toBe('OpenAI timeout');
+    });
+
+    test('should respect the concurrency limit', async () => {
+        const queue = new JobQueue({ concurrency: 1 });
+        const first = deferred();
+        const second = deferred();
+
+        const jobA = queue.enqueue(() => first.promise);
+        const jobB = queue.enqueue(() => second.promise);
+
+        expect(queue.get(jobA.id).status).toBe('running');
+        expect(queue.get(jobB.id).status).toBe('queued');
+        expect(queue.getStats()).toEqual({ queued: 1, running: 1, concurrency: 1 });
+
+        first.resolve('a');
+        await flush();
+        expect(queue.get(jobB.id).status).toBe('running');
+
+        second.resolve('b');
+        await flush();
+        expect(queue.get(jobB.id).status).toBe('succeeded');
+    });
+
+    test('should return null for unknown jobs', () => {
+        expect(new JobQueue().get('missing')).toBeNull();
+    });
+
+    test('should forget the oldest finished jobs', async () => {
+        const queue = new JobQueue({ maxFinishedJobs: 1 });
+        const jobA = queue.enqueue(async () => 'a');
+        await flush();
+        const jobB = queue.enqueue(async () => 'b');
+        await flush();
+
+        expect(queue.get(jobA.id)).toBeNull();
+        expect(queue.get(jobB.id).result).toBe('b');
+    });
+
+    test('should POST the final state to the callback URL', async () => {
+        axios.post.mockResolvedValue({ status: 200 });
+        const queue = new JobQueue();
+        const job = queue.enqueue(async () => ({ id: 'home-1' }), {
+            callbackUrl: 'https://example.com/hook'
+        });
+
+        await flush();
+
+        expect(axios.post).toHaveBeenCalledWith(
+            'https://example.com/hook',
+            expect.objectContaining({ job_id: job.id, status: 'succeeded', data: { id: 'home-1' } }),
+            expect.any(Object)
+        );
+        expect(queue.get(job.id).callback).toEqual({
+            url: 'https://example.com/hook',
+            status: 'delivered',
+            attempts: 1
+        });
+        expect(axios.post.mock.calls[0][2]).toEqual(expect.objectContaining({ maxRedirects: 0, lookup: expect.any(Function) }));
+    });
+
+    test('should never POST to internal callback URLs', async () => {
+        const queue = new JobQueue({ callbackAllowedHosts: [] });
+        const job = queue.enqueue(async () => 'done', {
+            callbackUrl: 'http://169.254.169.254/latest/meta-data'
+        });
+
+        await flush();
+
+        expect(axios.post).not.toHaveBeenCalled();
+        expect(queue.get(job.id).callback).toEqual(expect.objectContaining({
+            status: 'failed',
+            attempts: 0,
+            last_error: 'Callback URL host 169.254.169.254 is a private, loopback or link-local address'
+        }));
+    });
+
+    test('should retry failed callbacks and give up after the retry budget', async () => {
+        axios.post.mockRejectedValue(new Error('ECONNREFUSED'));
+        const queue = new JobQueue({ callbackRetries: 3, callbackRetryDelay: 1 });
+        const job = queue.enqueue(async () => 'done', {
+            callbackUrl: 'https://example.com/hook'
+        });
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(axios.post).toHaveBeenCalledTimes(3);
+        expect(queue.get(job.id).callback.status).toBe('failed');
+        expect(queue.get(job.id).status).toBe('succeeded');
+    });
+});
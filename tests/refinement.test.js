@@ -0,0 +1,78 @@
+/**
+ * Tests for Conversational Refinement
+ */
+
+const { createHomepageRecord } = require('../src/storage');
+const { getConversation, createRefinementMessages, parseRefinement } = require('../src/refinement');
+
+describe('parseRefinement', () => {
+    test('should split the summary, HTML and CSS blocks', () => {
+        const result = parseRefinement([
+            'SUMMARY: Darkened the palette.',
+            '```html',
+            '<!DOCTYPE html><html><body></body></html>',
+            '```',
+            '```css',
+            ':root { --primary-color: #111; }',
+            '```'
+        ].join('\n'));
+
+        expect(result).toEqual({
+            summary: 'Darkened the palette.',
+            html: '<!DOCTYPE html><html><body></body></html>',
+            css: ':root { --primary-color: #111; }'
+        });
+    });
+
+    test('should leave the CSS unchanged and accept unfenced HTML', () => {
+        const result = parseRefinement('Summary: Moved testimonials.\n<!DOCTYPE html><html></html>');
+
+        expect(result.summary).toBe('Moved testimonials.');
+        expect(result.html.trim()).toBe('<!DOCTYPE html><html></html>');
+        expect(result.css).toBeNull();
+    });
+});
+
+describe('createRefinementMessages', () => {
+    test('should replay earlier instructions and send the current page last', () => {
+        const messages = createRefinementMessages({
+            systemPrompt: 'You are a web developer.',
+            conversation: [{ instruction: 'Use a darker palette', summary: 'Darkened colors.' }],
+            htmlCode: '<html><body></body></html>',
+            cssCode: 'body {}',
+            instruction: 'Move testimonials above services'
+        });
+
+        expect(messages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'user']);
+        expect(messages[1].content).toBe('Refinement instruction: Use a darker palette');
+        expect(messages[2].content).toBe('SUMMARY: Darkened colors.');
+        expect(messages[3].content).toContain('```html\n<html><body></body></html>\n```');
+        expect(messages[3].content).toContain('Refinement instruction: Move testimonials above services');
+    });
+});
+
+describe('getConversation', () => {
+    test('should list refinements from the revision history', () => {
+        const record = createHomepageRecord({ id: 'abc', business_name: 'Sample', html_code: '<html></html>', css_code: '' }, {});
+        record.revisions.push(
+            { revision: 2, type: 'section_regenerated', inputs: { section_id: 'hero' }, created_at: 't2' },
+            { revision: 3, type: 'refined', inputs: { instruction: 'Darker' }, summary: 'Done.', created_at: 't3' }
+        );
+
+        expect(getConversation(record)).toEqual([
+            { revision: 3, instruction: 'Darker', summary: 'Done.', created_at: 't3' }
+        ]);
+    });
+
+    test('should rewind the thread when an earlier revision is restored', () => {
+        const record = createHomepageRecord({ id: 'abc', business_name: 'Sample', html_code: '<html></html>', css_code: '' }, {});
+        record.revisions.push(
+            { revision: 2, type: 'refined', inputs: { instruction: 'Darker' }, summary: 'Done.', created_at: 't2' },
+            { revision: 3, type: 'refined', inputs: { instruction: 'Bigger' }, summary: 'Done.', created_at: 't3' },
+            { revision: 4, type: 'reverted', inputs: { revision: 2 }, created_at: 't4' },
+            { revision: 5, type: 'refined', inputs: { instruction: 'Rounder' }, summary: 'Done.', created_at: 't5' }
+        );
+
+        expect(getConversation(record).map(turn => turn.instruction)).toEqual(['Darker', 'Rounder']);
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for Visual Regression Diffs
+ */
+
+const { PNG } = require('pngjs');
+const { diffImages, findChangedRegions } = require('../src/regression');
+
+/**
+ * PNG of the given size in one color, with optional filled rectangles
+ */
+function createPng(width, height, rects = [], background = [255, 255, 255]) {
+    const png = new PNG({ width, height });
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const rect = rects.find(r => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height);
+            const [red, green, blue] = rect ? rect.color : background;
+            const offset = (y * width + x) * 4;
+            png.data[offset] = red;
+            png.data[offset + 1] = green;
+            png.data[offset + 2] = blue;
+            png.data[offset + 3] = 255;
+        }
+    }
+    return PNG.sync.write(png);
+}
+
+describe('Visual Regression Diffs', () => {
+    test('should report no difference for identical images', () => {
+        const image = createPng(40, 30, [{ x: 5, y: 5, width: 10, height: 10, color: [0, 0, 0] }]);
+        const result = diffImages(image, image);
+
+        expect(result.changed_pixels).toBe(0);
+        expect(result.difference_percent).toBe(0);
+        expect(result.regions).toEqual([]);
+        expect(result.size_changed).toBe(false);
+        expect(PNG.sync.read(result.diff).width).toBe(40);
+    });
+
+    test('should report the changed share and regions, largest first', () => {
+        const before = createPng(100, 50);
+        const after = createPng(100, 50, [
+            { x: 10, y: 5, width: 10, height: 10, color: [0, 0, 0] },
+            { x: 80, y: 40, width: 20, height: 10, color: [0, 0, 255] }
+        ]);
+        const result = diffImages(before, after);
+
+        expect(result.changed_pixels).toBe(300);
+        expect(result.total_pixels).toBe(5000);
+        expect(result.difference_percent).toBe(6);
+        expect(result.regions).toEqual([
+            { x: 80, y: 40, width: 20, height: 10, changed_pixels: 200 },
+            { x: 10, y: 5, width: 10, height: 10, changed_pixels: 100 }
+        ]);
+        expect(result.truncated).toBe(false);
+    });
+
+    test('should ignore changes below the threshold', () => {
+        const before = createPng(20, 20);
+        const after = createPng(20, 20, [], [250, 250, 250]);
+
+        expect(diffImages(before, after).changed_pixels).toBe(0);
+        expect(diffImages(before, after, { threshold: 0 }).changed_pixels).toBe(400);
+    });
+
+    test('should compare images of different sizes over the larger one', () => {
+        const before = createPng(20, 10, [], [0, 0, 0]);
+        const after = createPng(20, 20, [], [0, 0, 0]);
+        const result = diffImages(before, after);
+
+        expect(result.size_changed).toBe(true);
+        expect(result.height).toBe(20);
+        expect(result.changed_pixels).toBe(200);
+        expect(result.regions).toEqual([{ x: 0, y: 10, width: 20, height: 10, changed_pixels: 200 }]);
+    });
+
+    test('should limit the number of regions', () => {
+        const width = 64;
+        const height = 8;
+        const data = Buffer.alloc(width * height * 4, 255);
+        // Single changed pixels 16px apart, so no two share or touch a cell
+        for (let x = 0; x < width; x += 16) {
+            data[x * 4 + 1] = 0;
+            data[x * 4 + 2] = 0;
+        }
+
+        const result = findChangedRegions(data, width, height, { maxRegions: 2 });
+        expect(result.regions).toHaveLength(2);
+        expect(result.truncated).toBe(true);
+        expect(findChangedRegions(data, width, height).regions).toHaveLength(4);
+    });
+});
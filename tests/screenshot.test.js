@@ -0,0 +1,437 @@
+/**
+ * Tests for Screenshot Service page pool
+ */
+
+const EventEmitter = require('events');
+const { PNG } = require('pngjs');
+
+jest.mock('puppeteer', () => ({ launch: jest.fn() }));
+
+const puppeteer = require('puppeteer');
+const ScreenshotService = require('../src/screenshot');
+
+jest.mock('../src/tailwind', () => ({
+    ...jest.requireActual('../src/tailwind'),
+    compileTailwind: jest.fn(async () => '.p-4{padding:1rem}')
+}));
+
+const { compileTailwind } = require('../src/tailwind');
+
+function createPage(render) {
+    let closed = false;
+    const page = new EventEmitter();
+    Object.assign(page, {
+        setRequestInterception: jest.fn().mockResolvedValue(),
+        setJavaScriptEnabled: jest.fn().mockResolvedValue(),
+        setViewport: jest.fn().mockResolvedValue(),
+        setUserAgent: jest.fn().mockResolvedValue(),
+        emulateMediaFeatures: jest.fn().mockResolvedValue(),
+        $: jest.fn().mockResolvedValue(null),
+        setContent: jest.fn().mockResolvedValue(),
+        evaluate: jest.fn().mockResolvedValue(),
+        screenshot: jest.fn(options => render(options)),
+        pdf: jest.fn(async () => new Uint8Array([37, 80, 68, 70])),
+        isClosed: () => closed,
+        close: jest.fn(async () => {
+            closed = true;
+        })
+    });
+    return page;
+}
+
+function createRequest(url, resourceType) {
+    return {
+        url: () => url,
+        resourceType: () => resourceType,
+        continue: jest.fn().mockResolvedValue(),
+        abort: jest.fn().mockResolvedValue(),
+        respond: jest.fn().mockResolvedValue()
+    };
+}
+
+function createBrowser(render = async () => Buffer.from('png')) {
+    const browser = new EventEmitter();
+    browser.pages = [];
+    browser.newPage = jest.fn(async () => {
+        const page = createPage(render);
+        browser.pages.push(page);
+        return page;
+    });
+    browser.close = jest.fn(async () => browser.emit('disconnected'));
+    browser.userAgent = jest.fn().mockResolvedValue('HeadlessChrome/120');
+    return browser;
+}
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => {
+        resolve = done;
+    });
+    return { promise, resolve };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ScreenshotService', () => {
+    let service;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await service.cleanup();
+        jest.restoreAllMocks();
+        puppeteer.launch.mockReset();
+    });
+
+    test('should reuse pooled pages between renders', async () => {
+        const browser = createBrowser();
+        puppeteer.launch.mockResolvedValue(browser);
+        service = new ScreenshotService({ poolSize: 2 });
+        await service.initialize();
+
+        await service.generateScreenshot('<p>one</p>');
+        await service.generateScreenshot('<p>two</p>');
+
+        expect(browser.newPage).toHaveBeenCalledTimes(1);
+        expect(service.getStats()).toMatchObject({ ready: true, pages_open: 1, idle: 1, busy: 0, completed: 2 });
+    });
+
+    test('should queue renders beyond the pool size', async () => {
+        const gate = deferred();
+        const browser = createBrowser(() => gate.promise);
+        puppeteer.launch.mockResolvedValue(browser);
+        service = new ScreenshotService({ poolSize: 2 });
+        await service.initialize();
+
+        const renders = [1, 2, 3].map(n => service.generateScreenshot(`<p>${n}</p>`));
+        await flush();
+
+        expect(browser.newPage).toHaveBeenCalledTimes(2);
+        expect(service.getStats()).toMatchObject({ busy: 2, queued: 1 });
+
+        gate.resolve(Buffer.from('png'));
+        await Promise.all(renders);
+
+        expect(browser.newPage).toHaveBeenCalledTimes(2);
+        expect(service.getStats()).toMatchObject({ busy: 0, idle: 2, queued: 0, completed: 3 });
+    });
+
+    test('should refuse renders when the queue is full', async () => {
+        const gate = deferred();
+        puppeteer.launch.mockResolvedValue(createBrowser(() => gate.promise));
+        service = new ScreenshotService({ poolSize: 1, queueLimit: 1 });
+        await service.initialize();
+
+        const running = service.generateScreenshot('<p>1</p>');
+        await flush();
+        const queued = service.generateScreenshot('<p>2</p>');
+        await flush();
+
+        await expect(service.generateScreenshot('<p>3</p>')).rejects.toThrow('Screenshot queue is full');
+        expect(service.getStats().rejected).toBe(1);
+
+        gate.resolve(Buffer.from('png'));
+        await Promise.all([running, queued]);
+    });
+
+    test('should hand the slot to a queued render when opening a page fails', async () => {
+        const opening = deferred();
+        const browser = createBrowser();
+        browser.newPage.mockImplementationOnce(async () => {
+            await opening.promise;
+            throw new Error('Target closed');
+        });
+        puppeteer.launch.mockResolvedValue(browser);
+        service = new ScreenshotService({ poolSize: 1 });
+        await service.initialize();
+
+        const failing = service.generateScreenshot('<p>1</p>');
+        await flush();
+        const queued = service.generateScreenshot('<p>2</p>');
+        await flush();
+        expect(service.getStats()).toMatchObject({ queued: 1 });
+
+        opening.resolve();
+        await expect(failing).rejects.toThrow('Target closed');
+        await expect(queued).resolves.toBeDefined();
+        expect(browser.newPage).toHaveBeenCalledTimes(2);
+        expect(service.getStats()).toMatchObject({ queued: 0, idle: 1, busy: 0 });
+    });
+
+    test('should discard a page whose render timed out', async () => {
+        const browser = createBrowser(() => new Promise(() => {}));
+        puppeteer.launch.mockResolvedValue(browser);
+        service = new ScreenshotService({ poolSize: 1, renderTimeout: 20 });
+        await service.initialize();
+
+        await expect(service.generateScreenshot('<p>slow</p>')).rejects.toThrow('Render timed out after 20ms');
+
+        expect(browser.pages[0].close).toHaveBeenCalled();
+        expect(service.getStats()).toMatchObject({ pages_open: 0, failed: 1, timed_out: 1 });
+    });
+
+    test('should relaunch the browser after it disconnects', async () => {
+        const crashed = createBrowser();
+        const relaunched = createBrowser();
+        puppeteer.launch.mockResolvedValueOnce(crashed).mockResolvedValueOnce(relaunched);
+        service = new ScreenshotService({ relaunchDelay: 5 });
+        await service.initialize();
+        await service.generateScreenshot('<p>before</p>');
+
+        crashed.emit('disconnected');
+
+        expect(service.isReady()).toBeFalsy();
+        expect(service.getStats()).toMatchObject({ pages_open: 0, disconnects: 1 });
+
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(service.isReady()).toBeTruthy();
+        expect(service.getStats().relaunches).toBe(1);
+        await service.generateScreenshot('<p>after</p>');
+        expect(relaunched.newPage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject queued renders when the browser disconnects', async () => {
+        const browser = createBrowser(() => new Promise(() => {}));
+        puppeteer.launch.mockResolvedValueOnce(browser).mockResolvedValue(createBrowser());
+        service = new ScreenshotService({ poolSize: 1, renderTimeout: 50, relaunchDelay: 5 });
+        await service.initialize();
+
+        const stuck = service.generateScreenshot('<p>stuck</p>').catch(() => {});
+        await flush();
+        const queued = service.generateScreenshot('<p>queued</p>');
+        await flush();
+
+        browser.emit('disconnected');
+
+        await expect(queued).rejects.toThrow('Browser disconnected');
+        await stuck;
+    });
+
+    test('should not relaunch after cleanup', async () => {
+        const browser = createBrowser();
+        puppeteer.launch.mockResolvedValue(browser);
+        service = new ScreenshotService({ relaunchDelay: 5 });
+        await service.initialize();
+
+        await service.cleanup();
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+        expect(service.getStats().disconnects).toBe(0);
+    });
+
+    test('should render responsive viewports in parallel', async () => {
+        const gate = deferred();
+        const browser = createBrowser(() => gate.promise);
+        puppeteer.launch.mockResolvedValue(browser);
+        service = new ScreenshotService({ poolSize: 3 });
+        await service.initialize();
+
+        const screenshots = service.generateResponsiveScreenshots('<p>page</p>');
+        await flush();
+
+        expect(service.getStats().busy).toBe(3);
+
+        gate.resolve(Buffer.from('png'));
+        const result = await screenshots;
+
+        expect(Object.keys(result)).toEqual(['desktop', 'tablet', 'mobile']);
+        expect(result.mobile).toMatch(/^data:image\/png;base64,/);
+    });
+
+    test('should diff two renderings of the same viewport', async () => {
+        const blank = new PNG({ width: 20, height: 10 });
+        blank.data.fill(255);
+        const changed = new PNG({ width: 20, height: 10 });
+        changed.data.fill(255);
+        for (let x = 0; x < 5; x++) {
+            changed.data[x * 4 + 1] = 0;
+        }
+        const images = [PNG.sync.write(blank), PNG.sync.write(changed)];
+        const browser = createBrowser(async () => images.shift());
+        puppeteer.launch.mockResolvedValue(browser);
+        service = new ScreenshotService({ poolSize: 2 });
+        await service.initialize();
+
+        const result = await service.generateVisualDiff(
+            { html: '<p>before</p>' },
+            { html: '<p>after</p>' },
+            { device: 'mobile', format: 'jpeg', threshold: 0.2 }
+        );
+
+        expect(result.changed_pixels).toBe(5);
+        expect(result.difference_percent).toBe(2.5);
+        expect(result.regions).toEqual([{ x: 0, y: 0, width: 5, height: 1, changed_pixels: 5 }]);
+        expect(Buffer.isBuffer(result.before) && Buffer.isBuffer(result.diff)).toBe(true);
+        for (const page of browser.pages) {
+            expect(page.screenshot).toHaveBeenCalledWith({ type: 'png', fullPage: true });
+            expect(page.setViewport).toHaveBeenCalledWith(expect.objectContaining({ width: 375 }));
+        }
+    });
+
+    describe('render modes', () => {
+        let browser;
+
+        beforeEach(async () => {
+            browser = createBrowser();
+            puppeteer.launch.mockResolvedValue(browser);
+            compileTailwind.mockClear();
+        });
+
+        test('should render standard pages without scripts or images', async () => {
+            service = new ScreenshotService();
+            await service.initialize();
+            await service.generateScreenshot('<p class="p-4">page</p>');
+
+            const page = browser.pages[0];
+            expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+            expect(page.setJavaScriptEnabled).toHaveBeenCalledWith(false);
+            expect(page.evaluate).not.toHaveBeenCalled();
+            expect(compileTailwind).not.toHaveBeenCalled();
+
+            const image = createRequest('https://example.com/hero.png', 'image');
+            const stylesheet = createRequest('https://fonts.googleapis.com/css', 'stylesheet');
+            page.emit('request', image);
+            page.emit('request', stylesheet);
+            expect(image.abort).toHaveBeenCalled();
+            expect(stylesheet.continue).toHaveBeenCalled();
+        });
+
+        test('should serve Tailwind locally and block other requests in faithful mode', async () => {
+            service = new ScreenshotService({ renderMode: 'faithful' });
+            await service.initialize();
+            await service.generateScreenshot('<p class="p-4">page</p>');
+
+            const page = browser.pages[0];
+            expect(page.setJavaScriptEnabled).toHaveBeenCalledWith(true);
+            expect(page.setContent).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ waitUntil: 'load' }));
+            expect(page.evaluate).toHaveBeenCalledTimes(1);
+            expect(compileTailwind).toHaveBeenCalledTimes(1);
+
+            const script = createRequest('https://cdn.tailwindcss.com', 'script');
+            const stylesheet = createRequest('https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css', 'stylesheet');
+            const remoteImage = createRequest('https://example.com/hero.png', 'image');
+            const inlineImage = createRequest('data:image/png;base64,AAAA', 'image');
+            [script, stylesheet, remoteImage, inlineImage].forEach(request => page.emit('request', request));
+
+            expect(script.respond).toHaveBeenCalledWith(expect.objectContaining({ contentType: 'application/javascript' }));
+            expect(stylesheet.respond).toHaveBeenCalledWith(expect.objectContaining({ contentType: 'text/css', body: '.p-4{padding:1rem}' }));
+            expect(remoteImage.abort).toHaveBeenCalled();
+            expect(inlineImage.continue).toHaveBeenCalled();
+        });
+
+        test('should compile Tailwind once for a page rendered at several viewports', async () => {
+            service = new ScreenshotService({ renderMode: 'faithful' });
+            await service.initialize();
+
+            await service.generateResponsiveScreenshots('<p class="p-4">page</p>');
+
+            expect(compileTailwind).toHaveBeenCalledTimes(1);
+        });
+
+        test('should switch a pooled page between modes', async () => {
+            service = new ScreenshotService({ poolSize: 1 });
+            await service.initialize();
+
+            await service.generateScreenshot('<p>page</p>', '', { renderMode: 'faithful' });
+            await service.generateScreenshot('<p>page</p>');
+
+            const page = browser.pages[0];
+            expect(browser.pages).toHaveLength(1);
+            expect(page.setJavaScriptEnabled.mock.calls).toEqual([[true], [false]]);
+        });
+
+        test('should print PDFs in faithful mode with a cover page', async () => {
+            service = new ScreenshotService();
+            await service.initialize();
+
+            const pdf = await service.generatePdf('<h1>Welcome</h1>', '', {
+                pageSize: 'Letter',
+                margin: '1in',
+                cover: { businessName: 'Bella Cucina', qualityScore: 82 }
+            });
+
+            const page = browser.pages[0];
+            expect(pdf.toString()).toBe('%PDF');
+            expect(page.setJavaScriptEnabled).toHaveBeenCalledWith(true);
+            expect(page.setContent.mock.calls[0][0]).toMatch(/<body>\s*<section data-pdf-cover[\s\S]*Bella Cucina[\s\S]*<h1>Welcome<\/h1>/);
+            expect(page.pdf).toHaveBeenCalledWith(expect.objectContaining({
+                format: 'Letter',
+                margin: { top: '1in', right: '1in', bottom: '1in', left: '1in' },
+                printBackground: true
+            }));
+        });
+
+        test('should reject unknown render modes', async () => {
+            service = new ScreenshotService();
+            await service.initialize();
+
+            await expect(service.generateScreenshot('<p>page</p>', '', { renderMode: 'print' }))
+                .rejects.toThrow('Unknown render mode: print');
+        });
+    });
+
+    describe('device emulation', () => {
+        let browser;
+
+        beforeEach(async () => {
+            browser = createBrowser();
+            puppeteer.launch.mockResolvedValue(browser);
+            service = new ScreenshotService({ poolSize: 1 });
+            await service.initialize();
+        });
+
+        test('should emulate a device preset with custom overrides', async () => {
+            await service.generateScreenshot('<p>page</p>', '', { device: 'pixel-7', height: 600, colorScheme: 'dark' });
+
+            const page = browser.pages[0];
+            expect(page.setViewport).toHaveBeenCalledWith({
+                width: 412,
+                height: 600,
+                deviceScaleFactor: 2.625,
+                isMobile: true,
+                hasTouch: true
+            });
+            expect(page.setUserAgent).toHaveBeenCalledWith(expect.stringContaining('Pixel 7'));
+            expect(page.emulateMediaFeatures).toHaveBeenCalledWith([{ name: 'prefers-color-scheme', value: 'dark' }]);
+        });
+
+        test('should reset emulation when a pooled page is reused', async () => {
+            await service.generateScreenshot('<p>page</p>', '', { device: 'mobile', colorScheme: 'dark' });
+            await service.generateScreenshot('<p>page</p>');
+
+            const page = browser.pages[0];
+            expect(page.setViewport).toHaveBeenLastCalledWith(expect.objectContaining({ width: 1200, isMobile: false, hasTouch: false }));
+            expect(page.setUserAgent).toHaveBeenLastCalledWith('HeadlessChrome/120');
+            expect(page.emulateMediaFeatures).toHaveBeenLastCalledWith([{ name: 'prefers-color-scheme', value: '' }]);
+        });
+
+        test('should capture the element matching a selector', async () => {
+            const element = { screenshot: jest.fn().mockResolvedValue(Buffer.from('hero')) };
+            await service.generateScreenshot('<p>warm up</p>');
+            const page = browser.pages[0];
+            page.$.mockResolvedValue(element);
+
+            const shot = await service.generateScreenshot('<section id="hero"></section>', '', { selector: '#hero', format: 'jpeg', quality: 60 });
+
+            expect(shot.toString()).toBe('hero');
+            expect(page.$).toHaveBeenCalledWith('#hero');
+            expect(element.screenshot).toHaveBeenCalledWith({ type: 'jpeg', quality: 60 });
+            expect(page.screenshot).toHaveBeenCalledTimes(1);
+        });
+
+        test('should report selectors that match nothing', async () => {
+            await expect(service.generateScreenshot('<p>page</p>', '', { selector: '#missing' }))
+                .rejects.toMatchObject({ status: 400, message: 'No element matches selector #missing' });
+        });
+
+        test('should reject unknown devices', async () => {
+            await expect(service.generateScreenshot('<p>page</p>', '', { device: 'watch' }))
+                .rejects.toThrow('Unknown device: watch');
+        });
+    });
+});
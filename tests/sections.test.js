@@ -0,0 +1,149 @@
+/**
+ * Tests for Section-by-Section Generation
+ */
+
+const {
+    MAX_SECTIONS,
+    BASE_SECTIONS,
+    createSectionPrompt,
+    parsePagePlan,
+    extractSectionHtml,
+    assemblePage,
+    locateSection,
+    replaceSection
+} = require('../src/sections');
+
+const PALETTE = {
+    colors: { primary: '#DC2626', secondary: '#991B1B', accent: '#10B981', light: '#FEF2F2', dark: '#1F2937' }
+};
+
+describe('parsePagePlan', () => {
+    const options = { outline: BASE_SECTIONS, businessName: "Mario's", description: 'Italian food' };
+
+    test('should merge headlines and CTAs into the required outline', () => {
+        const plan = parsePagePlan('```json\n' + JSON.stringify({
+            title: "Mario's Trattoria",
+            sections: [
+                { id: 'hero', headline: 'Fresh Pasta Daily', cta: { label: 'Reserve', href: '#contact' } },
+                { id: 'services', headline: 'Our Menu' }
+            ]
+        }) + '\n```', options);
+
+        expect(plan.title).toBe("Mario's Trattoria");
+        expect(plan.description).toBe('Italian food');
+        expect(plan.sections.map(section => section.id)).toEqual(BASE_SECTIONS.map(section => section.id));
+        expect(plan.sections[1]).toEqual(expect.objectContaining({
+            id: 'hero',
+            headline: 'Fresh Pasta Daily',
+            cta: { label: 'Reserve', href: '#contact' }
+        }));
+        expect(plan.sections[4].headline).toBeNull();
+    });
+
+    test('should place extra sections before contact and cap the section count', () => {
+        const extras = Array.from({ length: 8 }, (value, index) => ({ id: `Extra ${index}`, headline: `Extra ${index}` }));
+        const plan = parsePagePlan(JSON.stringify({ sections: extras }), options);
+        const ids = plan.sections.map(section => section.id);
+
+        expect(plan.sections).toHaveLength(MAX_SECTIONS);
+        expect(ids.slice(4, 8)).toEqual(['extra-0', 'extra-1', 'extra-2', 'extra-3']);
+        expect(ids.slice(-2)).toEqual(['contact', 'footer']);
+        expect(plan.sections[4].type).toBe('custom');
+    });
+
+    test('should reject output that is not JSON', () => {
+        expect(() => parsePagePlan('Here is my plan: hero, services', options)).toThrow('Page plan is not valid JSON');
+        expect(() => parsePagePlan('{ "sections": [ }', options)).toThrow('Page plan is not valid JSON');
+    });
+});
+
+describe('createSectionPrompt', () => {
+    test('should describe one section with the page outline and palette', () => {
+        const plan = parsePagePlan(JSON.stringify({ sections: [{ id: 'hero', headline: 'Fresh Pasta Daily' }] }), {
+            outline: BASE_SECTIONS,
+            businessName: "Mario's"
+        });
+
+        const prompt = createSectionPrompt({
+            plan,
+            section: plan.sections[1],
+            businessName: "Mario's",
+            businessInfo: { business_type: 'restaurant', industry: 'food_and_beverage' },
+            stylePreference: 'modern',
+            colorPalette: PALETTE,
+            includeBooking: true
+        });
+
+        expect(prompt).toContain('Section id: hero');
+        expect(prompt).toContain('Headline: Fresh Pasta Daily');
+        expect(prompt).toContain('<section id="hero">');
+        expect(prompt).toContain('- #services');
+        expect(prompt).toContain('primary (#DC2626)');
+        expect(prompt).toContain('data-booking-btn');
+    });
+});
+
+describe('extractSectionHtml', () => {
+    const hero = { id: 'hero', type: 'hero' };
+
+    test('should strip fences and keep the section element', () => {
+        const html = extractSectionHtml('```html\n<section class="py-20"><h1>Hi</h1></section>\n```', hero);
+        expect(html).toBe('<section class="py-20" id="hero"><h1>Hi</h1></section>');
+    });
+
+    test('should unwrap sections returned inside a full document', () => {
+        const html = extractSectionHtml('<!DOCTYPE html><html><body><header id="header"><nav></nav></header></body></html>', {
+            id: 'header',
+            type: 'header'
+        });
+        expect(html).toBe('<header id="header"><nav></nav></header>');
+    });
+
+    test('should reject truncated or unusable output', () => {
+        expect(() => extractSectionHtml('<section><h1>Hi</h1></section>', hero, 'length')).toThrow('truncated');
+        expect(() => extractSectionHtml('<section><h1>Hi</h1><a href="/x', hero)).toThrow('truncated');
+        expect(() => extractSectionHtml('<div>Hero</div>', hero)).toThrow('has no <section> element');
+    });
+});
+
+describe('assemblePage', () => {
+    test('should wrap sections in a shared layout', () => {
+        const page = assemblePage({
+            plan: { title: 'Mario & Sons', description: 'Pasta "fresca"' },
+            sections: [
+                { section: { id: 'header', type: 'header' }, html: '<header id="header"></header>' },
+                { section: { id: 'hero', type: 'hero' }, html: '<section id="hero"></section>' },
+                { section: { id: 'footer', type: 'footer' }, html: '<footer id="footer"></footer>' }
+            ],
+            colorPalette: PALETTE
+        });
+
+        expect(page).toMatch(/^<!DOCTYPE html>/);
+        expect(page).toContain('<title>Mario &amp; Sons</title>');
+        expect(page).toContain('content="Pasta &quot;fresca&quot;"');
+        expect(page).toContain('"primary":"#DC2626"');
+        expect(page).toMatch(/<header id="header"><\/header>\s*<main>\s*<section id="hero"><\/section>\s*<\/main>\s*<footer id="footer"><\/footer>/);
+    });
+});
+
+describe('locateSection and replaceSection', () => {
+    const page = '<!DOCTYPE html>\n<html><body>\n    <main>\n        <section id="hero">\n            <h1>Old</h1>\n        </section>\n        <p id="note">Hi</p>\n    </main>\n</body></html>';
+
+    test('should locate a section by id with its source offsets', () => {
+        const located = locateSection(page, 'hero');
+
+        expect(located).toEqual(expect.objectContaining({ id: 'hero', tag: 'section' }));
+        expect(located.html).toBe('<section id="hero">\n            <h1>Old</h1>\n        </section>');
+        expect(locateSection(page, 'note')).toBeNull();
+        expect(locateSection(page, 'missing')).toBeNull();
+        expect(locateSection(page, 'hero"]')).toBeNull();
+        expect(locateSection(page, 'he\\ro')).toBeNull();
+    });
+
+    test('should splice the new section in without touching the rest', () => {
+        const located = locateSection(page, 'hero');
+        const updated = replaceSection(page, located, '<section id="hero">\n    <h1>New</h1>\n</section>');
+
+        expect(updated).toBe(page.replace(located.html, '<section id="hero">\n            <h1>New</h1>\n        </section>'));
+    });
+});
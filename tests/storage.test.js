@@ -0,0 +1,149 @@
+/**
+ * Tests for Homepage Storage
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+    FileSystemStorage,
+    MemoryStorage,
+    createStorage,
+    createHomepageRecord
+} = require('../src/storage');
+
+function buildRecord(id, overrides = {}) {
+    return createHomepageRecord({
+        id,
+        business_name: 'Sample Business',
+        generated_at: new Date().toISOString(),
+        html_code: '<html></html>',
+        css_code: ':root {}',
+        js_code: null,
+        style_applied: 'modern',
+        features_included: ['responsive_design'],
+        ...overrides
+    }, { id: 'analysis_123' });
+}
+
+describe('createHomepageRecord', () => {
+    test('should split generated code from metadata', () => {
+        const record = buildRecord('abc');
+
+        expect(record.id).toBe('abc');
+        expect(record.html_code).toBe('<html></html>');
+        expect(record.analysis_result).toEqual({ id: 'analysis_123' });
+        expect(record.metadata.style_applied).toBe('modern');
+        expect(record.metadata.html_code).toBeUndefined();
+        expect(record.created_at).toBeDefined();
+        expect(record.revision).toBe(1);
+        expect(record.revisions).toEqual([expect.objectContaining({
+            revision: 1,
+            type: 'generated',
+            inputs: {},
+            html_code: '<html></html>'
+        })]);
+    });
+});
+
+describe.each([
+    ['MemoryStorage', async () => new MemoryStorage()],
+    ['FileSystemStorage', async () => new FileSystemStorage(
+        await fs.mkdtemp(path.join(os.tmpdir(), 'homepages-'))
+    )]
+])('%s', (name, createInstance) => {
+    let storage;
+
+    beforeEach(async () => {
+        storage = await createInstance();
+    });
+
+    afterEach(async () => {
+        if (storage.directory) {
+            await fs.rm(storage.directory, { recursive: true, force: true });
+        }
+    });
+
+    test('should save and get a record', async () => {
+        await storage.save(buildRecord('home-1'));
+        const record = await storage.get('home-1');
+
+        expect(record.business_name).toBe('Sample Business');
+        expect(record.html_code).toBe('<html></html>');
+    });
+
+    test('should return null for unknown or invalid ids', async () => {
+        expect(await storage.get('missing')).toBeNull();
+        expect(await storage.get('../etc/passwd')).toBeNull();
+    });
+
+    test('should reject records without a valid id', async () => {
+        await expect(storage.save({ id: '../bad' })).rejects.toThrow('valid id');
+    });
+
+    test('should delete a record', async () => {
+        await storage.save(buildRecord('home-1'));
+
+        expect(await storage.delete('home-1')).toBe(true);
+        expect(await storage.get('home-1')).toBeNull();
+        expect(await storage.delete('home-1')).toBe(false);
+    });
+
+    test('should paginate and filter list results', async () => {
+        await storage.save(buildRecord('a', { business_name: 'Mario Pizza' }));
+        await storage.save(buildRecord('b', { business_name: 'Luigi Pasta', style_applied: 'bold' }));
+        await storage.save(buildRecord('c', { business_name: 'Mario Bakery', style_applied: 'bold' }));
+
+        const all = await storage.list({ page: 1, limit: 2 });
+        expect(all.total).toBe(3);
+        expect(all.items).toHaveLength(2);
+        expect(all.total_pages).toBe(2);
+        expect(all.items[0].html_code).toBeUndefined();
+
+        const marios = await storage.list({ business_name: 'mario' });
+        expect(marios.items.map(item => item.id).sort()).toEqual(['a', 'c']);
+
+        const boldMarios = await storage.list({ business_name: 'mario', style: 'bold' });
+        expect(boldMarios.items.map(item => item.id)).toEqual(['c']);
+        expect(boldMarios.items[0].revisions).toBeUndefined();
+    });
+
+    test('should record edits as new revisions', async () => {
+        await storage.save(buildRecord('home-1'));
+
+        const [first, second] = await Promise.all([
+            storage.addRevision('home-1', { html_code: '<html>1</html>' }, { type: 'refined', inputs: { instruction: 'Edit' } }),
+            storage.addRevision('home-1', { html_code: '<html>2</html>' }, { type: 'refined', inputs: { instruction: 'Edit' } })
+        ]);
+        const stored = await storage.get('home-1');
+
+        expect(first.revision).toBe(2);
+        expect(second.revision).toBe(3);
+        expect(stored.html_code).toBe('<html>2</html>');
+        expect(stored.css_code).toBe(':root {}');
+        expect(stored.revisions.map(revision => revision.html_code)).toEqual(['<html></html>', '<html>1</html>', '<html>2</html>']);
+        expect(await storage.addRevision('missing', { html_code: '' }, { type: 'refined', inputs: { instruction: 'Edit' } })).toBeNull();
+    });
+
+    test('should start the history of records saved without revisions', async () => {
+        const { revision, revisions, ...legacy } = buildRecord('legacy');
+        await storage.save(legacy);
+
+        const updated = await storage.addRevision('legacy', { css_code: 'body {}' }, { type: 'refined', inputs: { instruction: 'Edit' } });
+
+        expect(updated.revisions.map(entry => entry.revision)).toEqual([1, 2]);
+        expect(updated.revisions[0].css_code).toBe(':root {}');
+        expect(updated.revisions[1]).toEqual(expect.objectContaining({ html_code: '<html></html>', css_code: 'body {}' }));
+    });
+});
+
+describe('createStorage', () => {
+    test('should create the requested backend', () => {
+        expect(createStorage({ backend: 'memory' })).toBeInstanceOf(MemoryStorage);
+        expect(createStorage({ backend: 'filesystem', directory: '/tmp/x' })).toBeInstanceOf(FileSystemStorage);
+    });
+
+    test('should reject unknown backends', () => {
+        expect(() => createStorage({ backend: 'redis' })).toThrow('Unknown storage backend');
+    });
+});
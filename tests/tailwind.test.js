@@ -0,0 +1,46 @@
+/**
+ * Tests for Local Tailwind Build
+ */
+
+const {
+    isTailwindCdnUrl,
+    extractTailwindTheme,
+    createTailwindCdnResponse
+} = require('../src/tailwind');
+
+describe('Local Tailwind Build', () => {
+    test('should recognise Tailwind CDN URLs', () => {
+        expect(isTailwindCdnUrl('https://cdn.tailwindcss.com')).toBe(true);
+        expect(isTailwindCdnUrl('https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css')).toBe(true);
+        expect(isTailwindCdnUrl('https://fonts.googleapis.com/css')).toBe(false);
+        expect(isTailwindCdnUrl(null)).toBe(false);
+    });
+
+    test('should read the theme from an inline Play CDN configuration', () => {
+        const html = `<script>tailwind.config = { theme: { extend: { colors: {"primary":"#1e40af", accent: '#f59e0b',} } } };</script>`;
+
+        expect(extractTailwindTheme(html)).toEqual({ colors: { primary: '#1e40af', accent: '#f59e0b' } });
+    });
+
+    test('should fall back to an empty theme', () => {
+        expect(extractTailwindTheme('<p>no config</p>')).toEqual({});
+        expect(extractTailwindTheme('<script>tailwind.config = buildConfig();</script>')).toEqual({});
+        expect(extractTailwindTheme('<script>tailwind.config = { theme: colors.map(x => x) }</script>')).toEqual({});
+    });
+
+    test('should answer stylesheet requests with the compiled CSS', () => {
+        expect(createTailwindCdnResponse('stylesheet', '.p-4{padding:1rem}')).toEqual({
+            status: 200,
+            contentType: 'text/css',
+            body: '.p-4{padding:1rem}'
+        });
+    });
+
+    test('should answer the Play CDN script with a script that injects the CSS', () => {
+        const response = createTailwindCdnResponse('script', '.p-4{padding:1rem}');
+
+        expect(response.contentType).toBe('application/javascript');
+        expect(response.body).toContain('window.tailwind = window.tailwind || {};');
+        expect(response.body).toContain(JSON.stringify('.p-4{padding:1rem}'));
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for Design Variant Batches
+ */
+
+const { STYLE_PREFERENCES, planVariants, runVariantBatch } = require('../src/variants');
+
+describe('planVariants', () => {
+    test('should start with the requested style and rotate through the others', () => {
+        const plans = planVariants(6, { stylePreference: 'bold', temperature: 0.5 });
+
+        expect(plans.map(plan => plan.style_preference)).toEqual(['bold', 'modern', 'classic', 'minimal', 'professional', 'bold']);
+        expect(plans.every(plan => plan.temperature === 0.5)).toBe(true);
+        expect(plans.map(plan => plan.variant)).toEqual([1, 2, 3, 4, 5, 6]);
+        expect(new Set(plans.slice(0, STYLE_PREFERENCES.length).map(plan => plan.style_preference)).size).toBe(5);
+    });
+
+    test('should apply explicit options per variant', () => {
+        const plans = planVariants(3, {
+            variantOptions: [{ style_preference: 'minimal', temperature: 1.2 }, { temperature: 0 }]
+        });
+
+        expect(plans).toEqual([
+            { variant: 1, style_preference: 'minimal', temperature: 1.2 },
+            { variant: 2, style_preference: 'classic', temperature: 0 },
+            { variant: 3, style_preference: 'minimal', temperature: null }
+        ]);
+    });
+});
+
+describe('runVariantBatch', () => {
+    const plans = planVariants(4);
+
+    test('should run at most `concurrency` variants at once', async () => {
+        let running = 0;
+        let peak = 0;
+        const { variants, tokens_used } = await runVariantBatch(plans, async plan => {
+            running++;
+            peak = Math.max(peak, running);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            running--;
+            return { tokens_used: 100, style: plan.style_preference };
+        }, { concurrency: 2 });
+
+        expect(peak).toBe(2);
+        expect(tokens_used).toBe(400);
+        expect(variants.map(variant => variant.status)).toEqual(['completed', 'completed', 'completed', 'completed']);
+        expect(variants[3]).toEqual(expect.objectContaining({ variant: 4, style: 'bold' }));
+    });
+
+    test('should skip variants that could exceed the token budget', async () => {
+        const { variants, tokens_used } = await runVariantBatch(plans, async () => ({ tokens_used: 900 }), {
+            concurrency: 1,
+            tokenBudget: 2500,
+            reservation: 1000
+        });
+
+        expect(tokens_used).toBe(1800);
+        expect(variants.map(variant => variant.status)).toEqual(['completed', 'completed', 'skipped', 'skipped']);
+        expect(variants[2].error).toBe('Token budget of 2500 would be exceeded');
+    });
+
+    test('should keep going when a variant fails', async () => {
+        const { variants } = await runVariantBatch(plans.slice(0, 2), async plan => {
+            if (plan.variant === 1) {
+                throw new Error('Provider timed out');
+            }
+            return { tokens_used: 10 };
+        });
+
+        expect(variants[0]).toEqual(expect.objectContaining({ status: 'failed', error: 'Provider timed out' }));
+        expect(variants[1].status).toBe('completed');
+    });
+
+    test('should count tokens spent by failed variants against the budget', async () => {
+        const { variants, tokens_used } = await runVariantBatch(plans, async plan => {
+            if (plan.variant === 1) {
+                throw Object.assign(new Error('Output still incomplete'), { tokensUsed: 1500 });
+            }
+            return { tokens_used: 500 };
+        }, { concurrency: 1, tokenBudget: 2900, reservation: 1000 });
+
+        expect(variants.map(variant => variant.status)).toEqual(['failed', 'completed', 'skipped', 'skipped']);
+        expect(variants[0].tokens_used).toBe(1500);
+        expect(tokens_used).toBe(2000);
+    });
+});